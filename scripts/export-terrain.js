@@ -0,0 +1,81 @@
+/**
+ * Export terrain from the command line, without a browser
+ *
+ * Usage:
+ *   node scripts/export-terrain.js --seed matterhorn --format glb --out terrain.glb
+ *
+ * Options:
+ *   --seed <value>       Terrain seed (random if omitted)
+ *   --recipe <name>      Terrain recipe (default: alpine)
+ *   --segments <n>       Grid resolution (default: 256)
+ *   --format <format>    png, raw, obj, stl or glb (default: png)
+ *   --base               Add a solid base to STL output for 3D printing
+ *   --no-erosion         Skip the erosion passes
+ *   --no-water           Skip river carving
+ *   --out <file>         Output path (default: terrain-<seed>.<format>)
+ */
+
+import { writeFile } from 'node:fs/promises';
+import { parseArgs } from 'node:util';
+import { generateTerrainData } from '../src/terrain/terrainData.js';
+import { randomSeed } from '../src/utils/random.js';
+import {
+  exportHeightmapPNG,
+  exportHeightmapRaw,
+  exportOBJ,
+  exportSTL,
+  exportGLB,
+} from '../src/terrain/exporters.js';
+
+const { values } = parseArgs({
+  options: {
+    seed: { type: 'string' },
+    recipe: { type: 'string', default: 'alpine' },
+    segments: { type: 'string', default: '256' },
+    format: { type: 'string', default: 'png' },
+    base: { type: 'boolean', default: false },
+    'no-erosion': { type: 'boolean', default: false },
+    'no-water': { type: 'boolean', default: false },
+    out: { type: 'string' },
+  },
+});
+
+const exporters = {
+  png: exportHeightmapPNG,
+  raw: exportHeightmapRaw,
+  obj: exportOBJ,
+  stl: (data) => exportSTL(data, { base: values.base }),
+  glb: exportGLB,
+};
+
+const exporter = exporters[values.format];
+if (!exporter) {
+  console.error(`Unknown format "${values.format}" (expected ${Object.keys(exporters).join(', ')})`);
+  process.exit(1);
+}
+
+const seed = values.seed ?? randomSeed();
+const segments = Number(values.segments);
+
+// Droplet count scales with grid area so small grids aren't worn flat
+const droplets = Math.round(70000 * (segments / 256) ** 2);
+
+const data = generateTerrainData({
+  width: 400,
+  depth: 400,
+  segments,
+  heightScale: 120,
+  seed,
+  recipe: values.recipe,
+  erosion: values['no-erosion'] ? false : { iterations: droplets },
+  thermalErosion: values['no-erosion'] ? false : { talusAngle: 38, iterations: 40 },
+  hydrology: !values['no-water'],
+}, {
+  onProgress: (progress, stage) => {
+    process.stdout.write(`\rGenerating (${stage}) ${Math.round(progress * 100)}%   `);
+  },
+});
+
+const out = values.out ?? `terrain-${seed}.${values.format}`;
+await writeFile(out, await exporter(data));
+console.log(`\nWrote ${out}`);
@@ -1,12 +1,22 @@
 /**
- * InputHandler - Manages keyboard input for the application
+ * InputHandler - Manages keyboard and pointer input for the application
  */
 export class InputHandler {
-  constructor() {
+  /**
+   * @param {HTMLElement} [element] - Element to track the pointer over (usually the canvas)
+   */
+  constructor(element = null) {
     this.keys = {};
     this.callbacks = {};
     
+    // Last pointer position in normalized device coordinates (-1 to 1, y up)
+    this.pointer = { x: 0, y: 0, inside: false };
+    this.pointerCallbacks = {};
+    
     this.setupListeners();
+    if (element) {
+      this.setupPointerListeners(element);
+    }
   }
   
   /**
@@ -22,13 +32,13 @@ export class InputHandler {
       // Only trigger on initial press, not repeat
       if (!this.keys[event.code]) {
         this.keys[event.code] = true;
-        this.triggerCallback(event.code, 'down');
+        this.triggerCallback(event.code, 'down', event);
       }
     });
     
     window.addEventListener('keyup', (event) => {
       this.keys[event.code] = false;
-      this.triggerCallback(event.code, 'up');
+      this.triggerCallback(event.code, 'up', event);
     });
     
     // Reset keys when window loses focus
@@ -37,6 +47,43 @@ export class InputHandler {
     });
   }
   
+  /**
+   * Setup pointer event listeners on an element
+   * @param {HTMLElement} element
+   */
+  setupPointerListeners(element) {
+    const track = (event) => {
+      const rect = element.getBoundingClientRect();
+      this.pointer.x = ((event.clientX - rect.left) / rect.width) * 2 - 1;
+      this.pointer.y = -((event.clientY - rect.top) / rect.height) * 2 + 1;
+      this.pointer.inside = true;
+      return { x: this.pointer.x, y: this.pointer.y, button: event.button, event };
+    };
+    
+    element.addEventListener('pointerdown', (event) => {
+      // Keep receiving moves while dragging outside the element
+      element.setPointerCapture(event.pointerId);
+      this.triggerPointerCallback('down', track(event));
+    });
+    
+    element.addEventListener('pointermove', (event) => {
+      this.triggerPointerCallback('move', track(event));
+    });
+    
+    const release = (event) => {
+      if (element.hasPointerCapture(event.pointerId)) {
+        element.releasePointerCapture(event.pointerId);
+      }
+      this.triggerPointerCallback('up', track(event));
+    };
+    element.addEventListener('pointerup', release);
+    element.addEventListener('pointercancel', release);
+    
+    element.addEventListener('pointerleave', () => {
+      this.pointer.inside = false;
+    });
+  }
+  
   /**
    * Register a callback for a specific key
    * @param {string} keyCode - The key code (e.g., 'Space', 'KeyW')
@@ -68,12 +115,55 @@ export class InputHandler {
    * Trigger callbacks for a key event
    * @param {string} keyCode
    * @param {string} eventType
+   * @param {KeyboardEvent} event - Passed on so callbacks can check modifiers
    */
-  triggerCallback(keyCode, eventType) {
+  triggerCallback(keyCode, eventType, event) {
     const key = `${keyCode}_${eventType}`;
     if (this.callbacks[key]) {
-      this.callbacks[key].forEach(callback => callback());
+      this.callbacks[key].forEach(callback => callback(event));
+    }
+  }
+  
+  /**
+   * Register a pointer callback
+   * @param {string} eventType - 'down', 'move' or 'up'
+   * @param {Function} callback - Called with { x, y, button, event }, x and y in normalized device coordinates
+   */
+  onPointer(eventType, callback) {
+    if (!this.pointerCallbacks[eventType]) {
+      this.pointerCallbacks[eventType] = [];
     }
+    this.pointerCallbacks[eventType].push(callback);
+  }
+  
+  /**
+   * Remove a pointer callback
+   * @param {string} eventType
+   * @param {Function} callback
+   */
+  offPointer(eventType, callback) {
+    if (this.pointerCallbacks[eventType]) {
+      this.pointerCallbacks[eventType] = this.pointerCallbacks[eventType].filter(cb => cb !== callback);
+    }
+  }
+  
+  /**
+   * Trigger callbacks for a pointer event
+   * @param {string} eventType
+   * @param {Object} pointer - { x, y, button, event }
+   */
+  triggerPointerCallback(eventType, pointer) {
+    if (this.pointerCallbacks[eventType]) {
+      this.pointerCallbacks[eventType].forEach(callback => callback(pointer));
+    }
+  }
+  
+  /**
+   * Get the last pointer position
+   * @returns {Object} { x, y, inside } - Normalized device coordinates, and whether the pointer is over the element
+   */
+  getPointer() {
+    return { ...this.pointer };
   }
   
   /**
@@ -108,6 +198,7 @@ export class InputHandler {
    */
   dispose() {
     this.callbacks = {};
+    this.pointerCallbacks = {};
     this.keys = {};
   }
 }
@@ -132,6 +223,25 @@ export const KeyCodes = {
   S: 'KeyS',
   D: 'KeyD',
   
+  // Export shortcuts
+  H: 'KeyH',
+  M: 'KeyM',
+  
+  // Snowline
+  BRACKET_LEFT: 'BracketLeft',
+  BRACKET_RIGHT: 'BracketRight',
+  
+  // Time of day and sky
+  T: 'KeyT',
+  K: 'KeyK',
+  
+  // Sculpting
+  B: 'KeyB',
+  Z: 'KeyZ',
+  Y: 'KeyY',
+  MINUS: 'Minus',
+  EQUAL: 'Equal',
+  
   // Other useful keys
   SHIFT: 'ShiftLeft',
   CTRL: 'ControlLeft',
@@ -141,5 +251,8 @@ export const KeyCodes = {
   NUM_1: 'Digit1',
   NUM_2: 'Digit2',
   NUM_3: 'Digit3',
+  NUM_4: 'Digit4',
+  NUM_5: 'Digit5',
+  NUM_6: 'Digit6',
 };
 
@@ -0,0 +1,157 @@
+import * as THREE from 'three';
+
+// Dabs per second while the button is held, independent of frame rate
+const DAB_RATE = 60;
+
+const _raycaster = new THREE.Raycaster();
+const _pointer = new THREE.Vector2();
+
+/**
+ * SculptTool - Sculpts the terrain under the mouse
+ *
+ * While enabled, dragging with the left button paints the sculptor's brush
+ * where the pointer ray meets the terrain, and a ring shows the brush
+ * radius. Camera rotation is handed over to the brush; right-drag still pans
+ * and the wheel still zooms.
+ */
+export class SculptTool {
+  /**
+   * @param {TerrainSculptor} sculptor - Applies the brush and records undo history
+   * @param {SceneManager} sceneManager - For the camera and orbit controls
+   * @param {InputHandler} inputHandler - Must be tracking the canvas pointer
+   */
+  constructor(sculptor, sceneManager, inputHandler) {
+    this.sculptor = sculptor;
+    this.camera = sceneManager.getCamera();
+    this.controls = sceneManager.getControls();
+    this.inputHandler = inputHandler;
+    
+    this.enabled = false;
+    this.held = false;
+    this.pending = 0;
+    
+    this.cursor = this.createCursor();
+    
+    this.onPointerDown = (pointer) => {
+      if (!this.enabled || pointer.button !== 0) return;
+      const hit = this.pick();
+      if (hit) {
+        this.held = true;
+        this.pending = 0;
+        this.sculptor.beginStroke(hit.point.x, hit.point.z);
+      }
+    };
+    this.onPointerUp = (pointer) => {
+      if (pointer.button !== 0) return;
+      this.held = false;
+      this.sculptor.endStroke();
+    };
+    inputHandler.onPointer('down', this.onPointerDown);
+    inputHandler.onPointer('up', this.onPointerUp);
+  }
+  
+  /**
+   * Ring showing the brush radius, drawn over the terrain
+   * @returns {THREE.Mesh}
+   */
+  createCursor() {
+    const geometry = new THREE.RingGeometry(0.94, 1, 64);
+    geometry.rotateX(-Math.PI / 2);
+    const material = new THREE.MeshBasicMaterial({
+      color: 0xffffff,
+      transparent: true,
+      opacity: 0.7,
+      depthTest: false,
+      fog: false,
+    });
+    
+    const cursor = new THREE.Mesh(geometry, material);
+    cursor.name = 'sculpt-cursor';
+    cursor.renderOrder = 10;
+    cursor.visible = false;
+    return cursor;
+  }
+  
+  /**
+   * Get the brush cursor to add to the scene
+   * @returns {THREE.Mesh}
+   */
+  getCursor() {
+    return this.cursor;
+  }
+  
+  /**
+   * Turn sculpting on or off
+   * @param {boolean} enabled
+   */
+  setEnabled(enabled) {
+    this.enabled = enabled;
+    this.controls.enableRotate = !enabled;
+    this.cursor.visible = false;
+    if (!enabled) {
+      this.held = false;
+      this.sculptor.endStroke();
+    }
+  }
+  
+  /**
+   * Check whether sculpting is on
+   * @returns {boolean}
+   */
+  isEnabled() {
+    return this.enabled;
+  }
+  
+  /**
+   * Where the pointer ray meets the terrain
+   * @returns {Object|null} Hit from TerrainQuery.raycast, or null
+   */
+  pick() {
+    const pointer = this.inputHandler.getPointer();
+    if (!pointer.inside && !this.held) {
+      return null;
+    }
+    
+    _pointer.set(pointer.x, pointer.y);
+    _raycaster.setFromCamera(_pointer, this.camera);
+    return this.sculptor.terrain.getQuery().raycast(_raycaster.ray);
+  }
+  
+  /**
+   * Move the cursor and keep dabbing while the button is held
+   * @param {number} deltaTime - Seconds since the last frame
+   */
+  update(deltaTime) {
+    if (!this.enabled) {
+      return;
+    }
+    
+    const hit = this.pick();
+    this.cursor.visible = hit !== null;
+    if (!hit) {
+      return;
+    }
+    
+    this.cursor.position.copy(hit.point);
+    this.cursor.scale.setScalar(this.sculptor.getBrush().radius);
+    
+    if (this.held) {
+      // Catch up at a steady rate, but never stall a slow frame with a burst of dabs
+      this.pending = Math.min(this.pending + deltaTime * DAB_RATE, 4);
+      while (this.pending >= 1) {
+        this.sculptor.dab(hit.point.x, hit.point.z);
+        this.pending -= 1;
+      }
+    }
+  }
+  
+  /**
+   * Dispose of the cursor and stop listening to the pointer
+   */
+  dispose() {
+    this.inputHandler.offPointer('down', this.onPointerDown);
+    this.inputHandler.offPointer('up', this.onPointerUp);
+    this.cursor.geometry.dispose();
+    this.cursor.material.dispose();
+  }
+}
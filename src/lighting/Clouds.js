@@ -0,0 +1,272 @@
+import * as THREE from 'three';
+import { CloudDefaults, cloudShaderChunk, createCloudUniforms, updateCloudUniforms, cloudDriftDirection } from './cloudNoise.js';
+
+// Width of the cloud plane; it fades out well before its edge
+const LAYER_SIZE = 2400;
+
+const _drift = new THREE.Vector2();
+
+/**
+ * Vertex shader for the cloud layer
+ */
+const cloudVertexShader = /* glsl */ `
+  varying vec3 vWorldPosition;
+  varying vec2 vUv;
+  varying float vFogDepth;
+  
+  void main() {
+    vUv = uv;
+    vec4 worldPosition = modelMatrix * vec4(position, 1.0);
+    vWorldPosition = worldPosition.xyz;
+    
+    vec4 mvPosition = viewMatrix * worldPosition;
+    vFogDepth = -mvPosition.z;
+    
+    gl_Position = projectionMatrix * mvPosition;
+  }
+`;
+
+/**
+ * Fragment shader for the cloud layer
+ * Thick cores are darker, edges facing the sun brighter, and thin cloud
+ * in front of the sun glows with forward-scattered light (the silver lining).
+ */
+const cloudFragmentShader = /* glsl */ `
+  uniform vec3 uSunDirection;
+  uniform vec3 uSunColor;
+  uniform float uSunIntensity;
+  uniform vec3 uMoonDirection;
+  uniform vec3 uMoonColor;
+  uniform float uMoonIntensity;
+  uniform vec3 uAmbientColor;
+  uniform float uAmbientIntensity;
+  uniform vec3 uFogColor;
+  uniform float uFogDensity;
+  
+  ${cloudShaderChunk}
+  
+  varying vec3 vWorldPosition;
+  varying vec2 vUv;
+  varying float vFogDepth;
+  
+  void main() {
+    float density = cloudDensity(vWorldPosition.xz);
+    
+    // Fade the layer out towards its edge so it never ends in a hard line
+    float edge = 1.0 - smoothstep(0.5, 1.0, length(vUv - 0.5) * 2.0);
+    float alpha = density * edge;
+    if (alpha < 0.004) discard;
+    
+    float thickness = density / max(uCloudDensity, 0.001);
+    
+    // Cloud a little way towards the sun shades this point, a cheap stand-in for a light march
+    vec2 towardsSun = uSunDirection.xz / max(length(uSunDirection.xz), 0.001);
+    float sunward = cloudDensity(vWorldPosition.xz + towardsSun * 14.0) / max(uCloudDensity, 0.001);
+    float sunLit = clamp(0.75 + (thickness - sunward) * 1.2, 0.35, 1.0) * mix(1.0, 0.6, thickness);
+    
+    // Thin cloud between the viewer and the sun scatters light forwards
+    vec3 viewDir = normalize(vWorldPosition - cameraPosition);
+    float forward = pow(max(dot(viewDir, uSunDirection), 0.0), 8.0);
+    float silver = forward * (1.0 - thickness) * 1.5;
+    
+    float moonLit = mix(1.0, 0.6, thickness) * (1.0 + pow(max(dot(viewDir, uMoonDirection), 0.0), 8.0) * (1.0 - thickness));
+    
+    vec3 color = vec3(0.82) * (
+      uSunColor * uSunIntensity * (sunLit * 0.7 + silver)
+      + uMoonColor * uMoonIntensity * moonLit
+      + uAmbientColor * uAmbientIntensity * mix(1.1, 0.75, thickness)
+    );
+    
+    // Apply fog
+    float fogFactor = 1.0 - exp(-uFogDensity * vFogDepth);
+    fogFactor = clamp(fogFactor, 0.0, 1.0);
+    color = mix(color, uFogColor, fogFactor);
+    
+    gl_FragColor = vec4(color, alpha);
+  }
+`;
+
+/**
+ * Clouds - A procedural cloud layer drifting on the wind
+ *
+ * A flat layer of 2D fbm noise at a fixed altitude, kept centred on the
+ * camera. Register it with DayNightCycle.addLightingTarget so it is lit by
+ * the current sun, moon and sky, and hand it to DayNightCycle.setClouds so
+ * its coverage dims the sun. Materials that include cloudShaderChunk (the
+ * terrain) can be added with addShadowReceiver to get drifting cloud shadows
+ * that match the layer.
+ */
+export class Clouds {
+  /**
+   * @param {Object} [options] - Overrides for CloudDefaults
+   */
+  constructor(options = {}) {
+    this.params = { ...CloudDefaults, ...options };
+    
+    // Distance the wind has carried the clouds so far
+    this.offset = new THREE.Vector2();
+    
+    // Materials that draw cloud shadows
+    this.shadowReceivers = [];
+    
+    this.material = this.createMaterial();
+    
+    const geometry = new THREE.PlaneGeometry(LAYER_SIZE, LAYER_SIZE);
+    geometry.rotateX(-Math.PI / 2);
+    this.mesh = new THREE.Mesh(geometry, this.material);
+    this.mesh.name = 'clouds';
+    // Drawn after the terrain and water it hangs over
+    this.mesh.renderOrder = 2;
+    this.mesh.frustumCulled = false;
+    
+    this.syncUniforms();
+  }
+  
+  /**
+   * Create the cloud layer material
+   * @returns {THREE.ShaderMaterial}
+   */
+  createMaterial() {
+    return new THREE.ShaderMaterial({
+      vertexShader: cloudVertexShader,
+      fragmentShader: cloudFragmentShader,
+      uniforms: {
+        uSunDirection: { value: new THREE.Vector3(0.5, 0.7, 0.3).normalize() },
+        uSunColor: { value: new THREE.Color(1.0, 0.95, 0.8) },
+        uSunIntensity: { value: 1.2 },
+        uMoonDirection: { value: new THREE.Vector3(-0.3, 0.6, -0.3).normalize() },
+        uMoonColor: { value: new THREE.Color(0.6, 0.7, 0.9) },
+        uMoonIntensity: { value: 0 },
+        uAmbientColor: { value: new THREE.Color(0.4, 0.5, 0.7) },
+        uAmbientIntensity: { value: 0.4 },
+        uFogColor: { value: new THREE.Color(0.6, 0.75, 0.9) },
+        uFogDensity: { value: 0.0012 },
+        ...createCloudUniforms(),
+      },
+      transparent: true,
+      depthWrite: false,
+      side: THREE.DoubleSide, // Seen from below, and from above when the camera climbs
+    });
+  }
+  
+  /**
+   * Get the cloud layer mesh
+   * @returns {THREE.Mesh}
+   */
+  getMesh() {
+    return this.mesh;
+  }
+  
+  /**
+   * Change the cloud layer
+   * Call DayNightCycle.setCloudParams instead to relight the scene as well.
+   * @param {Object} params - Any of CloudDefaults
+   */
+  setParams(params) {
+    for (const key of Object.keys(params)) {
+      if (!(key in CloudDefaults)) {
+        throw new Error(`Unknown cloud parameter: ${key}`);
+      }
+    }
+    Object.assign(this.params, params);
+    this.syncUniforms();
+  }
+  
+  /**
+   * Get the cloud layer settings
+   * @returns {Object}
+   */
+  getParams() {
+    return { ...this.params };
+  }
+  
+  /**
+   * How much the clouds dim the sun and moon evenly everywhere
+   * Cloud shadows already take up to shadowStrength of the light under each
+   * cloud, so only the rest is spread evenly and clear gaps are not darkened twice.
+   * @returns {number} 0 for a clear sky, up to sunDimming * (1 - shadowStrength) for thick overcast
+   */
+  getSunOcclusion() {
+    const { coverage, density, sunDimming, shadowStrength } = this.params;
+    return THREE.MathUtils.clamp(coverage * density * sunDimming * (1 - shadowStrength), 0, 1);
+  }
+  
+  /**
+   * Draw cloud shadows on a material
+   * @param {THREE.ShaderMaterial} material - Must include cloudShaderChunk and createCloudUniforms
+   */
+  addShadowReceiver(material) {
+    this.shadowReceivers.push(material);
+    this.syncUniforms();
+  }
+  
+  /**
+   * Stop drawing cloud shadows on a material
+   * @param {THREE.ShaderMaterial} material
+   */
+  removeShadowReceiver(material) {
+    this.shadowReceivers = this.shadowReceivers.filter(m => m !== material);
+    updateCloudUniforms(material, { coverage: 0 });
+  }
+  
+  /**
+   * Copy the settings and wind offset to the layer and the shadow receivers
+   */
+  syncUniforms() {
+    const { coverage, density, altitude, scale, shadowStrength } = this.params;
+    const uniforms = { coverage, density, altitude, scale, shadowStrength, offset: this.offset };
+    
+    updateCloudUniforms(this.material, uniforms);
+    for (const material of this.shadowReceivers) {
+      updateCloudUniforms(material, uniforms);
+    }
+    this.mesh.position.y = altitude;
+  }
+  
+  /**
+   * Follow the lighting state
+   * The layer is lit by the sun and moon above it, before its own dimming.
+   * @param {Object} state - Lighting state from DayNightCycle (see createLightingState in LightingTimeline.js)
+   */
+  applyLighting(state) {
+    const { uniforms } = this.material;
+    const undimmed = 1 / Math.max(state.cloudLight, 0.01);
+    uniforms.uSunDirection.value.copy(state.sunDirection);
+    uniforms.uSunColor.value.copy(state.sunColor);
+    uniforms.uSunIntensity.value = state.sunIntensity * undimmed;
+    uniforms.uMoonDirection.value.copy(state.moonDirection);
+    uniforms.uMoonColor.value.copy(state.moonColor);
+    uniforms.uMoonIntensity.value = state.moonIntensity * undimmed;
+    uniforms.uAmbientColor.value.copy(state.ambientColor);
+    uniforms.uAmbientIntensity.value = state.ambientIntensity;
+    uniforms.uFogColor.value.copy(state.fogColor);
+    uniforms.uFogDensity.value = state.fogDensity;
+  }
+  
+  /**
+   * Drift the clouds on the wind (call each frame)
+   * @param {number} deltaTime - Seconds since the last frame
+   * @param {THREE.Vector3} [cameraPosition] - Keeps the layer centred overhead
+   */
+  update(deltaTime, cameraPosition) {
+    const { windSpeed, windDirection } = this.params;
+    cloudDriftDirection(windDirection, _drift);
+    this.offset.addScaledVector(_drift, windSpeed * deltaTime);
+    
+    // The noise is in world space, so moving the plane does not move the clouds
+    if (cameraPosition) {
+      this.mesh.position.x = cameraPosition.x;
+      this.mesh.position.z = cameraPosition.z;
+    }
+    
+    this.syncUniforms();
+  }
+  
+  /**
+   * Dispose of cloud resources
+   */
+  dispose() {
+    this.mesh.geometry.dispose();
+    this.material.dispose();
+  }
+}
@@ -1,198 +1,128 @@
 import * as THREE from 'three';
-import { SkyPresets } from './Sky.js';
 import { updateTerrainUniforms } from '../terrain/terrainShader.js';
+import { sunPosition, moonPosition, moonIllumination, skyDirection, solarDayTime } from './astronomy.js';
+import { LightingTimeline, LightingEasings, createLightingState } from './LightingTimeline.js';
+import { atmosphereColors } from './atmosphere.js';
 
 /**
- * DayNightCycle - Controls smooth transitions between day and night lighting states
+ * Default clock and location for the day/night cycle
+ */
+export const DayNightDefaults = {
+  latitude: 46.5, // Degrees north (the central Alps)
+  longitude: 9.8, // Degrees east
+  utcOffset: null, // Hours ahead of UTC for the clock; null picks the nearest to local solar time
+  date: null, // Date whose calendar day is shown; null for today
+  time: 12, // Clock time in hours (0-24)
+  speed: 720, // Clock seconds per real second when playing (a day in two minutes)
+  timeline: null, // Lighting keyframe JSON (see LightingTimeline); null for DefaultLightingKeyframes
+};
+
+const HOUR_MS = 3600000;
+const DAY_MS = 24 * HOUR_MS;
+
+/**
+ * Direction of the sun at solar noon, for passes baked at generation (e.g. snow cover)
+ * The live sun follows the clock instead.
+ * @param {Object} [options] - latitude, longitude and date, as in DayNightDefaults
+ * @param {THREE.Vector3} [target] - Vector to store the result in
+ * @returns {THREE.Vector3} Unit vector (north -Z, east +X, up +Y)
+ */
+export function noonSunDirection(options = {}, target = new THREE.Vector3()) {
+  const { latitude, longitude, date } = { ...DayNightDefaults, ...options };
+  const day = date || new Date();
+  
+  // Local solar noon, ignoring the equation of time (as in toggle)
+  const noon = Date.UTC(day.getFullYear(), day.getMonth(), day.getDate()) + (12 - longitude / 15) * HOUR_MS;
+  const { altitude, azimuth } = sunPosition(new Date(noon), latitude, longitude);
+  return skyDirection(altitude, azimuth, target);
+}
+
+// Distance of the sun and moon light from the origin
+const LIGHT_DISTANCE = 250;
+
+// Shadow filter radius in shadow map texels, for a high and a low sun
+const SHADOW_SOFTNESS_HIGH = 1.5;
+const SHADOW_SOFTNESS_LOW = 6;
+
+/**
+ * DayNightCycle - Runs a 24-hour clock and lights the scene from the real sun and moon
+ *
+ * The sun and moon are placed astronomically for the clock time, date and
+ * location. Colours come from a LightingTimeline keyed to the solar day time
+ * (sunrise 6, noon 12, sunset 18), so its dawn and sunset keyframes meet the
+ * real sunrise and sunset in any season, while light intensity follows the
+ * sun's actual altitude. The moon is a separate light and sky disc, so both
+ * can be up at once; its brightness follows its phase. With the scattering
+ * sky, fog and ambient colours come from the atmosphere by day so the
+ * terrain matches the sky. A cloud layer, if given, dims the sun and moon
+ * by its coverage, and weather, if given, greys and flattens the light on
+ * top of the time of day. The clock can be set, played at a speed
+ * multiplier or paused; toggle() sweeps it to the next solar noon or
+ * midnight.
  */
 export class DayNightCycle {
-  constructor(sceneManager, sky, terrainMaterial) {
+  /**
+   * @param {SceneManager} sceneManager
+   * @param {Sky} sky
+   * @param {THREE.ShaderMaterial} terrainMaterial
+   * @param {Object} [options] - Overrides for DayNightDefaults
+   */
+  constructor(sceneManager, sky, terrainMaterial, options = {}) {
     this.sceneManager = sceneManager;
     this.sky = sky;
     this.terrainMaterial = terrainMaterial;
     
-    // Current state: 0 = day, 1 = night
-    this.currentState = 0;
-    this.targetState = 0;
+    const params = { ...DayNightDefaults, ...options };
+    
+    // Observer location and clock time zone
+    this.latitude = params.latitude;
+    this.longitude = params.longitude;
+    this.utcOffset = params.utcOffset ?? Math.round(params.longitude / 15);
     
-    // Transition progress (0-1, where 0 = at currentState, 1 = at targetState)
-    this.transitionProgress = 0;
+    // Current moment (ms since the epoch) and clock playback
+    this.moment = 0;
+    this.speed = params.speed;
+    this.playing = false;
+    
+    // Sweep of the clock started by toggle(): { from, to, progress, toNight }
+    this.transition = null;
     this.transitionDuration = 2.5; // seconds for full transition
-    this.isTransitioning = false;
     
-    // Cached colors for interpolation
-    this.dayColors = this.createDayState();
-    this.nightColors = this.createNightState();
+    // Sun and moon in the sky: { altitude, azimuth, direction }
+    this.sun = { altitude: 0, azimuth: 0, direction: new THREE.Vector3() };
+    this.moon = { altitude: 0, azimuth: 0, direction: new THREE.Vector3() };
+    this.moonPhase = { fraction: 1, phase: 0.5, angle: 0 };
     
-    // Current interpolated values
-    this.currentColors = this.cloneState(this.dayColors);
+    // Lighting keyframes and the solar day time they are sampled at
+    this.timeline = new LightingTimeline(params.timeline || undefined);
+    this.dayTime = 12;
     
-    // UI indicator
-    this.timeIndicator = document.getElementById('time-indicator');
+    // Current lighting, and colours read off the scattering sky
+    this.currentColors = createLightingState();
+    this.atmosphereColors = {};
     
-    // Apply initial state
-    this.applyState(this.currentColors);
-  }
-  
-  /**
-   * Create day lighting state
-   */
-  createDayState() {
-    return {
-      // Sun position (high in sky)
-      sunPosition: new THREE.Vector3(100, 200, 80),
-      sunDirection: new THREE.Vector3(0.4, 0.8, 0.3).normalize(),
-      
-      // Sun light
-      sunColor: new THREE.Color(1.0, 0.98, 0.92),
-      sunIntensity: 2.0,
-      
-      // Ambient light
-      ambientColor: new THREE.Color(0.5, 0.6, 0.8),
-      ambientIntensity: 0.5,
-      
-      // Hemisphere light
-      hemiSkyColor: new THREE.Color(0.6, 0.75, 0.9),
-      hemiGroundColor: new THREE.Color(0.3, 0.4, 0.25),
-      hemiIntensity: 0.4,
-      
-      // Sky colors
-      skyTopColor: new THREE.Color(0.15, 0.35, 0.75),
-      skyMiddleColor: new THREE.Color(0.4, 0.6, 0.85),
-      skyBottomColor: new THREE.Color(0.5, 0.55, 0.6),
-      skyHorizonColor: new THREE.Color(0.65, 0.78, 0.88),
-      skySunColor: new THREE.Color(1.0, 0.98, 0.92),
-      skySunIntensity: 1.2,
-      skyStarIntensity: 0.0,
-      
-      // Fog
-      fogColor: new THREE.Color(0.6, 0.75, 0.9),
-      fogDensity: 0.0008,
-      
-      // Terrain shader
-      terrainDayNightMix: 0.0,
-      
-      // Renderer
-      exposure: 1.0,
-    };
-  }
-  
-  /**
-   * Create night lighting state
-   */
-  createNightState() {
-    return {
-      // Moon position (opposite side, lower)
-      sunPosition: new THREE.Vector3(-80, 100, -60),
-      sunDirection: new THREE.Vector3(-0.3, 0.6, -0.3).normalize(),
-      
-      // Moon light (dimmer, blue-ish)
-      sunColor: new THREE.Color(0.6, 0.7, 0.9),
-      sunIntensity: 0.3,
-      
-      // Ambient light (darker, blue)
-      ambientColor: new THREE.Color(0.1, 0.12, 0.2),
-      ambientIntensity: 0.3,
-      
-      // Hemisphere light
-      hemiSkyColor: new THREE.Color(0.08, 0.1, 0.2),
-      hemiGroundColor: new THREE.Color(0.02, 0.03, 0.05),
-      hemiIntensity: 0.2,
-      
-      // Sky colors (dark with stars)
-      skyTopColor: new THREE.Color(0.01, 0.01, 0.05),
-      skyMiddleColor: new THREE.Color(0.03, 0.04, 0.1),
-      skyBottomColor: new THREE.Color(0.02, 0.02, 0.05),
-      skyHorizonColor: new THREE.Color(0.06, 0.07, 0.12),
-      skySunColor: new THREE.Color(0.8, 0.85, 1.0), // Moon
-      skySunIntensity: 0.5,
-      skyStarIntensity: 1.0,
-      
-      // Fog (darker)
-      fogColor: new THREE.Color(0.05, 0.06, 0.1),
-      fogDensity: 0.0015,
-      
-      // Terrain shader
-      terrainDayNightMix: 1.0,
-      
-      // Renderer
-      exposure: 0.6,
-    };
-  }
-  
-  /**
-   * Clone a lighting state
-   */
-  cloneState(state) {
-    return {
-      sunPosition: state.sunPosition.clone(),
-      sunDirection: state.sunDirection.clone(),
-      sunColor: state.sunColor.clone(),
-      sunIntensity: state.sunIntensity,
-      ambientColor: state.ambientColor.clone(),
-      ambientIntensity: state.ambientIntensity,
-      hemiSkyColor: state.hemiSkyColor.clone(),
-      hemiGroundColor: state.hemiGroundColor.clone(),
-      hemiIntensity: state.hemiIntensity,
-      skyTopColor: state.skyTopColor.clone(),
-      skyMiddleColor: state.skyMiddleColor.clone(),
-      skyBottomColor: state.skyBottomColor.clone(),
-      skyHorizonColor: state.skyHorizonColor.clone(),
-      skySunColor: state.skySunColor.clone(),
-      skySunIntensity: state.skySunIntensity,
-      skyStarIntensity: state.skyStarIntensity,
-      fogColor: state.fogColor.clone(),
-      fogDensity: state.fogDensity,
-      terrainDayNightMix: state.terrainDayNightMix,
-      exposure: state.exposure,
-    };
-  }
-  
-  /**
-   * Interpolate between two states
-   * @param {Object} from - Start state
-   * @param {Object} to - End state
-   * @param {number} t - Interpolation factor (0-1)
-   * @param {Object} target - Target object to store result
-   */
-  lerpState(from, to, t, target) {
-    // Use smooth easing for more natural transitions
-    const eased = this.easeInOutCubic(t);
+    // Extra scene elements (e.g. water) that follow the lighting state
+    this.lightingTargets = [];
     
-    // Interpolate vectors
-    target.sunPosition.lerpVectors(from.sunPosition, to.sunPosition, eased);
-    target.sunDirection.lerpVectors(from.sunDirection, to.sunDirection, eased).normalize();
+    // Cloud layer whose coverage dims the sun and moon (see setClouds)
+    this.clouds = null;
     
-    // Interpolate colors
-    target.sunColor.lerpColors(from.sunColor, to.sunColor, eased);
-    target.ambientColor.lerpColors(from.ambientColor, to.ambientColor, eased);
-    target.hemiSkyColor.lerpColors(from.hemiSkyColor, to.hemiSkyColor, eased);
-    target.hemiGroundColor.lerpColors(from.hemiGroundColor, to.hemiGroundColor, eased);
-    target.skyTopColor.lerpColors(from.skyTopColor, to.skyTopColor, eased);
-    target.skyMiddleColor.lerpColors(from.skyMiddleColor, to.skyMiddleColor, eased);
-    target.skyBottomColor.lerpColors(from.skyBottomColor, to.skyBottomColor, eased);
-    target.skyHorizonColor.lerpColors(from.skyHorizonColor, to.skyHorizonColor, eased);
-    target.skySunColor.lerpColors(from.skySunColor, to.skySunColor, eased);
-    target.fogColor.lerpColors(from.fogColor, to.fogColor, eased);
+    // Weather that changes the lighting and is advanced with the clock (see setWeather)
+    this.weather = null;
+    
+    // UI indicator
+    this.timeIndicator = document.getElementById('time-indicator');
     
-    // Interpolate scalars
-    target.sunIntensity = THREE.MathUtils.lerp(from.sunIntensity, to.sunIntensity, eased);
-    target.ambientIntensity = THREE.MathUtils.lerp(from.ambientIntensity, to.ambientIntensity, eased);
-    target.hemiIntensity = THREE.MathUtils.lerp(from.hemiIntensity, to.hemiIntensity, eased);
-    target.skySunIntensity = THREE.MathUtils.lerp(from.skySunIntensity, to.skySunIntensity, eased);
-    target.skyStarIntensity = THREE.MathUtils.lerp(from.skyStarIntensity, to.skyStarIntensity, eased);
-    target.fogDensity = THREE.MathUtils.lerp(from.fogDensity, to.fogDensity, eased);
-    target.terrainDayNightMix = THREE.MathUtils.lerp(from.terrainDayNightMix, to.terrainDayNightMix, eased);
-    target.exposure = THREE.MathUtils.lerp(from.exposure, to.exposure, eased);
+    // Apply initial state
+    this.moment = this.localMoment(params.date || new Date(), params.time);
+    this.refresh();
   }
   
   /**
    * Smooth easing function
    */
   easeInOutCubic(t) {
-    return t < 0.5
-      ? 4 * t * t * t
-      : 1 - Math.pow(-2 * t + 2, 3) / 2;
+    return LightingEasings.easeInOut(t);
   }
   
   /**
@@ -205,6 +135,13 @@ export class DayNightCycle {
     sunLight.position.copy(state.sunPosition);
     sunLight.color.copy(state.sunColor);
     sunLight.intensity = state.sunIntensity;
+    this.sceneManager.fitShadowCamera();
+    
+    // Update moon light
+    const moonLight = this.sceneManager.getMoonLight();
+    moonLight.position.copy(state.moonPosition);
+    moonLight.color.copy(state.moonColor);
+    moonLight.intensity = state.moonIntensity;
     
     // Update ambient light
     const ambientLight = this.sceneManager.getAmbientLight();
@@ -226,6 +163,12 @@ export class DayNightCycle {
       sunColor: state.skySunColor,
       sunPosition: state.sunPosition,
       sunIntensity: state.skySunIntensity,
+      moonDirection: state.moonDirection,
+      moonColor: state.skyMoonColor,
+      moonIntensity: state.skyMoonIntensity,
+      moonIllumination: state.moonIllumination,
+      scatteringMix: state.skyScatteringMix,
+      groundColor: state.skyGroundColor,
       starIntensity: state.skyStarIntensity,
     });
     
@@ -240,35 +183,401 @@ export class DayNightCycle {
         sunDirection: state.sunDirection,
         sunColor: state.sunColor,
         sunIntensity: state.sunIntensity,
+        moonDirection: state.moonDirection,
+        moonColor: state.moonColor,
+        moonIntensity: state.moonIntensity,
         ambientColor: state.ambientColor,
         ambientIntensity: state.ambientIntensity,
         dayNightMix: state.terrainDayNightMix,
         fogColor: state.fogColor,
         fogDensity: state.fogDensity,
+        shadowSoftness: state.shadowSoftness,
       });
     }
     
+    // Update registered lighting targets
+    for (const target of this.lightingTargets) {
+      target.applyLighting(state);
+    }
+    
     // Update renderer exposure
     const renderer = this.sceneManager.getRenderer();
     renderer.toneMappingExposure = state.exposure;
   }
   
   /**
-   * Toggle between day and night
+   * Register an object that follows the lighting state
+   * It is brought up to date immediately, then on every change.
+   * @param {Object} target - Object with an applyLighting(state) method
    */
-  toggle() {
-    if (this.isTransitioning) {
-      // If currently transitioning, reverse direction
-      this.targetState = this.targetState === 0 ? 1 : 0;
+  addLightingTarget(target) {
+    this.lightingTargets.push(target);
+    target.applyLighting(this.currentColors);
+  }
+  
+  /**
+   * Stop updating a lighting target
+   * @param {Object} target
+   */
+  removeLightingTarget(target) {
+    this.lightingTargets = this.lightingTargets.filter(t => t !== target);
+  }
+  
+  /**
+   * Work out the sun and moon for the current moment and light the scene
+   */
+  refresh() {
+    const date = new Date(this.moment);
+    this.updateBody(this.sun, sunPosition(date, this.latitude, this.longitude));
+    this.updateBody(this.moon, moonPosition(date, this.latitude, this.longitude));
+    this.moonPhase = moonIllumination(date);
+    this.dayTime = solarDayTime(date, this.latitude, this.longitude);
+    
+    this.computeState(this.currentColors);
+    this.applyState(this.currentColors);
+    this.updateUI();
+  }
+  
+  /**
+   * Store a sky position and its world direction
+   * @param {Object} body - this.sun or this.moon
+   * @param {Object} position - { altitude, azimuth } from astronomy.js
+   */
+  updateBody(body, position) {
+    body.altitude = position.altitude;
+    body.azimuth = position.azimuth;
+    skyDirection(position.altitude, position.azimuth, body.direction);
+  }
+  
+  /**
+   * Lighting for the current sun and moon positions
+   * Colours are sampled from the timeline at the solar day time. The sun and
+   * moon each fade out as they sink below the horizon; moonlight is also
+   * scaled by the lit fraction of the disc. Sun shadows blur as the sun gets low.
+   * @param {Object} target - State to write into
+   */
+  computeState(target) {
+    const { smoothstep, radToDeg } = THREE.MathUtils;
+    const sunAltitude = radToDeg(this.sun.altitude);
+    const moonAltitude = radToDeg(this.moon.altitude);
+    
+    this.timeline.sample(this.dayTime, target);
+    
+    target.sunIntensity *= smoothstep(sunAltitude, -2, 4);
+    target.skySunIntensity *= smoothstep(sunAltitude, -6, 1);
+    target.sunDirection.copy(this.sun.direction);
+    target.sunPosition.copy(this.sun.direction).multiplyScalar(LIGHT_DISTANCE);
+    
+    // Long shadows from a low sun fall far from what casts them, so their edges blur
+    target.shadowSoftness = THREE.MathUtils.lerp(SHADOW_SOFTNESS_LOW, SHADOW_SOFTNESS_HIGH, smoothstep(sunAltitude, 5, 45));
+    
+    target.moonIllumination = this.moonPhase.fraction;
+    target.moonIntensity *= this.moonPhase.fraction * smoothstep(moonAltitude, -2, 4);
+    target.skyMoonIntensity *= smoothstep(moonAltitude, -3, 1);
+    target.moonDirection.copy(this.moon.direction);
+    target.moonPosition.copy(this.moon.direction).multiplyScalar(LIGHT_DISTANCE);
+    
+    // Cloud cover takes some of the direct light away
+    target.cloudLight = this.clouds ? 1 - this.clouds.getSunOcclusion() : 1;
+    target.sunIntensity *= target.cloudLight;
+    target.moonIntensity *= target.cloudLight;
+    
+    // The scattering sky has no night of its own, so the timeline takes over after sunset
+    if (this.sky.getMode() === 'scattering') {
+      const colors = atmosphereColors(this.sun.direction, this.sky.getAtmosphere(), this.atmosphereColors);
+      const daylight = smoothstep(sunAltitude, -4, 1);
+      
+      target.skyScatteringMix = daylight;
+      target.skyGroundColor.copy(colors.groundColor);
+      target.fogColor.lerp(colors.fogColor, daylight);
+      target.ambientColor.lerp(colors.ambientColor, daylight);
+      target.hemiSkyColor.lerp(colors.ambientColor, daylight);
+      target.skyHorizonColor.lerp(colors.horizonColor, daylight);
     } else {
-      // Start new transition
-      this.targetState = this.currentState === 0 ? 1 : 0;
-      this.isTransitioning = true;
-      this.transitionProgress = 0;
+      target.skyScatteringMix = 0;
     }
     
-    // Update UI
-    this.updateUI();
+    // Weather goes on top of the time of day
+    if (this.weather) {
+      this.weather.modifyLighting(target);
+    }
+  }
+  
+  /**
+   * Switch the sky between the gradient and scattering modes and relight
+   * @param {string} mode - One of SkyModes
+   */
+  setSkyMode(mode) {
+    this.sky.setMode(mode);
+    this.refresh();
+  }
+  
+  /**
+   * Change the scattering sky's atmosphere and relight
+   * @param {Object} params - Any of AtmosphereDefaults
+   */
+  setAtmosphere(params) {
+    this.sky.setAtmosphere(params);
+    this.refresh();
+  }
+  
+  /**
+   * Let a cloud layer dim the sun and moon
+   * @param {Clouds|null} clouds
+   */
+  setClouds(clouds) {
+    this.clouds = clouds;
+    this.refresh();
+  }
+  
+  /**
+   * Change the cloud layer and relight
+   * @param {Object} params - Any of CloudDefaults
+   */
+  setCloudParams(params) {
+    if (!this.clouds) {
+      throw new Error('No cloud layer set; call setClouds first');
+    }
+    this.clouds.setParams(params);
+    this.refresh();
+  }
+  
+  /**
+   * Let weather change the lighting, and advance it in update()
+   * @param {Weather|null} weather
+   */
+  setWeather(weather) {
+    this.weather = weather;
+    this.refresh();
+  }
+  
+  /**
+   * Get the lighting timeline
+   * After editing it directly, call refresh() to see the change.
+   * @returns {LightingTimeline}
+   */
+  getTimeline() {
+    return this.timeline;
+  }
+  
+  /**
+   * Replace the lighting keyframes
+   * @param {Array<Object>|string} keyframes - Keyframe JSON, or a JSON string of the array
+   */
+  setTimeline(keyframes) {
+    this.timeline.setKeyframes(keyframes);
+    this.refresh();
+  }
+  
+  /**
+   * Add a lighting keyframe
+   * @param {Object} keyframe - Keyframe JSON (see LightingTimeline)
+   * @returns {number} Index of the new keyframe
+   */
+  insertKeyframe(keyframe) {
+    const index = this.timeline.insert(keyframe);
+    this.refresh();
+    return index;
+  }
+  
+  /**
+   * Change a lighting keyframe
+   * @param {number} index
+   * @param {Object} changes - Keyframe JSON fields to change
+   * @returns {number} New index of the keyframe
+   */
+  updateKeyframe(index, changes) {
+    const newIndex = this.timeline.update(index, changes);
+    this.refresh();
+    return newIndex;
+  }
+  
+  /**
+   * Remove a lighting keyframe
+   * @param {number} index
+   */
+  removeKeyframe(index) {
+    this.timeline.remove(index);
+    this.refresh();
+  }
+  
+  /**
+   * Get the solar day time the lighting is sampled at
+   * @returns {number} Hours: sunrise 6, solar noon 12, sunset 18
+   */
+  getSolarDayTime() {
+    return this.dayTime;
+  }
+  
+  /**
+   * Moment (ms since the epoch) for a clock time on a calendar day
+   * @param {Date} date - Its local calendar day is used
+   * @param {number} hours - Clock time
+   * @returns {number}
+   */
+  localMoment(date, hours) {
+    const dayStart = Date.UTC(date.getFullYear(), date.getMonth(), date.getDate());
+    return dayStart + (hours - this.utcOffset) * HOUR_MS;
+  }
+  
+  /**
+   * Set the clock time, keeping the date
+   * @param {number} hours - 0-24 (values outside roll over to the previous/next day)
+   */
+  setTime(hours) {
+    const local = this.moment + this.utcOffset * HOUR_MS;
+    this.moment = Math.floor(local / DAY_MS) * DAY_MS - this.utcOffset * HOUR_MS + hours * HOUR_MS;
+    this.transition = null;
+    this.refresh();
+  }
+  
+  /**
+   * Get the clock time
+   * @returns {number} Hours, 0-24
+   */
+  getTime() {
+    const local = this.moment + this.utcOffset * HOUR_MS;
+    return THREE.MathUtils.euclideanModulo(local, DAY_MS) / HOUR_MS;
+  }
+  
+  /**
+   * Set the calendar day, keeping the clock time
+   * @param {Date} date - Its local calendar day is used
+   */
+  setDate(date) {
+    this.moment = this.localMoment(date, this.getTime());
+    this.transition = null;
+    this.refresh();
+  }
+  
+  /**
+   * Get the current moment
+   * @returns {Date}
+   */
+  getDate() {
+    return new Date(this.moment);
+  }
+  
+  /**
+   * Move the observer
+   * @param {number} latitude - Degrees north
+   * @param {number} longitude - Degrees east
+   * @param {number} [utcOffset] - Clock time zone in hours; defaults to the nearest to local solar time
+   */
+  setLocation(latitude, longitude, utcOffset = Math.round(longitude / 15)) {
+    // Keep the clock reading across the time zone change
+    const hours = this.getTime();
+    const date = new Date(this.moment + this.utcOffset * HOUR_MS);
+    
+    this.latitude = latitude;
+    this.longitude = longitude;
+    this.utcOffset = utcOffset;
+    this.moment = Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate())
+      + (hours - utcOffset) * HOUR_MS;
+    this.refresh();
+  }
+  
+  /**
+   * Run the clock
+   * @param {number} [speed] - Clock seconds per real second (default: the last speed used)
+   */
+  play(speed = this.speed) {
+    this.speed = speed;
+    this.playing = true;
+  }
+  
+  /**
+   * Stop the clock
+   */
+  pause() {
+    this.playing = false;
+  }
+  
+  /**
+   * Check whether the clock is running
+   * @returns {boolean}
+   */
+  isPlaying() {
+    return this.playing;
+  }
+  
+  /**
+   * Get the sun's place in the sky
+   * @returns {Object} { altitude, azimuth } in radians, azimuth clockwise from north
+   */
+  getSunPosition() {
+    return { altitude: this.sun.altitude, azimuth: this.sun.azimuth };
+  }
+  
+  /**
+   * Get the moon's place in the sky
+   * @returns {Object} { altitude, azimuth } in radians, azimuth clockwise from north
+   */
+  getMoonPosition() {
+    return { altitude: this.moon.altitude, azimuth: this.moon.azimuth };
+  }
+  
+  /**
+   * Get the moon's phase
+   * @returns {Object} { fraction, phase, angle } (see moonIllumination in astronomy.js)
+   */
+  getMoonPhase() {
+    return { ...this.moonPhase };
+  }
+  
+  /**
+   * Get a name for the moon's phase
+   * @returns {string} New Moon, Waxing Crescent, First Quarter, Waxing Gibbous,
+   *   Full Moon, Waning Gibbous, Last Quarter or Waning Crescent
+   */
+  getMoonPhaseName() {
+    const names = [
+      'New Moon', 'Waxing Crescent', 'First Quarter', 'Waxing Gibbous',
+      'Full Moon', 'Waning Gibbous', 'Last Quarter', 'Waning Crescent',
+    ];
+    return names[Math.round(this.moonPhase.phase * 8) % 8];
+  }
+  
+  /**
+   * Sweep the clock to the next solar midnight (by day) or solar noon (by night)
+   * Pressing again mid-sweep turns back towards the other one.
+   */
+  toggle() {
+    const toNight = this.transition ? !this.transition.toNight : this.sun.altitude > 0;
+    
+    // Local solar noon on the clock, ignoring the equation of time
+    const solarNoon = 12 + this.utcOffset - this.longitude / 15;
+    const target = toNight ? solarNoon + 12 : solarNoon;
+    
+    // Shortest way round the clock, forwards on a tie
+    let hours = THREE.MathUtils.euclideanModulo(target - this.getTime(), 24);
+    if (hours > 12) {
+      hours -= 24;
+    }
+    
+    this.transition = {
+      from: this.moment,
+      to: this.moment + hours * HOUR_MS,
+      progress: 0,
+      toNight,
+    };
+  }
+  
+  /**
+   * Name for the time of day from the sun's altitude
+   * @returns {string} Night, Twilight, Dawn, Sunrise, Golden Hour, Day, Sunset or Dusk
+   */
+  getPhaseName() {
+    const altitude = THREE.MathUtils.radToDeg(this.sun.altitude);
+    const later = sunPosition(new Date(this.moment + 600000), this.latitude, this.longitude);
+    const rising = later.altitude > this.sun.altitude;
+    
+    if (altitude >= 6) return 'Day';
+    if (altitude >= 1) return 'Golden Hour';
+    if (altitude >= -1) return rising ? 'Sunrise' : 'Sunset';
+    if (altitude >= -6) return rising ? 'Dawn' : 'Dusk';
+    if (altitude >= -12) return 'Twilight';
+    return 'Night';
   }
   
   /**
@@ -276,8 +585,19 @@ export class DayNightCycle {
    */
   updateUI() {
     if (this.timeIndicator) {
-      const targetName = this.targetState === 0 ? 'Day' : 'Night';
-      this.timeIndicator.textContent = targetName;
+      const minutes = Math.floor(this.getTime() * 60);
+      const clock = `${String(Math.floor(minutes / 60)).padStart(2, '0')}:${String(minutes % 60).padStart(2, '0')}`;
+      let text = `${this.getPhaseName()} ${clock}`;
+      if (this.moon.altitude > 0 && this.sun.altitude < 0) {
+        text += ` · ${this.getMoonPhaseName()}`;
+      }
+      if (this.weather && this.weather.getWeather() !== 'clear') {
+        const weather = this.weather.getWeather();
+        text += ` · ${weather[0].toUpperCase()}${weather.slice(1)}`;
+      }
+      if (this.timeIndicator.textContent !== text) {
+        this.timeIndicator.textContent = text;
+      }
     }
   }
   
@@ -286,7 +606,7 @@ export class DayNightCycle {
    * @returns {boolean}
    */
   isDay() {
-    return this.currentState === 0 && !this.isTransitioning;
+    return !this.transition && this.sun.altitude > 0;
   }
   
   /**
@@ -294,7 +614,7 @@ export class DayNightCycle {
    * @returns {boolean}
    */
   isNight() {
-    return this.currentState === 1 && !this.isTransitioning;
+    return !this.transition && THREE.MathUtils.radToDeg(this.sun.altitude) < -6;
   }
   
   /**
@@ -311,24 +631,30 @@ export class DayNightCycle {
       updateTerrainUniforms(this.terrainMaterial, { time: elapsedTime });
     }
     
-    // Handle transition
-    if (this.isTransitioning) {
-      this.transitionProgress += deltaTime / this.transitionDuration;
+    let changed = false;
+    
+    // A toggle sweep takes over the clock until it arrives
+    if (this.transition) {
+      const transition = this.transition;
+      transition.progress = Math.min(transition.progress + deltaTime / this.transitionDuration, 1);
+      this.moment = THREE.MathUtils.lerp(transition.from, transition.to, this.easeInOutCubic(transition.progress));
       
-      if (this.transitionProgress >= 1) {
-        // Transition complete
-        this.transitionProgress = 1;
-        this.currentState = this.targetState;
-        this.isTransitioning = false;
+      if (transition.progress >= 1) {
+        this.transition = null;
       }
-      
-      // Determine interpolation direction
-      const fromState = this.currentState === 0 ? this.dayColors : this.nightColors;
-      const toState = this.targetState === 0 ? this.dayColors : this.nightColors;
-      
-      // Interpolate and apply
-      this.lerpState(fromState, toState, this.transitionProgress, this.currentColors);
-      this.applyState(this.currentColors);
+      changed = true;
+    } else if (this.playing && this.speed !== 0) {
+      this.moment += deltaTime * this.speed * 1000;
+      changed = true;
+    }
+    
+    // Weather blends relight the scene while they run
+    if (this.weather && this.weather.update(deltaTime)) {
+      changed = true;
+    }
+    
+    if (changed) {
+      this.refresh();
     }
   }
   
@@ -341,17 +667,10 @@ export class DayNightCycle {
   }
   
   /**
-   * Get current interpolated state value (0 = day, 1 = night)
-   * @returns {number}
+   * Get how far the lighting is towards night
+   * @returns {number} 0 = day, 1 = night
    */
   getCurrentValue() {
-    if (!this.isTransitioning) {
-      return this.currentState;
-    }
-    
-    // Calculate actual interpolated value
-    const direction = this.targetState > this.currentState ? 1 : -1;
-    return this.currentState + direction * this.easeInOutCubic(this.transitionProgress);
+    return this.currentColors.terrainDayNightMix;
   }
 }
-
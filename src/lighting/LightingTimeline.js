@@ -0,0 +1,413 @@
+import * as THREE from 'three';
+import { SkyPresets } from './Sky.js';
+
+/**
+ * Colour fields of a lighting state
+ */
+const COLOR_FIELDS = [
+  'sunColor',
+  'ambientColor',
+  'hemiSkyColor',
+  'hemiGroundColor',
+  'skyTopColor',
+  'skyMiddleColor',
+  'skyBottomColor',
+  'skyHorizonColor',
+  'skySunColor',
+  'moonColor',
+  'skyMoonColor',
+  'fogColor',
+];
+
+/**
+ * Number fields of a lighting state
+ */
+const NUMBER_FIELDS = [
+  'sunIntensity',
+  'ambientIntensity',
+  'hemiIntensity',
+  'skySunIntensity',
+  'skyStarIntensity',
+  'moonIntensity',
+  'skyMoonIntensity',
+  'fogDensity',
+  'terrainDayNightMix',
+  'exposure',
+];
+
+/**
+ * Easing curves for the segment after a keyframe
+ */
+export const LightingEasings = {
+  linear: (t) => t,
+  smooth: (t) => t * t * (3 - 2 * t),
+  easeIn: (t) => t * t * t,
+  easeOut: (t) => 1 - Math.pow(1 - t, 3),
+  easeInOut: (t) => (t < 0.5 ? 4 * t * t * t : 1 - Math.pow(-2 * t + 2, 3) / 2),
+  step: () => 0, // Hold until the next keyframe
+};
+
+/**
+ * Full lighting state from a sky preset and the lights that go with it
+ * @param {Object} sky - Entry of SkyPresets
+ * @param {Object} lights - The remaining colour and number fields
+ * @returns {Object}
+ */
+function fromSkyPreset(sky, lights) {
+  return {
+    skyTopColor: sky.topColor,
+    skyMiddleColor: sky.middleColor,
+    skyBottomColor: sky.bottomColor,
+    skyHorizonColor: sky.horizonColor,
+    skySunColor: sky.sunColor,
+    skySunIntensity: sky.sunIntensity,
+    skyStarIntensity: sky.starIntensity,
+    ...lights,
+  };
+}
+
+/**
+ * Named lighting states, one per sky preset
+ * Keyframes start from one of these and override what they need. Moon
+ * intensities are for a full moon; the cycle scales them by the phase.
+ */
+export const LightingPresets = {
+  night: fromSkyPreset(SkyPresets.night, {
+    sunColor: new THREE.Color(1.0, 0.55, 0.35),
+    sunIntensity: 0.8,
+    skySunColor: new THREE.Color(1.0, 0.45, 0.2),
+    skySunIntensity: 1.2,
+    moonColor: new THREE.Color(0.6, 0.7, 0.9),
+    moonIntensity: 0.35,
+    skyMoonColor: SkyPresets.night.sunColor,
+    skyMoonIntensity: SkyPresets.night.sunIntensity * 2.5,
+    ambientColor: new THREE.Color(0.1, 0.12, 0.2),
+    ambientIntensity: 0.3,
+    hemiSkyColor: new THREE.Color(0.08, 0.1, 0.2),
+    hemiGroundColor: new THREE.Color(0.02, 0.03, 0.05),
+    hemiIntensity: 0.2,
+    fogColor: new THREE.Color(0.05, 0.06, 0.1),
+    fogDensity: 0.0015,
+    terrainDayNightMix: 1.0,
+    exposure: 0.6,
+  }),
+  
+  dawn: fromSkyPreset(SkyPresets.dawn, {
+    sunColor: new THREE.Color(1.0, 0.66, 0.46),
+    sunIntensity: 1.0,
+    moonColor: new THREE.Color(0.65, 0.7, 0.85),
+    moonIntensity: 0.2,
+    skyMoonColor: new THREE.Color(0.95, 0.9, 0.85),
+    skyMoonIntensity: 0.7,
+    ambientColor: new THREE.Color(0.4, 0.42, 0.58),
+    ambientIntensity: 0.35,
+    hemiSkyColor: new THREE.Color(0.45, 0.42, 0.55),
+    hemiGroundColor: new THREE.Color(0.18, 0.16, 0.15),
+    hemiIntensity: 0.28,
+    fogColor: new THREE.Color(0.5, 0.45, 0.52),
+    fogDensity: 0.0011,
+    terrainDayNightMix: 0.4,
+    exposure: 0.8,
+  }),
+  
+  day: fromSkyPreset(SkyPresets.day, {
+    sunColor: new THREE.Color(1.0, 0.98, 0.92),
+    sunIntensity: 2.0,
+    moonColor: new THREE.Color(0.7, 0.75, 0.85),
+    moonIntensity: 0.05,
+    skyMoonColor: new THREE.Color(0.9, 0.92, 0.95),
+    skyMoonIntensity: 0.45,
+    ambientColor: new THREE.Color(0.5, 0.6, 0.8),
+    ambientIntensity: 0.5,
+    hemiSkyColor: new THREE.Color(0.6, 0.75, 0.9),
+    hemiGroundColor: new THREE.Color(0.3, 0.4, 0.25),
+    hemiIntensity: 0.4,
+    fogColor: new THREE.Color(0.6, 0.75, 0.9),
+    fogDensity: 0.0008,
+    terrainDayNightMix: 0.0,
+    exposure: 1.0,
+  }),
+  
+  sunset: fromSkyPreset(SkyPresets.sunset, {
+    sunColor: new THREE.Color(1.0, 0.58, 0.32),
+    sunIntensity: 1.2,
+    moonColor: new THREE.Color(0.65, 0.7, 0.85),
+    moonIntensity: 0.2,
+    skyMoonColor: new THREE.Color(1.0, 0.9, 0.8),
+    skyMoonIntensity: 0.7,
+    ambientColor: new THREE.Color(0.5, 0.42, 0.5),
+    ambientIntensity: 0.4,
+    hemiSkyColor: new THREE.Color(0.55, 0.42, 0.45),
+    hemiGroundColor: new THREE.Color(0.22, 0.17, 0.14),
+    hemiIntensity: 0.3,
+    fogColor: new THREE.Color(0.6, 0.48, 0.45),
+    fogDensity: 0.001,
+    terrainDayNightMix: 0.3,
+    exposure: 0.85,
+  }),
+};
+
+/**
+ * Default day: night, dawn at sunrise, full day, sunset at sunset, night
+ * Times are solar day hours (sunrise 6, noon 12, sunset 18; see solarDayTime).
+ */
+export const DefaultLightingKeyframes = [
+  { time: 0, preset: 'night' },
+  { time: 4.6, preset: 'night', easing: 'easeIn' },
+  { time: 6, preset: 'dawn', easing: 'easeOut' },
+  { time: 8, preset: 'day' },
+  { time: 16.6, preset: 'day', easing: 'easeIn' },
+  { time: 18, preset: 'sunset', easing: 'easeOut' },
+  { time: 19.4, preset: 'night' },
+];
+
+/**
+ * Empty lighting state to sample into
+ * @returns {Object} Every lighting field, plus what keyframes do not set:
+ *   the sun and moon placement (sunPosition, sunDirection, moonPosition,
+ *   moonDirection), the lit fraction of the moon (moonIllumination), and the
+ *   scattering sky's weight and ground colour (skyScatteringMix, skyGroundColor)
+ */
+export function createLightingState() {
+  const state = {
+    sunPosition: new THREE.Vector3(),
+    sunDirection: new THREE.Vector3(0, 1, 0),
+    moonPosition: new THREE.Vector3(),
+    moonDirection: new THREE.Vector3(0, -1, 0),
+    moonIllumination: 0,
+    skyScatteringMix: 0,
+    skyGroundColor: new THREE.Color(),
+    shadowSoftness: 1,
+    cloudLight: 1, // Share of the sun and moon the cloud layer lets through evenly
+  };
+  for (const field of COLOR_FIELDS) state[field] = new THREE.Color();
+  for (const field of NUMBER_FIELDS) state[field] = 0;
+  return state;
+}
+
+/**
+ * LightingTimeline - Lighting states keyed to the time of day
+ *
+ * An ordered list of keyframes, each a full lighting state at a time in
+ * hours (0-24). Sampling blends the two keyframes either side of a time with
+ * the earlier keyframe's easing; the day wraps, so the last keyframe blends
+ * into the first. Keyframes are plain JSON:
+ *
+ *   { "time": 18, "preset": "sunset", "easing": "easeOut",
+ *     "state": { "skyHorizonColor": "#ff7a33", "fogDensity": 0.0012 } }
+ *
+ * "preset" names an entry of LightingPresets to start from and "state"
+ * overrides its fields; without a preset, "state" must give every field.
+ * Colours may be CSS strings, hex numbers or [r, g, b] arrays (linear 0-1,
+ * like the presets). "easing" is a key of LightingEasings and defaults to
+ * "smooth".
+ */
+export class LightingTimeline {
+  /**
+   * @param {Array<Object>} [keyframes] - Keyframe JSON (default: DefaultLightingKeyframes)
+   */
+  constructor(keyframes = DefaultLightingKeyframes) {
+    this.keyframes = [];
+    this.setKeyframes(keyframes);
+  }
+  
+  /**
+   * Replace every keyframe
+   * @param {Array<Object>|string} keyframes - Keyframe JSON, or a JSON string of the array
+   */
+  setKeyframes(keyframes) {
+    const list = typeof keyframes === 'string' ? JSON.parse(keyframes) : keyframes;
+    if (!Array.isArray(list) || list.length === 0) {
+      throw new Error('A lighting timeline needs at least one keyframe');
+    }
+    
+    this.keyframes = list.map(json => this.parseKeyframe(json));
+    this.sort();
+  }
+  
+  /**
+   * Add a keyframe
+   * @param {Object} json - Keyframe JSON
+   * @returns {number} Index of the new keyframe
+   */
+  insert(json) {
+    const keyframe = this.parseKeyframe(json);
+    this.keyframes.push(keyframe);
+    this.sort();
+    return this.keyframes.indexOf(keyframe);
+  }
+  
+  /**
+   * Change a keyframe
+   * Given fields replace the old ones; "state" fields are merged into the old overrides.
+   * @param {number} index
+   * @param {Object} changes - Keyframe JSON fields to change
+   * @returns {number} New index of the keyframe (it moves if its time changes)
+   */
+  update(index, changes) {
+    const old = this.getKeyframe(index);
+    const keyframe = this.parseKeyframe({
+      ...old,
+      ...changes,
+      state: { ...old.state, ...changes.state },
+    });
+    
+    this.keyframes[index] = keyframe;
+    this.sort();
+    return this.keyframes.indexOf(keyframe);
+  }
+  
+  /**
+   * Remove a keyframe
+   * @param {number} index
+   */
+  remove(index) {
+    this.getKeyframe(index);
+    if (this.keyframes.length === 1) {
+      throw new Error('Cannot remove the last lighting keyframe');
+    }
+    this.keyframes.splice(index, 1);
+  }
+  
+  /**
+   * Get a keyframe as JSON
+   * @param {number} index
+   * @returns {Object} { time, preset?, easing, state }
+   */
+  getKeyframe(index) {
+    const keyframe = this.keyframes[index];
+    if (!keyframe) {
+      throw new Error(`No lighting keyframe at index ${index}`);
+    }
+    return keyframeToJSON(keyframe);
+  }
+  
+  /**
+   * Get every keyframe as JSON, in time order
+   * @returns {Array<Object>}
+   */
+  getKeyframes() {
+    return this.keyframes.map(keyframeToJSON);
+  }
+  
+  /**
+   * @returns {Array<Object>} Same as getKeyframes, so JSON.stringify saves the timeline
+   */
+  toJSON() {
+    return this.getKeyframes();
+  }
+  
+  /**
+   * Lighting at a time of day
+   * @param {number} time - Hours (wrapped into 0-24)
+   * @param {Object} [target] - State to write into (from createLightingState)
+   * @returns {Object} The target
+   */
+  sample(time, target = createLightingState()) {
+    const keyframes = this.keyframes;
+    const t = THREE.MathUtils.euclideanModulo(time, 24);
+    
+    // Last keyframe at or before t, wrapping to the previous day's last one
+    let index = keyframes.length - 1;
+    while (index >= 0 && keyframes[index].time > t) {
+      index--;
+    }
+    
+    const from = keyframes[(index + keyframes.length) % keyframes.length];
+    const to = keyframes[(index + 1) % keyframes.length];
+    
+    // Segment start and length, measured forwards round the clock
+    const start = index < 0 ? from.time - 24 : from.time;
+    const length = THREE.MathUtils.euclideanModulo(to.time - from.time, 24) || (from === to ? 0 : 24);
+    const progress = length > 0 ? THREE.MathUtils.clamp((t - start) / length, 0, 1) : 0;
+    
+    lerpLighting(from.state, to.state, LightingEasings[from.easing](progress), target);
+    return target;
+  }
+  
+  /**
+   * Check and normalise keyframe JSON
+   * @param {Object} json
+   * @returns {Object} { time, preset, easing, overrides, state }
+   */
+  parseKeyframe(json) {
+    const { time, preset = null, easing = 'smooth', state: overrides = {} } = json;
+    
+    if (!Number.isFinite(time) || time < 0 || time > 24) {
+      throw new Error(`Lighting keyframe time must be hours from 0 to 24, got ${time}`);
+    }
+    if (preset !== null && !LightingPresets[preset]) {
+      throw new Error(`Unknown lighting preset: ${preset}`);
+    }
+    if (!LightingEasings[easing]) {
+      throw new Error(`Unknown lighting easing: ${easing}`);
+    }
+    
+    for (const field of Object.keys(overrides)) {
+      if (!COLOR_FIELDS.includes(field) && !NUMBER_FIELDS.includes(field)) {
+        throw new Error(`Unknown lighting field: ${field}`);
+      }
+    }
+    
+    const base = preset ? LightingPresets[preset] : {};
+    const state = {};
+    
+    for (const field of COLOR_FIELDS) {
+      const value = overrides[field] ?? base[field];
+      if (value === undefined) {
+        throw new Error(`Lighting keyframe at ${time}h is missing ${field}`);
+      }
+      state[field] = Array.isArray(value) ? new THREE.Color().fromArray(value) : new THREE.Color(value);
+    }
+    
+    for (const field of NUMBER_FIELDS) {
+      const value = overrides[field] ?? base[field];
+      if (!Number.isFinite(value)) {
+        throw new Error(`Lighting keyframe at ${time}h is missing ${field}`);
+      }
+      state[field] = value;
+    }
+    
+    return { time, preset, easing, overrides: { ...overrides }, state };
+  }
+  
+  /**
+   * Keep keyframes in time order (stable, so equal times keep their order)
+   */
+  sort() {
+    this.keyframes.sort((a, b) => a.time - b.time);
+  }
+}
+
+/**
+ * Keyframe JSON for a parsed keyframe
+ * Keyframes on a preset keep only their overrides; others list every field.
+ */
+function keyframeToJSON(keyframe) {
+  const json = { time: keyframe.time };
+  if (keyframe.preset) {
+    json.preset = keyframe.preset;
+  }
+  json.easing = keyframe.easing;
+  
+  if (keyframe.preset) {
+    json.state = { ...keyframe.overrides };
+  } else {
+    json.state = {};
+    for (const field of COLOR_FIELDS) json.state[field] = `#${keyframe.state[field].getHexString()}`;
+    for (const field of NUMBER_FIELDS) json.state[field] = keyframe.state[field];
+  }
+  return json;
+}
+
+/**
+ * Blend the lighting fields of two states
+ */
+function lerpLighting(from, to, t, target) {
+  for (const field of COLOR_FIELDS) {
+    target[field].lerpColors(from[field], to[field], t);
+  }
+  for (const field of NUMBER_FIELDS) {
+    target[field] = THREE.MathUtils.lerp(from[field], to[field], t);
+  }
+}
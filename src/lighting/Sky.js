@@ -1,4 +1,12 @@
 import * as THREE from 'three';
+import { AtmosphereDefaults } from './atmosphere.js';
+
+/**
+ * Ways of painting the sky
+ * gradient: four hand-picked colours from the lighting state
+ * scattering: Rayleigh + Mie single scattering from the sun (see atmosphere.js)
+ */
+export const SkyModes = ['gradient', 'scattering'];
 
 /**
  * Vertex shader for sky dome
@@ -16,7 +24,7 @@ const skyVertexShader = /* glsl */ `
 `;
 
 /**
- * Fragment shader for gradient sky with sun/moon and stars
+ * Fragment shader for gradient or scattering sky with sun, moon and stars
  */
 const skyFragmentShader = /* glsl */ `
   uniform vec3 uTopColor;
@@ -27,9 +35,24 @@ const skyFragmentShader = /* glsl */ `
   uniform vec3 uSunPosition;
   uniform float uSunSize;
   uniform float uSunIntensity;
+  uniform vec3 uMoonDirection;
+  uniform vec3 uMoonColor;
+  uniform float uMoonSize; // Angular radius in radians
+  uniform float uMoonIntensity;
+  uniform float uMoonIllumination; // Lit fraction of the disc
   uniform float uStarIntensity;
   uniform float uTime;
   
+  #ifdef USE_SCATTERING
+  uniform float uScatteringMix; // 0 = gradient, 1 = scattering
+  uniform float uTurbidity;
+  uniform float uRayleigh;
+  uniform float uMieCoefficient;
+  uniform float uMieDirectionalG;
+  uniform float uGroundAlbedo;
+  uniform vec3 uGroundColor;
+  #endif
+  
   varying vec3 vWorldPosition;
   varying vec2 vUv;
   
@@ -78,6 +101,56 @@ const skyFragmentShader = /* glsl */ `
     return star;
   }
   
+  #ifdef USE_SCATTERING
+  // Rayleigh + Mie single scattering; mirrors radiance() in atmosphere.js
+  const vec3 TOTAL_RAYLEIGH = vec3(5.804542996261093e-6, 1.3562911419845635e-5, 3.0265902468824876e-5);
+  const vec3 MIE_CONST = vec3(1.8399918514433978e14, 2.7798023919660528e14, 4.0790479543861094e14);
+  const float CUTOFF_ANGLE = 1.6110731556870734;
+  const float STEEPNESS = 1.5;
+  const float SUN_ILLUMINANCE = 1000.0;
+  const float RAYLEIGH_ZENITH_LENGTH = 8.4e3;
+  const float MIE_ZENITH_LENGTH = 1.25e3;
+  const float EXPOSURE = 0.6;
+  const float SUN_DISC_COS = 0.99985;
+  const float PI = 3.141592653589793;
+  
+  vec3 scatteringSky(vec3 direction, vec3 sunDir) {
+    float sunE = SUN_ILLUMINANCE * max(0.0, 1.0 - exp(-(CUTOFF_ANGLE - acos(clamp(sunDir.y, -1.0, 1.0))) / STEEPNESS));
+    vec3 betaR = TOTAL_RAYLEIGH * uRayleigh;
+    vec3 betaM = 0.434 * (0.2 * uTurbidity) * 10e-18 * uMieCoefficient * MIE_CONST;
+    
+    // Air between the eye and the edge of the atmosphere
+    float zenithAngle = acos(max(0.0, direction.y));
+    float opticalLength = 1.0 / (cos(zenithAngle) + 0.15 * pow(93.885 - degrees(zenithAngle), -1.253));
+    vec3 extinction = exp(-(betaR * RAYLEIGH_ZENITH_LENGTH + betaM * MIE_ZENITH_LENGTH) * opticalLength);
+    
+    // Sunlight scattered towards the eye; ground-reflected light scatters back in evenly
+    float cosTheta = dot(direction, sunDir);
+    float rayleighPhase = 3.0 / (16.0 * PI) * (1.0 + pow(cosTheta * 0.5 + 0.5, 2.0));
+    float g2 = uMieDirectionalG * uMieDirectionalG;
+    float miePhase = 1.0 / (4.0 * PI) * (1.0 - g2) / pow(1.0 - 2.0 * uMieDirectionalG * cosTheta + g2, 1.5);
+    float groundPhase = uGroundAlbedo * max(sunDir.y, 0.0) / (4.0 * PI);
+    float lowSun = clamp(pow(1.0 - sunDir.y, 5.0), 0.0, 1.0);
+    
+    vec3 phase = (betaR * rayleighPhase + betaM * miePhase) / (betaR + betaM) + groundPhase;
+    vec3 inScattered = pow(sunE * phase * (1.0 - extinction), vec3(1.5));
+    inScattered *= mix(vec3(1.0), pow(sunE * phase * extinction, vec3(0.5)), lowSun);
+    
+    // Sun disc, reddened by the air in front of it
+    float disc = smoothstep(SUN_DISC_COS, SUN_DISC_COS + 0.00004, cosTheta);
+    vec3 light = inScattered + (0.01 + sunE * 19000.0 * disc) * extinction;
+    vec3 color = pow(light * 0.04 + vec3(0.0, 0.0003, 0.00075), vec3(1.0 / 2.4));
+    
+    // Expose by luminance so bright sunsets keep their hue
+    float luminance = dot(color, vec3(0.2126, 0.7152, 0.0722));
+    color *= luminance > 0.0 ? (1.0 - exp(-luminance * EXPOSURE)) / luminance : 0.0;
+    color = min(color, vec3(1.0));
+    
+    // Lit ground below the horizon
+    return mix(color, uGroundColor, smoothstep(0.0, -0.06, direction.y));
+  }
+  #endif
+  
   void main() {
     vec3 direction = normalize(vWorldPosition);
     
@@ -101,7 +174,7 @@ const skyFragmentShader = /* glsl */ `
       skyColor = mix(uBottomColor, uHorizonColor, t);
     }
     
-    // Sun/Moon glow
+    // Sun glow
     vec3 sunDir = normalize(uSunPosition);
     float sunDot = dot(direction, sunDir);
     
@@ -115,30 +188,67 @@ const skyFragmentShader = /* glsl */ `
     // Add sun to sky
     skyColor += uSunColor * (sunDisc + sunGlow + sunHalo) * uSunIntensity;
     
-    // Stars (only visible at night)
-    if (uStarIntensity > 0.0 && y > 0.0) {
-      float starField = stars(direction);
-      skyColor += vec3(starField * uStarIntensity);
-    }
-    
     // Atmospheric scattering effect near horizon
     float horizonGlow = exp(-abs(y) * 5.0) * 0.3;
     skyColor += uHorizonColor * horizonGlow * (1.0 - uStarIntensity);
+  
+  #ifdef USE_SCATTERING
+    // Physically based sky by day, handing over to the gradient's night
+    skyColor = mix(skyColor, scatteringSky(direction, sunDir), uScatteringMix);
+  #endif
+    
+    // Moon disc, shaded as a sphere lit from the sun's direction so the
+    // crescent or gibbous shape and its tilt follow the real geometry
+    vec3 moonDir = normalize(uMoonDirection);
+    float moonDot = dot(direction, moonDir);
+    vec3 moonRight = normalize(cross(moonDir, abs(moonDir.y) > 0.999 ? vec3(0.0, 0.0, -1.0) : vec3(0.0, 1.0, 0.0)));
+    vec3 moonUp = cross(moonRight, moonDir);
+    vec2 moonUv = vec2(dot(direction, moonRight), dot(direction, moonUp)) / uMoonSize;
+    float moonRadius2 = dot(moonUv, moonUv);
+    float moonMask = (1.0 - smoothstep(0.92, 1.0, moonRadius2)) * step(0.0, moonDot);
+    
+    vec3 moonNormal = moonRight * moonUv.x + moonUp * moonUv.y - moonDir * sqrt(max(1.0 - moonRadius2, 0.0));
+    float moonLit = smoothstep(-0.04, 0.12, dot(moonNormal, sunDir));
+    float maria = 0.82 + 0.18 * sin(moonUv.x * 4.3 + 1.3) * sin(moonUv.y * 3.7 - 0.6);
+    
+    // Faint earthshine on the dark side, and a halo that grows with the lit fraction
+    float moonDisc = moonMask * (moonLit * maria + 0.03);
+    float moonHalo = (pow(max(0.0, moonDot), 512.0) * 0.6 + pow(max(0.0, moonDot), 48.0) * 0.12) * uMoonIllumination;
+    skyColor += uMoonColor * (moonDisc + moonHalo) * uMoonIntensity;
+    
+    // Stars (only visible at night, and not through the moon)
+    if (uStarIntensity > 0.0 && y > 0.0) {
+      float starField = stars(direction);
+      skyColor += vec3(starField * uStarIntensity * (1.0 - moonMask));
+    }
     
     gl_FragColor = vec4(skyColor, 1.0);
   }
 `;
 
 /**
- * Sky - Creates a dynamic gradient sky dome with sun/moon and stars
+ * Sky - Creates a dynamic sky dome with sun, moon and stars
+ *
+ * The sky is painted either from the gradient colours of the lighting state
+ * or by physically based scattering from the sun (see SkyModes).
  */
 export class Sky {
-  constructor(radius = 1000) {
+  /**
+   * @param {number} [radius=1000]
+   * @param {Object} [options]
+   * @param {string} [options.mode='gradient'] - One of SkyModes
+   * @param {Object} [options.atmosphere] - Overrides for AtmosphereDefaults
+   */
+  constructor(radius = 1000, options = {}) {
     this.radius = radius;
     this.mesh = null;
     this.material = null;
+    this.mode = 'gradient';
+    this.atmosphere = { ...AtmosphereDefaults };
     
     this.createSky();
+    this.setAtmosphere(options.atmosphere || {});
+    this.setMode(options.mode || 'gradient');
   }
   
   createSky() {
@@ -158,8 +268,20 @@ export class Sky {
         uSunPosition: { value: new THREE.Vector3(100, 150, 80) },
         uSunSize: { value: 1.5 },
         uSunIntensity: { value: 1.0 },
+        uMoonDirection: { value: new THREE.Vector3(-0.3, 0.6, -0.3).normalize() },
+        uMoonColor: { value: new THREE.Color(0.8, 0.85, 1.0) },
+        uMoonSize: { value: 0.045 },
+        uMoonIntensity: { value: 0.0 },
+        uMoonIllumination: { value: 1.0 },
         uStarIntensity: { value: 0.0 },
         uTime: { value: 0 },
+        uScatteringMix: { value: 1.0 },
+        uTurbidity: { value: AtmosphereDefaults.turbidity },
+        uRayleigh: { value: AtmosphereDefaults.rayleigh },
+        uMieCoefficient: { value: AtmosphereDefaults.mieCoefficient },
+        uMieDirectionalG: { value: AtmosphereDefaults.mieDirectionalG },
+        uGroundAlbedo: { value: AtmosphereDefaults.groundAlbedo },
+        uGroundColor: { value: new THREE.Color(0.3, 0.32, 0.35) },
       },
       side: THREE.BackSide, // Render inside of sphere
       depthWrite: false,
@@ -185,6 +307,55 @@ export class Sky {
     return this.material;
   }
   
+  /**
+   * Switch between the gradient and the scattering sky
+   * @param {string} mode - One of SkyModes
+   */
+  setMode(mode) {
+    if (!SkyModes.includes(mode)) {
+      throw new Error(`Unknown sky mode: ${mode}`);
+    }
+    
+    this.mode = mode;
+    if (mode === 'scattering') {
+      this.material.defines.USE_SCATTERING = '';
+    } else {
+      delete this.material.defines.USE_SCATTERING;
+    }
+    this.material.needsUpdate = true;
+  }
+  
+  /**
+   * Get the sky mode
+   * @returns {string} One of SkyModes
+   */
+  getMode() {
+    return this.mode;
+  }
+  
+  /**
+   * Change the atmosphere used by the scattering sky
+   * @param {Object} params - Any of AtmosphereDefaults
+   */
+  setAtmosphere(params) {
+    Object.assign(this.atmosphere, params);
+    
+    const uniforms = this.material.uniforms;
+    uniforms.uTurbidity.value = this.atmosphere.turbidity;
+    uniforms.uRayleigh.value = this.atmosphere.rayleigh;
+    uniforms.uMieCoefficient.value = this.atmosphere.mieCoefficient;
+    uniforms.uMieDirectionalG.value = this.atmosphere.mieDirectionalG;
+    uniforms.uGroundAlbedo.value = this.atmosphere.groundAlbedo;
+  }
+  
+  /**
+   * Get the atmosphere used by the scattering sky
+   * @returns {Object} Same fields as AtmosphereDefaults
+   */
+  getAtmosphere() {
+    return { ...this.atmosphere };
+  }
+  
   /**
    * Update sky uniforms
    * @param {Object} params
@@ -214,6 +385,27 @@ export class Sky {
     if (params.sunIntensity !== undefined) {
       this.material.uniforms.uSunIntensity.value = params.sunIntensity;
     }
+    if (params.moonDirection) {
+      this.material.uniforms.uMoonDirection.value.copy(params.moonDirection);
+    }
+    if (params.moonColor) {
+      this.material.uniforms.uMoonColor.value.copy(params.moonColor);
+    }
+    if (params.moonSize !== undefined) {
+      this.material.uniforms.uMoonSize.value = params.moonSize;
+    }
+    if (params.moonIntensity !== undefined) {
+      this.material.uniforms.uMoonIntensity.value = params.moonIntensity;
+    }
+    if (params.moonIllumination !== undefined) {
+      this.material.uniforms.uMoonIllumination.value = params.moonIllumination;
+    }
+    if (params.scatteringMix !== undefined) {
+      this.material.uniforms.uScatteringMix.value = params.scatteringMix;
+    }
+    if (params.groundColor) {
+      this.material.uniforms.uGroundColor.value.copy(params.groundColor);
+    }
     if (params.starIntensity !== undefined) {
       this.material.uniforms.uStarIntensity.value = params.starIntensity;
     }
@@ -0,0 +1,236 @@
+/**
+ * Astronomy - Sun and moon positions for a date and place
+ *
+ * Low-precision formulas after the Astronomical Algorithms series (the same
+ * ones SunCalc uses): good to a fraction of a degree, which is plenty for
+ * lighting. Angles are in radians. Azimuth is measured clockwise from north,
+ * so east is PI / 2. In the scene, north is -Z and east is +X.
+ */
+
+import * as THREE from 'three';
+
+const RAD = Math.PI / 180;
+const DAY_MS = 86400000;
+const J1970 = 2440588;
+const J2000 = 2451545;
+
+// Obliquity of the ecliptic
+const OBLIQUITY = RAD * 23.4397;
+
+// Mean distance to the sun in kilometres
+const SUN_DISTANCE = 149598000;
+
+// Altitude of the sun's centre at sunrise and sunset (refraction and disc radius)
+const SUNRISE_ALTITUDE = RAD * -0.833;
+
+/**
+ * Position of the sun in the local sky
+ * @param {Date} date - Moment to evaluate
+ * @param {number} latitude - Degrees, north positive
+ * @param {number} longitude - Degrees, east positive
+ * @returns {Object} { altitude, azimuth } in radians
+ */
+export function sunPosition(date, latitude, longitude) {
+  const d = toDays(date);
+  const { rightAscension, declination } = sunCoords(d);
+  return horizontal(d, latitude, longitude, rightAscension, declination);
+}
+
+/**
+ * Position of the moon in the local sky
+ * @param {Date} date - Moment to evaluate
+ * @param {number} latitude - Degrees, north positive
+ * @param {number} longitude - Degrees, east positive
+ * @returns {Object} { altitude, azimuth, distance } in radians and kilometres
+ */
+export function moonPosition(date, latitude, longitude) {
+  const d = toDays(date);
+  const { rightAscension, declination, distance } = moonCoords(d);
+  const position = horizontal(d, latitude, longitude, rightAscension, declination);
+
+  // Refraction lifts the moon slightly near the horizon
+  position.altitude += refraction(position.altitude);
+  position.distance = distance;
+  return position;
+}
+
+/**
+ * Phase of the moon
+ * @param {Date} date - Moment to evaluate
+ * @returns {Object} { fraction, phase, angle }: lit fraction of the disc (0-1);
+ *   phase through the month (0 new, 0.25 first quarter, 0.5 full, 0.75 last
+ *   quarter); angle of the lit limb's midpoint, radians east of north
+ */
+export function moonIllumination(date) {
+  const d = toDays(date);
+  const sun = sunCoords(d);
+  const moon = moonCoords(d);
+  const raDifference = sun.rightAscension - moon.rightAscension;
+
+  // Elongation of the moon from the sun, then the phase angle seen from the moon
+  const elongation = Math.acos(
+    Math.sin(sun.declination) * Math.sin(moon.declination)
+    + Math.cos(sun.declination) * Math.cos(moon.declination) * Math.cos(raDifference)
+  );
+  const phaseAngle = Math.atan2(
+    SUN_DISTANCE * Math.sin(elongation),
+    moon.distance - SUN_DISTANCE * Math.cos(elongation)
+  );
+  const angle = Math.atan2(
+    Math.cos(sun.declination) * Math.sin(raDifference),
+    Math.sin(sun.declination) * Math.cos(moon.declination)
+      - Math.cos(sun.declination) * Math.sin(moon.declination) * Math.cos(raDifference)
+  );
+
+  return {
+    fraction: (1 + Math.cos(phaseAngle)) / 2,
+    phase: 0.5 + 0.5 * phaseAngle * Math.sign(angle || 1) / Math.PI,
+    angle,
+  };
+}
+
+/**
+ * Time of day measured by the sun's path rather than the clock
+ * Sunrise is always 6, solar noon 12, sunset 18 and solar midnight 0 (or 24);
+ * the day and the night are each stretched or squeezed to twelve hours. This
+ * lets lighting keyed to "sunrise" or "sunset" line up with the real sun in
+ * any season. Where the sun does not rise or set (inside the polar circles)
+ * it jumps at solar noon or midnight.
+ * @param {Date} date - Moment to evaluate
+ * @param {number} latitude - Degrees, north positive
+ * @param {number} longitude - Degrees, east positive
+ * @returns {number} Hours, 0-24
+ */
+export function solarDayTime(date, latitude, longitude) {
+  const d = toDays(date);
+  const { rightAscension, declination } = sunCoords(d);
+  const phi = RAD * latitude;
+
+  // Hour angle of the sun, negative in the morning
+  const hourAngle = THREE.MathUtils.euclideanModulo(siderealTime(d, longitude) - rightAscension + Math.PI, Math.PI * 2) - Math.PI;
+
+  // Hour angle of sunrise/sunset, when the sun's upper limb touches the horizon
+  const cosRise = (Math.sin(SUNRISE_ALTITUDE) - Math.sin(phi) * Math.sin(declination))
+    / (Math.cos(phi) * Math.cos(declination));
+  const rise = Math.acos(THREE.MathUtils.clamp(cosRise, -1, 1));
+
+  if (Math.abs(hourAngle) <= rise) {
+    return rise > 0 ? 12 + 6 * hourAngle / rise : 12;
+  }
+
+  const night = (Math.abs(hourAngle) - rise) / (Math.PI - rise);
+  return hourAngle > 0 ? 18 + 6 * night : 6 - 6 * night;
+}
+
+/**
+ * World direction towards a point in the sky
+ * @param {number} altitude - Radians above the horizon
+ * @param {number} azimuth - Radians clockwise from north
+ * @param {THREE.Vector3} [target] - Vector to store the result in
+ * @returns {THREE.Vector3} Unit vector (north -Z, east +X, up +Y)
+ */
+export function skyDirection(altitude, azimuth, target = new THREE.Vector3()) {
+  const horizontalLength = Math.cos(altitude);
+  return target.set(
+    horizontalLength * Math.sin(azimuth),
+    Math.sin(altitude),
+    -horizontalLength * Math.cos(azimuth)
+  );
+}
+
+/**
+ * Days since the J2000 epoch
+ */
+function toDays(date) {
+  return date.valueOf() / DAY_MS - 0.5 + J1970 - J2000;
+}
+
+/**
+ * Right ascension from ecliptic longitude and latitude
+ */
+function rightAscensionOf(longitude, latitude) {
+  return Math.atan2(
+    Math.sin(longitude) * Math.cos(OBLIQUITY) - Math.tan(latitude) * Math.sin(OBLIQUITY),
+    Math.cos(longitude)
+  );
+}
+
+/**
+ * Declination from ecliptic longitude and latitude
+ */
+function declinationOf(longitude, latitude) {
+  return Math.asin(
+    Math.sin(latitude) * Math.cos(OBLIQUITY) + Math.cos(latitude) * Math.sin(OBLIQUITY) * Math.sin(longitude)
+  );
+}
+
+/**
+ * Equatorial coordinates of the sun
+ */
+function sunCoords(d) {
+  const meanAnomaly = RAD * (357.5291 + 0.98560028 * d);
+  const center = RAD * (1.9148 * Math.sin(meanAnomaly)
+    + 0.02 * Math.sin(2 * meanAnomaly)
+    + 0.0003 * Math.sin(3 * meanAnomaly));
+  const perihelion = RAD * 102.9372;
+  const eclipticLongitude = meanAnomaly + center + perihelion + Math.PI;
+
+  return {
+    rightAscension: rightAscensionOf(eclipticLongitude, 0),
+    declination: declinationOf(eclipticLongitude, 0),
+  };
+}
+
+/**
+ * Equatorial coordinates and distance of the moon
+ */
+function moonCoords(d) {
+  const meanLongitude = RAD * (218.316 + 13.176396 * d);
+  const meanAnomaly = RAD * (134.963 + 13.064993 * d);
+  const argumentOfLatitude = RAD * (93.272 + 13.22935 * d);
+
+  const longitude = meanLongitude + RAD * 6.289 * Math.sin(meanAnomaly);
+  const latitude = RAD * 5.128 * Math.sin(argumentOfLatitude);
+
+  return {
+    rightAscension: rightAscensionOf(longitude, latitude),
+    declination: declinationOf(longitude, latitude),
+    distance: 385001 - 20905 * Math.cos(meanAnomaly),
+  };
+}
+
+/**
+ * Altitude and azimuth (clockwise from north) from equatorial coordinates
+ */
+function horizontal(d, latitude, longitude, rightAscension, declination) {
+  const phi = RAD * latitude;
+  const hourAngle = siderealTime(d, longitude) - rightAscension;
+
+  // atan2 gives the azimuth from south, turning west
+  const fromSouth = Math.atan2(
+    Math.sin(hourAngle),
+    Math.cos(hourAngle) * Math.sin(phi) - Math.tan(declination) * Math.cos(phi)
+  );
+
+  return {
+    altitude: Math.asin(
+      Math.sin(phi) * Math.sin(declination) + Math.cos(phi) * Math.cos(declination) * Math.cos(hourAngle)
+    ),
+    azimuth: THREE.MathUtils.euclideanModulo(fromSouth + Math.PI, Math.PI * 2),
+  };
+}
+
+/**
+ * Local sidereal time in radians
+ */
+function siderealTime(d, longitude) {
+  return RAD * (280.16 + 360.9856235 * d) + RAD * longitude;
+}
+
+/**
+ * Atmospheric refraction in radians for an apparent altitude
+ */
+function refraction(altitude) {
+  const h = Math.max(altitude, 0);
+  return 0.0002967 / Math.tan(h + 0.00312536 / (h + 0.08901179));
+}
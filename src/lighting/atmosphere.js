@@ -0,0 +1,210 @@
+/**
+ * Atmosphere - Rayleigh + Mie single-scattering sky
+ *
+ * The analytic daylight model of Preetham et al. (1999), in the form used by
+ * the three.js example sky: Rayleigh scattering off air molecules turns the
+ * sky blue overhead and red near a low sun, Mie scattering off haze
+ * (turbidity) adds the glare around the sun. Light reflected by the ground
+ * (its albedo) is scattered back in as a weak extra source. The sky shader
+ * in Sky.js evaluates the same model per pixel; the functions here let the
+ * CPU read colours off it for fog and ambient light, so the terrain matches
+ * the sky. Colours are display values, already exposed and ready to use.
+ */
+
+import * as THREE from 'three';
+
+/**
+ * Default atmosphere
+ */
+export const AtmosphereDefaults = {
+  turbidity: 2.5, // Haze: 2 is a clear mountain sky, 10 a hazy summer day
+  rayleigh: 1.0, // Strength of molecular scattering (the blue)
+  mieCoefficient: 0.005, // Strength of haze scattering (the glare)
+  mieDirectionalG: 0.8, // How strongly haze scatters forwards, around the sun
+  groundAlbedo: 0.3, // Fraction of light the ground reflects (0.8 for fresh snow)
+};
+
+// Rayleigh scattering coefficients for red, green and blue (680, 550, 450 nm)
+const TOTAL_RAYLEIGH = [5.804542996261093e-6, 1.3562911419845635e-5, 3.0265902468824876e-5];
+
+// Mie coefficients per unit of turbidity for the same wavelengths
+const MIE_CONST = [1.8399918514433978e14, 2.7798023919660528e14, 4.0790479543861094e14];
+
+// Sun illuminance falls off towards this zenith angle (just below the horizon)
+const CUTOFF_ANGLE = 1.6110731556870734;
+const STEEPNESS = 1.5;
+const SUN_ILLUMINANCE = 1000;
+
+// Thickness of the Rayleigh and Mie layers at the zenith, in metres
+const RAYLEIGH_ZENITH_LENGTH = 8.4e3;
+const MIE_ZENITH_LENGTH = 1.25e3;
+
+// Exposure of the luminance-preserving tone curve
+const EXPOSURE = 0.6;
+
+// Sample counts for atmosphereColors
+const AZIMUTH_STEPS = 8;
+const ALTITUDE_STEPS = 4;
+
+const LUMINANCE = [0.2126, 0.7152, 0.0722];
+const NIGHT_SKY = [0, 0.0003, 0.00075];
+
+const _sky = [0, 0, 0];
+
+/**
+ * Sky colour in one direction
+ * @param {THREE.Vector3} direction - Unit view direction
+ * @param {THREE.Vector3} sunDirection - Unit direction towards the sun
+ * @param {Object} [params] - Overrides for AtmosphereDefaults
+ * @param {THREE.Color} [target] - Colour to store the result in
+ * @returns {THREE.Color}
+ */
+export function atmosphereRadiance(direction, sunDirection, params = {}, target = new THREE.Color()) {
+  const model = createModel(sunDirection, { ...AtmosphereDefaults, ...params });
+  radiance(model, direction.x, direction.y, direction.z, _sky);
+  return target.setRGB(_sky[0], _sky[1], _sky[2]);
+}
+
+/**
+ * Colours that match the sky for a sun position
+ * @param {THREE.Vector3} sunDirection - Unit direction towards the sun
+ * @param {Object} [params] - Overrides for AtmosphereDefaults
+ * @param {Object} [target] - Object whose colours are overwritten
+ * @returns {Object} { zenithColor, horizonColor, fogColor, ambientColor, groundColor }:
+ *   horizonColor and fogColor average the sky just above the horizon all the
+ *   way round; ambientColor is the cosine-weighted average of the whole sky
+ *   (the light it casts on an upward-facing surface); groundColor is the
+ *   ground lit by sun and sky, as seen below the horizon
+ */
+export function atmosphereColors(sunDirection, params = {}, target = {}) {
+  const settings = { ...AtmosphereDefaults, ...params };
+  const model = createModel(sunDirection, settings);
+  const colors = {
+    zenithColor: target.zenithColor || new THREE.Color(),
+    horizonColor: target.horizonColor || new THREE.Color(),
+    fogColor: target.fogColor || new THREE.Color(),
+    ambientColor: target.ambientColor || new THREE.Color(),
+    groundColor: target.groundColor || new THREE.Color(),
+  };
+
+  radiance(model, 0, 1, 0, _sky);
+  colors.zenithColor.setRGB(_sky[0], _sky[1], _sky[2]);
+
+  // Just above the horizon, all the way round
+  const horizon = [0, 0, 0];
+  const horizonY = 0.03;
+  const horizonXZ = Math.sqrt(1 - horizonY * horizonY);
+  for (let i = 0; i < AZIMUTH_STEPS; i++) {
+    const azimuth = (i / AZIMUTH_STEPS) * Math.PI * 2;
+    radiance(model, Math.sin(azimuth) * horizonXZ, horizonY, -Math.cos(azimuth) * horizonXZ, _sky);
+    for (let c = 0; c < 3; c++) horizon[c] += _sky[c] / AZIMUTH_STEPS;
+  }
+  colors.horizonColor.setRGB(horizon[0], horizon[1], horizon[2]);
+  colors.fogColor.copy(colors.horizonColor);
+
+  // Cosine-weighted average over the sky (rings of equal solid angle)
+  const ambient = [0, 0, 0];
+  let weight = 0;
+  for (let ring = 0; ring < ALTITUDE_STEPS; ring++) {
+    const y = (ring + 0.5) / ALTITUDE_STEPS;
+    const xz = Math.sqrt(1 - y * y);
+    for (let i = 0; i < AZIMUTH_STEPS; i++) {
+      const azimuth = ((i + 0.5 * (ring % 2)) / AZIMUTH_STEPS) * Math.PI * 2;
+      radiance(model, Math.sin(azimuth) * xz, y, -Math.cos(azimuth) * xz, _sky);
+      for (let c = 0; c < 3; c++) ambient[c] += _sky[c] * y;
+      weight += y;
+    }
+  }
+  colors.ambientColor.setRGB(ambient[0] / weight, ambient[1] / weight, ambient[2] / weight);
+
+  // Ground lit by the sky and by the sun through the air above it
+  const sunHeight = Math.max(sunDirection.y, 0);
+  const sunlight = transmittance(model, sunDirection.y);
+  colors.groundColor.setRGB(
+    (ambient[0] / weight + sunlight[0] * sunHeight) * settings.groundAlbedo,
+    (ambient[1] / weight + sunlight[1] * sunHeight) * settings.groundAlbedo,
+    (ambient[2] / weight + sunlight[2] * sunHeight) * settings.groundAlbedo
+  );
+
+  return colors;
+}
+
+/**
+ * Per-sun quantities of the model
+ */
+function createModel(sunDirection, params) {
+  const zenithAngle = Math.acos(THREE.MathUtils.clamp(sunDirection.y, -1, 1));
+  const mie = 0.434 * (0.2 * params.turbidity) * 10e-18 * params.mieCoefficient;
+
+  return {
+    sun: sunDirection,
+    sunE: SUN_ILLUMINANCE * Math.max(0, 1 - Math.exp(-(CUTOFF_ANGLE - zenithAngle) / STEEPNESS)),
+    betaR: TOTAL_RAYLEIGH.map(value => value * params.rayleigh),
+    betaM: MIE_CONST.map(value => value * mie),
+    g: params.mieDirectionalG,
+    groundAlbedo: params.groundAlbedo,
+  };
+}
+
+/**
+ * Relative path length through the atmosphere towards a direction (1 at the zenith)
+ */
+function opticalLength(y) {
+  const zenithAngle = Math.acos(Math.max(0, y));
+  return 1 / (Math.cos(zenithAngle) + 0.15 * Math.pow(93.885 - THREE.MathUtils.radToDeg(zenithAngle), -1.253));
+}
+
+/**
+ * Sunlight left after crossing the atmosphere towards a direction, tone mapped
+ */
+function transmittance(model, y) {
+  const length = opticalLength(y);
+  const light = [0, 0, 0];
+  for (let c = 0; c < 3; c++) {
+    const extinction = Math.exp(-(model.betaR[c] * RAYLEIGH_ZENITH_LENGTH + model.betaM[c] * MIE_ZENITH_LENGTH) * length);
+    light[c] = Math.pow(model.sunE * extinction * 0.04, 1 / 2.4);
+  }
+  return toneMap(light);
+}
+
+/**
+ * Scattered light from one direction, written to out as display RGB
+ * Mirrors scatteringSky() in Sky.js, without the sun disc and the ground.
+ */
+function radiance(model, x, y, z, out) {
+  const { sun, sunE, betaR, betaM, g } = model;
+  const length = opticalLength(y);
+
+  const cosTheta = x * sun.x + y * sun.y + z * sun.z;
+  const rayleighPhase = (3 / (16 * Math.PI)) * (1 + Math.pow(cosTheta * 0.5 + 0.5, 2));
+  const g2 = g * g;
+  const miePhase = (1 / (4 * Math.PI)) * (1 - g2) / Math.pow(1 - 2 * g * cosTheta + g2, 1.5);
+
+  // Ground-reflected light scatters back in evenly in every direction
+  const groundPhase = model.groundAlbedo * Math.max(sun.y, 0) / (4 * Math.PI);
+  const lowSun = THREE.MathUtils.clamp(Math.pow(1 - sun.y, 5), 0, 1);
+
+  for (let c = 0; c < 3; c++) {
+    const extinction = Math.exp(-(betaR[c] * RAYLEIGH_ZENITH_LENGTH + betaM[c] * MIE_ZENITH_LENGTH) * length);
+    const phase = (betaR[c] * rayleighPhase + betaM[c] * miePhase) / (betaR[c] + betaM[c]) + groundPhase;
+
+    let inScattered = Math.pow(sunE * phase * (1 - extinction), 1.5);
+    inScattered *= THREE.MathUtils.lerp(1, Math.pow(sunE * phase * extinction, 0.5), lowSun);
+
+    out[c] = Math.pow((inScattered + 0.01 * extinction) * 0.04 + NIGHT_SKY[c], 1 / 2.4);
+  }
+
+  toneMap(out);
+}
+
+/**
+ * Compress luminance into 0-1 while keeping the hue, in place
+ */
+function toneMap(color) {
+  const luminance = color[0] * LUMINANCE[0] + color[1] * LUMINANCE[1] + color[2] * LUMINANCE[2];
+  const scale = luminance > 0 ? (1 - Math.exp(-luminance * EXPOSURE)) / luminance : 0;
+  for (let c = 0; c < 3; c++) {
+    color[c] = Math.min(color[c] * scale, 1);
+  }
+  return color;
+}
@@ -0,0 +1,139 @@
+/**
+ * Cloud noise - The cloud field shared by the cloud layer and its shadows
+ *
+ * Clouds are a 2D fbm field at a fixed altitude, scrolled by the wind. The
+ * GLSL chunk below is included both by the cloud layer (Clouds.js), which
+ * draws it, and by materials that receive cloud shadows (the terrain), which
+ * look up the same field along the light direction, so the shadows on the
+ * ground always match the clouds overhead.
+ */
+
+import * as THREE from 'three';
+
+/**
+ * Default cloud layer
+ */
+export const CloudDefaults = {
+  coverage: 0.45, // Fraction of the sky covered (0 clear, 1 overcast)
+  density: 0.8, // Opacity of the thickest cloud (0-1)
+  altitude: 220, // Height of the layer in world units
+  scale: 1 / 120, // Noise frequency; smaller gives bigger clouds
+  windSpeed: 6, // World units per second
+  windDirection: 240, // Degrees clockwise from north the wind blows from
+  shadowStrength: 0.7, // How much light a thick cloud blocks on the ground
+  sunDimming: 0.5, // How much full overcast dims the sun and moon
+};
+
+/**
+ * GLSL for the cloud field and cloud shadows
+ * Include it in a fragment shader and add createCloudUniforms() to the material.
+ */
+export const cloudShaderChunk = /* glsl */ `
+  uniform float uCloudCoverage;
+  uniform float uCloudDensity;
+  uniform float uCloudAltitude;
+  uniform float uCloudScale;
+  uniform vec2 uCloudOffset; // Distance the wind has carried the clouds
+  uniform float uCloudShadowStrength;
+  
+  float cloudHash(vec2 p) {
+    p = fract(p * vec2(123.34, 456.21));
+    p += dot(p, p + 45.32);
+    return fract(p.x * p.y);
+  }
+  
+  float cloudNoise(vec2 p) {
+    vec2 i = floor(p);
+    vec2 f = fract(p);
+    f = f * f * (3.0 - 2.0 * f);
+    
+    float a = cloudHash(i);
+    float b = cloudHash(i + vec2(1.0, 0.0));
+    float c = cloudHash(i + vec2(0.0, 1.0));
+    float d = cloudHash(i + vec2(1.0, 1.0));
+    
+    return mix(mix(a, b, f.x), mix(c, d, f.x), f.y);
+  }
+  
+  // Rotate each octave so the layers do not line up along the grid
+  float cloudFbm(vec2 p) {
+    const mat2 rotation = mat2(0.8, -0.6, 0.6, 0.8);
+    float value = 0.0;
+    float amplitude = 0.5;
+    for (int i = 0; i < 5; i++) {
+      value += amplitude * cloudNoise(p);
+      p = rotation * p * 2.03;
+      amplitude *= 0.5;
+    }
+    return value / 0.97;
+  }
+  
+  // Cloud opacity over a point of the ground plane (0-1)
+  float cloudDensity(vec2 xz) {
+    float field = cloudFbm((xz - uCloudOffset) * uCloudScale);
+    // The field mostly lies within 0.25-0.75, so spread the threshold over that
+    float threshold = mix(0.78, 0.22, uCloudCoverage);
+    return smoothstep(threshold - 0.05, threshold + 0.15, field) * uCloudDensity;
+  }
+  
+  // Light left after passing up through the clouds towards a light direction
+  float cloudShadow(vec3 worldPosition, vec3 lightDirection) {
+    if (uCloudCoverage <= 0.0 || worldPosition.y >= uCloudAltitude) return 1.0;
+    float rise = (uCloudAltitude - worldPosition.y) / max(lightDirection.y, 0.05);
+    vec2 xz = worldPosition.xz + lightDirection.xz * rise;
+    return 1.0 - cloudDensity(xz) * uCloudShadowStrength;
+  }
+`;
+
+/**
+ * Uniforms used by cloudShaderChunk, with no clouds
+ * @returns {Object}
+ */
+export function createCloudUniforms() {
+  return {
+    uCloudCoverage: { value: 0 },
+    uCloudDensity: { value: CloudDefaults.density },
+    uCloudAltitude: { value: CloudDefaults.altitude },
+    uCloudScale: { value: CloudDefaults.scale },
+    uCloudOffset: { value: new THREE.Vector2() },
+    uCloudShadowStrength: { value: CloudDefaults.shadowStrength },
+  };
+}
+
+/**
+ * Update the cloud uniforms of a material that includes cloudShaderChunk
+ * @param {THREE.ShaderMaterial} material
+ * @param {Object} params
+ */
+export function updateCloudUniforms(material, params) {
+  if (params.coverage !== undefined) {
+    material.uniforms.uCloudCoverage.value = params.coverage;
+  }
+  if (params.density !== undefined) {
+    material.uniforms.uCloudDensity.value = params.density;
+  }
+  if (params.altitude !== undefined) {
+    material.uniforms.uCloudAltitude.value = params.altitude;
+  }
+  if (params.scale !== undefined) {
+    material.uniforms.uCloudScale.value = params.scale;
+  }
+  if (params.offset) {
+    material.uniforms.uCloudOffset.value.copy(params.offset);
+  }
+  if (params.shadowStrength !== undefined) {
+    material.uniforms.uCloudShadowStrength.value = params.shadowStrength;
+  }
+}
+
+/**
+ * Direction the clouds drift in for a wind direction
+ * @param {number} windDirection - Degrees clockwise from north the wind blows from
+ * @param {THREE.Vector2} [target] - Vector to store the result in
+ * @returns {THREE.Vector2} Unit vector in world x/z
+ */
+export function cloudDriftDirection(windDirection, target = new THREE.Vector2()) {
+  const angle = THREE.MathUtils.degToRad(windDirection);
+  // A wind from the north (-Z) carries the clouds towards +Z
+  return target.set(-Math.sin(angle), Math.cos(angle));
+}
@@ -7,15 +7,66 @@
  * Controls:
  * - Mouse drag: Rotate camera
  * - Mouse scroll: Zoom in/out
- * - Spacebar: Toggle day/night
+ * - Spacebar: Toggle day/night (sweeps the clock to solar noon or midnight)
+ * - T: Play / pause the time of day
+ * - K: Switch between the gradient and the scattering sky
+ * - W: Change the weather (clear, overcast, rain, snow, fog)
+ * - H: Download heightmap (16-bit PNG)
+ * - M: Download mesh (glTF binary)
+ * - [ / ]: Lower / raise the snowline
+ * - B: Toggle sculpt mode (left-drag sculpts; 1-6 pick the brush, - / = resize it)
+ * - Ctrl+Z / Ctrl+Shift+Z (or Ctrl+Y): Undo / redo sculpt strokes
+ * 
+ * URL parameters:
+ * - ?seed=<value>: Reproduce a specific mountain range
+ * - ?recipe=<name>: Terrain recipe (alpine, rollingHills, mesa, fjords)
+ * - ?erosion=0: Skip the hydraulic and thermal erosion passes
+ * - ?water=0: Skip rivers and lakes
+ * - ?horizon=0: Shade by slope alone, without the baked sky occlusion and horizon shadows
+ * - ?biomes=0: Colour by fixed height bands instead of temperature/moisture biomes
+ * - ?snow=0: Place snow by height alone, without the sun/wind/slope snow cover pass
+ * - ?boulders=0: Skip rock debris
+ * - ?vegetation=0: Skip trees, shrubs and grass
+ * - ?time=<hours>, ?date=<YYYY-MM-DD>, ?lat=<deg>, ?lon=<deg>: Clock and place for the sun and moon
+ * - ?speed=<multiplier>: Start the clock running (e.g. 720 for a day in two minutes)
+ * - ?timeline=<url>: Lighting keyframes as a JSON array (see LightingTimeline.js)
+ * - ?sky=scattering: Physically based sky (&turbidity=<2-10>, &albedo=<0-1> tune it)
+ * - ?clouds=0: Clear skies; otherwise &coverage=<0-1> and &wind=<units per second> tune the clouds
+ * - ?weather=<name>: Start in clear, overcast, rain, snow or fog weather
+ * - ?infinite: Stream endless terrain chunks around the camera
+ * - ?heightmap=<url>: Use a .png, .raw/.r16 or .asc heightmap instead of noise
+ *   (RAW files also need &rawWidth=<samples>)
+ * - ?textures=<url>: Texture the terrain from a layer manifest (see terrainTextures.js)
  */
 
 import * as THREE from 'three';
 import { SceneManager } from './scene/SceneManager.js';
 import { TerrainGenerator } from './terrain/TerrainGenerator.js';
+import { ChunkManager } from './terrain/ChunkManager.js';
+import { TerrainWorkerPool } from './terrain/TerrainWorkerPool.js';
+import { HeightmapSource } from './terrain/heightmaps.js';
+import { downloadFile } from './terrain/exporters.js';
+import { loadTerrainTextureManifest, disposeTerrainTextures } from './terrain/terrainTextures.js';
+import { setTerrainTextures } from './terrain/terrainShader.js';
 import { Sky } from './lighting/Sky.js';
-import { DayNightCycle } from './lighting/DayNightCycle.js';
+import { Clouds } from './lighting/Clouds.js';
+import { Weather } from './weather/Weather.js';
+import { WeatherNames } from './weather/weatherStates.js';
+import { DayNightCycle, noonSunDirection } from './lighting/DayNightCycle.js';
+import { Water } from './water/Water.js';
+import { Vegetation } from './vegetation/Vegetation.js';
+import { Boulders } from './rocks/Boulders.js';
 import { InputHandler, KeyCodes } from './controls/InputHandler.js';
+import { SculptTool } from './controls/SculptTool.js';
+import { TerrainSculptor } from './terrain/TerrainSculptor.js';
+import { SculptBrushes } from './terrain/sculpting.js';
+
+// Width of the shadowed area around the orbit target when streaming chunks
+const SHADOW_RANGE = 500;
+
+const _shadowBox = new THREE.Box3();
+const _shadowCenter = new THREE.Vector3();
+const _shadowSize = new THREE.Vector3();
 
 class AlpineTerrain {
   constructor() {
@@ -24,19 +75,49 @@ class AlpineTerrain {
     // Initialize core components
     this.sceneManager = new SceneManager(this.container);
     
+    // Read optional settings from the URL
+    const params = new URLSearchParams(window.location.search);
+    this.params = params;
+    
     // Initialize terrain
     this.terrainGenerator = new TerrainGenerator({
       width: 400,
       depth: 400,
       segments: 256,
       heightScale: 120,
+      seed: params.get('seed') ?? undefined,
+      recipe: params.get('recipe') ?? 'alpine',
+      erosion: params.get('erosion') === '0' ? false : { iterations: 70000 },
+      thermalErosion: params.get('erosion') === '0' ? false : { talusAngle: 38, iterations: 40 },
+      hydrology: params.get('water') !== '0',
+      horizon: params.get('horizon') !== '0',
+      biomes: params.get('biomes') !== '0',
+      snow: params.get('snow') === '0' ? false : { sunDirection: noonSunDirection(this.getClockOptions()).toArray() },
+      boulders: params.get('boulders') !== '0',
+      vegetation: params.get('vegetation') !== '0',
     });
     
+    // Stream terrain chunks instead of building a single fixed tile
+    this.chunkManager = params.has('infinite')
+      ? new ChunkManager(this.terrainGenerator, { chunkSize: 200, segments: 64, viewDistance: 4 })
+      : null;
+    
+    // Rivers, lakes, rocks and plants, created once the terrain has been generated
+    this.water = null;
+    this.boulders = null;
+    this.vegetation = null;
+    
+    // Texture layers for the terrain, loaded alongside generation
+    this.terrainTextures = null;
+    
+    // Hand sculpting, available once the terrain has been generated
+    this.sculptTool = null;
+    
     // Initialize sky
-    this.sky = new Sky(1000);
+    this.sky = new Sky(1000, this.getSkyOptions());
     
-    // Initialize input handler
-    this.inputHandler = new InputHandler();
+    // Initialize input handler (keyboard, and the pointer over the canvas for sculpting)
+    this.inputHandler = new InputHandler(this.sceneManager.getRenderer().domElement);
     
     // Clock for animation
     this.clock = new THREE.Clock();
@@ -48,19 +129,119 @@ class AlpineTerrain {
     this.dayNightCycle = new DayNightCycle(
       this.sceneManager,
       this.sky,
-      this.terrainGenerator.getMaterial()
+      this.getTerrainMaterial(),
+      this.getClockOptions()
     );
+    if (params.has('speed')) {
+      this.dayNightCycle.play(Number(params.get('speed')) || undefined);
+    }
+    
+    // Drifting clouds, lit by the cycle and shadowing the terrain
+    this.clouds = null;
+    if (params.get('clouds') !== '0') {
+      this.addClouds();
+    }
+    
+    // Weather on top of the time of day
+    this.addWeather();
     
     // Setup controls
     this.setupControls();
     
+    // Swap the procedural colours for textures if a manifest was given
+    if (params.has('textures')) {
+      this.loadTerrainTextures(params.get('textures'));
+    }
+    
+    // Replace the default lighting keyframes if a timeline was given
+    if (params.has('timeline')) {
+      this.loadLightingTimeline(params.get('timeline'));
+    }
+    
     // Start animation loop
     this.animate();
     
     console.log('Alpine Terrain initialized');
+    console.log(`Terrain seed: ${this.terrainGenerator.getSeed()} (reload with ?seed=${this.terrainGenerator.getSeed()} to reproduce)`);
     console.log('Press SPACE to toggle day/night');
   }
   
+  /**
+   * Read a number from the URL
+   * @param {string} name - Parameter name
+   * @returns {number} NaN when the parameter is missing or not a number
+   */
+  getNumberParam(name) {
+    return this.params.has(name) ? Number(this.params.get(name)) : NaN;
+  }
+  
+  /**
+   * Clock and location for the day/night cycle from the URL
+   * @returns {Object} Overrides for DayNightDefaults
+   */
+  getClockOptions() {
+    const options = {};
+    
+    const time = this.getNumberParam('time');
+    if (Number.isFinite(time)) options.time = time;
+    const latitude = this.getNumberParam('lat');
+    if (Number.isFinite(latitude)) options.latitude = latitude;
+    const longitude = this.getNumberParam('lon');
+    if (Number.isFinite(longitude)) options.longitude = longitude;
+    
+    // YYYY-MM-DD, read as a calendar day rather than a UTC midnight
+    const date = /^(\d{4})-(\d{2})-(\d{2})$/.exec(this.params.get('date') || '');
+    if (date) {
+      options.date = new Date(Number(date[1]), Number(date[2]) - 1, Number(date[3]));
+    }
+    
+    return options;
+  }
+  
+  /**
+   * Sky mode and atmosphere from the URL
+   * @returns {Object} Options for Sky
+   */
+  getSkyOptions() {
+    const options = { atmosphere: {} };
+    
+    if (this.params.get('sky') === 'scattering') options.mode = 'scattering';
+    const turbidity = this.getNumberParam('turbidity');
+    if (Number.isFinite(turbidity)) options.atmosphere.turbidity = turbidity;
+    const albedo = this.getNumberParam('albedo');
+    if (Number.isFinite(albedo)) options.atmosphere.groundAlbedo = albedo;
+    
+    return options;
+  }
+  
+  /**
+   * Cloud layer settings from the URL
+   * @returns {Object} Overrides for CloudDefaults
+   */
+  getCloudOptions() {
+    const options = {};
+    
+    const coverage = this.getNumberParam('coverage');
+    if (Number.isFinite(coverage)) options.coverage = THREE.MathUtils.clamp(coverage, 0, 1);
+    const wind = this.getNumberParam('wind');
+    if (Number.isFinite(wind)) options.windSpeed = wind;
+    
+    return options;
+  }
+  
+  /**
+   * Weather settings from the URL
+   * @returns {Object} Overrides for WeatherDefaults
+   */
+  getWeatherOptions() {
+    const options = {};
+    const weather = this.params.get('weather');
+    
+    if (WeatherNames.includes(weather)) options.weather = weather;
+    
+    return options;
+  }
+  
   /**
    * Setup the 3D scene with terrain and sky
    */
@@ -68,14 +249,187 @@ class AlpineTerrain {
     // Add sky dome
     this.sceneManager.add(this.sky.getMesh());
     
-    // Generate and add terrain
-    const terrainMesh = this.terrainGenerator.generate();
-    this.sceneManager.add(terrainMesh);
+    // Streamed chunks are added as the camera moves
+    if (this.chunkManager) {
+      this.sceneManager.add(this.chunkManager.getGroup());
+      document.getElementById('loading-indicator').remove();
+      return;
+    }
+    
+    // Generate terrain off the main thread and add it when ready
+    this.generateTerrain();
     
     // Add some atmospheric depth
     this.addAtmosphericElements();
   }
   
+  /**
+   * Generate the terrain in a worker, showing progress while it runs
+   */
+  async generateTerrain() {
+    const indicator = document.getElementById('loading-indicator');
+    this.workerPool = new TerrainWorkerPool(1);
+    
+    try {
+      // Swap in an external heightmap if one was requested
+      const heightmapUrl = this.params.get('heightmap');
+      if (heightmapUrl) {
+        if (indicator) {
+          indicator.textContent = 'Loading heightmap';
+        }
+        const rawWidth = Number(this.params.get('rawWidth')) || undefined;
+        this.terrainGenerator.setHeightSource(await HeightmapSource.load(heightmapUrl, { width: rawWidth }));
+      }
+      
+      const terrainMesh = await this.terrainGenerator.generateAsync(this.workerPool, {
+        onProgress: (progress) => {
+          if (indicator) {
+            indicator.textContent = `Generating terrain ${Math.round(progress * 100)}%`;
+          }
+        },
+      });
+      this.sceneManager.add(terrainMesh);
+      this.sceneManager.setShadowBounds(new THREE.Box3().setFromObject(terrainMesh));
+      this.addWater();
+      this.addBoulders();
+      this.addVegetation();
+      this.addSculpting();
+    } catch (error) {
+      console.error('Terrain generation failed:', error);
+    } finally {
+      if (indicator) {
+        indicator.remove();
+      }
+    }
+  }
+  
+  /**
+   * Add the cloud layer, with its shadows on the terrain
+   */
+  addClouds() {
+    this.clouds = new Clouds(this.getCloudOptions());
+    this.clouds.addShadowReceiver(this.getTerrainMaterial());
+    this.sceneManager.add(this.clouds.getMesh());
+    this.dayNightCycle.addLightingTarget(this.clouds);
+    this.dayNightCycle.setClouds(this.clouds);
+  }
+  
+  /**
+   * Add the weather, with its rain and snow around the camera
+   */
+  addWeather() {
+    this.weather = new Weather(this.getTerrainMaterial(), this.clouds, this.getWeatherOptions());
+    this.sceneManager.add(this.weather.getGroup());
+    this.dayNightCycle.addLightingTarget(this.weather);
+    this.dayNightCycle.setWeather(this.weather);
+  }
+  
+  /**
+   * Add rivers and lakes traced during generation
+   */
+  addWater() {
+    const features = this.terrainGenerator.getWaterFeatures();
+    if (!features) {
+      return;
+    }
+    
+    this.water = new Water(features);
+    this.sceneManager.add(this.water.getGroup());
+    this.dayNightCycle.addLightingTarget(this.water);
+  }
+  
+  /**
+   * Add the boulders placed during generation
+   */
+  addBoulders() {
+    const features = this.terrainGenerator.getBoulders();
+    if (!features) {
+      return;
+    }
+    
+    this.boulders = new Boulders(features);
+    this.sceneManager.add(this.boulders.getGroup());
+    this.dayNightCycle.addLightingTarget(this.boulders);
+  }
+  
+  /**
+   * Add the trees, shrubs and grass scattered during generation
+   */
+  addVegetation() {
+    const features = this.terrainGenerator.getVegetation();
+    if (!features) {
+      return;
+    }
+    
+    this.vegetation = new Vegetation(features, this.sceneManager.getRenderer());
+    this.sceneManager.add(this.vegetation.getGroup());
+    this.dayNightCycle.addLightingTarget(this.vegetation);
+  }
+  
+  /**
+   * Let the generated terrain be sculpted by hand
+   */
+  addSculpting() {
+    const sculptor = new TerrainSculptor(this.terrainGenerator);
+    this.sculptTool = new SculptTool(sculptor, this.sceneManager, this.inputHandler);
+    this.sceneManager.add(this.sculptTool.getCursor());
+  }
+  
+  /**
+   * Show the sculpt mode and brush, or hide the indicator when not sculpting
+   */
+  updateSculptIndicator() {
+    const indicator = document.getElementById('sculpt-indicator');
+    if (!indicator) {
+      return;
+    }
+    
+    const brush = this.sculptTool.sculptor.getBrush();
+    indicator.hidden = !this.sculptTool.isEnabled();
+    indicator.textContent = `Sculpt: ${brush.type} · radius ${brush.radius}`;
+  }
+  
+  /**
+   * Load terrain texture layers and apply them to the terrain material
+   * Until they arrive (or if loading fails) the terrain keeps its procedural colours.
+   * @param {string} url - Layer manifest URL
+   */
+  async loadTerrainTextures(url) {
+    try {
+      this.terrainTextures = await loadTerrainTextureManifest(url);
+      setTerrainTextures(this.getTerrainMaterial(), this.terrainTextures);
+    } catch (error) {
+      console.error('Terrain textures failed to load:', error);
+    }
+  }
+  
+  /**
+   * Load lighting keyframes and hand them to the day/night cycle
+   * Until they arrive (or if loading fails) the default timeline is used.
+   * @param {string} url - JSON array of keyframes
+   */
+  async loadLightingTimeline(url) {
+    try {
+      const response = await fetch(url);
+      if (!response.ok) {
+        throw new Error(`Failed to load lighting timeline ${url}: ${response.status}`);
+      }
+      this.dayNightCycle.setTimeline(await response.json());
+    } catch (error) {
+      console.error('Lighting timeline failed to load:', error);
+    }
+  }
+  
+  /**
+   * Get the material used by whichever terrain is active
+   * @returns {THREE.ShaderMaterial}
+   */
+  getTerrainMaterial() {
+    return this.chunkManager
+      ? this.chunkManager.getMaterial()
+      : this.terrainGenerator.getMaterial();
+  }
+  
   /**
    * Add atmospheric elements for visual depth
    */
@@ -101,10 +455,103 @@ class AlpineTerrain {
    * Setup input controls
    */
   setupControls() {
-    // Spacebar toggles day/night
+    // Spacebar sweeps the clock to noon or midnight
     this.inputHandler.onKeyDown(KeyCodes.SPACE, () => {
       this.dayNightCycle.toggle();
     });
+    
+    // T runs or stops the clock
+    this.inputHandler.onKeyDown(KeyCodes.T, () => {
+      if (this.dayNightCycle.isPlaying()) {
+        this.dayNightCycle.pause();
+      } else {
+        this.dayNightCycle.play();
+      }
+    });
+    
+    // K swaps the hand-tuned gradient sky for physical scattering and back
+    this.inputHandler.onKeyDown(KeyCodes.K, () => {
+      this.dayNightCycle.setSkyMode(this.sky.getMode() === 'scattering' ? 'gradient' : 'scattering');
+    });
+    
+    // W moves on to the next kind of weather
+    this.inputHandler.onKeyDown(KeyCodes.W, () => {
+      const next = (WeatherNames.indexOf(this.weather.getWeather()) + 1) % WeatherNames.length;
+      this.weather.setWeather(WeatherNames[next]);
+    });
+    
+    // Export the generated terrain and move its snowline (not available while streaming chunks)
+    if (!this.chunkManager) {
+      const name = `terrain-${this.terrainGenerator.getSeed()}`;
+      
+      this.inputHandler.onKeyDown(KeyCodes.H, async () => {
+        const png = await this.terrainGenerator.exportHeightmap('png');
+        downloadFile(png, `${name}.png`, 'image/png');
+      });
+      
+      this.inputHandler.onKeyDown(KeyCodes.M, () => {
+        const glb = this.terrainGenerator.exportMesh('glb');
+        downloadFile(glb, `${name}.glb`, 'model/gltf-binary');
+      });
+      
+      const snowStep = this.terrainGenerator.heightScale * 0.03;
+      this.inputHandler.onKeyDown(KeyCodes.BRACKET_LEFT, () => {
+        this.terrainGenerator.setSnowLine(this.terrainGenerator.getSnowLine() - snowStep);
+      });
+      this.inputHandler.onKeyDown(KeyCodes.BRACKET_RIGHT, () => {
+        this.terrainGenerator.setSnowLine(this.terrainGenerator.getSnowLine() + snowStep);
+      });
+      
+      this.setupSculptControls();
+    }
+  }
+  
+  /**
+   * Keys for sculpt mode, brush choice and undo/redo
+   */
+  setupSculptControls() {
+    // Sculpting only starts once generation has finished
+    const withTool = (callback) => (event) => {
+      if (this.sculptTool) {
+        callback(this.sculptTool, event);
+        this.updateSculptIndicator();
+      }
+    };
+    
+    this.inputHandler.onKeyDown(KeyCodes.B, withTool((tool) => {
+      tool.setEnabled(!tool.isEnabled());
+    }));
+    
+    const brushKeys = [KeyCodes.NUM_1, KeyCodes.NUM_2, KeyCodes.NUM_3, KeyCodes.NUM_4, KeyCodes.NUM_5, KeyCodes.NUM_6];
+    SculptBrushes.forEach((type, i) => {
+      this.inputHandler.onKeyDown(brushKeys[i], withTool((tool) => {
+        if (tool.isEnabled()) {
+          tool.sculptor.setBrush({ type });
+        }
+      }));
+    });
+    
+    const resize = (factor) => withTool((tool) => {
+      const radius = Math.round(tool.sculptor.getBrush().radius * factor);
+      tool.sculptor.setBrush({ radius: Math.min(Math.max(radius, 2), 80) });
+    });
+    this.inputHandler.onKeyDown(KeyCodes.MINUS, resize(0.8));
+    this.inputHandler.onKeyDown(KeyCodes.EQUAL, resize(1.25));
+    
+    this.inputHandler.onKeyDown(KeyCodes.Z, withTool((tool, event) => {
+      if (!event.ctrlKey && !event.metaKey) return;
+      event.preventDefault();
+      if (event.shiftKey) {
+        tool.sculptor.redo();
+      } else {
+        tool.sculptor.undo();
+      }
+    }));
+    this.inputHandler.onKeyDown(KeyCodes.Y, withTool((tool, event) => {
+      if (!event.ctrlKey && !event.metaKey) return;
+      event.preventDefault();
+      tool.sculptor.redo();
+    }));
   }
   
   /**
@@ -116,12 +563,45 @@ class AlpineTerrain {
     const deltaTime = this.clock.getDelta();
     const elapsedTime = this.clock.getElapsedTime();
     
-    // Update day/night cycle
+    // Update day/night cycle, and the weather it drives
     this.dayNightCycle.update(deltaTime, elapsedTime);
     
     // Update terrain (for any time-based effects)
     this.terrainGenerator.update(deltaTime);
     
+    // Drift the clouds overhead
+    if (this.clouds) {
+      this.clouds.update(deltaTime, this.sceneManager.getCamera().position);
+    }
+    
+    // Animate water ripples
+    if (this.water) {
+      this.water.update(elapsedTime);
+    }
+    
+    // Keep sculpting while the mouse button is held
+    if (this.sculptTool) {
+      this.sculptTool.update(deltaTime);
+    }
+    
+    // Sway the plants and swap distant ones for impostors
+    if (this.vegetation) {
+      this.vegetation.update(elapsedTime, this.sceneManager.getCamera());
+    }
+    
+    // Stream chunks around the orbit target and keep the sky centred on the camera
+    if (this.chunkManager) {
+      const target = this.sceneManager.getControls().target;
+      this.chunkManager.update(target);
+      this.sky.getMesh().position.copy(this.sceneManager.getCamera().position);
+      
+      // Shadows cover the chunks nearest the orbit target
+      const heightScale = this.terrainGenerator.heightScale;
+      _shadowCenter.set(target.x, heightScale / 2, target.z);
+      _shadowSize.set(SHADOW_RANGE, heightScale * 1.5, SHADOW_RANGE);
+      this.sceneManager.setShadowBounds(_shadowBox.setFromCenterAndSize(_shadowCenter, _shadowSize));
+    }
+    
     // Update scene (controls, etc.)
     this.sceneManager.update();
     
@@ -134,6 +614,31 @@ class AlpineTerrain {
    */
   dispose() {
     this.terrainGenerator.dispose();
+    if (this.workerPool) {
+      this.workerPool.dispose();
+    }
+    if (this.chunkManager) {
+      this.chunkManager.dispose();
+    }
+    if (this.water) {
+      this.water.dispose();
+    }
+    if (this.boulders) {
+      this.boulders.dispose();
+    }
+    if (this.vegetation) {
+      this.vegetation.dispose();
+    }
+    if (this.terrainTextures) {
+      disposeTerrainTextures(this.terrainTextures);
+    }
+    if (this.sculptTool) {
+      this.sculptTool.dispose();
+    }
+    if (this.clouds) {
+      this.clouds.dispose();
+    }
+    this.weather.dispose();
     this.sky.dispose();
     this.inputHandler.dispose();
   }
@@ -0,0 +1,170 @@
+import * as THREE from 'three';
+import { mergeVertices } from 'three/examples/jsm/utils/BufferGeometryUtils.js';
+import { createTerrainNoise } from '../utils/noise.js';
+import { createRandom } from '../utils/random.js';
+import { BOULDER_STRIDE } from '../terrain/boulders.js';
+import { createBoulderMaterial, updateBoulderUniforms } from './boulderShader.js';
+
+const _up = new THREE.Vector3(0, 1, 0);
+const _normal = new THREE.Vector3();
+const _position = new THREE.Vector3();
+const _scale = new THREE.Vector3();
+const _tilt = new THREE.Quaternion();
+const _turn = new THREE.Quaternion();
+const _matrix = new THREE.Matrix4();
+const _color = new THREE.Color();
+
+/**
+ * Boulders - Renders the rock debris placed during generation
+ *
+ * Builds a handful of low-poly boulder shapes by displacing icosahedra with
+ * seeded noise, then draws every boulder of a shape with one InstancedMesh.
+ * Each boulder is tilted onto the surface normal and sunk partway into the
+ * ground. Register it with DayNightCycle.addLightingTarget so it follows the
+ * lighting and fog.
+ */
+export class Boulders {
+  /**
+   * @param {Object} features - Boulders from generateTerrainData (see placeBoulders)
+   * @param {Object} [options]
+   * @param {number} [options.sink=0.2] - How far each boulder's centre sits below the surface, in radii
+   */
+  constructor(features, options = {}) {
+    this.group = new THREE.Group();
+    this.group.name = 'boulders';
+    
+    this.sink = options.sink ?? 0.2;
+    this.material = createBoulderMaterial();
+    this.meshes = [];
+    
+    const { transforms, count } = features;
+    const random = createRandom(`${features.seed}/boulders/shade`);
+    
+    // Group boulders by shape
+    const byVariant = Array.from({ length: features.variants }, () => []);
+    for (let i = 0; i < count; i++) {
+      byVariant[transforms[i * BOULDER_STRIDE + 8]].push(i);
+    }
+    
+    byVariant.forEach((indices, variant) => {
+      if (indices.length === 0) return;
+      
+      const geometry = this.createBoulderGeometry(features.seed, variant);
+      const mesh = new THREE.InstancedMesh(geometry, this.material, indices.length);
+      mesh.name = `boulders-${variant}`;
+      
+      indices.forEach((i, slot) => {
+        const offset = i * BOULDER_STRIDE;
+        this.composeMatrix(transforms, offset, _matrix);
+        mesh.setMatrixAt(slot, _matrix);
+        
+        // Slight per-boulder shade so neighbours do not look cloned
+        const shade = 0.85 + 0.3 * random();
+        mesh.setColorAt(slot, _color.setRGB(shade, shade * 0.98, shade * 0.96));
+      });
+      
+      // Placement never changes, so bounds can be computed once for culling
+      mesh.computeBoundingSphere();
+      this.meshes.push(mesh);
+      this.group.add(mesh);
+    });
+  }
+  
+  /**
+   * Build one boulder shape: a noise-displaced, flattened icosahedron with faceted normals
+   * @param {number|string} seed - Terrain seed
+   * @param {number} variant - Shape index
+   * @returns {THREE.BufferGeometry} Unit-radius boulder centred on the origin
+   */
+  createBoulderGeometry(seed, variant) {
+    const noise = createTerrainNoise(`${seed}/boulders/${variant}`);
+    const random = createRandom(`${seed}/boulders/${variant}`);
+    
+    let geometry = new THREE.IcosahedronGeometry(1, 1);
+    geometry.deleteAttribute('normal');
+    geometry.deleteAttribute('uv');
+    geometry = mergeVertices(geometry);
+    
+    // Squat and a little elongated, different for each variant
+    const stretchX = 0.9 + random() * 0.4;
+    const stretchY = 0.55 + random() * 0.3;
+    const stretchZ = 0.8 + random() * 0.3;
+    
+    const position = geometry.attributes.position;
+    for (let i = 0; i < position.count; i++) {
+      _position.fromBufferAttribute(position, i).normalize();
+      const { x, y, z } = _position;
+      const radius = 1
+        + 0.3 * noise.noise3D(x * 1.2, y * 1.2, z * 1.2)
+        + 0.1 * noise.noise3D(x * 3.1 + 7.3, y * 3.1, z * 3.1);
+      position.setXYZ(i, x * radius * stretchX, y * radius * stretchY, z * radius * stretchZ);
+    }
+    
+    // Split the vertices so every face is flat shaded
+    geometry = geometry.toNonIndexed();
+    geometry.computeVertexNormals();
+    
+    return geometry;
+  }
+  
+  /**
+   * Instance matrix for one boulder: tilted onto the surface normal, turned, scaled and sunk
+   * @param {Float32Array} transforms - Placement data
+   * @param {number} offset - Start of this boulder's record
+   * @param {THREE.Matrix4} target - Matrix to store the result in
+   * @returns {THREE.Matrix4}
+   */
+  composeMatrix(transforms, offset, target) {
+    _normal.set(transforms[offset + 3], transforms[offset + 4], transforms[offset + 5]).normalize();
+    const scale = transforms[offset + 6];
+    
+    _tilt.setFromUnitVectors(_up, _normal);
+    _turn.setFromAxisAngle(_up, transforms[offset + 7]);
+    _tilt.multiply(_turn);
+    
+    _position.set(transforms[offset], transforms[offset + 1], transforms[offset + 2])
+      .addScaledVector(_normal, -this.sink * scale);
+    _scale.setScalar(scale);
+    
+    return target.compose(_position, _tilt, _scale);
+  }
+  
+  /**
+   * Get the group holding the boulder meshes
+   * @returns {THREE.Group}
+   */
+  getGroup() {
+    return this.group;
+  }
+  
+  /**
+   * Follow a DayNightCycle lighting state
+   * @param {Object} state - Lighting state (see createLightingState in LightingTimeline.js)
+   */
+  applyLighting(state) {
+    updateBoulderUniforms(this.material, {
+      sunDirection: state.sunDirection,
+      sunColor: state.sunColor,
+      sunIntensity: state.sunIntensity,
+      moonDirection: state.moonDirection,
+      moonColor: state.moonColor,
+      moonIntensity: state.moonIntensity,
+      ambientColor: state.ambientColor,
+      ambientIntensity: state.ambientIntensity,
+      dayNightMix: state.terrainDayNightMix,
+      fogColor: state.fogColor,
+      fogDensity: state.fogDensity,
+    });
+  }
+  
+  /**
+   * Dispose of boulder resources
+   */
+  dispose() {
+    for (const mesh of this.meshes) {
+      mesh.geometry.dispose();
+      mesh.dispose();
+    }
+    this.material.dispose();
+  }
+}
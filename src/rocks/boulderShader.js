@@ -0,0 +1,164 @@
+import * as THREE from 'three';
+
+/**
+ * Vertex shader for boulders
+ * Instanced, with a per-boulder tint in instanceColor
+ */
+const vertexShader = /* glsl */ `
+  varying vec3 vNormal;
+  varying vec3 vColor;
+  varying vec3 vWorldPosition;
+  varying float vFogDepth;
+  
+  void main() {
+  #ifdef USE_INSTANCING
+    mat4 model = modelMatrix * instanceMatrix;
+  #else
+    mat4 model = modelMatrix;
+  #endif
+    
+    vNormal = normalize(mat3(model) * normal);
+    vColor = vec3(1.0);
+  #ifdef USE_INSTANCING_COLOR
+    vColor = instanceColor;
+  #endif
+    
+    vec4 worldPosition = model * vec4(position, 1.0);
+    vWorldPosition = worldPosition.xyz;
+    
+    vec4 mvPosition = viewMatrix * worldPosition;
+    vFogDepth = -mvPosition.z;
+    
+    gl_Position = projectionMatrix * mvPosition;
+  }
+`;
+
+/**
+ * Fragment shader for boulders
+ * Faceted rock with lichen on the upward faces, lit like the terrain
+ */
+const fragmentShader = /* glsl */ `
+  uniform vec3 uSunDirection;
+  uniform vec3 uSunColor;
+  uniform float uSunIntensity;
+  uniform vec3 uMoonDirection;
+  uniform vec3 uMoonColor;
+  uniform float uMoonIntensity;
+  uniform vec3 uAmbientColor;
+  uniform float uAmbientIntensity;
+  uniform float uDayNightMix; // 0 = day, 1 = night
+  uniform vec3 uRockColor;
+  uniform vec3 uLichenColor;
+  uniform vec3 uFogColor;
+  uniform float uFogDensity;
+  
+  varying vec3 vNormal;
+  varying vec3 vColor;
+  varying vec3 vWorldPosition;
+  varying float vFogDepth;
+  
+  float hash(vec3 p) {
+    return fract(sin(dot(p, vec3(127.1, 311.7, 74.7))) * 43758.5453123);
+  }
+  
+  void main() {
+    vec3 normal = normalize(vNormal);
+    
+    // Lichen settles on faces that look up, in blotches
+    float blotch = hash(floor(vWorldPosition * 2.0));
+    float lichen = smoothstep(0.55, 0.9, normal.y) * step(0.45, blotch) * 0.6;
+    vec3 dayColor = mix(uRockColor * vColor, uLichenColor, lichen);
+    vec3 nightColor = dayColor * vec3(0.3, 0.35, 0.5);
+    vec3 baseColor = mix(dayColor, nightColor, uDayNightMix);
+    
+    float NdotL = max(dot(normal, uSunDirection), 0.0);
+    
+    // Undersides sit in the ground's shadow
+    float ao = 0.6 + 0.4 * (normal.y * 0.5 + 0.5);
+    
+    vec3 directLight = uSunColor * uSunIntensity * NdotL
+      + uMoonColor * uMoonIntensity * max(dot(normal, uMoonDirection), 0.0);
+    vec3 ambient = uAmbientColor * uAmbientIntensity * ao;
+    vec3 finalColor = baseColor * (directLight + ambient);
+    
+    // Apply fog
+    float fogFactor = 1.0 - exp(-uFogDensity * vFogDepth);
+    fogFactor = clamp(fogFactor, 0.0, 1.0);
+    finalColor = mix(finalColor, uFogColor, fogFactor);
+    
+    gl_FragColor = vec4(finalColor, 1.0);
+  }
+`;
+
+/**
+ * Create the boulder shader material
+ * @returns {THREE.ShaderMaterial}
+ */
+export function createBoulderMaterial() {
+  const material = new THREE.ShaderMaterial({
+    vertexShader,
+    fragmentShader,
+    uniforms: {
+      uSunDirection: { value: new THREE.Vector3(0.5, 0.7, 0.3).normalize() },
+      uSunColor: { value: new THREE.Color(1.0, 0.95, 0.8) },
+      uSunIntensity: { value: 1.2 },
+      uMoonDirection: { value: new THREE.Vector3(-0.3, 0.6, -0.3).normalize() },
+      uMoonColor: { value: new THREE.Color(0.6, 0.7, 0.9) },
+      uMoonIntensity: { value: 0 },
+      uAmbientColor: { value: new THREE.Color(0.4, 0.5, 0.7) },
+      uAmbientIntensity: { value: 0.4 },
+      uDayNightMix: { value: 0 }, // 0 = day, 1 = night
+      uRockColor: { value: new THREE.Color(0.42, 0.4, 0.38) },
+      uLichenColor: { value: new THREE.Color(0.45, 0.47, 0.3) },
+      uFogColor: { value: new THREE.Color(0.6, 0.75, 0.9) },
+      uFogDensity: { value: 0.0012 },
+    },
+    side: THREE.FrontSide,
+  });
+  
+  return material;
+}
+
+/**
+ * Update boulder material uniforms for day/night cycle
+ * @param {THREE.ShaderMaterial} material
+ * @param {Object} params
+ */
+export function updateBoulderUniforms(material, params) {
+  if (params.sunDirection) {
+    material.uniforms.uSunDirection.value.copy(params.sunDirection).normalize();
+  }
+  if (params.sunColor) {
+    material.uniforms.uSunColor.value.copy(params.sunColor);
+  }
+  if (params.sunIntensity !== undefined) {
+    material.uniforms.uSunIntensity.value = params.sunIntensity;
+  }
+  if (params.moonDirection) {
+    material.uniforms.uMoonDirection.value.copy(params.moonDirection).normalize();
+  }
+  if (params.moonColor) {
+    material.uniforms.uMoonColor.value.copy(params.moonColor);
+  }
+  if (params.moonIntensity !== undefined) {
+    material.uniforms.uMoonIntensity.value = params.moonIntensity;
+  }
+  if (params.ambientColor) {
+    material.uniforms.uAmbientColor.value.copy(params.ambientColor);
+  }
+  if (params.ambientIntensity !== undefined) {
+    material.uniforms.uAmbientIntensity.value = params.ambientIntensity;
+  }
+  if (params.dayNightMix !== undefined) {
+    material.uniforms.uDayNightMix.value = params.dayNightMix;
+  }
+  if (params.rockColor !== undefined) {
+    material.uniforms.uRockColor.value.set(params.rockColor);
+  }
+  if (params.fogColor) {
+    material.uniforms.uFogColor.value.copy(params.fogColor);
+  }
+  if (params.fogDensity !== undefined) {
+    material.uniforms.uFogDensity.value = params.fogDensity;
+  }
+}
@@ -1,6 +1,12 @@
 import * as THREE from 'three';
 import { OrbitControls } from 'three/examples/jsm/controls/OrbitControls.js';
 
+const _basis = new THREE.Matrix4();
+const _axisX = new THREE.Vector3();
+const _axisY = new THREE.Vector3();
+const _axisZ = new THREE.Vector3();
+const _corner = new THREE.Vector3();
+
 /**
  * SceneManager - Handles Three.js scene setup, camera, renderer, and controls
  */
@@ -98,9 +104,18 @@ export class SceneManager {
     this.sunLight.shadow.camera.top = 200;
     this.sunLight.shadow.camera.bottom = -200;
     this.sunLight.shadow.bias = -0.0005;
+    this.sunLight.shadow.normalBias = 0.3;
+    
+    // World box the shadow camera is fitted around (see setShadowBounds)
+    this.shadowBounds = null;
     
     this.scene.add(this.sunLight);
     
+    // Moonlight, alongside the sun (no shadows; too faint to need them)
+    this.moonLight = new THREE.DirectionalLight(0x99b3e6, 0);
+    this.moonLight.position.set(-80, 100, -60);
+    this.scene.add(this.moonLight);
+    
     // Ambient light for fill
     this.ambientLight = new THREE.AmbientLight(0x6B8CAE, 0.4);
     this.scene.add(this.ambientLight);
@@ -127,6 +142,54 @@ export class SceneManager {
     });
   }
   
+  /**
+   * Fit the sun's shadows around a box of the world
+   * @param {THREE.Box3} box - e.g. the terrain's bounds
+   */
+  setShadowBounds(box) {
+    this.shadowBounds = (this.shadowBounds || new THREE.Box3()).copy(box);
+    this.fitShadowCamera();
+  }
+  
+  /**
+   * Fit the sun's shadow camera tightly around the shadow bounds as seen from the sun
+   * Call after moving the sun. A low sun sees the box edge-on, so the
+   * frustum stretches out along the shadows.
+   */
+  fitShadowCamera() {
+    if (!this.shadowBounds) {
+      return;
+    }
+    
+    const light = this.sunLight;
+    const camera = light.shadow.camera;
+    
+    // Axes of the shadow camera, which looks from the light to its target
+    _basis.lookAt(light.position, light.target.position, camera.up);
+    _basis.extractBasis(_axisX, _axisY, _axisZ);
+    
+    const min = [Infinity, Infinity, Infinity];
+    const max = [-Infinity, -Infinity, -Infinity];
+    const { min: low, max: high } = this.shadowBounds;
+    for (let i = 0; i < 8; i++) {
+      _corner.set(i & 1 ? high.x : low.x, i & 2 ? high.y : low.y, i & 4 ? high.z : low.z).sub(light.position);
+      const coords = [_corner.dot(_axisX), _corner.dot(_axisY), _corner.dot(_axisZ)];
+      for (let axis = 0; axis < 3; axis++) {
+        min[axis] = Math.min(min[axis], coords[axis]);
+        max[axis] = Math.max(max[axis], coords[axis]);
+      }
+    }
+    
+    // The camera looks down its -Z axis
+    camera.left = min[0];
+    camera.right = max[0];
+    camera.bottom = min[1];
+    camera.top = max[1];
+    camera.near = -max[2] - 1;
+    camera.far = -min[2] + 1;
+    camera.updateProjectionMatrix();
+  }
+  
   add(object) {
     this.scene.add(object);
   }
@@ -156,10 +219,18 @@ export class SceneManager {
     return this.renderer;
   }
   
+  getControls() {
+    return this.controls;
+  }
+  
   getSunLight() {
     return this.sunLight;
   }
   
+  getMoonLight() {
+    return this.moonLight;
+  }
+  
   getAmbientLight() {
     return this.ambientLight;
   }
@@ -0,0 +1,246 @@
+import * as THREE from 'three';
+import { createTerrainMaterial } from './terrainShader.js';
+
+/**
+ * ChunkManager - Streams terrain tiles around a moving focus point
+ *
+ * Tiles are sampled from the TerrainGenerator's recipe in world coordinates,
+ * so the landscape continues seamlessly past the original terrain bounds.
+ * Normals come from central differences over a one-sample border, which
+ * makes them identical on both sides of a shared edge. Erosion passes are
+ * not applied to chunks: they depend on the whole map and would break seams.
+ */
+export class ChunkManager {
+  constructor(terrainGenerator, options = {}) {
+    this.terrainGenerator = terrainGenerator;
+    this.chunkSize = options.chunkSize || 200;
+    // Kept even so chunk centres fall on sample points
+    this.segments = Math.ceil((options.segments || 64) / 2) * 2;
+    this.viewDistance = options.viewDistance || 3; // Radius in chunks
+    this.maxCachedChunks = options.maxCachedChunks || 64;
+    this.maxChunksPerFrame = options.maxChunksPerFrame || 1;
+    
+    // One material shared by every chunk
+    this.material = createTerrainMaterial();
+    
+    this.group = new THREE.Group();
+    
+    // Loaded chunks keyed by "x,z", in least-recently-used order
+    this.chunks = new Map();
+    
+    // Chunk the focus point was last in, to skip redundant work
+    this.centerKey = null;
+    this.pendingCount = 0;
+  }
+  
+  /**
+   * Get the group holding all visible chunks
+   * @returns {THREE.Group}
+   */
+  getGroup() {
+    return this.group;
+  }
+  
+  /**
+   * Get the shared terrain material for updating uniforms
+   * @returns {THREE.ShaderMaterial}
+   */
+  getMaterial() {
+    return this.material;
+  }
+  
+  /**
+   * Update which chunks are loaded (call each frame)
+   * @param {THREE.Vector3} focus - World position to stream around (e.g. the orbit target)
+   */
+  update(focus) {
+    const centerX = Math.round(focus.x / this.chunkSize);
+    const centerZ = Math.round(focus.z / this.chunkSize);
+    const centerKey = `${centerX},${centerZ}`;
+    
+    // Nothing to do once the neighbourhood is complete and the focus hasn't moved
+    if (centerKey === this.centerKey && this.pendingCount === 0) {
+      return;
+    }
+    this.centerKey = centerKey;
+    
+    // Collect wanted chunks, nearest first so the view fills in from the centre
+    const wanted = [];
+    const radius = this.viewDistance;
+    for (let dz = -radius; dz <= radius; dz++) {
+      for (let dx = -radius; dx <= radius; dx++) {
+        if (dx * dx + dz * dz <= radius * radius) {
+          wanted.push({ x: centerX + dx, z: centerZ + dz, distance: dx * dx + dz * dz });
+        }
+      }
+    }
+    wanted.sort((a, b) => a.distance - b.distance);
+    
+    const wantedKeys = new Set();
+    let built = 0;
+    this.pendingCount = 0;
+    
+    for (const { x, z } of wanted) {
+      const key = `${x},${z}`;
+      wantedKeys.add(key);
+      
+      let chunk = this.chunks.get(key);
+      if (!chunk) {
+        // Spread generation over several frames to avoid hitches
+        if (built >= this.maxChunksPerFrame) {
+          this.pendingCount++;
+          continue;
+        }
+        chunk = this.createChunk(x, z);
+        built++;
+      }
+      
+      // Refresh LRU position
+      this.chunks.delete(key);
+      this.chunks.set(key, chunk);
+      
+      if (!chunk.parent) {
+        this.group.add(chunk);
+      }
+    }
+    
+    // Hide chunks that fell out of range; they stay cached until evicted
+    for (const [key, chunk] of this.chunks) {
+      if (!wantedKeys.has(key) && chunk.parent) {
+        this.group.remove(chunk);
+      }
+    }
+    
+    this.evict();
+  }
+  
+  /**
+   * Drop least-recently-used chunks beyond the cache limit
+   */
+  evict() {
+    for (const [key, chunk] of this.chunks) {
+      if (this.chunks.size <= this.maxCachedChunks) {
+        break;
+      }
+      // Never evict visible chunks
+      if (chunk.parent) {
+        continue;
+      }
+      chunk.geometry.dispose();
+      this.chunks.delete(key);
+    }
+  }
+  
+  /**
+   * Build the mesh for one chunk
+   * @param {number} chunkX - Chunk grid X
+   * @param {number} chunkZ - Chunk grid Z
+   * @returns {THREE.Mesh}
+   */
+  createChunk(chunkX, chunkZ) {
+    const geometry = this.createChunkGeometry(chunkX * this.chunkSize, chunkZ * this.chunkSize);
+    
+    const mesh = new THREE.Mesh(geometry, this.material);
+    mesh.position.set(chunkX * this.chunkSize, 0, chunkZ * this.chunkSize);
+    mesh.receiveShadow = true;
+    mesh.castShadow = true;
+    mesh.name = `chunk ${chunkX},${chunkZ}`;
+    
+    return mesh;
+  }
+  
+  /**
+   * Create chunk geometry centred on a world position
+   * @param {number} centerX - World X of the chunk centre
+   * @param {number} centerZ - World Z of the chunk centre
+   * @returns {THREE.BufferGeometry}
+   */
+  createChunkGeometry(centerX, centerZ) {
+    const generator = this.terrainGenerator;
+    const segments = this.segments;
+    const step = this.chunkSize / segments;
+    
+    // Same vertex layout and triangulation as the single-tile terrain
+    const geometry = new THREE.PlaneGeometry(this.chunkSize, this.chunkSize, segments, segments);
+    geometry.rotateX(-Math.PI / 2);
+    
+    // Sample heights with a one-sample border for seam-matching normals
+    const size = segments + 1;
+    const bordered = size + 2;
+    const grid = new Float32Array(bordered * bordered);
+    
+    // Work in global integer sample indices so shared edges sample bit-identical positions
+    const originCol = Math.round(centerX / step) - segments / 2 - 1;
+    const originRow = Math.round(centerZ / step) - segments / 2 - 1;
+    
+    for (let row = 0; row < bordered; row++) {
+      for (let col = 0; col < bordered; col++) {
+        // Normalize exactly as TerrainGenerator does for its own tile
+        const nx = ((originCol + col) * step + generator.width / 2) / generator.width;
+        const nz = ((originRow + row) * step + generator.depth / 2) / generator.depth;
+        grid[row * bordered + col] = generator.sampleHeight(nx, nz);
+      }
+    }
+    
+    const positions = geometry.attributes.position.array;
+    const normals = geometry.attributes.normal.array;
+    const uvs = geometry.attributes.uv.array;
+    const vertexCount = size * size;
+    const heights = new Float32Array(vertexCount);
+    const slopes = new Float32Array(vertexCount);
+    const normal = new THREE.Vector3();
+    
+    for (let row = 0; row < size; row++) {
+      for (let col = 0; col < size; col++) {
+        const i = row * size + col;
+        const g = (row + 1) * bordered + (col + 1);
+        const height = grid[g];
+        
+        heights[i] = height;
+        positions[i * 3 + 1] = height * generator.heightScale;
+        
+        // Central differences in world units
+        const dx = (grid[g + 1] - grid[g - 1]) * generator.heightScale / (2 * step);
+        const dz = (grid[g + bordered] - grid[g - bordered]) * generator.heightScale / (2 * step);
+        normal.set(-dx, 1, -dz).normalize();
+        normals[i * 3] = normal.x;
+        normals[i * 3 + 1] = normal.y;
+        normals[i * 3 + 2] = normal.z;
+        
+        // 0 = flat, 1 = vertical cliff
+        slopes[i] = 1.0 - Math.abs(normal.y);
+        
+        // World-space UVs keep the 8x tiling continuous across chunks
+        const worldX = centerX + positions[i * 3];
+        const worldZ = centerZ + positions[i * 3 + 2];
+        uvs[i * 2] = (worldX + generator.width / 2) / generator.width * 8;
+        uvs[i * 2 + 1] = (1 - (worldZ + generator.depth / 2) / generator.depth) * 8;
+      }
+    }
+    
+    geometry.setAttribute('aHeight', new THREE.BufferAttribute(heights, 1));
+    geometry.setAttribute('aSlope', new THREE.BufferAttribute(slopes, 1));
+    
+    // Erosion outputs are not available for streamed chunks
+    geometry.setAttribute('aSediment', new THREE.BufferAttribute(new Float32Array(vertexCount), 1));
+    geometry.setAttribute('aWetness', new THREE.BufferAttribute(new Float32Array(vertexCount), 1));
+    geometry.setAttribute('aTalus', new THREE.BufferAttribute(new Float32Array(vertexCount), 1));
+    
+    geometry.computeBoundingBox();
+    geometry.computeBoundingSphere();
+    
+    return geometry;
+  }
+  
+  /**
+   * Dispose of all chunks and the shared material
+   */
+  dispose() {
+    for (const chunk of this.chunks.values()) {
+      chunk.geometry.dispose();
+    }
+    this.chunks.clear();
+    this.group.clear();
+    this.material.dispose();
+  }
+}
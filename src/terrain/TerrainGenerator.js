@@ -1,6 +1,23 @@
 import * as THREE from 'three';
-import { alpineHeight } from '../utils/noise.js';
-import { createTerrainMaterial } from './terrainShader.js';
+import { randomSeed } from '../utils/random.js';
+import { createTerrainMaterial, updateTerrainUniforms } from './terrainShader.js';
+import { SnowDefaults } from './snow.js';
+import { HORIZON_DIRECTIONS, updateHorizons } from './horizon.js';
+import { readRegion, writeRegion } from './sculpting.js';
+import { resolveRecipe } from './terrainRecipe.js';
+import { createHeightSampler, generateTerrainData, updateGridNormals } from './terrainData.js';
+import { TerrainQuery } from './TerrainQuery.js';
+import { analyzeTerrain } from './terrainAnalysis.js';
+import {
+  exportHeightmapPNG,
+  exportHeightmapRaw,
+  exportOBJ,
+  exportSTL,
+  exportGLB,
+} from './exporters.js';
+
+// Vertices around a sculpted region whose horizons are re-baked straight away
+const HORIZON_UPDATE_MARGIN = 12;
 
 /**
  * TerrainGenerator - Creates procedural alpine mountain terrain
@@ -11,23 +28,135 @@ export class TerrainGenerator {
     this.depth = options.depth || 400;
     this.segments = options.segments || 256;
     this.heightScale = options.heightScale || 120;
+    
+    // Seed for reproducible terrain (a random one is picked if not given)
+    this.seed = options.seed ?? randomSeed();
+    
+    // Recipe describing how noise layers combine into height
+    this.recipe = resolveRecipe(options.recipe);
+    
+    // Optional imported heightmap used in place of the recipe
+    this.heightSource = options.heightSource || null;
+    
+    // Optional hydraulic erosion pass (false to disable, or parameter overrides)
+    this.erosion = options.erosion || false;
+    
+    // Optional thermal erosion pass that settles cliffs into talus slopes
+    this.thermalErosion = options.thermalErosion || false;
+    
+    // Optional hydrology pass that traces rivers and lakes and carves river channels
+    this.hydrology = options.hydrology || false;
+    
+    // Optional horizon bake for sky occlusion and soft shading from a low sun
+    this.horizon = options.horizon || false;
+    
+    // Optional biome layer that colours the terrain by temperature and moisture
+    this.biomes = options.biomes || false;
+    
+    // Optional snow cover pass (altitude, slope, sun and wind) with a live snowline
+    this.snow = options.snow || false;
+    
+    // Optional boulders below cliffs and across the rock zone
+    this.boulders = options.boulders || false;
+    
+    // Optional scattering of conifers, shrubs and grass tufts
+    this.vegetation = options.vegetation || false;
+    
+    // Height function used by chunk streaming
+    this.sampleHeight = createHeightSampler(this.getGenerationOptions());
+    
     this.mesh = null;
     this.geometry = null;
     this.material = null;
     
+    // Typed arrays from the last generation (see generateTerrainData)
+    this.data = null;
+    
+    // Height, normal and raycast queries against the generated grid
+    this.query = null;
+    
     // Store height data for potential use (collision, etc)
     this.heightData = [];
   }
   
   /**
-   * Generate the terrain mesh
+   * Generate the terrain mesh synchronously
+   * @param {Object} [callbacks] - { onProgress, signal }, see generateTerrainData
    * @returns {THREE.Mesh} The terrain mesh
    */
-  generate() {
-    this.geometry = this.createGeometry();
-    this.material = createTerrainMaterial();
+  generate(callbacks) {
+    const data = generateTerrainData(this.getGenerationOptions(), callbacks);
+    return this.createMesh(data);
+  }
+  
+  /**
+   * Generate the terrain mesh in a worker pool, keeping the page responsive
+   * @param {TerrainWorkerPool} pool - Pool to run the generation on
+   * @param {Object} [callbacks]
+   * @param {Function} [callbacks.onProgress] - Called with (progress 0-1, stage name)
+   * @param {AbortSignal} [callbacks.signal] - Cancels generation (rejects with an AbortError)
+   * @returns {Promise<THREE.Mesh>} The terrain mesh
+   */
+  async generateAsync(pool, callbacks) {
+    const data = await pool.run('generate', this.getGenerationOptions(), callbacks);
+    return this.createMesh(data);
+  }
+  
+  /**
+   * Replace the procedural recipe with an imported heightmap
+   * Call generate() or generateAsync() afterwards to rebuild the mesh.
+   * @param {HeightmapSource|null} source - Heightmap, or null to go back to the recipe
+   */
+  setHeightSource(source) {
+    this.heightSource = source;
+    this.sampleHeight = createHeightSampler(this.getGenerationOptions());
+  }
+  
+  /**
+   * Plain, structured-cloneable options describing this terrain
+   * @returns {Object}
+   */
+  getGenerationOptions() {
+    return {
+      width: this.width,
+      depth: this.depth,
+      segments: this.segments,
+      heightScale: this.heightScale,
+      seed: this.seed,
+      recipe: this.recipe,
+      heightmap: this.heightSource ? this.heightSource.toJSON() : null,
+      erosion: this.erosion,
+      thermalErosion: this.thermalErosion,
+      hydrology: this.hydrology,
+      horizon: this.horizon,
+      biomes: this.biomes,
+      snow: this.snow,
+      boulders: this.boulders,
+      vegetation: this.vegetation,
+    };
+  }
+  
+  /**
+   * Build (or rebuild) the terrain mesh from generated data
+   * @param {Object} data - Result of generateTerrainData
+   * @returns {THREE.Mesh} The terrain mesh
+   */
+  createMesh(data) {
+    if (this.geometry) {
+      this.geometry.dispose();
+    }
+    
+    this.data = data;
+    this.query = new TerrainQuery(data);
+    this.heightData = Array.from(data.heights);
+    this.geometry = this.createGeometry(data);
     
-    this.mesh = new THREE.Mesh(this.geometry, this.material);
+    if (this.mesh) {
+      this.mesh.geometry = this.geometry;
+      return this.mesh;
+    }
+    
+    this.mesh = new THREE.Mesh(this.geometry, this.getMaterial());
     this.mesh.receiveShadow = true;
     this.mesh.castShadow = true;
     
@@ -38,93 +167,318 @@ export class TerrainGenerator {
   }
   
   /**
-   * Create the terrain geometry with procedural heightmap
+   * Create the terrain geometry from generated data
+   * @param {Object} data - Result of generateTerrainData
    * @returns {THREE.BufferGeometry}
    */
-  createGeometry() {
-    const geometry = new THREE.PlaneGeometry(
-      this.width,
-      this.depth,
-      this.segments,
-      this.segments
-    );
-    
-    // Rotate to be horizontal (XZ plane)
-    geometry.rotateX(-Math.PI / 2);
-    
-    const positions = geometry.attributes.position.array;
-    const normals = geometry.attributes.normal.array;
-    const uvs = geometry.attributes.uv.array;
-    
-    // Create new arrays for custom attributes
-    const vertexCount = positions.length / 3;
-    const heights = new Float32Array(vertexCount);
-    const slopes = new Float32Array(vertexCount);
-    
-    // Apply heightmap to vertices
-    for (let i = 0; i < vertexCount; i++) {
-      const x = positions[i * 3];
-      const z = positions[i * 3 + 2];
-      
-      // Normalize coordinates to 0-1 range for noise
-      const nx = (x + this.width / 2) / this.width;
-      const nz = (z + this.depth / 2) / this.depth;
-      
-      // Get height from noise function
-      const height = alpineHeight(nx, nz);
-      
-      // Store raw height
-      this.heightData.push(height);
-      heights[i] = height;
-      
-      // Apply height to vertex
-      positions[i * 3 + 1] = height * this.heightScale;
-    }
+  createGeometry(data) {
+    const geometry = new THREE.BufferGeometry();
     
-    // Recompute normals after displacement
-    geometry.computeVertexNormals();
+    geometry.setIndex(new THREE.BufferAttribute(data.indices, 1));
+    geometry.setAttribute('position', new THREE.BufferAttribute(data.positions, 3));
+    geometry.setAttribute('normal', new THREE.BufferAttribute(data.normals, 3));
+    geometry.setAttribute('uv', new THREE.BufferAttribute(data.uvs, 2));
     
-    // Calculate slope for each vertex (for shader)
-    const newNormals = geometry.attributes.normal.array;
-    for (let i = 0; i < vertexCount; i++) {
-      const ny = newNormals[i * 3 + 1]; // Y component of normal
-      // Slope is inverse of how much the normal points up
-      // 0 = flat, 1 = vertical cliff
-      slopes[i] = 1.0 - Math.abs(ny);
+    // Add custom attributes
+    geometry.setAttribute('aHeight', new THREE.BufferAttribute(data.heights, 1));
+    geometry.setAttribute('aSlope', new THREE.BufferAttribute(data.slopes, 1));
+    geometry.setAttribute('aSediment', new THREE.BufferAttribute(data.sediment, 1));
+    geometry.setAttribute('aWetness', new THREE.BufferAttribute(data.wetness, 1));
+    geometry.setAttribute('aTalus', new THREE.BufferAttribute(data.talus, 1));
+    
+    // Effective snow altitude; the shader turns it into depth for the live snowline
+    if (data.snowAltitude) {
+      geometry.setAttribute('aSnowAltitude', new THREE.BufferAttribute(data.snowAltitude, 1));
     }
     
-    // Add custom attributes
-    geometry.setAttribute('aHeight', new THREE.BufferAttribute(heights, 1));
-    geometry.setAttribute('aSlope', new THREE.BufferAttribute(slopes, 1));
+    // Sky visibility and eight horizon heights per vertex, the horizons read as two vec4s
+    if (data.skyVisibility) {
+      geometry.setAttribute('aSkyVisibility', new THREE.BufferAttribute(data.skyVisibility, 1));
+      const horizon = new THREE.InterleavedBuffer(data.horizon, HORIZON_DIRECTIONS);
+      geometry.setAttribute('aHorizon0', new THREE.InterleavedBufferAttribute(horizon, 4, 0));
+      geometry.setAttribute('aHorizon1', new THREE.InterleavedBufferAttribute(horizon, 4, 4));
+    }
     
-    // Improve UVs for better texture mapping
-    for (let i = 0; i < uvs.length; i += 2) {
-      uvs[i] *= 8; // Tile texture 8x
-      uvs[i + 1] *= 8;
+    // Eight biome weights per vertex, read by the shader as two vec4s
+    if (data.biomeWeights) {
+      const weights = new THREE.InterleavedBuffer(data.biomeWeights, 8);
+      geometry.setAttribute('aBiome0', new THREE.InterleavedBufferAttribute(weights, 4, 0));
+      geometry.setAttribute('aBiome1', new THREE.InterleavedBufferAttribute(weights, 4, 4));
     }
     
-    geometry.attributes.position.needsUpdate = true;
-    geometry.attributes.uv.needsUpdate = true;
+    geometry.computeBoundingBox();
+    geometry.computeBoundingSphere();
     
     return geometry;
   }
   
   /**
-   * Get height at a specific world position
-   * @param {number} x - World X coordinate
-   * @param {number} z - World Z coordinate
-   * @returns {number} Height at that position
+   * Get the live height grid for editing
+   * Change the heights in place, then call updateHeights with the region that changed.
+   * @returns {Object} { heights, segments, width, depth, heightScale, seed }
+   *   heights: Float32Array of normalized heights, row-major along +Z
+   */
+  getHeightGrid() {
+    if (!this.data) {
+      throw new Error('Generate the terrain before editing it');
+    }
+    return {
+      heights: this.data.heights,
+      segments: this.segments,
+      width: this.width,
+      depth: this.depth,
+      heightScale: this.heightScale,
+      seed: this.seed,
+    };
+  }
+  
+  /**
+   * Write heights into a region of the grid and refresh the mesh there
+   * @param {Object} region - { minRow, maxRow, minCol, maxCol } of vertices, inclusive
+   * @param {Float32Array} values - Normalized heights, row by row across the region
+   * @param {Object} [horizons] - Baked horizons to restore instead of re-baking them (from readHorizons)
+   */
+  setHeights(region, values, horizons) {
+    const { heights } = this.getHeightGrid();
+    writeRegion(heights, this.segments, region, values);
+    this.updateHeights(region, horizons);
+  }
+  
+  /**
+   * Copy the baked horizons of the whole grid, e.g. before an edit
+   * @returns {Object|null} { horizon, skyVisibility }, or null without the horizon bake
+   */
+  getHorizons() {
+    if (!this.data || !this.data.skyVisibility) {
+      return null;
+    }
+    return { horizon: this.data.horizon.slice(), skyVisibility: this.data.skyVisibility.slice() };
+  }
+  
+  /**
+   * Copy the baked horizons that a height edit re-bakes, to restore them later
+   * @param {Object} region - { minRow, maxRow, minCol, maxCol } of changed vertices, inclusive
+   * @param {Object} [source] - { horizon, skyVisibility } to read from, e.g. from getHorizons (default: the live bake)
+   * @returns {Object|null} { region, horizon, skyVisibility }, or null without the horizon bake
+   */
+  readHorizons(region, source = this.data) {
+    if (!this.data || !this.data.skyVisibility) {
+      return null;
+    }
+    const horizonRegion = this.getHorizonRegion(region);
+    return {
+      region: horizonRegion,
+      horizon: readRegion(source.horizon, this.segments, horizonRegion, HORIZON_DIRECTIONS),
+      skyVisibility: readRegion(source.skyVisibility, this.segments, horizonRegion),
+    };
+  }
+  
+  /**
+   * Vertices whose horizons are re-baked when heights change inside a region
+   * @param {Object} region - { minRow, maxRow, minCol, maxCol }, inclusive
+   * @returns {Object}
+   */
+  getHorizonRegion(region) {
+    return {
+      minRow: Math.max(0, region.minRow - HORIZON_UPDATE_MARGIN),
+      maxRow: Math.min(this.segments, region.maxRow + HORIZON_UPDATE_MARGIN),
+      minCol: Math.max(0, region.minCol - HORIZON_UPDATE_MARGIN),
+      maxCol: Math.min(this.segments, region.maxCol + HORIZON_UPDATE_MARGIN),
+    };
+  }
+  
+  /**
+   * Refresh the mesh after heights changed inside a region
+   * Updates position, aHeight, normal and aSlope there (normals and slopes one vertex
+   * beyond, since they share faces), and shifts aSnowAltitude with the ground.
+   * Horizons are re-baked a short way around the region (see getHorizonRegion);
+   * ground further out keeps its old horizons. Water, boulders and plants are not moved.
+   * @param {Object} region - { minRow, maxRow, minCol, maxCol } of changed vertices, inclusive
+   * @param {Object} [horizons] - Baked horizons to restore instead of re-baking them (from readHorizons)
    */
-  getHeightAt(x, z) {
-    // Normalize to terrain coordinates
-    const nx = (x + this.width / 2) / this.width;
-    const nz = (z + this.depth / 2) / this.depth;
+  updateHeights(region, horizons) {
+    const { positions, normals, slopes, heights, snowAltitude, skyVisibility } = this.data;
+    const size = this.segments + 1;
+    
+    for (let row = region.minRow; row <= region.maxRow; row++) {
+      for (let col = region.minCol; col <= region.maxCol; col++) {
+        const i = row * size + col;
+        if (snowAltitude) {
+          snowAltitude[i] += heights[i] - positions[i * 3 + 1] / this.heightScale;
+        }
+        positions[i * 3 + 1] = heights[i] * this.heightScale;
+        this.heightData[i] = heights[i];
+      }
+    }
+    
+    const normalRegion = updateGridNormals(positions, normals, this.segments, region);
+    for (let row = normalRegion.minRow; row <= normalRegion.maxRow; row++) {
+      for (let col = normalRegion.minCol; col <= normalRegion.maxCol; col++) {
+        const i = row * size + col;
+        slopes[i] = 1.0 - Math.abs(normals[i * 3 + 1]);
+      }
+    }
+    
+    let horizonRegion = null;
+    if (skyVisibility && horizons) {
+      horizonRegion = horizons.region;
+      writeRegion(this.data.horizon, this.segments, horizonRegion, horizons.horizon, HORIZON_DIRECTIONS);
+      writeRegion(skyVisibility, this.segments, horizonRegion, horizons.skyVisibility);
+    } else if (skyVisibility) {
+      horizonRegion = this.getHorizonRegion(region);
+      const horizonOptions = this.horizon === true ? {} : this.horizon;
+      updateHorizons(this.data, this.data, horizonRegion, horizonOptions);
+    }
     
-    if (nx < 0 || nx > 1 || nz < 0 || nz > 1) {
-      return 0;
+    // Upload only the rows that changed
+    const { attributes } = this.geometry;
+    markRegion(attributes.position, size, region);
+    markRegion(attributes.aHeight, size, region);
+    markRegion(attributes.normal, size, normalRegion);
+    markRegion(attributes.aSlope, size, normalRegion);
+    if (attributes.aSnowAltitude) {
+      markRegion(attributes.aSnowAltitude, size, region);
+    }
+    if (horizonRegion) {
+      markRegion(attributes.aSkyVisibility, size, horizonRegion);
+      // Both horizon attributes share one interleaved buffer
+      markRegion(attributes.aHorizon0.data, size, horizonRegion);
     }
     
-    return alpineHeight(nx, nz) * this.heightScale;
+    this.geometry.computeBoundingBox();
+    this.geometry.computeBoundingSphere();
+    this.query.updateBounds();
+  }
+  
+  /**
+   * Export the height grid as an image or RAW file
+   * @param {string} [format='png'] - 'png' (16-bit greyscale) or 'raw' (16-bit little-endian)
+   * @returns {Promise<Uint8Array>}
+   */
+  async exportHeightmap(format = 'png') {
+    const data = this.getExportData();
+    switch (format) {
+      case 'png':
+        return exportHeightmapPNG(data);
+      case 'raw':
+        return exportHeightmapRaw(data);
+      default:
+        throw new Error(`Unsupported heightmap export format "${format}"`);
+    }
+  }
+  
+  /**
+   * Export the displaced mesh
+   * @param {string} [format='glb'] - 'obj', 'stl' or 'glb'
+   * @param {Object} [options] - STL options ({ base, baseThickness })
+   * @returns {Uint8Array|string} File contents (OBJ is text)
+   */
+  exportMesh(format = 'glb', options = {}) {
+    const data = this.getExportData();
+    switch (format) {
+      case 'obj':
+        return exportOBJ(data);
+      case 'stl':
+        return exportSTL(data, options);
+      case 'glb':
+        return exportGLB(data);
+      default:
+        throw new Error(`Unsupported mesh export format "${format}"`);
+    }
+  }
+  
+  /**
+   * Terrain data for exporters, failing clearly if nothing was generated yet
+   * @returns {Object}
+   */
+  getExportData() {
+    if (!this.data) {
+      throw new Error('Generate the terrain before exporting it');
+    }
+    return this.data;
+  }
+  
+  /**
+   * Get height at a specific world position, matching the rendered mesh
+   * @param {number} x - World X coordinate
+   * @param {number} z - World Z coordinate
+   * @param {Object} [options]
+   * @param {boolean} [options.clamp=false] - Snap outside points to the nearest edge instead of returning null
+   * @returns {number|null} Height at that position, or null outside the terrain
+   */
+  getHeightAt(x, z, options) {
+    return this.getQuery().getHeight(x, z, options);
+  }
+  
+  /**
+   * Get the query API for the generated terrain (height, normal, slope, zone, raycast)
+   * @returns {TerrainQuery}
+   */
+  getQuery() {
+    if (!this.query) {
+      throw new Error('Generate the terrain before querying it');
+    }
+    return this.query;
+  }
+  
+  /**
+   * Compute slope, aspect, curvature and elevation statistics for the generated terrain
+   * @param {Object} [options] - Overrides for AnalysisDefaults
+   * @returns {Object} Typed arrays and a summary, see analyzeTerrain
+   */
+  analyze(options) {
+    if (!this.data) {
+      throw new Error('Generate the terrain before analysing it');
+    }
+    return analyzeTerrain(this.data, options);
+  }
+  
+  /**
+   * Get the rivers and lakes from the last generation
+   * @returns {Object|null} Water features (see createWaterFeatures), or null if hydrology is off
+   */
+  getWaterFeatures() {
+    return this.data ? this.data.water : null;
+  }
+  
+  /**
+   * Get the boulders placed by the last generation
+   * @returns {Object|null} Boulders (see placeBoulders), or null if boulders are off
+   */
+  getBoulders() {
+    return this.data ? this.data.boulders : null;
+  }
+  
+  /**
+   * Get the plants scattered by the last generation
+   * @returns {Object|null} Vegetation (see scatterVegetation), or null if vegetation is off
+   */
+  getVegetation() {
+    return this.data ? this.data.vegetation : null;
+  }
+  
+  /**
+   * Move the snowline without rebuilding the geometry
+   * @param {number} altitude - Snowline in world units
+   */
+  setSnowLine(altitude) {
+    updateTerrainUniforms(this.getMaterial(), { snowLine: altitude / this.heightScale });
+  }
+  
+  /**
+   * Get the snowline
+   * @returns {number} Snowline in world units
+   */
+  getSnowLine() {
+    return this.getMaterial().uniforms.uSnowLine.value * this.heightScale;
+  }
+  
+  /**
+   * Get the seed this terrain was generated from
+   * @returns {number|string}
+   */
+  getSeed() {
+    return this.seed;
   }
   
   /**
@@ -140,6 +494,20 @@ export class TerrainGenerator {
    * @returns {THREE.ShaderMaterial}
    */
   getMaterial() {
+    // Created on demand so it can be wired up before generation finishes
+    if (!this.material) {
+      this.material = createTerrainMaterial({
+        biomes: Boolean(this.biomes),
+        snowCover: Boolean(this.snow),
+        horizon: Boolean(this.horizon),
+      });
+      
+      const snow = { ...SnowDefaults, ...(this.snow === true ? {} : this.snow) };
+      updateTerrainUniforms(this.material, {
+        snowLine: snow.snowLine,
+        snowDepthRange: snow.depthRange,
+      });
+    }
     return this.material;
   }
   
@@ -164,3 +532,16 @@ export class TerrainGenerator {
   }
 }
 
+/**
+ * Flag the rows of a grid region for upload
+ * @param {THREE.BufferAttribute|THREE.InterleavedBuffer} attribute
+ * @param {number} size - Grid points along each side
+ * @param {Object} region - { minRow, maxRow, minCol, maxCol }, inclusive
+ */
+function markRegion(attribute, size, region) {
+  const itemSize = attribute.isInterleavedBuffer ? attribute.stride : attribute.itemSize;
+  const start = (region.minRow * size + region.minCol) * itemSize;
+  const end = (region.maxRow * size + region.maxCol + 1) * itemSize;
+  attribute.addUpdateRange(start, end - start);
+  attribute.needsUpdate = true;
+}
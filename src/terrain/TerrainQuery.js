@@ -0,0 +1,313 @@
+import * as THREE from 'three';
+import { classifyZone } from './terrainZones.js';
+
+const _a = new THREE.Vector3();
+const _b = new THREE.Vector3();
+const _c = new THREE.Vector3();
+const _d = new THREE.Vector3();
+const _hit = new THREE.Vector3();
+const _entry = new THREE.Vector3();
+
+/**
+ * TerrainQuery - Height, normal and raycast queries against the generated grid
+ *
+ * Answers match the rendered mesh exactly: each grid cell is split along the
+ * same diagonal as the terrain triangles and interpolated within its triangle.
+ * Points outside the terrain return null unless { clamp: true } is passed,
+ * which snaps them to the nearest edge.
+ */
+export class TerrainQuery {
+  /**
+   * @param {Object} data - Result of generateTerrainData (heights are read live, so edits show up)
+   */
+  constructor(data) {
+    this.data = data;
+    this.width = data.width;
+    this.depth = data.depth;
+    this.segments = data.segments;
+    this.heightScale = data.heightScale;
+    this.size = data.segments + 1;
+    this.cellWidth = data.width / data.segments;
+    this.cellDepth = data.depth / data.segments;
+    
+    // Vertical extent for clipping rays
+    this.bounds = new THREE.Box3();
+    this.updateBounds();
+  }
+  
+  /**
+   * Recompute the vertical extent after heights change
+   */
+  updateBounds() {
+    let min = Infinity;
+    let max = -Infinity;
+    for (const height of this.data.heights) {
+      min = Math.min(min, height);
+      max = Math.max(max, height);
+    }
+    
+    this.bounds.min.set(-this.width / 2, min * this.heightScale, -this.depth / 2);
+    this.bounds.max.set(this.width / 2, max * this.heightScale, this.depth / 2);
+  }
+  
+  /**
+   * Check whether a world position lies over the terrain
+   * @param {number} x - World X coordinate
+   * @param {number} z - World Z coordinate
+   * @returns {boolean}
+   */
+  isInside(x, z) {
+    return Math.abs(x) <= this.width / 2 && Math.abs(z) <= this.depth / 2;
+  }
+  
+  /**
+   * Get the surface height at a world position
+   * @param {number} x - World X coordinate
+   * @param {number} z - World Z coordinate
+   * @param {Object} [options]
+   * @param {boolean} [options.clamp=false] - Snap outside points to the nearest edge instead of returning null
+   * @returns {number|null} World height, or null outside the terrain
+   */
+  getHeight(x, z, options = {}) {
+    const cell = this.locate(x, z, options.clamp);
+    if (!cell) {
+      return null;
+    }
+    
+    return this.interpolate(cell) * this.heightScale;
+  }
+  
+  /**
+   * Sample everything known about the surface at a world position
+   * @param {number} x - World X coordinate
+   * @param {number} z - World Z coordinate
+   * @param {Object} [options]
+   * @param {boolean} [options.clamp=false] - Snap outside points to the nearest edge instead of returning null
+   * @returns {Object|null} { position, height, normal, slope, zone }, or null outside the terrain
+   *   height is in world units, normal is the face normal of the triangle under the point,
+   *   slope is 0 (flat) to 1 (vertical) as in the aSlope attribute
+   */
+  sample(x, z, options = {}) {
+    const cell = this.locate(x, z, options.clamp);
+    if (!cell) {
+      return null;
+    }
+    
+    const height = this.interpolate(cell);
+    const normal = this.faceNormal(cell, new THREE.Vector3());
+    const slope = 1 - Math.abs(normal.y);
+    
+    return {
+      position: new THREE.Vector3(cell.x, height * this.heightScale, cell.z),
+      height: height * this.heightScale,
+      normal,
+      slope,
+      zone: classifyZone(height, slope),
+    };
+  }
+  
+  /**
+   * Get the surface normal at a world position
+   * @param {number} x - World X coordinate
+   * @param {number} z - World Z coordinate
+   * @param {Object} [options] - { clamp }, see getHeight
+   * @param {THREE.Vector3} [target] - Vector to store the result in
+   * @returns {THREE.Vector3|null} Face normal, or null outside the terrain
+   */
+  getNormal(x, z, options = {}, target = new THREE.Vector3()) {
+    const cell = this.locate(x, z, options.clamp);
+    return cell ? this.faceNormal(cell, target) : null;
+  }
+  
+  /**
+   * Find where a ray first hits the terrain surface
+   * Walks the grid cells under the ray (2D DDA) and tests only their two triangles.
+   * @param {THREE.Ray} ray - World-space ray (e.g. from Raycaster.ray)
+   * @param {Object} [options]
+   * @param {number} [options.maxDistance=Infinity] - Ignore hits further than this
+   * @returns {Object|null} { point, distance, normal, slope, zone }, or null if the ray misses
+   */
+  raycast(ray, options = {}) {
+    const maxDistance = options.maxDistance ?? Infinity;
+    
+    // Skip straight to where the ray enters the terrain's bounding box
+    let start = 0;
+    if (!this.bounds.containsPoint(ray.origin)) {
+      if (!ray.intersectBox(this.bounds, _entry)) {
+        return null;
+      }
+      start = _entry.distanceTo(ray.origin);
+    }
+    if (start > maxDistance) {
+      return null;
+    }
+    
+    const { origin, direction } = ray;
+    const gx = (origin.x + direction.x * start + this.width / 2) / this.cellWidth;
+    const gz = (origin.z + direction.z * start + this.depth / 2) / this.cellDepth;
+    let col = Math.min(Math.max(Math.floor(gx), 0), this.segments - 1);
+    let row = Math.min(Math.max(Math.floor(gz), 0), this.segments - 1);
+    
+    // Distance along the ray between grid lines, and to the first ones
+    const stepCol = direction.x > 0 ? 1 : -1;
+    const stepRow = direction.z > 0 ? 1 : -1;
+    const deltaX = direction.x !== 0 ? Math.abs(this.cellWidth / direction.x) : Infinity;
+    const deltaZ = direction.z !== 0 ? Math.abs(this.cellDepth / direction.z) : Infinity;
+    const nextX = (col + (stepCol > 0 ? 1 : 0)) * this.cellWidth - this.width / 2;
+    const nextZ = (row + (stepRow > 0 ? 1 : 0)) * this.cellDepth - this.depth / 2;
+    let tMaxX = direction.x !== 0 ? (nextX - origin.x) / direction.x : Infinity;
+    let tMaxZ = direction.z !== 0 ? (nextZ - origin.z) / direction.z : Infinity;
+    let tEnter = start;
+    
+    while (col >= 0 && col < this.segments && row >= 0 && row < this.segments && tEnter <= maxDistance) {
+      const tExit = Math.min(tMaxX, tMaxZ, maxDistance);
+      
+      // Only test triangles if the ray dips low enough within this cell
+      const lowestY = Math.min(origin.y + direction.y * tEnter, origin.y + direction.y * tExit);
+      if (lowestY <= this.cellMaxHeight(row, col)) {
+        const hit = this.intersectCell(ray, row, col, maxDistance);
+        if (hit) {
+          return hit;
+        }
+      }
+      
+      // A vertical ray never leaves its cell
+      if (tMaxX === Infinity && tMaxZ === Infinity) {
+        break;
+      }
+      
+      // Step into the next cell along whichever grid line comes first
+      if (tMaxX < tMaxZ) {
+        col += stepCol;
+        tEnter = tMaxX;
+        tMaxX += deltaX;
+      } else {
+        row += stepRow;
+        tEnter = tMaxZ;
+        tMaxZ += deltaZ;
+      }
+    }
+    
+    return null;
+  }
+  
+  /**
+   * Find the cell and triangle containing a world position
+   * @returns {Object|null} { x, z, row, col, fx, fz }
+   */
+  locate(x, z, clamp = false) {
+    if (!this.isInside(x, z)) {
+      if (!clamp) {
+        return null;
+      }
+      x = Math.min(Math.max(x, -this.width / 2), this.width / 2);
+      z = Math.min(Math.max(z, -this.depth / 2), this.depth / 2);
+    }
+    
+    const gx = (x + this.width / 2) / this.cellWidth;
+    const gz = (z + this.depth / 2) / this.cellDepth;
+    const col = Math.min(Math.floor(gx), this.segments - 1);
+    const row = Math.min(Math.floor(gz), this.segments - 1);
+    
+    return { x, z, row, col, fx: gx - col, fz: gz - row };
+  }
+  
+  /**
+   * Normalized height within a cell, on the triangle the point falls in
+   * Cells are split along the b-d diagonal: (a, b, d) where fx + fz <= 1, else (b, c, d).
+   */
+  interpolate({ row, col, fx, fz }) {
+    const { ha, hb, hc, hd } = this.cellHeights(row, col);
+    
+    if (fx + fz <= 1) {
+      return ha + (hd - ha) * fx + (hb - ha) * fz;
+    }
+    return hc + (hb - hc) * (1 - fx) + (hd - hc) * (1 - fz);
+  }
+  
+  /**
+   * World-space normal of the triangle a point falls in
+   */
+  faceNormal({ row, col, fx, fz }, target) {
+    const { ha, hb, hc, hd } = this.cellHeights(row, col);
+    
+    // Height gradient in world units across the triangle
+    const upper = fx + fz <= 1;
+    const dx = (upper ? hd - ha : hc - hb) * this.heightScale / this.cellWidth;
+    const dz = (upper ? hb - ha : hc - hd) * this.heightScale / this.cellDepth;
+    
+    return target.set(-dx, 1, -dz).normalize();
+  }
+  
+  /**
+   * Normalized heights at the four corners of a cell
+   * a = (row, col), b = (row + 1, col), c = (row + 1, col + 1), d = (row, col + 1)
+   */
+  cellHeights(row, col) {
+    const heights = this.data.heights;
+    const a = row * this.size + col;
+    return {
+      ha: heights[a],
+      hb: heights[a + this.size],
+      hc: heights[a + this.size + 1],
+      hd: heights[a + 1],
+    };
+  }
+  
+  /**
+   * Highest world height among a cell's corners
+   */
+  cellMaxHeight(row, col) {
+    const { ha, hb, hc, hd } = this.cellHeights(row, col);
+    return Math.max(ha, hb, hc, hd) * this.heightScale;
+  }
+  
+  /**
+   * Intersect a ray with the two triangles of a cell
+   * @returns {Object|null} Nearest hit, see raycast
+   */
+  intersectCell(ray, row, col, maxDistance) {
+    const { ha, hb, hc, hd } = this.cellHeights(row, col);
+    const x0 = col * this.cellWidth - this.width / 2;
+    const z0 = row * this.cellDepth - this.depth / 2;
+    const x1 = x0 + this.cellWidth;
+    const z1 = z0 + this.cellDepth;
+    const scale = this.heightScale;
+    
+    _a.set(x0, ha * scale, z0);
+    _b.set(x0, hb * scale, z1);
+    _c.set(x1, hc * scale, z1);
+    _d.set(x1, hd * scale, z0);
+    
+    // Back faces are culled like the rendered mesh, so rays from below pass through
+    let best = null;
+    for (const [p, q, r] of [[_a, _b, _d], [_b, _c, _d]]) {
+      if (!ray.intersectTriangle(p, q, r, true, _hit)) continue;
+      
+      const distance = _hit.distanceTo(ray.origin);
+      if (distance <= maxDistance && (!best || distance < best.distance)) {
+        best = { point: _hit.clone(), distance };
+      }
+    }
+    
+    if (!best) {
+      return null;
+    }
+    
+    const cell = {
+      row,
+      col,
+      fx: (best.point.x - x0) / this.cellWidth,
+      fz: (best.point.z - z0) / this.cellDepth,
+    };
+    const normal = this.faceNormal(cell, new THREE.Vector3());
+    const slope = 1 - Math.abs(normal.y);
+    
+    return {
+      ...best,
+      normal,
+      slope,
+      zone: classifyZone(best.point.y / scale, slope),
+    };
+  }
+}
@@ -0,0 +1,175 @@
+import { CommandHistory } from '../utils/CommandHistory.js';
+import { BrushDefaults, SculptBrushes, BrushFalloffs, applyBrush, mergeRegions, readRegion } from './sculpting.js';
+
+/**
+ * TerrainSculptor - Hand edits to a generated terrain, with undo/redo
+ *
+ * Dabs between beginStroke() and endStroke() form one stroke. Each dab edits
+ * the height grid and refreshes only the part of the mesh it touched; the
+ * whole stroke is recorded as a single command, so one undo reverts it.
+ */
+export class TerrainSculptor {
+  /**
+   * @param {TerrainGenerator} terrain - Generated terrain to edit
+   * @param {Object} [options]
+   * @param {Object} [options.brush] - Overrides for BrushDefaults
+   * @param {number} [options.historyLimit=50] - Strokes kept for undo
+   */
+  constructor(terrain, options = {}) {
+    this.terrain = terrain;
+    this.brush = { ...BrushDefaults };
+    this.setBrush(options.brush || {});
+    
+    this.history = new CommandHistory({ limit: options.historyLimit ?? 50 });
+    
+    // Stroke in progress: { grid, before, horizons, region, state }
+    this.stroke = null;
+  }
+  
+  /**
+   * Change brush settings
+   * @param {Object} settings - Any of { type, radius, strength, falloff }
+   */
+  setBrush(settings) {
+    if (settings.type !== undefined && !SculptBrushes.includes(settings.type)) {
+      throw new Error(`Unknown sculpt brush: ${settings.type}`);
+    }
+    if (settings.falloff !== undefined && !BrushFalloffs[settings.falloff]) {
+      throw new Error(`Unknown brush falloff: ${settings.falloff}`);
+    }
+    Object.assign(this.brush, settings);
+  }
+  
+  /**
+   * Get the current brush settings
+   * @returns {Object} { type, radius, strength, falloff }
+   */
+  getBrush() {
+    return { ...this.brush };
+  }
+  
+  /**
+   * Start a stroke with a first dab
+   * @param {number} x - World X
+   * @param {number} z - World Z
+   */
+  beginStroke(x, z) {
+    this.endStroke();
+    
+    const grid = this.terrain.getHeightGrid();
+    this.stroke = {
+      grid,
+      before: grid.heights.slice(),
+      horizons: this.terrain.getHorizons(),
+      region: null,
+      state: {},
+    };
+    this.dab(x, z);
+  }
+  
+  /**
+   * Apply the brush once at a position during a stroke
+   * @param {number} x - World X
+   * @param {number} z - World Z
+   */
+  dab(x, z) {
+    if (!this.stroke) {
+      return;
+    }
+    
+    const region = applyBrush(this.stroke.grid, x, z, this.brush, this.stroke.state);
+    if (region) {
+      this.terrain.updateHeights(region);
+      this.stroke.region = mergeRegions(this.stroke.region, region);
+    }
+  }
+  
+  /**
+   * Finish the stroke and record it for undo
+   */
+  endStroke() {
+    if (!this.stroke) {
+      return;
+    }
+    
+    const { grid, before, horizons, region } = this.stroke;
+    this.stroke = null;
+    if (!region) {
+      return;
+    }
+    
+    this.history.push(new HeightEdit(
+      this.terrain,
+      region,
+      readRegion(before, grid.segments, region),
+      readRegion(grid.heights, grid.segments, region),
+      // Horizons are restored as they were, rather than re-baked around the region
+      horizons && this.terrain.readHorizons(region, horizons),
+      horizons && this.terrain.readHorizons(region)
+    ));
+  }
+  
+  /**
+   * Check whether a stroke is in progress
+   * @returns {boolean}
+   */
+  isStroking() {
+    return this.stroke !== null;
+  }
+  
+  /**
+   * Revert the last stroke
+   * @returns {boolean} False if there was nothing to undo
+   */
+  undo() {
+    this.endStroke();
+    return this.history.undo();
+  }
+  
+  /**
+   * Re-apply the last undone stroke
+   * @returns {boolean} False if there was nothing to redo
+   */
+  redo() {
+    this.endStroke();
+    return this.history.redo();
+  }
+  
+  /**
+   * Forget all strokes (e.g. after the terrain is regenerated)
+   */
+  clearHistory() {
+    this.stroke = null;
+    this.history.clear();
+  }
+}
+
+/**
+ * Undoable change to a region of the height grid
+ */
+class HeightEdit {
+  /**
+   * @param {TerrainGenerator} terrain
+   * @param {Object} region - { minRow, maxRow, minCol, maxCol }, inclusive
+   * @param {Float32Array} before - Heights in the region before the edit
+   * @param {Float32Array} after - Heights in the region after the edit
+   * @param {Object|null} horizonsBefore - Baked horizons before the edit (see TerrainGenerator.readHorizons)
+   * @param {Object|null} horizonsAfter - Baked horizons after the edit
+   */
+  constructor(terrain, region, before, after, horizonsBefore, horizonsAfter) {
+    this.terrain = terrain;
+    this.region = region;
+    this.before = before;
+    this.after = after;
+    this.horizonsBefore = horizonsBefore;
+    this.horizonsAfter = horizonsAfter;
+  }
+  
+  undo() {
+    this.terrain.setHeights(this.region, this.before, this.horizonsBefore);
+  }
+  
+  redo() {
+    this.terrain.setHeights(this.region, this.after, this.horizonsAfter);
+  }
+}
@@ -0,0 +1,161 @@
+/**
+ * TerrainWorkerPool - Queues terrain tasks across a pool of Web Workers
+ *
+ * Results come back as transferable typed arrays, so large grids are moved
+ * rather than copied. Cancelling a running task terminates its worker (a
+ * busy worker can't read messages mid-task) and starts a fresh one.
+ */
+export class TerrainWorkerPool {
+  constructor(size) {
+    const cores = typeof navigator !== 'undefined' ? navigator.hardwareConcurrency || 2 : 2;
+    this.size = size || Math.max(1, Math.min(4, cores - 1));
+    
+    this.workers = [];
+    this.idle = [];
+    this.queue = [];
+    this.nextId = 1;
+    
+    for (let i = 0; i < this.size; i++) {
+      this.addWorker();
+    }
+  }
+  
+  /**
+   * Start a new worker and mark it idle
+   */
+  addWorker() {
+    const worker = new Worker(new URL('./terrainWorker.js', import.meta.url), { type: 'module' });
+    worker.onmessage = (event) => this.handleMessage(worker, event.data);
+    worker.onerror = (event) => this.handleMessage(worker, {
+      type: 'error',
+      name: 'Error',
+      message: event.message || 'Terrain worker failed',
+    });
+    worker.task = null;
+    
+    this.workers.push(worker);
+    this.idle.push(worker);
+  }
+  
+  /**
+   * Run a task on the next free worker
+   * @param {string} type - Task type, e.g. 'generate'
+   * @param {Object} payload - Structured-cloneable task input
+   * @param {Object} [options]
+   * @param {Function} [options.onProgress] - Called with (progress 0-1, stage name)
+   * @param {AbortSignal} [options.signal] - Cancels the task
+   * @returns {Promise<Object>} Task result
+   */
+  run(type, payload, { onProgress, signal } = {}) {
+    return new Promise((resolve, reject) => {
+      if (signal && signal.aborted) {
+        reject(createAbortError());
+        return;
+      }
+      
+      const task = { id: this.nextId++, type, payload, onProgress, resolve, reject, worker: null };
+      
+      if (signal) {
+        signal.addEventListener('abort', () => this.cancel(task), { once: true });
+      }
+      
+      this.queue.push(task);
+      this.dispatch();
+    });
+  }
+  
+  /**
+   * Hand queued tasks to idle workers
+   */
+  dispatch() {
+    while (this.queue.length > 0 && this.idle.length > 0) {
+      const task = this.queue.shift();
+      const worker = this.idle.pop();
+      
+      task.worker = worker;
+      worker.task = task;
+      worker.postMessage({ id: task.id, type: task.type, payload: task.payload });
+    }
+  }
+  
+  /**
+   * Handle a message from a worker
+   * @param {Worker} worker
+   * @param {Object} message
+   */
+  handleMessage(worker, message) {
+    const task = worker.task;
+    if (!task || (message.id !== undefined && message.id !== task.id)) {
+      return;
+    }
+    
+    if (message.type === 'progress') {
+      if (task.onProgress) {
+        task.onProgress(message.progress, message.stage);
+      }
+      return;
+    }
+    
+    worker.task = null;
+    this.idle.push(worker);
+    
+    if (message.type === 'result') {
+      task.resolve(message.result);
+    } else {
+      const error = new Error(message.message);
+      error.name = message.name;
+      task.reject(error);
+    }
+    
+    this.dispatch();
+  }
+  
+  /**
+   * Cancel a queued or running task
+   * @param {Object} task
+   */
+  cancel(task) {
+    const queued = this.queue.indexOf(task);
+    if (queued !== -1) {
+      this.queue.splice(queued, 1);
+      task.reject(createAbortError());
+      return;
+    }
+    
+    const worker = task.worker;
+    if (worker && worker.task === task) {
+      // Replace the busy worker rather than waiting for it to finish
+      worker.terminate();
+      this.workers.splice(this.workers.indexOf(worker), 1);
+      this.addWorker();
+      task.reject(createAbortError());
+      this.dispatch();
+    }
+  }
+  
+  /**
+   * Terminate all workers and reject pending tasks
+   */
+  dispose() {
+    for (const task of this.queue) {
+      task.reject(createAbortError());
+    }
+    for (const worker of this.workers) {
+      if (worker.task) {
+        worker.task.reject(createAbortError());
+      }
+      worker.terminate();
+    }
+    this.queue = [];
+    this.workers = [];
+    this.idle = [];
+  }
+}
+
+/**
+ * Error used for cancelled tasks, matching fetch() and friends
+ * @returns {DOMException}
+ */
+function createAbortError() {
+  return new DOMException('Terrain generation was cancelled', 'AbortError');
+}
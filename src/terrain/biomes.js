@@ -0,0 +1,213 @@
+/**
+ * Biomes - Temperature and moisture per vertex, mapped to biome weights
+ *
+ * Temperature falls with altitude (a lapse rate over a real-world elevation
+ * range) and rises on sun-facing slopes. Moisture comes from a seeded noise
+ * field, boosted near rivers and lakes and in erosion gullies. A
+ * Whittaker-style table maps the two to biomes, blended bilinearly between
+ * neighbouring table cells so borders stay soft.
+ */
+
+import { createTerrainNoise } from '../utils/noise.js';
+
+/**
+ * Biomes known to the terrain shader, in weight order (at most 8: two vec4 attributes)
+ */
+export const Biomes = [
+  { name: 'lowlandMeadow', color: [0.2, 0.4, 0.14] },
+  { name: 'dryGrassland', color: [0.45, 0.42, 0.25] },
+  { name: 'pineForest', color: [0.1, 0.22, 0.1] },
+  { name: 'alpineMeadow', color: [0.35, 0.5, 0.22] },
+  { name: 'scree', color: [0.48, 0.46, 0.43] },
+  { name: 'bareRock', color: [0.42, 0.4, 0.38] },
+  { name: 'snowfield', color: [0.95, 0.97, 1.0] },
+  { name: 'glacier', color: [0.78, 0.88, 0.96] },
+];
+
+/**
+ * Index of each biome in the weight arrays, by name
+ */
+export const BiomeIndex = Object.fromEntries(Biomes.map((biome, i) => [biome.name, i]));
+
+/**
+ * Default Whittaker-style table
+ * Rows are temperature centres (degrees C, cold to warm), columns are
+ * moisture centres (0-1, dry to wet).
+ */
+export const BiomeTable = {
+  temperature: [-7, -3, 1, 5, 9],
+  moisture: [0.15, 0.5, 0.85],
+  biomes: [
+    ['bareRock', 'snowfield', 'glacier'],
+    ['bareRock', 'scree', 'snowfield'],
+    ['scree', 'alpineMeadow', 'alpineMeadow'],
+    ['dryGrassland', 'alpineMeadow', 'pineForest'],
+    ['dryGrassland', 'lowlandMeadow', 'pineForest'],
+  ],
+};
+
+/**
+ * Default parameters for the biome layer
+ */
+export const BiomeDefaults = {
+  baseElevation: 600, // Real-world elevation of height 0 (m)
+  peakElevation: 3600, // Real-world elevation of height 1 (m)
+  seaLevelTemperature: 15, // Degrees C
+  lapseRate: 6.5, // Degrees C lost per km of altitude
+  aspectWarming: 4, // Extra degrees C on a vertical south-facing (+Z) face
+  moistureScale: 3, // Moisture noise features across the map
+  riverMoisture: 0.4, // Moisture added right next to water
+  riverDistance: 12, // Falloff distance of the water bonus (m)
+  table: BiomeTable,
+};
+
+/**
+ * Compute temperature, moisture and biome weights for every vertex
+ * @param {Object} terrain - { width, segments, heights, normals, wetness?, waterMask?, seed }
+ *   waterMask marks river and lake cells (Uint8Array), if hydrology ran
+ * @param {Object} options - Overrides for BiomeDefaults
+ * @returns {Object} { temperature, moisture, biomeWeights }
+ *   temperature: Float32Array in degrees C
+ *   moisture: Float32Array 0-1
+ *   biomeWeights: Float32Array with 8 weights per vertex, summing to 1, in Biomes order
+ */
+export function computeBiomes(terrain, options = {}) {
+  const params = { ...BiomeDefaults, ...options };
+  const { segments, heights, normals, wetness, waterMask } = terrain;
+  const size = segments + 1;
+  const count = size * size;
+  const table = resolveTable(params.table);
+
+  const noise = createTerrainNoise(`${terrain.seed}/moisture`);
+  const waterDistance = waterMask ? distanceToWater(waterMask, size) : null;
+  const cellSize = terrain.width / segments;
+
+  const temperature = new Float32Array(count);
+  const moisture = new Float32Array(count);
+  const biomeWeights = new Float32Array(count * Biomes.length);
+
+  for (let row = 0; row < size; row++) {
+    for (let col = 0; col < size; col++) {
+      const i = row * size + col;
+
+      // Cooler with altitude, warmer where the slope faces the sun
+      const elevation = params.baseElevation + heights[i] * (params.peakElevation - params.baseElevation);
+      temperature[i] = params.seaLevelTemperature
+        - params.lapseRate * elevation / 1000
+        + params.aspectWarming * normals[i * 3 + 2];
+
+      // Noise field, wetter near water and in gullies
+      let wet = 0.5 + 0.9 * noise.fbm(col / segments, row / segments, 4, 0.5, 2.0, params.moistureScale);
+      if (waterDistance) {
+        wet += params.riverMoisture * Math.exp(-waterDistance[i] * cellSize / params.riverDistance);
+      }
+      if (wetness) {
+        wet += wetness[i] * 0.15;
+      }
+      moisture[i] = Math.min(1, Math.max(0, wet));
+
+      addTableWeights(table, temperature[i], moisture[i], biomeWeights, i * Biomes.length);
+    }
+  }
+
+  return { temperature, moisture, biomeWeights };
+}
+
+/**
+ * Check a table and convert its biome names to indices
+ * @param {Object} table - { temperature, moisture, biomes }
+ * @returns {Object}
+ */
+function resolveTable(table) {
+  if (table.biomes.length !== table.temperature.length ||
+      table.biomes.some(row => row.length !== table.moisture.length)) {
+    throw new Error('Biome table needs one row per temperature and one column per moisture value');
+  }
+
+  return {
+    temperature: table.temperature,
+    moisture: table.moisture,
+    indices: table.biomes.map(row => row.map(name => {
+      if (!(name in BiomeIndex)) {
+        throw new Error(`Unknown biome "${name}" (expected one of ${Object.keys(BiomeIndex).join(', ')})`);
+      }
+      return BiomeIndex[name];
+    })),
+  };
+}
+
+/**
+ * Position of a value between sorted centres, as (lower index, blend 0-1)
+ */
+function locateInTable(centres, value) {
+  if (value <= centres[0]) return [0, 0];
+  const last = centres.length - 1;
+  if (value >= centres[last]) return [last, 0];
+
+  let index = 0;
+  while (value > centres[index + 1]) index++;
+  const t = (value - centres[index]) / (centres[index + 1] - centres[index]);
+
+  // Smoothstep keeps the blend from looking like a linear ramp
+  return [index, t * t * (3 - 2 * t)];
+}
+
+/**
+ * Accumulate bilinear table weights into the output array
+ */
+function addTableWeights(table, temperature, moisture, out, offset) {
+  const [row, ft] = locateInTable(table.temperature, temperature);
+  const [col, fm] = locateInTable(table.moisture, moisture);
+  const nextRow = Math.min(row + 1, table.temperature.length - 1);
+  const nextCol = Math.min(col + 1, table.moisture.length - 1);
+
+  out[offset + table.indices[row][col]] += (1 - ft) * (1 - fm);
+  out[offset + table.indices[row][nextCol]] += (1 - ft) * fm;
+  out[offset + table.indices[nextRow][col]] += ft * (1 - fm);
+  out[offset + table.indices[nextRow][nextCol]] += ft * fm;
+}
+
+/**
+ * Distance in cells from every cell to the nearest water cell (two-pass chamfer)
+ * @param {Uint8Array} mask - Non-zero where there is water
+ * @param {number} size - Grid points along each side
+ * @returns {Float32Array}
+ */
+function distanceToWater(mask, size) {
+  const distance = new Float32Array(size * size);
+  for (let i = 0; i < distance.length; i++) {
+    distance[i] = mask[i] ? 0 : Infinity;
+  }
+
+  const relax = (i, j, cost) => {
+    if (distance[j] + cost < distance[i]) {
+      distance[i] = distance[j] + cost;
+    }
+  };
+
+  // Forward pass from the top-left, then backward from the bottom-right
+  for (let y = 0; y < size; y++) {
+    for (let x = 0; x < size; x++) {
+      const i = y * size + x;
+      if (x > 0) relax(i, i - 1, 1);
+      if (y > 0) {
+        relax(i, i - size, 1);
+        if (x > 0) relax(i, i - size - 1, Math.SQRT2);
+        if (x < size - 1) relax(i, i - size + 1, Math.SQRT2);
+      }
+    }
+  }
+  for (let y = size - 1; y >= 0; y--) {
+    for (let x = size - 1; x >= 0; x--) {
+      const i = y * size + x;
+      if (x < size - 1) relax(i, i + 1, 1);
+      if (y < size - 1) {
+        relax(i, i + size, 1);
+        if (x < size - 1) relax(i, i + size + 1, Math.SQRT2);
+        if (x > 0) relax(i, i + size - 1, Math.SQRT2);
+      }
+    }
+  }
+
+  return distance;
+}
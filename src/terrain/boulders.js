@@ -0,0 +1,151 @@
+/**
+ * Boulder placement - Rock debris at cliff feet and across the rock zone
+ *
+ * Candidates come from Poisson-disk sampling and are kept with a probability
+ * built from the slope and height grids: highest where gentle ground lies just
+ * below a steep face (where falling rock comes to rest, and where thermal
+ * erosion piles its scree), lower across the open rock zone. Each boulder
+ * records the surface normal so it can be tilted to sit on the slope.
+ */
+
+import { createRandom } from '../utils/random.js';
+import { BiomeIndex } from './biomes.js';
+import { TerrainZones } from './terrainZones.js';
+import { poissonDisk, surfaceHeight } from './vegetation.js';
+
+/**
+ * Default parameters for boulder placement
+ */
+export const BoulderDefaults = {
+  spacing: 2.5, // Minimum distance between boulders (m)
+  variants: 6, // Distinct rock shapes to build
+  footDensity: 0.8, // Chance of a boulder just below a cliff
+  footRadius: 4, // How far below a steep face counts as its foot (cells)
+  talusDensity: 0.5, // Extra chance on thermal-erosion scree
+  rockDensity: 0.12, // Chance anywhere in the rock zone
+  scale: [0.4, 2.2], // Radius range (m); small rocks are far more common
+  attempts: 30, // Bridson candidates per active point
+};
+
+/**
+ * Values stored per boulder in the transforms array
+ */
+export const BOULDER_STRIDE = 9;
+
+/**
+ * Place boulders over a terrain
+ * @param {Object} terrain - { width, depth, segments, heightScale, heights, normals, slopes, talus?, biomeWeights?, waterMask?, seed }
+ * @param {Object} options - Overrides for BoulderDefaults
+ * @returns {Object} { seed, variants, count, transforms }
+ *   transforms: Float32Array of (x, y, z, nx, ny, nz, scale, rotation, variant) per boulder,
+ *   with the position on the surface, the surface normal, rotation in radians about
+ *   that normal and the index of the shape variant
+ */
+export function placeBoulders(terrain, options = {}) {
+  const params = { ...BoulderDefaults, ...options };
+  const { width, depth, segments, heightScale, heights, normals, slopes } = terrain;
+  const size = segments + 1;
+  const random = createRandom(`${terrain.seed}/boulders`);
+
+  const foot = cliffFeet(heights, slopes, size, params.footRadius);
+  const points = poissonDisk(width, depth, params.spacing, params.attempts, random);
+  const transforms = new Float32Array(points.length / 2 * BOULDER_STRIDE);
+  const [minScale, maxScale] = params.scale;
+  let count = 0;
+
+  for (let p = 0; p < points.length; p += 2) {
+    const col = Math.min(Math.round(points[p] / width * segments), segments);
+    const row = Math.min(Math.round(points[p + 1] / depth * segments), segments);
+    const i = row * size + col;
+
+    if (terrain.waterMask && terrain.waterMask[i]) continue;
+
+    // Rocks cannot rest on the cliff itself
+    const stable = smoothstep(TerrainZones.rockSlopeEnd, TerrainZones.rockSlopeStart, slopes[i]);
+
+    let density = params.footDensity * foot[i];
+    if (terrain.talus) {
+      density += params.talusDensity * terrain.talus[i];
+    }
+    density += params.rockDensity * rockZone(terrain, i);
+    if (random() >= density * stable) continue;
+
+    const x = points[p] - width / 2;
+    const z = points[p + 1] - depth / 2;
+    const offset = count * BOULDER_STRIDE;
+
+    transforms[offset] = x;
+    transforms[offset + 1] = surfaceHeight(terrain, x, z) * heightScale;
+    transforms[offset + 2] = z;
+    transforms[offset + 3] = normals[i * 3];
+    transforms[offset + 4] = normals[i * 3 + 1];
+    transforms[offset + 5] = normals[i * 3 + 2];
+    transforms[offset + 6] = minScale + Math.pow(random(), 3) * (maxScale - minScale);
+    transforms[offset + 7] = random() * Math.PI * 2;
+    transforms[offset + 8] = Math.floor(random() * params.variants);
+    count++;
+  }
+
+  return {
+    seed: terrain.seed,
+    variants: params.variants,
+    count,
+    transforms: transforms.slice(0, count * BOULDER_STRIDE),
+  };
+}
+
+/**
+ * How much each vertex looks like the foot of a cliff (0-1)
+ * Gentle ground with a steep face above it within the radius scores highest.
+ * @param {Float32Array} heights
+ * @param {Float32Array} slopes
+ * @param {number} size - Grid points along each side
+ * @param {number} radius - Search radius in cells
+ * @returns {Float32Array}
+ */
+function cliffFeet(heights, slopes, size, radius) {
+  const foot = new Float32Array(size * size);
+
+  for (let row = 0; row < size; row++) {
+    for (let col = 0; col < size; col++) {
+      const i = row * size + col;
+      let steepest = 0;
+
+      for (let r = Math.max(0, row - radius); r <= Math.min(size - 1, row + radius); r++) {
+        for (let c = Math.max(0, col - radius); c <= Math.min(size - 1, col + radius); c++) {
+          const j = r * size + c;
+          if (heights[j] > heights[i] && slopes[j] > steepest) {
+            steepest = slopes[j];
+          }
+        }
+      }
+
+      foot[i] = smoothstep(TerrainZones.rockSlopeStart, TerrainZones.rockSlopeEnd, steepest)
+        * smoothstep(TerrainZones.rockSlopeEnd, TerrainZones.rockSlopeStart, slopes[i]);
+    }
+  }
+
+  return foot;
+}
+
+/**
+ * How much a vertex belongs to the rock zone (0-1)
+ * Uses the scree and bare rock biomes when present, otherwise the rock altitude band.
+ */
+function rockZone(terrain, i) {
+  if (terrain.biomeWeights) {
+    return terrain.biomeWeights[i * 8 + BiomeIndex.scree] + terrain.biomeWeights[i * 8 + BiomeIndex.bareRock];
+  }
+
+  const height = terrain.heights[i];
+  return smoothstep(TerrainZones.treeLine - 0.03, TerrainZones.treeLine + 0.03, height)
+    * smoothstep(TerrainZones.snowLine + 0.04, TerrainZones.snowLine - 0.02, height);
+}
+
+/**
+ * Hermite step between two edges, as in GLSL (edges may be reversed)
+ */
+function smoothstep(edge0, edge1, x) {
+  const t = Math.min(Math.max((x - edge0) / (edge1 - edge0), 0), 1);
+  return t * t * (3 - 2 * t);
+}
@@ -0,0 +1,327 @@
+/**
+ * Erosion simulation over a square height grid
+ *
+ * Heights are stored row-major in a Float32Array of size * size values,
+ * normalized to the 0-1 range. Hydraulic erosion treats one grid cell as one
+ * unit of distance; thermal erosion takes the real cell size and height scale
+ * so its talus angle is measured in world terms.
+ */
+
+/**
+ * Default parameters for hydraulic erosion
+ */
+export const HydraulicErosionDefaults = {
+  iterations: 50000, // Number of droplets to simulate
+  erosionRate: 0.3, // How fast droplets pick up sediment (0-1)
+  depositionRate: 0.3, // How fast droplets drop excess sediment (0-1)
+  evaporation: 0.01, // Fraction of water lost per step (0-1)
+  inertia: 0.05, // How much droplets keep their direction (0-1)
+  sedimentCapacity: 4, // Sediment a droplet can carry per unit speed and water
+  minSedimentCapacity: 0.01, // Keeps droplets eroding on near-flat ground
+  gravity: 4,
+  maxLifetime: 30, // Maximum steps per droplet
+  radius: 3, // Erosion brush radius in cells
+  initialWater: 1,
+  initialSpeed: 1,
+};
+
+/**
+ * Droplet-based hydraulic erosion
+ * Modifies `heights` in place and returns per-cell sediment and wetness maps.
+ * @param {Float32Array} heights - Height grid (modified in place)
+ * @param {number} size - Number of grid points along each side
+ * @param {Object} options - Overrides for HydraulicErosionDefaults
+ * @param {Function} random - Random number generator returning [0, 1)
+ * @param {Function} [onProgress] - Called periodically with progress 0-1
+ * @returns {Object} { sediment, wetness } - Float32Arrays normalized to 0-1
+ */
+export function hydraulicErosion(heights, size, options = {}, random = Math.random, onProgress = null) {
+  const params = { ...HydraulicErosionDefaults, ...options };
+  const brush = createBrush(params.radius);
+
+  const deposited = new Float32Array(size * size);
+  const flow = new Float32Array(size * size);
+  const sample = { height: 0, gradientX: 0, gradientY: 0 };
+
+  for (let iteration = 0; iteration < params.iterations; iteration++) {
+    if (onProgress && iteration % 1000 === 0) {
+      onProgress(iteration / params.iterations);
+    }
+
+    // Spawn the droplet at a random position
+    let x = random() * (size - 1);
+    let y = random() * (size - 1);
+    let dirX = 0;
+    let dirY = 0;
+    let speed = params.initialSpeed;
+    let water = params.initialWater;
+    let sediment = 0;
+
+    for (let lifetime = 0; lifetime < params.maxLifetime; lifetime++) {
+      const nodeX = Math.floor(x);
+      const nodeY = Math.floor(y);
+      const index = nodeY * size + nodeX;
+
+      // Offset of the droplet inside its cell
+      const u = x - nodeX;
+      const v = y - nodeY;
+
+      sampleHeight(heights, size, x, y, sample);
+      const height = sample.height;
+
+      // Blend previous direction with the downhill gradient
+      dirX = dirX * params.inertia - sample.gradientX * (1 - params.inertia);
+      dirY = dirY * params.inertia - sample.gradientY * (1 - params.inertia);
+
+      const length = Math.sqrt(dirX * dirX + dirY * dirY);
+      if (length === 0) {
+        break;
+      }
+      dirX /= length;
+      dirY /= length;
+
+      x += dirX;
+      y += dirY;
+
+      // Stop droplets that flow off the map
+      if (x < 0 || x >= size - 1 || y < 0 || y >= size - 1) {
+        break;
+      }
+
+      flow[index] += water;
+
+      sampleHeight(heights, size, x, y, sample);
+      const deltaHeight = sample.height - height;
+
+      // Faster droplets with more water carry more sediment downhill
+      const capacity = Math.max(
+        -deltaHeight * speed * water * params.sedimentCapacity,
+        params.minSedimentCapacity
+      );
+
+      if (sediment > capacity || deltaHeight > 0) {
+        // Moving uphill fills the pit; otherwise drop the excess
+        const amount = deltaHeight > 0
+          ? Math.min(deltaHeight, sediment)
+          : (sediment - capacity) * params.depositionRate;
+        sediment -= amount;
+
+        // Spread the deposit over the four corners of the cell
+        const weights = [(1 - u) * (1 - v), u * (1 - v), (1 - u) * v, u * v];
+        const corners = [index, index + 1, index + size, index + size + 1];
+        for (let c = 0; c < 4; c++) {
+          heights[corners[c]] += amount * weights[c];
+          deposited[corners[c]] += amount * weights[c];
+        }
+      } else {
+        // Erode, but never more than the height difference to avoid digging pits
+        const amount = Math.min((capacity - sediment) * params.erosionRate, -deltaHeight);
+        sediment += erodeWithBrush(heights, size, nodeX, nodeY, amount, brush);
+      }
+
+      speed = Math.sqrt(Math.max(0, speed * speed - deltaHeight * params.gravity));
+      water *= 1 - params.evaporation;
+    }
+  }
+
+  return {
+    sediment: normalizeMap(deposited),
+    wetness: normalizeMap(flow),
+  };
+}
+
+/**
+ * Default parameters for thermal erosion
+ */
+export const ThermalErosionDefaults = {
+  iterations: 40, // Number of relaxation passes
+  talusAngle: 38, // Steepest stable slope in degrees
+  rate: 0.5, // Fraction of the excess moved per pass (0-1)
+  cellSize: 1, // World distance between grid points
+  heightScale: 1, // World height of a normalized height of 1
+};
+
+// Neighbour offsets and distances for the 8-connected grid
+const NEIGHBOUR_DX = [-1, 0, 1, -1, 1, -1, 0, 1];
+const NEIGHBOUR_DY = [-1, -1, -1, 0, 0, 1, 1, 1];
+const NEIGHBOUR_DISTANCE = [Math.SQRT2, 1, Math.SQRT2, 1, 1, Math.SQRT2, 1, Math.SQRT2];
+
+/**
+ * Thermal erosion - slopes steeper than the talus angle shed material
+ * downhill until they settle, piling scree at the base of cliffs.
+ * Modifies `heights` in place and returns where material came to rest.
+ * @param {Float32Array} heights - Height grid (modified in place)
+ * @param {number} size - Number of grid points along each side
+ * @param {Object} options - Overrides for ThermalErosionDefaults
+ * @param {Function} [onProgress] - Called after each pass with progress 0-1
+ * @returns {Object} { talus } - Float32Array of accumulated scree, normalized to 0-1
+ */
+export function thermalErosion(heights, size, options = {}, onProgress = null) {
+  const params = { ...ThermalErosionDefaults, ...options };
+
+  // Largest stable height difference between neighbours, in normalized units
+  const maxDifference = Math.tan(params.talusAngle * Math.PI / 180) * params.cellSize / params.heightScale;
+
+  const delta = new Float32Array(size * size);
+  const accumulated = new Float32Array(size * size);
+  const excesses = new Float32Array(8);
+
+  for (let iteration = 0; iteration < params.iterations; iteration++) {
+    delta.fill(0);
+
+    for (let y = 0; y < size; y++) {
+      for (let x = 0; x < size; x++) {
+        const index = y * size + x;
+        const height = heights[index];
+
+        // Find how far each lower neighbour exceeds the stable slope
+        let totalExcess = 0;
+        let maxExcess = 0;
+        for (let n = 0; n < 8; n++) {
+          const nx = x + NEIGHBOUR_DX[n];
+          const ny = y + NEIGHBOUR_DY[n];
+          excesses[n] = 0;
+          if (nx < 0 || nx >= size || ny < 0 || ny >= size) continue;
+
+          const excess = height - heights[ny * size + nx] - maxDifference * NEIGHBOUR_DISTANCE[n];
+          if (excess > 0) {
+            excesses[n] = excess;
+            totalExcess += excess;
+            maxExcess = Math.max(maxExcess, excess);
+          }
+        }
+
+        if (totalExcess === 0) continue;
+
+        // Move material to the unstable neighbours in proportion to their excess
+        const moved = params.rate * maxExcess * 0.5;
+        delta[index] -= moved;
+
+        for (let n = 0; n < 8; n++) {
+          if (excesses[n] > 0) {
+            const neighbour = (y + NEIGHBOUR_DY[n]) * size + x + NEIGHBOUR_DX[n];
+            const share = moved * excesses[n] / totalExcess;
+            delta[neighbour] += share;
+            accumulated[neighbour] += share;
+          }
+        }
+      }
+    }
+
+    for (let i = 0; i < heights.length; i++) {
+      heights[i] += delta[i];
+    }
+
+    if (onProgress) {
+      onProgress((iteration + 1) / params.iterations);
+    }
+  }
+
+  return {
+    talus: normalizeMap(accumulated),
+  };
+}
+
+/**
+ * Bilinear height and gradient at a fractional grid position
+ * @param {Float32Array} heights
+ * @param {number} size
+ * @param {number} x
+ * @param {number} y
+ * @param {Object} out - Receives height, gradientX and gradientY
+ */
+function sampleHeight(heights, size, x, y, out) {
+  const cellX = Math.floor(x);
+  const cellY = Math.floor(y);
+  const u = x - cellX;
+  const v = y - cellY;
+  const index = cellY * size + cellX;
+
+  const heightNW = heights[index];
+  const heightNE = heights[index + 1];
+  const heightSW = heights[index + size];
+  const heightSE = heights[index + size + 1];
+
+  out.gradientX = (heightNE - heightNW) * (1 - v) + (heightSE - heightSW) * v;
+  out.gradientY = (heightSW - heightNW) * (1 - u) + (heightSE - heightNE) * u;
+  out.height =
+    heightNW * (1 - u) * (1 - v) +
+    heightNE * u * (1 - v) +
+    heightSW * (1 - u) * v +
+    heightSE * u * v;
+}
+
+/**
+ * Precompute erosion brush offsets and weights for a given radius
+ * @param {number} radius - Radius in cells
+ * @returns {Array<Object>} Brush cells { dx, dy, weight }
+ */
+function createBrush(radius) {
+  const cells = [];
+  const r = Math.ceil(radius);
+
+  for (let dy = -r; dy <= r; dy++) {
+    for (let dx = -r; dx <= r; dx++) {
+      const distance = Math.sqrt(dx * dx + dy * dy);
+      if (distance < radius) {
+        cells.push({ dx, dy, weight: radius - distance });
+      }
+    }
+  }
+
+  return cells;
+}
+
+/**
+ * Remove material around a node, spread over the brush
+ * @returns {number} Amount of sediment actually removed
+ */
+function erodeWithBrush(heights, size, nodeX, nodeY, amount, brush) {
+  // Only cells inside the map take part, so renormalize their weights
+  let totalWeight = 0;
+  for (const cell of brush) {
+    const x = nodeX + cell.dx;
+    const y = nodeY + cell.dy;
+    if (x >= 0 && x < size && y >= 0 && y < size) {
+      totalWeight += cell.weight;
+    }
+  }
+
+  let removed = 0;
+  for (const cell of brush) {
+    const x = nodeX + cell.dx;
+    const y = nodeY + cell.dy;
+    if (x >= 0 && x < size && y >= 0 && y < size) {
+      const index = y * size + x;
+      const delta = Math.min(heights[index], amount * cell.weight / totalWeight);
+      heights[index] -= delta;
+      removed += delta;
+    }
+  }
+
+  return removed;
+}
+
+/**
+ * Map accumulated values to 0-1, with a soft knee around the mean
+ * so a few extreme cells don't wash out the rest
+ * @param {Float32Array} values
+ * @returns {Float32Array} The same array, normalized in place
+ */
+function normalizeMap(values) {
+  let sum = 0;
+  let count = 0;
+  for (let i = 0; i < values.length; i++) {
+    if (values[i] > 0) {
+      sum += values[i];
+      count++;
+    }
+  }
+
+  const mean = count > 0 ? sum / count : 1;
+  for (let i = 0; i < values.length; i++) {
+    values[i] = values[i] > 0 ? 1 - Math.exp(-values[i] / mean) : 0;
+  }
+
+  return values;
+}
@@ -0,0 +1,402 @@
+/**
+ * Terrain exporters - Heightmap images and mesh files from terrain data
+ *
+ * All exporters take the typed-array data produced by generateTerrainData
+ * (TerrainGenerator keeps the latest one as `data`) and return bytes or
+ * text, so they work the same in the browser and in Node.
+ */
+
+const PNG_SIGNATURE = [137, 80, 78, 71, 13, 10, 26, 10];
+
+// glTF constants
+const GLTF_FLOAT = 5126;
+const GLTF_UNSIGNED_INT = 5125;
+const GLTF_ARRAY_BUFFER = 34962;
+const GLTF_ELEMENT_ARRAY_BUFFER = 34963;
+
+/**
+ * Export the height grid as a headerless 16-bit RAW file
+ * @param {Object} data - Terrain data
+ * @param {Object} [options]
+ * @param {boolean} [options.littleEndian=true] - Byte order
+ * @returns {Uint8Array}
+ */
+export function exportHeightmapRaw(data, { littleEndian = true } = {}) {
+  const bytes = new Uint8Array(data.heights.length * 2);
+  const view = new DataView(bytes.buffer);
+
+  for (let i = 0; i < data.heights.length; i++) {
+    view.setUint16(i * 2, toUint16(data.heights[i]), littleEndian);
+  }
+
+  return bytes;
+}
+
+/**
+ * Export the height grid as a 16-bit greyscale PNG
+ * @param {Object} data - Terrain data
+ * @returns {Promise<Uint8Array>}
+ */
+export async function exportHeightmapPNG(data) {
+  const size = data.segments + 1;
+
+  // Each row is a filter byte (0 = none) followed by big-endian samples
+  const stride = size * 2 + 1;
+  const raw = new Uint8Array(stride * size);
+  for (let row = 0; row < size; row++) {
+    for (let col = 0; col < size; col++) {
+      const value = toUint16(data.heights[row * size + col]);
+      raw[row * stride + 1 + col * 2] = value >> 8;
+      raw[row * stride + 2 + col * 2] = value & 0xFF;
+    }
+  }
+
+  const header = new Uint8Array(13);
+  const headerView = new DataView(header.buffer);
+  headerView.setUint32(0, size);
+  headerView.setUint32(4, size);
+  header[8] = 16; // Bit depth
+  header[9] = 0; // Greyscale
+
+  return concatBytes([
+    new Uint8Array(PNG_SIGNATURE),
+    createPNGChunk('IHDR', header),
+    createPNGChunk('IDAT', await deflate(raw)),
+    createPNGChunk('IEND', new Uint8Array(0)),
+  ]);
+}
+
+/**
+ * Export the displaced mesh as Wavefront OBJ
+ * @param {Object} data - Terrain data
+ * @returns {string}
+ */
+export function exportOBJ(data) {
+  const { positions, normals, uvs, indices } = data;
+  const lines = ['# Alpine Terrain', 'o terrain'];
+
+  for (let i = 0; i < positions.length; i += 3) {
+    lines.push(`v ${positions[i]} ${positions[i + 1]} ${positions[i + 2]}`);
+  }
+  for (let i = 0; i < uvs.length; i += 2) {
+    lines.push(`vt ${uvs[i]} ${uvs[i + 1]}`);
+  }
+  for (let i = 0; i < normals.length; i += 3) {
+    lines.push(`vn ${normals[i]} ${normals[i + 1]} ${normals[i + 2]}`);
+  }
+
+  // OBJ indices are 1-based; position, uv and normal share the same index
+  for (let i = 0; i < indices.length; i += 3) {
+    const a = indices[i] + 1;
+    const b = indices[i + 1] + 1;
+    const c = indices[i + 2] + 1;
+    lines.push(`f ${a}/${a}/${a} ${b}/${b}/${b} ${c}/${c}/${c}`);
+  }
+
+  return lines.join('\n') + '\n';
+}
+
+/**
+ * Export the displaced mesh as binary STL
+ * @param {Object} data - Terrain data
+ * @param {Object} [options]
+ * @param {boolean} [options.base=false] - Close the mesh with walls and a floor for 3D printing
+ * @param {number} [options.baseThickness=5] - Floor depth below the lowest point, in world units
+ * @returns {Uint8Array}
+ */
+export function exportSTL(data, { base = false, baseThickness = 5 } = {}) {
+  const { positions, indices, segments } = data;
+  const triangles = [];
+
+  const vertex = (i) => [positions[i * 3], positions[i * 3 + 1], positions[i * 3 + 2]];
+
+  for (let i = 0; i < indices.length; i += 3) {
+    triangles.push([vertex(indices[i]), vertex(indices[i + 1]), vertex(indices[i + 2])]);
+  }
+
+  if (base) {
+    addSolidBase(triangles, positions, segments, baseThickness);
+  }
+
+  // 80-byte header, triangle count, then 50 bytes per triangle
+  const bytes = new Uint8Array(84 + triangles.length * 50);
+  const view = new DataView(bytes.buffer);
+  const header = 'Alpine Terrain';
+  for (let i = 0; i < header.length; i++) {
+    bytes[i] = header.charCodeAt(i);
+  }
+  view.setUint32(80, triangles.length, true);
+
+  let offset = 84;
+  for (const [a, b, c] of triangles) {
+    const normal = faceNormal(a, b, c);
+    for (const value of [...normal, ...a, ...b, ...c]) {
+      view.setFloat32(offset, value, true);
+      offset += 4;
+    }
+    view.setUint16(offset, 0, true); // Attribute byte count
+    offset += 2;
+  }
+
+  return bytes;
+}
+
+/**
+ * Export the displaced mesh as binary glTF (GLB)
+ * aHeight and aSlope are kept as the custom attributes _HEIGHT and _SLOPE.
+ * @param {Object} data - Terrain data
+ * @returns {Uint8Array}
+ */
+export function exportGLB(data) {
+  const attributes = [
+    { name: 'POSITION', array: data.positions, type: 'VEC3', bounds: true },
+    { name: 'NORMAL', array: data.normals, type: 'VEC3' },
+    { name: 'TEXCOORD_0', array: data.uvs, type: 'VEC2' },
+    { name: '_HEIGHT', array: data.heights, type: 'SCALAR' },
+    { name: '_SLOPE', array: data.slopes, type: 'SCALAR' },
+  ];
+  const components = { SCALAR: 1, VEC2: 2, VEC3: 3 };
+
+  const gltf = {
+    asset: { version: '2.0', generator: 'Alpine Terrain' },
+    scene: 0,
+    scenes: [{ nodes: [0] }],
+    nodes: [{ name: 'terrain', mesh: 0 }],
+    meshes: [{ name: 'terrain', primitives: [{ attributes: {}, indices: 0 }] }],
+    buffers: [],
+    bufferViews: [],
+    accessors: [],
+  };
+
+  const chunks = [];
+  let byteOffset = 0;
+
+  const addView = (array, target) => {
+    gltf.bufferViews.push({ buffer: 0, byteOffset, byteLength: array.byteLength, target });
+    chunks.push(new Uint8Array(array.buffer, array.byteOffset, array.byteLength));
+    byteOffset += array.byteLength; // All arrays are 4-byte aligned
+    return gltf.bufferViews.length - 1;
+  };
+
+  // Indices first, as accessor 0
+  gltf.accessors.push({
+    bufferView: addView(data.indices, GLTF_ELEMENT_ARRAY_BUFFER),
+    componentType: GLTF_UNSIGNED_INT,
+    count: data.indices.length,
+    type: 'SCALAR',
+  });
+
+  for (const { name, array, type, bounds } of attributes) {
+    const accessor = {
+      bufferView: addView(array, GLTF_ARRAY_BUFFER),
+      componentType: GLTF_FLOAT,
+      count: array.length / components[type],
+      type,
+    };
+    if (bounds) {
+      // POSITION accessors must declare min and max
+      accessor.min = [Infinity, Infinity, Infinity];
+      accessor.max = [-Infinity, -Infinity, -Infinity];
+      for (let i = 0; i < array.length; i++) {
+        accessor.min[i % 3] = Math.min(accessor.min[i % 3], array[i]);
+        accessor.max[i % 3] = Math.max(accessor.max[i % 3], array[i]);
+      }
+    }
+    gltf.accessors.push(accessor);
+    gltf.meshes[0].primitives[0].attributes[name] = gltf.accessors.length - 1;
+  }
+
+  gltf.buffers.push({ byteLength: byteOffset });
+
+  // GLB: header, JSON chunk (space padded), BIN chunk (zero padded)
+  const json = padBytes(new TextEncoder().encode(JSON.stringify(gltf)), 0x20);
+  const bin = padBytes(concatBytes(chunks), 0);
+  const totalLength = 12 + 8 + json.length + 8 + bin.length;
+
+  const glb = new Uint8Array(totalLength);
+  const view = new DataView(glb.buffer);
+  view.setUint32(0, 0x46546C67, true); // 'glTF'
+  view.setUint32(4, 2, true);
+  view.setUint32(8, totalLength, true);
+  view.setUint32(12, json.length, true);
+  view.setUint32(16, 0x4E4F534A, true); // 'JSON'
+  glb.set(json, 20);
+  view.setUint32(20 + json.length, bin.length, true);
+  view.setUint32(24 + json.length, 0x004E4942, true); // 'BIN'
+  glb.set(bin, 28 + json.length);
+
+  return glb;
+}
+
+/**
+ * Offer bytes or text as a file download (browser only)
+ * @param {Uint8Array|string} content
+ * @param {string} filename
+ * @param {string} [mimeType='application/octet-stream']
+ */
+export function downloadFile(content, filename, mimeType = 'application/octet-stream') {
+  const url = URL.createObjectURL(new Blob([content], { type: mimeType }));
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  link.click();
+
+  // Give the browser a moment to start the download before revoking
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
+/**
+ * Walls around the perimeter and a floor, so the mesh is watertight
+ */
+function addSolidBase(triangles, positions, segments, baseThickness) {
+  const size = segments + 1;
+
+  let minY = Infinity;
+  for (let i = 1; i < positions.length; i += 3) {
+    minY = Math.min(minY, positions[i]);
+  }
+  const floorY = minY - baseThickness;
+
+  // Walk the perimeter once; pushOriented fixes up the winding
+  const perimeter = [];
+  for (let col = 0; col < segments; col++) perimeter.push(col);
+  for (let row = 0; row < segments; row++) perimeter.push(row * size + segments);
+  for (let col = segments; col > 0; col--) perimeter.push(segments * size + col);
+  for (let row = segments; row > 0; row--) perimeter.push(row * size);
+
+  // Centre of the footprint, for outward-facing checks and the floor fan
+  const centerX = (positions[0] + positions[segments * 3]) / 2;
+  const centerZ = (positions[2] + positions[segments * size * 3 + 2]) / 2;
+  const center = [centerX, floorY, centerZ];
+
+  for (let i = 0; i < perimeter.length; i++) {
+    const a = perimeter[i] * 3;
+    const b = perimeter[(i + 1) % perimeter.length] * 3;
+    const topA = [positions[a], positions[a + 1], positions[a + 2]];
+    const topB = [positions[b], positions[b + 1], positions[b + 2]];
+    const bottomA = [topA[0], floorY, topA[2]];
+    const bottomB = [topB[0], floorY, topB[2]];
+
+    const outward = [(topA[0] + topB[0]) / 2 - centerX, 0, (topA[2] + topB[2]) / 2 - centerZ];
+    pushOriented(triangles, [topA, bottomA, bottomB], outward);
+    pushOriented(triangles, [topA, bottomB, topB], outward);
+
+    // Floor fan shares the wall's bottom vertices, so there are no T-junctions
+    pushOriented(triangles, [center, bottomB, bottomA], [0, -1, 0]);
+  }
+}
+
+/**
+ * Add a triangle, flipping its winding if it faces away from `direction`
+ */
+function pushOriented(triangles, [a, b, c], direction) {
+  const normal = faceNormal(a, b, c);
+  const facing = normal[0] * direction[0] + normal[1] * direction[1] + normal[2] * direction[2];
+  triangles.push(facing < 0 ? [a, c, b] : [a, b, c]);
+}
+
+/**
+ * Unit normal of a counter-clockwise triangle
+ * @returns {Array<number>}
+ */
+function faceNormal(a, b, c) {
+  const ux = b[0] - a[0], uy = b[1] - a[1], uz = b[2] - a[2];
+  const vx = c[0] - a[0], vy = c[1] - a[1], vz = c[2] - a[2];
+  const nx = uy * vz - uz * vy;
+  const ny = uz * vx - ux * vz;
+  const nz = ux * vy - uy * vx;
+  const length = Math.hypot(nx, ny, nz) || 1;
+  return [nx / length, ny / length, nz / length];
+}
+
+/**
+ * Clamp a normalized height to the 16-bit range
+ */
+function toUint16(height) {
+  return Math.round(Math.max(0, Math.min(1, height)) * 65535);
+}
+
+/**
+ * Compress bytes to zlib format with the platform's CompressionStream
+ * @param {Uint8Array} bytes
+ * @returns {Promise<Uint8Array>}
+ */
+async function deflate(bytes) {
+  const stream = new Blob([bytes]).stream().pipeThrough(new CompressionStream('deflate'));
+  return new Uint8Array(await new Response(stream).arrayBuffer());
+}
+
+/**
+ * Build a PNG chunk: length, type, data and CRC
+ * @param {string} type - Four-letter chunk type
+ * @param {Uint8Array} data
+ * @returns {Uint8Array}
+ */
+function createPNGChunk(type, data) {
+  const chunk = new Uint8Array(12 + data.length);
+  const view = new DataView(chunk.buffer);
+  view.setUint32(0, data.length);
+  for (let i = 0; i < 4; i++) {
+    chunk[4 + i] = type.charCodeAt(i);
+  }
+  chunk.set(data, 8);
+  view.setUint32(8 + data.length, crc32(chunk.subarray(4, 8 + data.length)));
+  return chunk;
+}
+
+let crcTable = null;
+
+/**
+ * CRC-32 as used by PNG chunks
+ * @param {Uint8Array} bytes
+ * @returns {number}
+ */
+function crc32(bytes) {
+  if (!crcTable) {
+    crcTable = new Uint32Array(256);
+    for (let n = 0; n < 256; n++) {
+      let c = n;
+      for (let k = 0; k < 8; k++) {
+        c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+      }
+      crcTable[n] = c >>> 0;
+    }
+  }
+
+  let crc = 0xFFFFFFFF;
+  for (let i = 0; i < bytes.length; i++) {
+    crc = crcTable[(crc ^ bytes[i]) & 0xFF] ^ (crc >>> 8);
+  }
+  return (crc ^ 0xFFFFFFFF) >>> 0;
+}
+
+/**
+ * Join byte arrays into one
+ * @param {Array<Uint8Array>} arrays
+ * @returns {Uint8Array}
+ */
+function concatBytes(arrays) {
+  const result = new Uint8Array(arrays.reduce((total, array) => total + array.length, 0));
+  let offset = 0;
+  for (const array of arrays) {
+    result.set(array, offset);
+    offset += array.length;
+  }
+  return result;
+}
+
+/**
+ * Pad bytes to a multiple of four
+ * @param {Uint8Array} bytes
+ * @param {number} fill - Padding byte value
+ * @returns {Uint8Array}
+ */
+function padBytes(bytes, fill) {
+  const padding = (4 - (bytes.length % 4)) % 4;
+  if (padding === 0) {
+    return bytes;
+  }
+  const padded = new Uint8Array(bytes.length + padding).fill(fill);
+  padded.set(bytes);
+  return padded;
+}
@@ -0,0 +1,348 @@
+/**
+ * Heightmap sources - External height data in place of procedural noise
+ *
+ * Supports 8/16-bit PNG images, headerless 16-bit RAW files and ESRI ASCII
+ * grids. Everything here works in the browser, in workers and in Node.
+ */
+
+const PNG_SIGNATURE = [137, 80, 78, 71, 13, 10, 26, 10];
+
+/**
+ * HeightmapSource - A grid of normalized heights that can be sampled anywhere
+ */
+export class HeightmapSource {
+  /**
+   * @param {number} width - Samples per row
+   * @param {number} height - Number of rows
+   * @param {Float32Array} data - Row-major heights normalized to 0-1, first row is the far (-Z) edge
+   */
+  constructor(width, height, data) {
+    // Bilinear sampling needs a neighbour in each direction
+    if (width < 2 || height < 2) {
+      throw new Error(`Heightmap must be at least 2 x 2 samples, got ${width} x ${height}`);
+    }
+    if (data.length !== width * height) {
+      throw new Error(`Heightmap data has ${data.length} samples, expected ${width} x ${height}`);
+    }
+    
+    this.width = width;
+    this.height = height;
+    this.data = data;
+  }
+  
+  /**
+   * Bilinearly sample the heightmap
+   * @param {number} x - Horizontal position (normalized 0-1)
+   * @param {number} y - Vertical position (normalized 0-1)
+   * @returns {number} Height between 0 and 1
+   */
+  sample(x, y) {
+    return sampleHeightmap(this, x, y);
+  }
+  
+  /**
+   * Plain, structured-cloneable form for workers
+   * @returns {Object}
+   */
+  toJSON() {
+    return { width: this.width, height: this.height, data: this.data };
+  }
+  
+  /**
+   * Load a heightmap from a URL, picking the format from the extension
+   * @param {string} url - .png, .raw/.r16 or .asc URL
+   * @param {Object} [options] - RAW options (width, height, littleEndian)
+   * @returns {Promise<HeightmapSource>}
+   */
+  static async load(url, options = {}) {
+    const response = await fetch(url);
+    if (!response.ok) {
+      throw new Error(`Failed to load heightmap ${url}: ${response.status} ${response.statusText}`);
+    }
+    
+    const extension = url.split('?')[0].split('.').pop().toLowerCase();
+    switch (extension) {
+      case 'png':
+        return HeightmapSource.fromPNG(await response.arrayBuffer());
+      case 'raw':
+      case 'r16':
+        return HeightmapSource.fromRaw(await response.arrayBuffer(), options);
+      case 'asc':
+        return HeightmapSource.fromAsciiGrid(await response.text());
+      default:
+        throw new Error(`Unsupported heightmap format ".${extension}"`);
+    }
+  }
+  
+  /**
+   * Decode an 8 or 16-bit PNG (greyscale preferred; colour is averaged)
+   * @param {ArrayBuffer|Uint8Array} buffer - PNG file contents
+   * @returns {Promise<HeightmapSource>}
+   */
+  static async fromPNG(buffer) {
+    const image = await decodePNG(toBytes(buffer));
+    return new HeightmapSource(image.width, image.height, image.data);
+  }
+  
+  /**
+   * Read a headerless 16-bit RAW heightmap
+   * @param {ArrayBuffer|Uint8Array} buffer - File contents
+   * @param {Object} options
+   * @param {number} options.width - Samples per row
+   * @param {number} [options.height] - Rows (defaults to width, for square maps)
+   * @param {boolean} [options.littleEndian=true] - Byte order
+   * @returns {HeightmapSource}
+   */
+  static fromRaw(buffer, { width, height = width, littleEndian = true } = {}) {
+    const bytes = toBytes(buffer);
+    if (!width || bytes.length !== width * height * 2) {
+      throw new Error(`RAW heightmap is ${bytes.length} bytes, expected ${width} x ${height} 16-bit samples`);
+    }
+    
+    const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+    const data = new Float32Array(width * height);
+    for (let i = 0; i < data.length; i++) {
+      data[i] = view.getUint16(i * 2, littleEndian) / 65535;
+    }
+    
+    return new HeightmapSource(width, height, data);
+  }
+  
+  /**
+   * Parse an ESRI ASCII grid (.asc), normalizing elevations to 0-1
+   * NODATA cells are filled with the lowest elevation.
+   * @param {string} text - File contents
+   * @returns {HeightmapSource}
+   */
+  static fromAsciiGrid(text) {
+    const tokens = text.trim().split(/\s+/);
+    const header = {};
+    
+    // Header is a run of "key value" pairs before the first numeric row
+    let index = 0;
+    while (index < tokens.length && /^[a-z_]+$/i.test(tokens[index])) {
+      header[tokens[index].toLowerCase()] = Number(tokens[index + 1]);
+      index += 2;
+    }
+    
+    const width = header.ncols;
+    const height = header.nrows;
+    if (!width || !height) {
+      throw new Error('ASCII grid is missing ncols/nrows');
+    }
+    if (tokens.length - index < width * height) {
+      throw new Error(`ASCII grid has ${tokens.length - index} values, expected ${width} x ${height}`);
+    }
+    
+    const noData = header.nodata_value;
+    const data = new Float32Array(width * height);
+    let min = Infinity;
+    let max = -Infinity;
+    
+    for (let i = 0; i < data.length; i++) {
+      const value = Number(tokens[index + i]);
+      data[i] = value;
+      if (value !== noData) {
+        min = Math.min(min, value);
+        max = Math.max(max, value);
+      }
+    }
+    
+    const range = max - min || 1;
+    for (let i = 0; i < data.length; i++) {
+      data[i] = data[i] === noData ? 0 : (data[i] - min) / range;
+    }
+    
+    const source = new HeightmapSource(width, height, data);
+    source.minElevation = min;
+    source.maxElevation = max;
+    source.cellSize = header.cellsize;
+    return source;
+  }
+}
+
+/**
+ * Bilinearly sample a heightmap-like object { width, height, data }
+ * Works on both HeightmapSource instances and their plain toJSON() form.
+ * @param {Object} heightmap
+ * @param {number} x - Horizontal position (normalized 0-1, clamped)
+ * @param {number} y - Vertical position (normalized 0-1, clamped)
+ * @returns {number}
+ */
+export function sampleHeightmap(heightmap, x, y) {
+  const { width, height, data } = heightmap;
+  
+  const fx = Math.max(0, Math.min(1, x)) * (width - 1);
+  const fy = Math.max(0, Math.min(1, y)) * (height - 1);
+  const x0 = Math.min(Math.floor(fx), width - 2);
+  const y0 = Math.min(Math.floor(fy), height - 2);
+  const u = fx - x0;
+  const v = fy - y0;
+  
+  const i = y0 * width + x0;
+  const top = data[i] * (1 - u) + data[i + 1] * u;
+  const bottom = data[i + width] * (1 - u) + data[i + width + 1] * u;
+  
+  return top * (1 - v) + bottom * v;
+}
+
+/**
+ * View any buffer-like input as bytes
+ * @param {ArrayBuffer|ArrayBufferView} buffer
+ * @returns {Uint8Array}
+ */
+function toBytes(buffer) {
+  if (buffer instanceof Uint8Array) {
+    return buffer;
+  }
+  if (ArrayBuffer.isView(buffer)) {
+    return new Uint8Array(buffer.buffer, buffer.byteOffset, buffer.byteLength);
+  }
+  return new Uint8Array(buffer);
+}
+
+/**
+ * Inflate zlib data with the platform's DecompressionStream
+ * @param {Uint8Array} bytes
+ * @returns {Promise<Uint8Array>}
+ */
+async function inflate(bytes) {
+  const stream = new Blob([bytes]).stream().pipeThrough(new DecompressionStream('deflate'));
+  return new Uint8Array(await new Response(stream).arrayBuffer());
+}
+
+/**
+ * Decode a non-interlaced PNG to normalized single-channel heights
+ * @param {Uint8Array} bytes - PNG file contents
+ * @returns {Promise<Object>} { width, height, data }
+ */
+async function decodePNG(bytes) {
+  for (let i = 0; i < PNG_SIGNATURE.length; i++) {
+    if (bytes[i] !== PNG_SIGNATURE[i]) {
+      throw new Error('Not a PNG file');
+    }
+  }
+  
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+  const idat = [];
+  let header = null;
+  let offset = 8;
+  
+  // Walk the chunks, keeping the header and all image data
+  while (offset < bytes.length) {
+    const length = view.getUint32(offset);
+    const type = String.fromCharCode(...bytes.subarray(offset + 4, offset + 8));
+    const chunk = bytes.subarray(offset + 8, offset + 8 + length);
+    
+    if (type === 'IHDR') {
+      header = {
+        width: view.getUint32(offset + 8),
+        height: view.getUint32(offset + 12),
+        bitDepth: chunk[8],
+        colorType: chunk[9],
+        interlace: chunk[12],
+      };
+    } else if (type === 'IDAT') {
+      idat.push(chunk);
+    } else if (type === 'IEND') {
+      break;
+    }
+    
+    offset += length + 12;
+  }
+  
+  if (!header) {
+    throw new Error('PNG is missing its IHDR chunk');
+  }
+  
+  const { width, height, bitDepth, colorType, interlace } = header;
+  const channels = { 0: 1, 2: 3, 4: 2, 6: 4 }[colorType];
+  if (!channels || (bitDepth !== 8 && bitDepth !== 16)) {
+    throw new Error(`Unsupported PNG format (color type ${colorType}, ${bitDepth}-bit); use 8 or 16-bit greyscale`);
+  }
+  if (interlace) {
+    throw new Error('Interlaced PNGs are not supported');
+  }
+  
+  // Join IDAT chunks and inflate
+  const compressed = new Uint8Array(idat.reduce((total, chunk) => total + chunk.length, 0));
+  let position = 0;
+  for (const chunk of idat) {
+    compressed.set(chunk, position);
+    position += chunk.length;
+  }
+  const raw = await inflate(compressed);
+  
+  const bytesPerSample = bitDepth / 8;
+  const bytesPerPixel = channels * bytesPerSample;
+  const stride = width * bytesPerPixel;
+  const pixels = unfilter(raw, height, stride, bytesPerPixel);
+  
+  // Colour channels are averaged; alpha is ignored
+  const colorChannels = colorType === 2 || colorType === 6 ? 3 : 1;
+  const maxValue = bitDepth === 16 ? 65535 : 255;
+  const data = new Float32Array(width * height);
+  
+  for (let i = 0; i < data.length; i++) {
+    let sum = 0;
+    for (let c = 0; c < colorChannels; c++) {
+      const at = i * bytesPerPixel + c * bytesPerSample;
+      sum += bitDepth === 16 ? (pixels[at] << 8) | pixels[at + 1] : pixels[at];
+    }
+    data[i] = sum / colorChannels / maxValue;
+  }
+  
+  return { width, height, data };
+}
+
+/**
+ * Reverse PNG scanline filters
+ * @param {Uint8Array} raw - Inflated data, one filter byte per row
+ * @param {number} height - Number of rows
+ * @param {number} stride - Bytes per row (excluding the filter byte)
+ * @param {number} bytesPerPixel
+ * @returns {Uint8Array} Unfiltered pixel bytes
+ */
+function unfilter(raw, height, stride, bytesPerPixel) {
+  const pixels = new Uint8Array(height * stride);
+  
+  for (let row = 0; row < height; row++) {
+    const filter = raw[row * (stride + 1)];
+    const input = row * (stride + 1) + 1;
+    const output = row * stride;
+    
+    for (let i = 0; i < stride; i++) {
+      const left = i >= bytesPerPixel ? pixels[output + i - bytesPerPixel] : 0;
+      const up = row > 0 ? pixels[output + i - stride] : 0;
+      const upLeft = row > 0 && i >= bytesPerPixel ? pixels[output + i - stride - bytesPerPixel] : 0;
+      let predictor;
+      
+      switch (filter) {
+        case 0: predictor = 0; break;
+        case 1: predictor = left; break;
+        case 2: predictor = up; break;
+        case 3: predictor = (left + up) >> 1; break;
+        case 4: predictor = paeth(left, up, upLeft); break;
+        default:
+          throw new Error(`Invalid PNG filter type ${filter}`);
+      }
+      
+      pixels[output + i] = (raw[input + i] + predictor) & 0xFF;
+    }
+  }
+  
+  return pixels;
+}
+
+/**
+ * Paeth predictor from the PNG specification
+ */
+function paeth(a, b, c) {
+  const p = a + b - c;
+  const pa = Math.abs(p - a);
+  const pb = Math.abs(p - b);
+  const pc = Math.abs(p - c);
+  if (pa <= pb && pa <= pc) return a;
+  if (pb <= pc) return b;
+  return c;
+}
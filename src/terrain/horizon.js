@@ -0,0 +1,140 @@
+/**
+ * Horizon bake - How much sky each vertex sees, and how high its horizon is
+ *
+ * From every vertex the height grid is marched outwards in a fan of compass
+ * directions, keeping the steepest rise found in each. Sky visibility is the
+ * share of an even sky's light that reaches flat ground below those horizons,
+ * so valley floors between tall peaks come out darker than open plains.
+ * Horizons in eight directions are kept for the shader, which compares them
+ * with the sun and moon for soft self-shadowing when they are low.
+ */
+
+/**
+ * Horizon directions the terrain shader reads (two vec4 attributes)
+ */
+export const HORIZON_DIRECTIONS = 8;
+
+/**
+ * Default parameters for the horizon bake
+ */
+export const HorizonDefaults = {
+  directions: 16, // Directions marched per vertex, a multiple of HORIZON_DIRECTIONS
+  distance: 150, // How far to look for the horizon (world units)
+  steps: 24, // Height samples per direction, closer together near the vertex
+};
+
+/**
+ * Bake horizons for every vertex
+ * @param {Object} terrain - { width, segments, heightScale, heights }
+ * @param {Object} options - Overrides for HorizonDefaults
+ * @returns {Object} { horizon, skyVisibility }
+ *   horizon: Float32Array - HORIZON_DIRECTIONS values per vertex, the sine of the horizon's elevation
+ *     (0 for open ground), clockwise from north (-Z) in eighths of a turn
+ *   skyVisibility: Float32Array - Share of the sky's light reaching flat ground (0-1)
+ */
+export function computeHorizons(terrain, options = {}) {
+  const count = (terrain.segments + 1) ** 2;
+  const horizon = new Float32Array(count * HORIZON_DIRECTIONS);
+  const skyVisibility = new Float32Array(count);
+
+  const region = { minRow: 0, maxRow: terrain.segments, minCol: 0, maxCol: terrain.segments };
+  updateHorizons(terrain, { horizon, skyVisibility }, region, options);
+
+  return { horizon, skyVisibility };
+}
+
+/**
+ * Re-bake horizons inside a region, e.g. after sculpting
+ * Vertices outside the region keep their horizons, even where the new
+ * heights would now rise above them.
+ * @param {Object} terrain - { width, segments, heightScale, heights }
+ * @param {Object} baked - { horizon, skyVisibility } from computeHorizons, modified in place
+ * @param {Object} region - { minRow, maxRow, minCol, maxCol } of vertices, inclusive
+ * @param {Object} options - Overrides for HorizonDefaults
+ */
+export function updateHorizons(terrain, baked, region, options = {}) {
+  const params = { ...HorizonDefaults, ...options };
+  const { segments, heightScale, heights } = terrain;
+  const size = segments + 1;
+  const cellSize = terrain.width / segments;
+
+  const { directions, steps } = params;
+  if (!Number.isInteger(directions) || directions <= 0 || directions % HORIZON_DIRECTIONS !== 0) {
+    throw new Error(`Horizon directions must be a positive multiple of ${HORIZON_DIRECTIONS}, got ${directions}`);
+  }
+  const stride = directions / HORIZON_DIRECTIONS;
+
+  // Grid steps along each direction, clockwise from north (-Z)
+  const stepCols = new Float64Array(directions);
+  const stepRows = new Float64Array(directions);
+  for (let d = 0; d < directions; d++) {
+    const azimuth = (d / directions) * Math.PI * 2;
+    stepCols[d] = Math.sin(azimuth);
+    stepRows[d] = -Math.cos(azimuth);
+  }
+
+  // Sample distances in cells, starting one cell out and spreading quadratically
+  const reach = Math.max(params.distance / cellSize, 1);
+  const distances = new Float64Array(steps);
+  for (let s = 0; s < steps; s++) {
+    const t = steps > 1 ? s / (steps - 1) : 1;
+    distances[s] = 1 + (reach - 1) * t * t;
+  }
+
+  const minRow = Math.max(0, region.minRow);
+  const maxRow = Math.min(segments, region.maxRow);
+  const minCol = Math.max(0, region.minCol);
+  const maxCol = Math.min(segments, region.maxCol);
+
+  for (let row = minRow; row <= maxRow; row++) {
+    for (let col = minCol; col <= maxCol; col++) {
+      const i = row * size + col;
+      const height = heights[i];
+      let visibility = 0;
+
+      for (let d = 0; d < directions; d++) {
+        // Steepest rise along this direction, as height over distance (both in cells)
+        let maxTangent = 0;
+        for (let s = 0; s < steps; s++) {
+          const x = col + stepCols[d] * distances[s];
+          const y = row + stepRows[d] * distances[s];
+          if (x < 0 || y < 0 || x > segments || y > segments) {
+            break;
+          }
+          const rise = (sampleGrid(heights, size, x, y) - height) * heightScale / cellSize;
+          maxTangent = Math.max(maxTangent, rise / distances[s]);
+        }
+
+        // Light from an even sky above the horizon on flat ground goes as cos² of its elevation
+        const sine = maxTangent / Math.sqrt(1 + maxTangent * maxTangent);
+        visibility += 1 - sine * sine;
+
+        if (d % stride === 0) {
+          baked.horizon[i * HORIZON_DIRECTIONS + d / stride] = sine;
+        }
+      }
+
+      baked.skyVisibility[i] = visibility / directions;
+    }
+  }
+}
+
+/**
+ * Bilinear height between grid points
+ * @param {Float32Array} heights
+ * @param {number} size - Grid points along each side
+ * @param {number} x - Column, fractional, inside the grid
+ * @param {number} y - Row, fractional, inside the grid
+ * @returns {number}
+ */
+function sampleGrid(heights, size, x, y) {
+  const col = Math.min(Math.floor(x), size - 2);
+  const row = Math.min(Math.floor(y), size - 2);
+  const fx = x - col;
+  const fy = y - row;
+  const i = row * size + col;
+
+  const top = heights[i] + (heights[i + 1] - heights[i]) * fx;
+  const bottom = heights[i + size] + (heights[i + size + 1] - heights[i + size]) * fx;
+  return top + (bottom - top) * fy;
+}
@@ -0,0 +1,440 @@
+/**
+ * Hydrology - Where water flows and pools on a height grid
+ *
+ * Works on the same row-major, normalized height grids as erosion.js.
+ * Depressions are filled with a priority flood so every cell drains to the
+ * map edge, then D8 flow directions and accumulation give river networks,
+ * and the filled depressions become lake basins.
+ */
+
+/**
+ * Default parameters for hydrology
+ */
+export const HydrologyDefaults = {
+  riverThreshold: 400, // Upstream cells needed to form a river
+  minRiverLength: 8, // Shorter river segments are dropped (cells)
+  lakeMinDepth: 0.002, // Minimum fill depth for a lake cell (normalized height)
+  minLakeArea: 12, // Smaller basins are ignored (cells)
+  carveDepth: 0.012, // Channel depth at full flow (normalized height)
+  epsilon: 1e-6, // Gradient imposed on filled flats so water keeps moving
+};
+
+// Neighbour offsets and distances for the 8-connected grid
+const NEIGHBOUR_DX = [-1, 0, 1, -1, 1, -1, 0, 1];
+const NEIGHBOUR_DY = [-1, -1, -1, 0, 0, 1, 1, 1];
+const NEIGHBOUR_DISTANCE = [Math.SQRT2, 1, Math.SQRT2, 1, 1, Math.SQRT2, 1, Math.SQRT2];
+
+/**
+ * Analyse drainage over a height grid
+ * @param {Float32Array} heights - Height grid (not modified)
+ * @param {number} size - Number of grid points along each side
+ * @param {Object} options - Overrides for HydrologyDefaults
+ * @returns {Object} { filled, receivers, accumulation, rivers, lakes }
+ *   rivers: Array of { cells: Array<number>, accumulation: Array<number> }, upstream to downstream
+ *   lakes: Array of { cells: Array<number>, level: number, depth: number }
+ */
+export function analyzeHydrology(heights, size, options = {}) {
+  const params = { ...HydrologyDefaults, ...options };
+
+  const filled = fillDepressions(heights, size, params.epsilon);
+  const receivers = computeFlowDirections(filled, size);
+  const accumulation = computeAccumulation(filled, receivers);
+
+  return {
+    filled,
+    receivers,
+    accumulation,
+    rivers: extractRivers(receivers, accumulation, size, params),
+    lakes: extractLakes(heights, filled, size, params),
+  };
+}
+
+/**
+ * Cut river channels into the height grid
+ * Channels deepen with the square root of the upstream area.
+ * @param {Float32Array} heights - Height grid (modified in place)
+ * @param {number} size - Number of grid points along each side
+ * @param {Object} hydrology - Result of analyzeHydrology
+ * @param {Object} options - Overrides for HydrologyDefaults
+ */
+export function carveRivers(heights, size, hydrology, options = {}) {
+  const params = { ...HydrologyDefaults, ...options };
+  const { accumulation } = hydrology;
+
+  for (const river of hydrology.rivers) {
+    for (const cell of river.cells) {
+      const strength = Math.min(1, Math.sqrt(accumulation[cell] / params.riverThreshold) / 4);
+      const depth = params.carveDepth * (0.4 + 0.6 * strength);
+      const x = cell % size;
+      const y = Math.floor(cell / size);
+
+      // Full depth along the channel, half depth on the banks for a V profile
+      heights[cell] = Math.min(heights[cell], hydrology.filled[cell] - depth);
+      for (let n = 0; n < 8; n++) {
+        const nx = x + NEIGHBOUR_DX[n];
+        const ny = y + NEIGHBOUR_DY[n];
+        if (nx < 0 || nx >= size || ny < 0 || ny >= size) continue;
+
+        const neighbour = ny * size + nx;
+        heights[neighbour] = Math.min(heights[neighbour], hydrology.filled[neighbour] - depth * 0.5 / NEIGHBOUR_DISTANCE[n]);
+      }
+    }
+  }
+
+  for (let i = 0; i < heights.length; i++) {
+    heights[i] = Math.max(0, heights[i]);
+  }
+}
+
+/**
+ * Convert hydrology results into world-space water features for rendering
+ * @param {Object} hydrology - Result of analyzeHydrology
+ * @param {Float32Array} heights - Height grid after carving
+ * @param {Object} grid - { width, depth, segments, heightScale }
+ * @param {Object} options - Overrides for HydrologyDefaults
+ * @returns {Object} { width, depth, size, cellSize, rivers, lakes }
+ *   rivers: Array of { points: Float32Array (x, y, z), flow: Float32Array (0-1) }
+ *   lakes: Array of { level, cells: Int32Array, depths: Float32Array } with level and depths in world units
+ */
+export function createWaterFeatures(hydrology, heights, grid, options = {}) {
+  const params = { ...HydrologyDefaults, ...options };
+  const { width, depth, segments, heightScale } = grid;
+  const size = segments + 1;
+  const { filled, accumulation } = hydrology;
+
+  const rivers = hydrology.rivers.map(river => {
+    const count = river.cells.length;
+    const points = new Float32Array(count * 3);
+    const flow = new Float32Array(count);
+
+    river.cells.forEach((cell, i) => {
+      const strength = Math.min(1, Math.sqrt(accumulation[cell] / params.riverThreshold) / 4);
+
+      // Water sits a little below the pre-carve surface, inside the channel
+      const channelDepth = params.carveDepth * (0.4 + 0.6 * strength);
+      points[i * 3] = (cell % size) * (width / segments) - width / 2;
+      points[i * 3 + 1] = (filled[cell] - channelDepth * 0.45) * heightScale;
+      points[i * 3 + 2] = Math.floor(cell / size) * (depth / segments) - depth / 2;
+      flow[i] = strength;
+    });
+
+    return { points: smoothPolyline(points), flow };
+  });
+
+  const lakes = hydrology.lakes.map(lake => {
+    const cells = Int32Array.from(lake.cells);
+    const depths = new Float32Array(cells.length);
+    for (let i = 0; i < cells.length; i++) {
+      depths[i] = (lake.level - heights[cells[i]]) * heightScale;
+    }
+    return { level: lake.level * heightScale, cells, depths };
+  });
+
+  return { width, depth, size, cellSize: width / segments, rivers, lakes };
+}
+
+/**
+ * Soften the 45-degree zigzags of a D8 path, keeping its end points
+ * @param {Float32Array} points - Packed x, y, z
+ * @returns {Float32Array}
+ */
+function smoothPolyline(points) {
+  const count = points.length / 3;
+  let current = points;
+
+  for (let pass = 0; pass < 2; pass++) {
+    const next = new Float32Array(current);
+    for (let i = 1; i < count - 1; i++) {
+      // Only x and z; heights already decrease monotonically downstream
+      next[i * 3] = (current[i * 3 - 3] + current[i * 3] * 2 + current[i * 3 + 3]) / 4;
+      next[i * 3 + 2] = (current[i * 3 - 1] + current[i * 3 + 2] * 2 + current[i * 3 + 5]) / 4;
+    }
+    current = next;
+  }
+
+  return current;
+}
+
+/**
+ * Priority-flood depression filling (Barnes et al. 2014, with epsilon)
+ * Raises every pit to its spill level, plus a tiny gradient towards the outlet.
+ * @param {Float32Array} heights
+ * @param {number} size
+ * @param {number} epsilon
+ * @returns {Float32Array} Filled heights
+ */
+export function fillDepressions(heights, size, epsilon) {
+  const filled = new Float32Array(heights);
+  const closed = new Uint8Array(size * size);
+  const queue = new MinHeap();
+
+  // Water leaves the map at the edges, so the flood starts there
+  for (let i = 0; i < size; i++) {
+    for (const cell of [i, (size - 1) * size + i, i * size, i * size + size - 1]) {
+      if (!closed[cell]) {
+        closed[cell] = 1;
+        queue.push(cell, filled[cell]);
+      }
+    }
+  }
+
+  while (queue.size > 0) {
+    const cell = queue.pop();
+    const x = cell % size;
+    const y = Math.floor(cell / size);
+
+    for (let n = 0; n < 8; n++) {
+      const nx = x + NEIGHBOUR_DX[n];
+      const ny = y + NEIGHBOUR_DY[n];
+      if (nx < 0 || nx >= size || ny < 0 || ny >= size) continue;
+
+      const neighbour = ny * size + nx;
+      if (closed[neighbour]) continue;
+      closed[neighbour] = 1;
+
+      // Anything lower than where the flood arrived from must hold water
+      filled[neighbour] = Math.max(filled[neighbour], Math.fround(filled[cell] + epsilon));
+      queue.push(neighbour, filled[neighbour]);
+    }
+  }
+
+  return filled;
+}
+
+/**
+ * D8 flow directions: each cell drains to its steepest downhill neighbour
+ * @param {Float32Array} filled - Depression-free heights
+ * @param {number} size
+ * @returns {Int32Array} Receiver cell per cell, or -1 where water leaves the map
+ */
+function computeFlowDirections(filled, size) {
+  const receivers = new Int32Array(size * size).fill(-1);
+
+  for (let y = 0; y < size; y++) {
+    for (let x = 0; x < size; x++) {
+      const cell = y * size + x;
+
+      // Edge cells drain off the map
+      if (x === 0 || y === 0 || x === size - 1 || y === size - 1) continue;
+
+      let steepest = 0;
+      for (let n = 0; n < 8; n++) {
+        const neighbour = (y + NEIGHBOUR_DY[n]) * size + x + NEIGHBOUR_DX[n];
+        const drop = (filled[cell] - filled[neighbour]) / NEIGHBOUR_DISTANCE[n];
+        if (drop > steepest) {
+          steepest = drop;
+          receivers[cell] = neighbour;
+        }
+      }
+    }
+  }
+
+  return receivers;
+}
+
+/**
+ * Flow accumulation: how many cells drain through each cell (itself included)
+ * @param {Float32Array} filled
+ * @param {Int32Array} receivers
+ * @returns {Float32Array}
+ */
+function computeAccumulation(filled, receivers) {
+  const accumulation = new Float32Array(filled.length).fill(1);
+
+  // Process from highest to lowest so donors are done before receivers
+  const order = Array.from(filled.keys()).sort((a, b) => filled[b] - filled[a]);
+  for (const cell of order) {
+    if (receivers[cell] >= 0) {
+      accumulation[receivers[cell]] += accumulation[cell];
+    }
+  }
+
+  return accumulation;
+}
+
+/**
+ * Trace river polylines from their sources downstream
+ * Each river ends where it leaves the map or joins a river already traced,
+ * including the junction cell so the networks connect.
+ */
+function extractRivers(receivers, accumulation, size, params) {
+  const isRiver = (cell) => accumulation[cell] >= params.riverThreshold;
+
+  // A source is a river cell with no river cell draining into it
+  const hasRiverDonor = new Uint8Array(size * size);
+  for (let cell = 0; cell < receivers.length; cell++) {
+    if (isRiver(cell) && receivers[cell] >= 0) {
+      hasRiverDonor[receivers[cell]] = 1;
+    }
+  }
+
+  const sources = [];
+  for (let cell = 0; cell < receivers.length; cell++) {
+    if (isRiver(cell) && !hasRiverDonor[cell]) {
+      sources.push(cell);
+    }
+  }
+
+  // Trace the longest rivers first so tributaries end where they join them
+  const lengths = downstreamLengths(receivers);
+  sources.sort((a, b) => lengths[b] - lengths[a]);
+
+  const visited = new Uint8Array(size * size);
+  const rivers = [];
+
+  for (const source of sources) {
+    const cells = [];
+    let cell = source;
+
+    while (cell >= 0) {
+      cells.push(cell);
+      if (visited[cell]) break;
+      visited[cell] = 1;
+      cell = receivers[cell];
+    }
+
+    if (cells.length >= params.minRiverLength) {
+      rivers.push({ cells, accumulation: cells.map(c => accumulation[c]) });
+    }
+  }
+
+  // Longest first, so the trunk streams come first
+  rivers.sort((a, b) => b.cells.length - a.cells.length);
+  return rivers;
+}
+
+/**
+ * How many cells each cell's flow path crosses before leaving the map or
+ * ending in a pit, itself included
+ * @param {Int32Array} receivers
+ * @returns {Int32Array}
+ */
+function downstreamLengths(receivers) {
+  const lengths = new Int32Array(receivers.length);
+  const path = [];
+
+  for (let start = 0; start < receivers.length; start++) {
+    // Walk down to a cell whose length is known, then fill in the path back up
+    let cell = start;
+    while (cell >= 0 && lengths[cell] === 0) {
+      path.push(cell);
+      cell = receivers[cell];
+    }
+
+    let length = cell >= 0 ? lengths[cell] : 0;
+    while (path.length > 0) {
+      lengths[path.pop()] = ++length;
+    }
+  }
+
+  return lengths;
+}
+
+/**
+ * Group filled depressions into lake basins
+ */
+function extractLakes(heights, filled, size, params) {
+  const isLake = new Uint8Array(size * size);
+  for (let cell = 0; cell < heights.length; cell++) {
+    if (filled[cell] - heights[cell] >= params.lakeMinDepth) {
+      isLake[cell] = 1;
+    }
+  }
+
+  const lakes = [];
+  const seen = new Uint8Array(size * size);
+
+  for (let start = 0; start < heights.length; start++) {
+    if (!isLake[start] || seen[start]) continue;
+
+    // Flood fill the connected basin (4-connected)
+    const cells = [];
+    const stack = [start];
+    seen[start] = 1;
+    let level = -Infinity;
+    let depth = 0;
+
+    while (stack.length > 0) {
+      const cell = stack.pop();
+      cells.push(cell);
+      level = Math.max(level, filled[cell]);
+      depth = Math.max(depth, filled[cell] - heights[cell]);
+
+      const x = cell % size;
+      const y = Math.floor(cell / size);
+      for (const [nx, ny] of [[x - 1, y], [x + 1, y], [x, y - 1], [x, y + 1]]) {
+        if (nx < 0 || nx >= size || ny < 0 || ny >= size) continue;
+        const neighbour = ny * size + nx;
+        if (isLake[neighbour] && !seen[neighbour]) {
+          seen[neighbour] = 1;
+          stack.push(neighbour);
+        }
+      }
+    }
+
+    if (cells.length >= params.minLakeArea) {
+      lakes.push({ cells, level, depth });
+    }
+  }
+
+  return lakes;
+}
+
+/**
+ * Minimal binary min-heap of cells keyed by height
+ */
+class MinHeap {
+  constructor() {
+    this.cells = [];
+    this.keys = [];
+  }
+
+  get size() {
+    return this.cells.length;
+  }
+
+  push(cell, key) {
+    let i = this.cells.length;
+    this.cells.push(cell);
+    this.keys.push(key);
+
+    // Sift up
+    while (i > 0) {
+      const parent = (i - 1) >> 1;
+      if (this.keys[parent] <= key) break;
+      this.swap(i, parent);
+      i = parent;
+    }
+  }
+
+  pop() {
+    const top = this.cells[0];
+    const lastCell = this.cells.pop();
+    const lastKey = this.keys.pop();
+
+    if (this.cells.length > 0) {
+      this.cells[0] = lastCell;
+      this.keys[0] = lastKey;
+
+      // Sift down
+      let i = 0;
+      for (;;) {
+        const left = i * 2 + 1;
+        const right = left + 1;
+        let smallest = i;
+        if (left < this.keys.length && this.keys[left] < this.keys[smallest]) smallest = left;
+        if (right < this.keys.length && this.keys[right] < this.keys[smallest]) smallest = right;
+        if (smallest === i) break;
+        this.swap(i, smallest);
+        i = smallest;
+      }
+    }
+
+    return top;
+  }
+
+  swap(a, b) {
+    [this.cells[a], this.cells[b]] = [this.cells[b], this.cells[a]];
+    [this.keys[a], this.keys[b]] = [this.keys[b], this.keys[a]];
+  }
+}
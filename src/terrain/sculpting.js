@@ -0,0 +1,268 @@
+/**
+ * Terrain sculpting - Brushes that edit the height grid by hand
+ *
+ * One dab of a brush changes the normalized heights within its radius,
+ * weighted by a falloff from the centre, and reports the block of grid
+ * vertices it touched so only that part of the mesh has to be refreshed.
+ * A stroke (several dabs while the pointer is held) shares a state object,
+ * which is how flatten keeps one target height for the whole stroke.
+ */
+
+import { createTerrainNoise } from '../utils/noise.js';
+
+/**
+ * Default brush settings
+ */
+export const BrushDefaults = {
+  type: 'raise', // One of SculptBrushes
+  radius: 12, // World units
+  strength: 0.5, // 0-1, how much one dab changes the ground
+  falloff: 'smooth', // One of BrushFalloffs
+};
+
+/**
+ * Brush weight from the distance to the centre (t: 0 at the centre, 1 at the rim)
+ */
+export const BrushFalloffs = {
+  constant: () => 1,
+  linear: (t) => 1 - t,
+  smooth: (t) => 1 - t * t * (3 - 2 * t),
+  sphere: (t) => Math.sqrt(1 - t * t),
+};
+
+/**
+ * Brush types in the order the app binds them to number keys
+ */
+export const SculptBrushes = ['raise', 'lower', 'smooth', 'flatten', 'noise', 'erode'];
+
+// Height change of a full-strength raise, lower or noise dab, as a fraction of heightScale
+const DAB_HEIGHT = 0.006;
+
+// Size of the bumps the noise brush adds (world units)
+const NOISE_SCALE = 6;
+
+// Steepest slope the erode brush leaves standing (degrees)
+const ERODE_TALUS_ANGLE = 30;
+
+const brushes = {
+  raise(grid, cells, params) {
+    for (const [i, weight] of cells) {
+      grid.heights[i] += DAB_HEIGHT * params.strength * weight;
+    }
+  },
+
+  lower(grid, cells, params) {
+    for (const [i, weight] of cells) {
+      grid.heights[i] -= DAB_HEIGHT * params.strength * weight;
+    }
+  },
+
+  smooth(grid, cells, params) {
+    const { heights, segments } = grid;
+    const size = segments + 1;
+
+    // Average from the heights before this dab, so the result does not depend on visiting order
+    const averages = cells.map(([i]) => {
+      const row = Math.floor(i / size);
+      const col = i - row * size;
+      let sum = 0;
+      let count = 0;
+      for (let r = Math.max(0, row - 1); r <= Math.min(segments, row + 1); r++) {
+        for (let c = Math.max(0, col - 1); c <= Math.min(segments, col + 1); c++) {
+          sum += heights[r * size + c];
+          count++;
+        }
+      }
+      return sum / count;
+    });
+
+    cells.forEach(([i, weight], k) => {
+      heights[i] += (averages[k] - heights[i]) * params.strength * weight;
+    });
+  },
+
+  flatten(grid, cells, params, stroke) {
+    // The stroke keeps the height under its first dab
+    if (stroke.target === undefined) {
+      stroke.target = grid.heights[nearestVertex(grid, stroke.x, stroke.z)];
+    }
+    for (const [i, weight] of cells) {
+      grid.heights[i] += (stroke.target - grid.heights[i]) * params.strength * weight * 0.5;
+    }
+  },
+
+  noise(grid, cells, params, stroke) {
+    if (!stroke.noise) {
+      stroke.noise = createTerrainNoise(`${grid.seed}/sculpt`);
+    }
+    const { segments, width, depth } = grid;
+    const size = segments + 1;
+
+    for (const [i, weight] of cells) {
+      const row = Math.floor(i / size);
+      const col = i - row * size;
+      const x = col * (width / segments) - width / 2;
+      const z = row * (depth / segments) - depth / 2;
+      grid.heights[i] += stroke.noise.noise2D(x / NOISE_SCALE, z / NOISE_SCALE) * DAB_HEIGHT * params.strength * weight;
+    }
+  },
+
+  erode(grid, cells, params) {
+    const { heights, segments, width, heightScale } = grid;
+    const size = segments + 1;
+    const maxDifference = Math.tan(ERODE_TALUS_ANGLE * Math.PI / 180) * (width / segments) / heightScale;
+
+    // One thermal relaxation pass: over-steep ground sheds material to its lowest neighbour
+    const moves = [];
+    for (const [i, weight] of cells) {
+      const row = Math.floor(i / size);
+      const col = i - row * size;
+      let lowest = -1;
+      let drop = 0;
+      for (let r = Math.max(0, row - 1); r <= Math.min(segments, row + 1); r++) {
+        for (let c = Math.max(0, col - 1); c <= Math.min(segments, col + 1); c++) {
+          const j = r * size + c;
+          const excess = heights[i] - heights[j] - maxDifference * Math.hypot(r - row, c - col);
+          if (j !== i && excess > drop) {
+            drop = excess;
+            lowest = j;
+          }
+        }
+      }
+      if (lowest >= 0) {
+        moves.push([i, lowest, drop * 0.5 * params.strength * weight]);
+      }
+    }
+
+    for (const [from, to, amount] of moves) {
+      heights[from] -= amount;
+      heights[to] += amount;
+    }
+  },
+};
+
+/**
+ * Apply one brush dab to a height grid
+ * @param {Object} grid - { heights, segments, width, depth, heightScale, seed }, heights are modified in place
+ * @param {number} x - World X of the brush centre
+ * @param {number} z - World Z of the brush centre
+ * @param {Object} brush - Overrides for BrushDefaults
+ * @param {Object} [stroke] - State shared by the dabs of one stroke
+ * @returns {Object|null} { minRow, maxRow, minCol, maxCol } of vertices that may have changed
+ *   (inclusive), or null if the brush missed the grid
+ */
+export function applyBrush(grid, x, z, brush, stroke = {}) {
+  const params = { ...BrushDefaults, ...brush };
+  const apply = brushes[params.type];
+  if (!apply) {
+    throw new Error(`Unknown sculpt brush: ${params.type}`);
+  }
+  const falloff = BrushFalloffs[params.falloff];
+  if (!falloff) {
+    throw new Error(`Unknown brush falloff: ${params.falloff}`);
+  }
+
+  const { segments, width, depth } = grid;
+  const size = segments + 1;
+  const cellWidth = width / segments;
+  const cellDepth = depth / segments;
+
+  const minCol = Math.max(0, Math.ceil((x - params.radius + width / 2) / cellWidth));
+  const maxCol = Math.min(segments, Math.floor((x + params.radius + width / 2) / cellWidth));
+  const minRow = Math.max(0, Math.ceil((z - params.radius + depth / 2) / cellDepth));
+  const maxRow = Math.min(segments, Math.floor((z + params.radius + depth / 2) / cellDepth));
+  if (minCol > maxCol || minRow > maxRow) {
+    return null;
+  }
+
+  // Vertices under the brush with their weights
+  const cells = [];
+  for (let row = minRow; row <= maxRow; row++) {
+    for (let col = minCol; col <= maxCol; col++) {
+      const distance = Math.hypot(col * cellWidth - width / 2 - x, row * cellDepth - depth / 2 - z);
+      if (distance < params.radius) {
+        cells.push([row * size + col, falloff(distance / params.radius)]);
+      }
+    }
+  }
+  if (cells.length === 0) {
+    return null;
+  }
+
+  stroke.x = x;
+  stroke.z = z;
+  apply(grid, cells, params, stroke);
+
+  // Erosion moves material one vertex past the rim
+  const margin = params.type === 'erode' ? 1 : 0;
+  return {
+    minRow: Math.max(0, minRow - margin),
+    maxRow: Math.min(segments, maxRow + margin),
+    minCol: Math.max(0, minCol - margin),
+    maxCol: Math.min(segments, maxCol + margin),
+  };
+}
+
+/**
+ * Smallest region covering two regions (either may be null)
+ * @param {Object|null} a
+ * @param {Object|null} b
+ * @returns {Object|null}
+ */
+export function mergeRegions(a, b) {
+  if (!a || !b) {
+    return a || b;
+  }
+  return {
+    minRow: Math.min(a.minRow, b.minRow),
+    maxRow: Math.max(a.maxRow, b.maxRow),
+    minCol: Math.min(a.minCol, b.minCol),
+    maxCol: Math.max(a.maxCol, b.maxCol),
+  };
+}
+
+/**
+ * Copy the heights (or other per-vertex values) inside a region, row by row
+ * @param {Float32Array} heights
+ * @param {number} segments
+ * @param {Object} region
+ * @param {number} [itemSize=1] - Values per vertex
+ * @returns {Float32Array}
+ */
+export function readRegion(heights, segments, region, itemSize = 1) {
+  const size = segments + 1;
+  const columns = (region.maxCol - region.minCol + 1) * itemSize;
+  const values = new Float32Array((region.maxRow - region.minRow + 1) * columns);
+  for (let row = region.minRow; row <= region.maxRow; row++) {
+    const start = (row * size + region.minCol) * itemSize;
+    values.set(heights.subarray(start, start + columns), (row - region.minRow) * columns);
+  }
+  return values;
+}
+
+/**
+ * Write values from readRegion back into a region, row by row
+ * @param {Float32Array} heights - Modified in place
+ * @param {number} segments
+ * @param {Object} region
+ * @param {Float32Array} values
+ * @param {number} [itemSize=1] - Values per vertex
+ */
+export function writeRegion(heights, segments, region, values, itemSize = 1) {
+  const size = segments + 1;
+  const columns = (region.maxCol - region.minCol + 1) * itemSize;
+  for (let row = region.minRow; row <= region.maxRow; row++) {
+    const offset = (row - region.minRow) * columns;
+    heights.set(values.subarray(offset, offset + columns), (row * size + region.minCol) * itemSize);
+  }
+}
+
+/**
+ * Nearest grid vertex to a world position
+ */
+function nearestVertex(grid, x, z) {
+  const { segments, width, depth } = grid;
+  const col = Math.min(Math.max(Math.round((x + width / 2) / (width / segments)), 0), segments);
+  const row = Math.min(Math.max(Math.round((z + depth / 2) / (depth / segments)), 0), segments);
+  return row * (segments + 1) + col;
+}
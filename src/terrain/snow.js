@@ -0,0 +1,141 @@
+/**
+ * Snow cover - Where snow lies, from altitude, slope, sun and wind
+ *
+ * Each vertex gets an effective snow altitude: its height shifted down where
+ * snow survives longer (shaded faces, lee hollows) and up where it melts or is
+ * stripped away (sunny faces, wind-scoured ridges, slopes too steep to hold
+ * it). Snow depth then only needs the snowline, so the shader can recompute it
+ * live for any snowline without touching the geometry.
+ */
+
+import { TerrainZones } from './terrainZones.js';
+
+/**
+ * Default parameters for the snow cover pass
+ * Shifts are in normalized height (0-1), like the snowline.
+ */
+export const SnowDefaults = {
+  snowLine: TerrainZones.snowLine, // Snowline for the baked snowDepth
+  depthRange: 0.08, // Height above the local snowline where snow reaches full depth
+  maxDepth: 3, // Full snow depth (m)
+  sunDirection: [0, 0.69, 0.73], // Direction towards the noon sun; this is the equinox in the Alps (see noonSunDirection in DayNightCycle.js)
+  sunShift: 0.07, // Snowline rise on a face turned fully to the sun, and fall on one turned away
+  windDirection: [1, 0, 0.4], // Direction the prevailing wind blows towards
+  windShift: 0.05, // Snowline rise on exposed windward ground, and fall in sheltered lee
+  windRadius: 6, // Neighbourhood for ridge/hollow exposure (cells)
+  shedSlopeStart: 0.35, // Slope (aSlope measure) where snow starts to slide off
+  shedSlopeEnd: 0.6, // Slope that holds no snow at all
+};
+
+/**
+ * Compute snow cover for every vertex
+ * @param {Object} terrain - { width, segments, heightScale, heights, normals, slopes }
+ * @param {Object} options - Overrides for SnowDefaults
+ * @returns {Object} { snowAltitude, snowDepth }
+ *   snowAltitude: Float32Array - Effective altitude for snow, in normalized height
+ *   snowDepth: Float32Array - Snow depth in metres at options.snowLine
+ */
+export function computeSnowCover(terrain, options = {}) {
+  const params = { ...SnowDefaults, ...options };
+  const { segments, heights, normals, slopes } = terrain;
+  const size = segments + 1;
+  const count = size * size;
+
+  const sun = horizontal(params.sunDirection);
+  const wind = horizontal(params.windDirection);
+  const relief = localRelief(heights, size, params.windRadius);
+
+  // Relief that counts as a full ridge or hollow, relative to the terrain's vertical exaggeration
+  const reliefScale = params.windRadius * (terrain.width / segments) / terrain.heightScale * 0.25;
+
+  const snowAltitude = new Float32Array(count);
+  const snowDepth = new Float32Array(count);
+
+  for (let i = 0; i < count; i++) {
+    const nx = normals[i * 3];
+    const nz = normals[i * 3 + 2];
+
+    // Horizontal part of the normal: zero on flat ground, unit length on a vertical face
+    const sunFacing = nx * sun[0] + nz * sun[1];
+    const windFacing = -(nx * wind[0] + nz * wind[1]);
+
+    // Ridges and windward faces are scoured, hollows and lee slopes collect drift
+    const ridge = Math.max(-1, Math.min(1, relief[i] / reliefScale));
+    const exposure = Math.max(-1, Math.min(1, 0.5 * ridge + windFacing));
+
+    const shed = smoothstep(params.shedSlopeStart, params.shedSlopeEnd, slopes[i]);
+
+    const shift = params.sunShift * Math.max(-1, Math.min(1, sunFacing * 2))
+      + params.windShift * exposure
+      + shed;
+    snowAltitude[i] = heights[i] - shift;
+    snowDepth[i] = snowDepthAt(snowAltitude[i], params.snowLine, params);
+  }
+
+  return { snowAltitude, snowDepth };
+}
+
+/**
+ * Snow depth for an effective snow altitude, mirrored by the terrain shader
+ * @param {number} snowAltitude - From computeSnowCover
+ * @param {number} snowLine - Normalized snowline height
+ * @param {Object} [options] - { depthRange, maxDepth }, see SnowDefaults
+ * @returns {number} Depth in metres
+ */
+export function snowDepthAt(snowAltitude, snowLine, options = {}) {
+  const { depthRange, maxDepth } = { ...SnowDefaults, ...options };
+  return maxDepth * smoothstep(0, depthRange, snowAltitude - snowLine);
+}
+
+/**
+ * Normalized horizontal (x, z) part of a direction
+ * @param {Array<number>} direction - [x, y, z]
+ * @returns {Array<number>} [x, z]
+ */
+function horizontal(direction) {
+  const length = Math.hypot(direction[0], direction[2]) || 1;
+  return [direction[0] / length, direction[2] / length];
+}
+
+/**
+ * Height of every vertex above the mean of its neighbourhood (summed-area table)
+ * Positive on ridges and knolls, negative in hollows.
+ * @param {Float32Array} heights
+ * @param {number} size - Grid points along each side
+ * @param {number} radius - Half-width of the square window in cells
+ * @returns {Float32Array}
+ */
+function localRelief(heights, size, radius) {
+  const stride = size + 1;
+  const sums = new Float64Array(stride * stride);
+  for (let row = 0; row < size; row++) {
+    for (let col = 0; col < size; col++) {
+      sums[(row + 1) * stride + col + 1] = heights[row * size + col]
+        + sums[row * stride + col + 1]
+        + sums[(row + 1) * stride + col]
+        - sums[row * stride + col];
+    }
+  }
+
+  const relief = new Float32Array(size * size);
+  for (let row = 0; row < size; row++) {
+    for (let col = 0; col < size; col++) {
+      const r0 = Math.max(0, row - radius);
+      const c0 = Math.max(0, col - radius);
+      const r1 = Math.min(size, row + radius + 1);
+      const c1 = Math.min(size, col + radius + 1);
+      const total = sums[r1 * stride + c1] - sums[r0 * stride + c1] - sums[r1 * stride + c0] + sums[r0 * stride + c0];
+      relief[row * size + col] = heights[row * size + col] - total / ((r1 - r0) * (c1 - c0));
+    }
+  }
+
+  return relief;
+}
+
+/**
+ * Hermite step between two edges, as in GLSL
+ */
+function smoothstep(edge0, edge1, x) {
+  const t = Math.min(Math.max((x - edge0) / (edge1 - edge0), 0), 1);
+  return t * t * (3 - 2 * t);
+}
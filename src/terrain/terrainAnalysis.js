@@ -0,0 +1,226 @@
+/**
+ * Terrain analysis - Slope, aspect, curvature and elevation statistics
+ *
+ * Works on the typed arrays from generateTerrainData with no Three.js or DOM
+ * dependencies, so it runs in the browser, in workers and in Node. Derivatives
+ * use the Zevenbergen-Thorne finite differences on the height grid in world
+ * units, with one-sided differences along the edges.
+ */
+
+import { TerrainZones, ZoneNames, classifyZone } from './terrainZones.js';
+
+/**
+ * Default parameters for analysis
+ */
+export const AnalysisDefaults = {
+  histogramBins: 32, // Elevation histogram buckets
+  hypsometricSamples: 101, // Points along the hypsometric curve
+  flatSlope: 0.5, // Slopes below this (degrees) have no aspect or curvature
+};
+
+// Eight compass sectors, clockwise from north (-Z)
+const COMPASS = ['N', 'NE', 'E', 'SE', 'S', 'SW', 'W', 'NW'];
+
+/**
+ * Analyse a generated terrain
+ * @param {Object} data - { width, depth, segments, heightScale, heights, slopes?, snowDepth? } (e.g. from generateTerrainData)
+ * @param {Object} options - Overrides for AnalysisDefaults
+ * @returns {Object} Per-vertex typed arrays and a summary:
+ *   slope: Float32Array - Degrees from horizontal
+ *   aspect: Float32Array - Downhill direction in degrees clockwise from north (-Z), -1 where flat
+ *   planCurvature: Float32Array - Across the slope (1/m); negative in hollows, positive on spurs, 0 where flat
+ *   profileCurvature: Float32Array - Along the slope (1/m); negative where it flattens out, positive where it steepens, 0 where flat
+ *   zones: Uint8Array - Index into ZoneNames
+ *   summary: Object - See summarize
+ */
+export function analyzeTerrain(data, options = {}) {
+  const params = { ...AnalysisDefaults, ...options };
+  const { segments, heightScale, heights } = data;
+  const size = segments + 1;
+  const count = size * size;
+  const dx = data.width / segments;
+  const dz = data.depth / segments;
+
+  const slope = new Float32Array(count);
+  const aspect = new Float32Array(count);
+  const planCurvature = new Float32Array(count);
+  const profileCurvature = new Float32Array(count);
+  const zones = new Uint8Array(count);
+
+  // World height at a grid point, clamped to the grid
+  const at = (row, col) => {
+    const r = Math.min(Math.max(row, 0), segments);
+    const c = Math.min(Math.max(col, 0), segments);
+    return heights[r * size + c] * heightScale;
+  };
+
+  for (let row = 0; row < size; row++) {
+    for (let col = 0; col < size; col++) {
+      const i = row * size + col;
+      const z0 = at(row, col);
+      const west = at(row, col - 1);
+      const east = at(row, col + 1);
+      const north = at(row - 1, col);
+      const south = at(row + 1, col);
+
+      // Edges fall back to one-sided differences over a single spacing
+      const spanX = (col > 0 && col < segments ? 2 : 1) * dx;
+      const spanZ = (row > 0 && row < segments ? 2 : 1) * dz;
+
+      // First derivatives
+      const p = (east - west) / spanX;
+      const q = (south - north) / spanZ;
+
+      // Second derivatives (zero along the edges, where they are undefined)
+      const interior = col > 0 && col < segments && row > 0 && row < segments;
+      const r = interior ? (east - 2 * z0 + west) / (dx * dx) : 0;
+      const t = interior ? (south - 2 * z0 + north) / (dz * dz) : 0;
+      const s = interior
+        ? (at(row + 1, col + 1) - at(row - 1, col + 1) - at(row + 1, col - 1) + at(row - 1, col - 1)) / (4 * dx * dz)
+        : 0;
+
+      const gradient2 = p * p + q * q;
+      slope[i] = Math.atan(Math.sqrt(gradient2)) * 180 / Math.PI;
+
+      // Downhill points along (-p, -q); north is -Z, so its north component is q
+      aspect[i] = slope[i] < params.flatSlope
+        ? -1
+        : (Math.atan2(-p, q) * 180 / Math.PI + 360) % 360;
+
+      // Curvature along and across the fall line is undefined on flat ground
+      if (aspect[i] >= 0) {
+        profileCurvature[i] = -(p * p * r + 2 * p * q * s + q * q * t) / (gradient2 * Math.pow(1 + gradient2, 1.5));
+        planCurvature[i] = -(q * q * r - 2 * p * q * s + p * p * t) / Math.pow(gradient2, 1.5);
+      }
+
+      // Match the shader's slope measure when the mesh slopes are available
+      const shaderSlope = data.slopes ? data.slopes[i] : 1 - 1 / Math.sqrt(1 + gradient2);
+      zones[i] = ZoneNames.indexOf(classifyZone(heights[i], shaderSlope));
+    }
+  }
+
+  const summary = summarize(
+    { heights, heightScale, slope, aspect, planCurvature, profileCurvature, zones, snowDepth: data.snowDepth },
+    params
+  );
+
+  return { slope, aspect, planCurvature, profileCurvature, zones, summary };
+}
+
+/**
+ * Reduce per-vertex analysis to plain numbers
+ * @returns {Object}
+ *   elevation: { min, max, mean, stdDev } in world units
+ *   slope: { min, max, mean, stdDev } in degrees, plus maxGradient (rise over run)
+ *   planCurvature, profileCurvature: { min, max, mean, stdDev } over sloping ground only
+ *   aspect: Percentage of sloping ground facing each compass sector (N, NE, ... NW)
+ *   histogram: { min, max, binWidth, counts: Uint32Array }
+ *   hypsometry: { curve: Float32Array, integral } - curve[i] is the fraction of area
+ *     above relative elevation i / (samples - 1)
+ *   zones: Percentage of area in each zone (valley, meadow, alpine, rock, snow)
+ *   aboveSnowline: Percentage of area above the snowline, whatever its slope
+ *   snowCovered: Percentage of area under snow from the snow cover pass, or null if it did not run
+ */
+function summarize(analysis, params) {
+  const { heights, heightScale, slope, aspect, zones } = analysis;
+  const count = heights.length;
+
+  const elevation = statistics(heights, heightScale);
+  const slopeStats = statistics(slope);
+
+  // Elevation histogram over the actual range
+  const bins = params.histogramBins;
+  const range = elevation.max - elevation.min || 1;
+  const counts = new Uint32Array(bins);
+  for (let i = 0; i < count; i++) {
+    const bin = Math.floor((heights[i] * heightScale - elevation.min) / range * bins);
+    counts[Math.min(bin, bins - 1)]++;
+  }
+
+  // Hypsometric curve: fraction of area above each relative elevation
+  const samples = params.hypsometricSamples;
+  const relativeCounts = new Uint32Array(samples);
+  for (let i = 0; i < count; i++) {
+    const relative = (heights[i] * heightScale - elevation.min) / range;
+    relativeCounts[Math.min(Math.floor(relative * (samples - 1)), samples - 1)]++;
+  }
+  const curve = new Float32Array(samples);
+  let above = 0;
+  for (let i = samples - 1; i >= 0; i--) {
+    above += relativeCounts[i];
+    curve[i] = above / count;
+  }
+
+  // Aspect by compass sector, ignoring flat ground
+  const sectors = new Uint32Array(COMPASS.length);
+  let sloping = 0;
+  for (let i = 0; i < count; i++) {
+    if (aspect[i] >= 0) {
+      sectors[Math.round(aspect[i] / 45) % COMPASS.length]++;
+      sloping++;
+    }
+  }
+
+  const zoneCounts = new Uint32Array(ZoneNames.length);
+  let snow = 0;
+  let covered = 0;
+  for (let i = 0; i < count; i++) {
+    zoneCounts[zones[i]]++;
+    if (heights[i] >= TerrainZones.snowLine) snow++;
+    if (analysis.snowDepth && analysis.snowDepth[i] > 0) covered++;
+  }
+
+  // Curvature is 0 by definition on flat ground, so leave it out like aspect
+  const isSloping = (i) => aspect[i] >= 0;
+  const percent = (value, total) => total > 0 ? value / total * 100 : 0;
+
+  return {
+    elevation,
+    slope: { ...slopeStats, maxGradient: Math.tan(slopeStats.max * Math.PI / 180) },
+    planCurvature: statistics(analysis.planCurvature, 1, isSloping),
+    profileCurvature: statistics(analysis.profileCurvature, 1, isSloping),
+    aspect: Object.fromEntries(COMPASS.map((name, i) => [name, percent(sectors[i], sloping)])),
+    histogram: { min: elevation.min, max: elevation.max, binWidth: range / bins, counts },
+    hypsometry: { curve, integral: (elevation.mean - elevation.min) / range },
+    zones: Object.fromEntries(ZoneNames.map((name, i) => [name, percent(zoneCounts[i], count)])),
+    aboveSnowline: percent(snow, count),
+    snowCovered: analysis.snowDepth ? percent(covered, count) : null,
+  };
+}
+
+/**
+ * Min, max, mean and standard deviation of an array
+ * @param {ArrayLike<number>} values
+ * @param {number} [scale=1] - Multiplier applied to every value
+ * @param {Function} [include] - (index) => whether to count that value; all by default
+ * @returns {Object} { min, max, mean, stdDev }, all 0 if no values are counted
+ */
+function statistics(values, scale = 1, include = null) {
+  let min = Infinity;
+  let max = -Infinity;
+  let sum = 0;
+  let sumSquares = 0;
+  let count = 0;
+
+  for (let i = 0; i < values.length; i++) {
+    if (include && !include(i)) continue;
+    const value = values[i] * scale;
+    min = Math.min(min, value);
+    max = Math.max(max, value);
+    sum += value;
+    sumSquares += value * value;
+    count++;
+  }
+
+  if (count === 0) {
+    return { min: 0, max: 0, mean: 0, stdDev: 0 };
+  }
+
+  const mean = sum / count;
+  return {
+    min,
+    max,
+    mean,
+    stdDev: Math.sqrt(Math.max(0, sumSquares / count - mean * mean)),
+  };
+}
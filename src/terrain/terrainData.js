@@ -0,0 +1,410 @@
+/**
+ * Terrain data generation - the heavy lifting behind TerrainGenerator
+ *
+ * Everything here works on plain typed arrays with no Three.js or DOM
+ * dependencies, so it runs unchanged on the main thread, in a Web Worker
+ * or headless in Node.
+ */
+
+import { createTerrainNoise } from '../utils/noise.js';
+import { createRandom } from '../utils/random.js';
+import { compileRecipe, resolveRecipe } from './terrainRecipe.js';
+import { hydraulicErosion, thermalErosion } from './erosion.js';
+import { sampleHeightmap } from './heightmaps.js';
+import { analyzeHydrology, carveRivers, createWaterFeatures } from './hydrology.js';
+import { computeBiomes } from './biomes.js';
+import { computeSnowCover } from './snow.js';
+import { computeHorizons } from './horizon.js';
+import { scatterVegetation } from './vegetation.js';
+import { placeBoulders } from './boulders.js';
+
+/**
+ * Build the height function described by generation options
+ * An imported heightmap takes the place of the procedural recipe.
+ * @param {Object} options - { seed, recipe, heightmap }
+ * @returns {Function} - (x, y) => height, with x and y normalized 0-1
+ */
+export function createHeightSampler(options) {
+  if (options.heightmap) {
+    const heightmap = options.heightmap;
+    return (x, y) => sampleHeightmap(heightmap, x, y);
+  }
+
+  const noise = createTerrainNoise(options.seed);
+  return compileRecipe(resolveRecipe(options.recipe), noise);
+}
+
+/**
+ * Generate all vertex data for a terrain tile
+ *
+ * Vertices are laid out row-major with rows along +Z and columns along +X,
+ * triangulated the same way as a rotated THREE.PlaneGeometry.
+ *
+ * @param {Object} options - { width, depth, segments, heightScale, seed, recipe, heightmap, erosion, thermalErosion, hydrology, horizon, biomes, snow, boulders, vegetation }
+ * @param {Object} [callbacks]
+ * @param {Function} [callbacks.onProgress] - Called with (progress 0-1, stage name)
+ * @param {AbortSignal} [callbacks.signal] - Aborts generation with an AbortError
+ * @returns {Object} Typed arrays: positions, normals, uvs, indices, heights, slopes, sediment, wetness, talus,
+ *   plus water features (see createWaterFeatures) when hydrology is enabled, horizon and skyVisibility
+ *   (see computeHorizons) when the horizon bake is enabled, and temperature,
+ *   moisture and biomeWeights (see computeBiomes) when biomes are enabled, snowAltitude and snowDepth
+ *   (see computeSnowCover) when snow is enabled, boulders (see placeBoulders) and vegetation
+ *   (see scatterVegetation) when those are enabled, otherwise null
+ */
+export function generateTerrainData(options, { onProgress, signal } = {}) {
+  const { width, depth, segments, heightScale, seed } = options;
+  const size = segments + 1;
+  const vertexCount = size * size;
+
+  // Progress is split across the stages that actually run
+  const stages = ['sampling'];
+  if (options.erosion) stages.push('erosion');
+  if (options.thermalErosion) stages.push('thermal');
+  if (options.hydrology) stages.push('hydrology');
+  stages.push('mesh');
+  if (options.horizon) stages.push('horizon');
+  if (options.biomes) stages.push('biomes');
+  if (options.snow) stages.push('snow');
+  if (options.boulders) stages.push('boulders');
+  if (options.vegetation) stages.push('vegetation');
+
+  const report = (stage, fraction) => {
+    if (signal && signal.aborted) {
+      throw new DOMException('Terrain generation was cancelled', 'AbortError');
+    }
+    if (onProgress) {
+      const index = stages.indexOf(stage);
+      onProgress((index + fraction) / stages.length, stage);
+    }
+  };
+
+  // Sample the recipe (or heightmap) over the grid
+  const sampleHeight = createHeightSampler(options);
+  const heights = new Float32Array(vertexCount);
+  for (let row = 0; row < size; row++) {
+    for (let col = 0; col < size; col++) {
+      heights[row * size + col] = sampleHeight(col / segments, row / segments);
+    }
+    report('sampling', row / size);
+  }
+
+  let sediment = new Float32Array(vertexCount);
+  let wetness = new Float32Array(vertexCount);
+  let talus = new Float32Array(vertexCount);
+
+  // Carve water-worn valleys before the mesh is built
+  if (options.erosion) {
+    const random = createRandom(`${seed}/erosion`);
+    const erosion = options.erosion === true ? {} : options.erosion;
+    ({ sediment, wetness } = hydraulicErosion(
+      heights, size, erosion, random,
+      (fraction) => report('erosion', fraction)
+    ));
+  }
+
+  // Let over-steep faces collapse, piling scree at their base
+  if (options.thermalErosion) {
+    const thermal = options.thermalErosion === true ? {} : options.thermalErosion;
+    ({ talus } = thermalErosion(heights, size, {
+      cellSize: width / segments,
+      heightScale,
+      ...thermal,
+    }, (fraction) => report('thermal', fraction)));
+  }
+
+  // Trace rivers and lakes over the final landform and cut the river channels
+  let water = null;
+  let waterMask = null;
+  if (options.hydrology) {
+    report('hydrology', 0);
+    const hydrologyOptions = options.hydrology === true ? {} : options.hydrology;
+    const hydrology = analyzeHydrology(heights, size, hydrologyOptions);
+    report('hydrology', 0.7);
+    carveRivers(heights, size, hydrology, hydrologyOptions);
+    water = createWaterFeatures(hydrology, heights, options, hydrologyOptions);
+
+    // Remember where the water is for biome moisture and vegetation
+    waterMask = new Uint8Array(vertexCount);
+    for (const feature of [...hydrology.rivers, ...hydrology.lakes]) {
+      for (const cell of feature.cells) {
+        waterMask[cell] = 1;
+      }
+    }
+    report('hydrology', 1);
+  }
+
+  report('mesh', 0);
+
+  // Displaced positions and 8x tiled UVs
+  const positions = new Float32Array(vertexCount * 3);
+  const uvs = new Float32Array(vertexCount * 2);
+  for (let row = 0; row < size; row++) {
+    for (let col = 0; col < size; col++) {
+      const i = row * size + col;
+      positions[i * 3] = col * (width / segments) - width / 2;
+      positions[i * 3 + 1] = heights[i] * heightScale;
+      positions[i * 3 + 2] = row * (depth / segments) - depth / 2;
+      uvs[i * 2] = (col / segments) * 8;
+      uvs[i * 2 + 1] = (1 - row / segments) * 8;
+    }
+  }
+
+  const indices = createGridIndices(segments);
+  const normals = computeGridNormals(positions, indices);
+
+  // Slope is inverse of how much the normal points up
+  // 0 = flat, 1 = vertical cliff
+  const slopes = new Float32Array(vertexCount);
+  for (let i = 0; i < vertexCount; i++) {
+    slopes[i] = 1.0 - Math.abs(normals[i * 3 + 1]);
+  }
+
+  report('mesh', 1);
+
+  // Horizons around every vertex, for sky occlusion and low-sun shading
+  let horizon = null;
+  let skyVisibility = null;
+  if (options.horizon) {
+    report('horizon', 0);
+    const horizonOptions = options.horizon === true ? {} : options.horizon;
+    ({ horizon, skyVisibility } = computeHorizons(
+      { width, segments, heightScale, heights },
+      horizonOptions
+    ));
+    report('horizon', 1);
+  }
+
+  // Temperature and moisture decide the biome mix the shader paints
+  let temperature = null;
+  let moisture = null;
+  let biomeWeights = null;
+  if (options.biomes) {
+    report('biomes', 0);
+    const biomeOptions = options.biomes === true ? {} : options.biomes;
+    ({ temperature, moisture, biomeWeights } = computeBiomes(
+      { width, segments, heights, normals, wetness, waterMask, seed },
+      biomeOptions
+    ));
+    report('biomes', 1);
+  }
+
+  // Snow lying on the surface, from altitude, slope, sun and wind
+  let snowAltitude = null;
+  let snowDepth = null;
+  if (options.snow) {
+    report('snow', 0);
+    const snowOptions = options.snow === true ? {} : options.snow;
+    ({ snowAltitude, snowDepth } = computeSnowCover(
+      { width, segments, heightScale, heights, normals, slopes },
+      snowOptions
+    ));
+    report('snow', 1);
+  }
+
+  // Drop rock debris below cliffs and across the rock zone
+  let boulders = null;
+  if (options.boulders) {
+    report('boulders', 0);
+    const boulderOptions = options.boulders === true ? {} : options.boulders;
+    boulders = placeBoulders(
+      { width, depth, segments, heightScale, heights, normals, slopes, talus, biomeWeights, waterMask, seed },
+      boulderOptions
+    );
+    report('boulders', 1);
+  }
+
+  // Spread plants over the finished surface
+  let vegetation = null;
+  if (options.vegetation) {
+    report('vegetation', 0);
+    const vegetationOptions = options.vegetation === true ? {} : options.vegetation;
+    vegetation = scatterVegetation(
+      { width, depth, segments, heightScale, heights, slopes, biomeWeights, waterMask, seed },
+      vegetationOptions
+    );
+    report('vegetation', 1);
+  }
+
+  return {
+    width,
+    depth,
+    segments,
+    heightScale,
+    positions,
+    normals,
+    uvs,
+    indices,
+    heights,
+    slopes,
+    sediment,
+    wetness,
+    talus,
+    water,
+    horizon,
+    skyVisibility,
+    temperature,
+    moisture,
+    biomeWeights,
+    snowAltitude,
+    snowDepth,
+    boulders,
+    vegetation,
+  };
+}
+
+/**
+ * List the buffers of a terrain data object, for zero-copy postMessage
+ * @param {Object} data - Result of generateTerrainData
+ * @returns {Array<ArrayBuffer>}
+ */
+export function getTransferables(data) {
+  return Object.values(data)
+    .filter(value => ArrayBuffer.isView(value))
+    .map(value => value.buffer);
+}
+
+/**
+ * Triangle indices for a grid, matching THREE.PlaneGeometry
+ * @param {number} segments - Segments along each side
+ * @returns {Uint32Array}
+ */
+export function createGridIndices(segments) {
+  const size = segments + 1;
+  const indices = new Uint32Array(segments * segments * 6);
+  let k = 0;
+
+  for (let row = 0; row < segments; row++) {
+    for (let col = 0; col < segments; col++) {
+      const a = row * size + col;
+      const b = (row + 1) * size + col;
+      const c = (row + 1) * size + col + 1;
+      const d = row * size + col + 1;
+
+      indices[k++] = a;
+      indices[k++] = b;
+      indices[k++] = d;
+      indices[k++] = b;
+      indices[k++] = c;
+      indices[k++] = d;
+    }
+  }
+
+  return indices;
+}
+
+/**
+ * Area-weighted vertex normals, equivalent to BufferGeometry.computeVertexNormals
+ * @param {Float32Array} positions
+ * @param {Uint32Array} indices
+ * @returns {Float32Array}
+ */
+export function computeGridNormals(positions, indices) {
+  const normals = new Float32Array(positions.length);
+
+  for (let i = 0; i < indices.length; i += 3) {
+    const a = indices[i] * 3;
+    const b = indices[i + 1] * 3;
+    const c = indices[i + 2] * 3;
+
+    // Edges (c - b) and (a - b)
+    const cbX = positions[c] - positions[b];
+    const cbY = positions[c + 1] - positions[b + 1];
+    const cbZ = positions[c + 2] - positions[b + 2];
+    const abX = positions[a] - positions[b];
+    const abY = positions[a + 1] - positions[b + 1];
+    const abZ = positions[a + 2] - positions[b + 2];
+
+    const nx = cbY * abZ - cbZ * abY;
+    const ny = cbZ * abX - cbX * abZ;
+    const nz = cbX * abY - cbY * abX;
+
+    for (const v of [a, b, c]) {
+      normals[v] += nx;
+      normals[v + 1] += ny;
+      normals[v + 2] += nz;
+    }
+  }
+
+  for (let i = 0; i < normals.length; i += 3) {
+    const length = Math.hypot(normals[i], normals[i + 1], normals[i + 2]) || 1;
+    normals[i] /= length;
+    normals[i + 1] /= length;
+    normals[i + 2] /= length;
+  }
+
+  return normals;
+}
+
+/**
+ * Recompute vertex normals after heights changed inside a region of the grid
+ * Vertices one step outside the region share faces with it, so they are updated too.
+ * Matches computeGridNormals for the vertices it touches.
+ * @param {Float32Array} positions
+ * @param {Float32Array} normals - Modified in place
+ * @param {number} segments - Segments along each side
+ * @param {Object} region - { minRow, maxRow, minCol, maxCol } of changed vertices, inclusive
+ * @returns {Object} The region of updated normals
+ */
+export function updateGridNormals(positions, normals, segments, region) {
+  const size = segments + 1;
+  const minRow = Math.max(0, region.minRow - 1);
+  const maxRow = Math.min(segments, region.maxRow + 1);
+  const minCol = Math.max(0, region.minCol - 1);
+  const maxCol = Math.min(segments, region.maxCol + 1);
+  const inside = (v) => {
+    const row = Math.floor(v / size);
+    const col = v - row * size;
+    return row >= minRow && row <= maxRow && col >= minCol && col <= maxCol;
+  };
+
+  for (let row = minRow; row <= maxRow; row++) {
+    normals.fill(0, (row * size + minCol) * 3, (row * size + maxCol + 1) * 3);
+  }
+
+  // Every cell with a corner in the updated region, split as in createGridIndices
+  for (let row = Math.max(0, minRow - 1); row <= Math.min(segments - 1, maxRow); row++) {
+    for (let col = Math.max(0, minCol - 1); col <= Math.min(segments - 1, maxCol); col++) {
+      const a = row * size + col;
+      const b = (row + 1) * size + col;
+      const c = (row + 1) * size + col + 1;
+      const d = row * size + col + 1;
+
+      for (const [i0, i1, i2] of [[a, b, d], [b, c, d]]) {
+        const p0 = i0 * 3;
+        const p1 = i1 * 3;
+        const p2 = i2 * 3;
+
+        // Edges (p2 - p1) and (p0 - p1)
+        const cbX = positions[p2] - positions[p1];
+        const cbY = positions[p2 + 1] - positions[p1 + 1];
+        const cbZ = positions[p2 + 2] - positions[p1 + 2];
+        const abX = positions[p0] - positions[p1];
+        const abY = positions[p0 + 1] - positions[p1 + 1];
+        const abZ = positions[p0 + 2] - positions[p1 + 2];
+
+        const nx = cbY * abZ - cbZ * abY;
+        const ny = cbZ * abX - cbX * abZ;
+        const nz = cbX * abY - cbY * abX;
+
+        for (const v of [i0, i1, i2]) {
+          if (!inside(v)) continue;
+          normals[v * 3] += nx;
+          normals[v * 3 + 1] += ny;
+          normals[v * 3 + 2] += nz;
+        }
+      }
+    }
+  }
+
+  for (let row = minRow; row <= maxRow; row++) {
+    for (let col = minCol; col <= maxCol; col++) {
+      const n = (row * size + col) * 3;
+      const length = Math.hypot(normals[n], normals[n + 1], normals[n + 2]) || 1;
+      normals[n] /= length;
+      normals[n + 1] /= length;
+      normals[n + 2] /= length;
+    }
+  }
+
+  return { minRow, maxRow, minCol, maxCol };
+}
@@ -0,0 +1,297 @@
+/**
+ * Terrain recipes - Declarative height functions built from noise layers
+ *
+ * A recipe is a plain JSON object listing layers in evaluation order. Each
+ * layer has a unique `id` and a `type`, and may reference layers listed
+ * before it by id. The layer named by `output` gives the final height.
+ *
+ * Layer types:
+ * - fbm / ridged: { octaves, persistence, lacunarity, scale, frequency, offset, amplitude, domain }
+ * - warp: { strength, scale, octaves, domain } - produces warped coordinates
+ *   for noise layers that name it as their `domain`
+ * - constant: { value }
+ * - remap: { input, scale, offset } - input * scale + offset
+ * - add / multiply: { inputs: [...] }
+ * - blend: { a, b, mask, weightA, weightB } - a * (1 - mask * weightA) + b * mask * weightB
+ * - power: { input, exponent } - power curve
+ * - terrace: { input, steps, sharpness } - stepped plateaus
+ * - clamp: { input, min, max, softMin, softness } - values below softMin are
+ *   compressed towards it by softness before the hard clamp
+ * - mask: { input, mask, low, high, fill, invert } - fades input to fill where
+ *   the mask is below low
+ */
+
+const NOISE_TYPES = ['fbm', 'ridged'];
+
+/**
+ * Built-in recipes
+ */
+export const TerrainRecipes = {
+  // The original alpine look: warped fbm blended with ridges on the peaks
+  alpine: {
+    name: 'alpine',
+    output: 'valleys',
+    layers: [
+      { id: 'warp', type: 'warp', strength: 0.4, scale: 0.3 },
+      { id: 'base', type: 'fbm', domain: 'warp', octaves: 5, persistence: 0.5, lacunarity: 2.0, scale: 1.5 },
+      { id: 'ridges', type: 'ridged', domain: 'warp', octaves: 5, persistence: 0.5, lacunarity: 2.2, scale: 2.0 },
+      { id: 'largeScale', type: 'fbm', octaves: 3, persistence: 0.4, lacunarity: 2.0, scale: 0.4 },
+      { id: 'ridgeMask', type: 'remap', input: 'largeScale', scale: 0.5, offset: 0.5 },
+      { id: 'ridgeBlend', type: 'clamp', input: 'ridgeMask', min: 0 },
+      { id: 'blend', type: 'blend', a: 'base', b: 'ridges', mask: 'ridgeBlend', weightA: 0.6, weightB: 0.8 },
+      { id: 'detail', type: 'fbm', octaves: 3, persistence: 0.4, lacunarity: 2.5, scale: 4.0, frequency: 4, amplitude: 0.1 },
+      { id: 'combined', type: 'add', inputs: ['blend', 'detail'] },
+      { id: 'normalized', type: 'remap', input: 'combined', scale: 0.5, offset: 0.5 },
+      { id: 'peaks', type: 'power', input: 'normalized', exponent: 1.3 },
+      { id: 'valleys', type: 'clamp', input: 'peaks', min: 0, max: 1, softMin: 0.25, softness: 0.7 },
+    ],
+  },
+
+  // Soft, low rolling hills
+  rollingHills: {
+    name: 'rollingHills',
+    output: 'height',
+    layers: [
+      { id: 'warp', type: 'warp', strength: 0.2, scale: 0.5 },
+      { id: 'hills', type: 'fbm', domain: 'warp', octaves: 4, persistence: 0.45, lacunarity: 2.0, scale: 1.2 },
+      { id: 'normalized', type: 'remap', input: 'hills', scale: 0.35, offset: 0.35 },
+      { id: 'height', type: 'clamp', input: 'normalized', min: 0, max: 1 },
+    ],
+  },
+
+  // Flat-topped mesas with stepped cliffs
+  mesa: {
+    name: 'mesa',
+    output: 'height',
+    layers: [
+      { id: 'warp', type: 'warp', strength: 0.3, scale: 0.4 },
+      { id: 'base', type: 'fbm', domain: 'warp', octaves: 5, persistence: 0.5, lacunarity: 2.0, scale: 1.3 },
+      { id: 'normalized', type: 'remap', input: 'base', scale: 0.6, offset: 0.45 },
+      { id: 'steps', type: 'terrace', input: 'normalized', steps: 5, sharpness: 6 },
+      { id: 'detail', type: 'fbm', octaves: 3, persistence: 0.4, lacunarity: 2.5, scale: 4.0, frequency: 4, amplitude: 0.02 },
+      { id: 'combined', type: 'add', inputs: ['steps', 'detail'] },
+      { id: 'height', type: 'clamp', input: 'combined', min: 0, max: 1, softMin: 0.2, softness: 0.5 },
+    ],
+  },
+
+  // Ridged mountains cut by deep, winding sea-level channels
+  fjords: {
+    name: 'fjords',
+    output: 'height',
+    layers: [
+      { id: 'warp', type: 'warp', strength: 0.5, scale: 0.3 },
+      { id: 'ridges', type: 'ridged', domain: 'warp', octaves: 6, persistence: 0.5, lacunarity: 2.1, scale: 1.8 },
+      { id: 'peaks', type: 'power', input: 'ridges', exponent: 1.5 },
+      { id: 'channels', type: 'ridged', domain: 'warp', octaves: 2, persistence: 0.5, lacunarity: 2.0, scale: 0.8, offset: [17.3, -4.1] },
+      { id: 'carved', type: 'mask', input: 'peaks', mask: 'channels', low: 0.55, high: 0.8, fill: 0.02, invert: true },
+      { id: 'height', type: 'clamp', input: 'carved', min: 0, max: 1 },
+    ],
+  },
+};
+
+/**
+ * Compile a recipe into a height function
+ * @param {Object} recipe - Recipe object (see module comment for the format)
+ * @param {Object} noise - Noise set from createTerrainNoise()
+ * @returns {Function} - (x, y) => height, with x and y normalized 0-1
+ */
+export function compileRecipe(recipe, noise) {
+  if (!recipe || !Array.isArray(recipe.layers) || recipe.layers.length === 0) {
+    throw new Error('Terrain recipe must have a non-empty "layers" array');
+  }
+
+  const indices = {};
+  const types = [];
+
+  // Per-sample scratch storage, one slot per layer
+  const values = new Float64Array(recipe.layers.length);
+  const domainX = new Float64Array(recipe.layers.length);
+  const domainY = new Float64Array(recipe.layers.length);
+
+  // Resolve a reference to an earlier layer, checking its kind
+  const resolve = (layer, name, expectDomain = false) => {
+    const index = indices[name];
+    if (index === undefined) {
+      throw new Error(`Terrain recipe layer "${layer.id}" references unknown layer "${name}"`);
+    }
+    if ((types[index] === 'warp') !== expectDomain) {
+      const expected = expectDomain ? 'a warp layer' : 'a height layer';
+      throw new Error(`Terrain recipe layer "${layer.id}" expects "${name}" to be ${expected}`);
+    }
+    return index;
+  };
+
+  const steps = recipe.layers.map((layer, i) => {
+    if (!layer.id || indices[layer.id] !== undefined) {
+      throw new Error(`Terrain recipe layer ${i} needs a unique "id"`);
+    }
+    const step = compileLayer(layer, i, noise, resolve, values, domainX, domainY);
+    indices[layer.id] = i;
+    types[i] = layer.type;
+    return step;
+  });
+
+  const outputId = recipe.output ?? recipe.layers[recipe.layers.length - 1].id;
+  const output = resolve({ id: 'output' }, outputId);
+
+  return function sampleHeight(x, y) {
+    for (let i = 0; i < steps.length; i++) {
+      steps[i](x, y);
+    }
+    return values[output];
+  };
+}
+
+/**
+ * Resolve a recipe given by preset name or object
+ * @param {string|Object} recipe - Preset name from TerrainRecipes, or a recipe object
+ * @returns {Object} Recipe object
+ */
+export function resolveRecipe(recipe) {
+  if (typeof recipe === 'string') {
+    if (!TerrainRecipes[recipe]) {
+      throw new Error(`Unknown terrain recipe "${recipe}"`);
+    }
+    return TerrainRecipes[recipe];
+  }
+  return recipe || TerrainRecipes.alpine;
+}
+
+/**
+ * Build the evaluation step for a single layer
+ * Each step writes its result into slot `i` of the scratch arrays
+ */
+function compileLayer(layer, i, noise, resolve, values, domainX, domainY) {
+  // Noise layers and warps can sample from a warped domain
+  const domain = layer.domain !== undefined ? resolve(layer, layer.domain, true) : -1;
+  const coordX = (x) => (domain < 0 ? x : domainX[domain]);
+  const coordY = (y) => (domain < 0 ? y : domainY[domain]);
+
+  if (NOISE_TYPES.includes(layer.type)) {
+    const octaves = layer.octaves ?? 6;
+    const persistence = layer.persistence ?? 0.5;
+    const lacunarity = layer.lacunarity ?? 2.0;
+    const scale = layer.scale ?? 1.0;
+    const frequency = layer.frequency ?? 1;
+    const amplitude = layer.amplitude ?? 1;
+    const [offsetX, offsetY] = layer.offset ?? [0, 0];
+    const fn = layer.type === 'fbm' ? noise.fbm : noise.ridgedNoise;
+
+    return (x, y) => {
+      const nx = coordX(x) * frequency + offsetX;
+      const ny = coordY(y) * frequency + offsetY;
+      values[i] = fn(nx, ny, octaves, persistence, lacunarity, scale) * amplitude;
+    };
+  }
+
+  switch (layer.type) {
+    case 'warp': {
+      const strength = layer.strength ?? 0.5;
+      const scale = layer.scale ?? 0.5;
+      const octaves = layer.octaves ?? 4;
+
+      return (x, y) => {
+        const wx = coordX(x);
+        const wy = coordY(y);
+        domainX[i] = wx + noise.fbm(wx, wy, octaves, 0.5, 2.0, scale) * strength;
+        domainY[i] = wy + noise.fbm(wx + 5.2, wy + 1.3, octaves, 0.5, 2.0, scale) * strength;
+      };
+    }
+
+    case 'constant': {
+      const value = layer.value ?? 0;
+      return () => {
+        values[i] = value;
+      };
+    }
+
+    case 'remap': {
+      const input = resolve(layer, layer.input);
+      const scale = layer.scale ?? 1;
+      const offset = layer.offset ?? 0;
+      return () => {
+        values[i] = values[input] * scale + offset;
+      };
+    }
+
+    case 'add':
+    case 'multiply': {
+      if (!Array.isArray(layer.inputs) || layer.inputs.length === 0) {
+        throw new Error(`Terrain recipe layer "${layer.id}" needs a non-empty "inputs" array`);
+      }
+      const inputs = layer.inputs.map(name => resolve(layer, name));
+      const isAdd = layer.type === 'add';
+      return () => {
+        let result = values[inputs[0]];
+        for (let k = 1; k < inputs.length; k++) {
+          result = isAdd ? result + values[inputs[k]] : result * values[inputs[k]];
+        }
+        values[i] = result;
+      };
+    }
+
+    case 'blend': {
+      const a = resolve(layer, layer.a);
+      const b = resolve(layer, layer.b);
+      const mask = resolve(layer, layer.mask);
+      const weightA = layer.weightA ?? 1;
+      const weightB = layer.weightB ?? 1;
+      return () => {
+        const m = values[mask];
+        values[i] = values[a] * (1 - m * weightA) + values[b] * m * weightB;
+      };
+    }
+
+    case 'power': {
+      const input = resolve(layer, layer.input);
+      const exponent = layer.exponent ?? 1;
+      return () => {
+        values[i] = Math.pow(Math.max(0, values[input]), exponent);
+      };
+    }
+
+    case 'terrace': {
+      const input = resolve(layer, layer.input);
+      const steps = layer.steps ?? 4;
+      const sharpness = layer.sharpness ?? 4;
+      return () => {
+        const scaled = values[input] * steps;
+        const step = Math.floor(scaled);
+        values[i] = (step + Math.pow(scaled - step, sharpness)) / steps;
+      };
+    }
+
+    case 'clamp': {
+      const input = resolve(layer, layer.input);
+      const min = layer.min ?? -Infinity;
+      const max = layer.max ?? Infinity;
+      const softMin = layer.softMin ?? -Infinity;
+      const softness = layer.softness ?? 1;
+      return () => {
+        let value = values[input];
+        if (value < softMin) {
+          value = value * softness + softMin * (1 - softness);
+        }
+        values[i] = Math.max(min, Math.min(max, value));
+      };
+    }
+
+    case 'mask': {
+      const input = resolve(layer, layer.input);
+      const mask = resolve(layer, layer.mask);
+      const low = layer.low ?? 0;
+      const high = layer.high ?? 1;
+      const fill = layer.fill ?? 0;
+      const invert = !!layer.invert;
+      return () => {
+        let t = Math.max(0, Math.min(1, (values[mask] - low) / (high - low)));
+        t = t * t * (3 - 2 * t);
+        if (invert) t = 1 - t;
+        values[i] = fill + (values[input] - fill) * t;
+      };
+    }
+
+    default:
+      throw new Error(`Terrain recipe layer "${layer.id}" has unknown type "${layer.type}"`);
+  }
+}
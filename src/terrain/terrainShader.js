@@ -1,29 +1,107 @@
 import * as THREE from 'three';
+import { TerrainZones, glslFloat } from './terrainZones.js';
+import { Biomes, BiomeIndex } from './biomes.js';
+import { SnowDefaults } from './snow.js';
+import { TerrainTextureDefaults } from './terrainTextures.js';
+import { cloudShaderChunk, createCloudUniforms } from '../lighting/cloudNoise.js';
+
+/**
+ * GLSL expression for one biome's weight, packed four to a vec4
+ * @param {string} name - Biome name
+ * @returns {string}
+ */
+function biomeWeight(name) {
+  const index = BiomeIndex[name];
+  return `vBiome${index >> 2}.${'xyzw'[index & 3]}`;
+}
+
+// Weighted sum of every biome colour
+const biomeColorSum = Biomes
+  .map((biome, i) => `uBiomeColors[${i}] * ${biomeWeight(biome.name)}`)
+  .join('\n      + ');
+
+// Ground under the snow biomes, for when the snow cover pass lays the snow instead
+const bareGround = { snowfield: 'scree', glacier: 'bareRock' };
+
+// Weighted sum of the biome colours with the snow biomes bared
+const bareBiomeColorSum = Biomes
+  .map(biome => `uBiomeColors[${BiomeIndex[bareGround[biome.name] ?? biome.name]}] * ${biomeWeight(biome.name)}`)
+  .join('\n      + ');
 
 /**
  * Vertex shader for terrain
- * Passes height and slope to fragment shader
+ * Passes height, slope and erosion data to fragment shader, and the
+ * position in the sun's shadow map
  */
 const vertexShader = /* glsl */ `
+  #include <common>
+  #include <shadowmap_pars_vertex>
+  
   attribute float aHeight;
   attribute float aSlope;
+  attribute float aSediment;
+  attribute float aWetness;
+  attribute float aTalus;
+  
+  #ifdef USE_BIOMES
+  attribute vec4 aBiome0;
+  attribute vec4 aBiome1;
+  varying vec4 vBiome0;
+  varying vec4 vBiome1;
+  #endif
+  
+  #ifdef USE_SNOW_COVER
+  attribute float aSnowAltitude;
+  varying float vSnowAltitude;
+  #endif
+  
+  #ifdef USE_HORIZON
+  attribute float aSkyVisibility;
+  attribute vec4 aHorizon0;
+  attribute vec4 aHorizon1;
+  varying float vSkyVisibility;
+  varying vec4 vHorizon0;
+  varying vec4 vHorizon1;
+  #endif
   
   varying vec3 vWorldPosition;
   varying vec3 vNormal;
   varying vec2 vUv;
   varying float vHeight;
   varying float vSlope;
+  varying float vSediment;
+  varying float vWetness;
+  varying float vTalus;
   varying float vFogDepth;
   
   void main() {
     vUv = uv;
     vHeight = aHeight;
     vSlope = aSlope;
+    vSediment = aSediment;
+    vWetness = aWetness;
+    vTalus = aTalus;
+    #ifdef USE_BIOMES
+    vBiome0 = aBiome0;
+    vBiome1 = aBiome1;
+    #endif
+    #ifdef USE_SNOW_COVER
+    vSnowAltitude = aSnowAltitude;
+    #endif
+    #ifdef USE_HORIZON
+    vSkyVisibility = aSkyVisibility;
+    vHorizon0 = aHorizon0;
+    vHorizon1 = aHorizon1;
+    #endif
     vNormal = normalize(normalMatrix * normal);
     
     vec4 worldPosition = modelMatrix * vec4(position, 1.0);
     vWorldPosition = worldPosition.xyz;
     
+    // Shadow map coordinates, offset along the normal against acne
+    vec3 transformedNormal = normalMatrix * normal;
+    #include <shadowmap_vertex>
+    
     vec4 mvPosition = viewMatrix * worldPosition;
     vFogDepth = -mvPosition.z;
     
@@ -33,28 +111,140 @@ const vertexShader = /* glsl */ `
 
 /**
  * Fragment shader for terrain
- * Creates realistic alpine coloring based on altitude and slope
+ * Creates realistic alpine coloring based on altitude and slope, lit by a
+ * sun that is shadowed by the terrain and the clouds
  */
 const fragmentShader = /* glsl */ `
+  #include <common>
+  #include <packing>
+  #include <shadowmap_pars_fragment>
+  
   uniform vec3 uSunDirection;
   uniform vec3 uSunColor;
   uniform float uSunIntensity;
+  uniform vec3 uMoonDirection;
+  uniform vec3 uMoonColor;
+  uniform float uMoonIntensity;
   uniform vec3 uAmbientColor;
   uniform float uAmbientIntensity;
   uniform float uTime;
   uniform float uDayNightMix; // 0 = day, 1 = night
+  uniform float uSnowLine; // Normalized height, adjustable live
+  uniform float uSnowDepthRange;
   
   // Fog uniforms
   uniform vec3 uFogColor;
   uniform float uFogDensity;
   
+  // Cloud field for drifting cloud shadows
+  ${cloudShaderChunk}
+  
+  // Sun shadow map (the sun is the only light that casts shadows)
+  uniform bool receiveShadow;
+  uniform float uShadowSoftness; // Filter radius in shadow map texels
+  
+  // Sun shadow, filtered over a disc that widens as the sun gets lower
+  float sunShadow() {
+  #if defined(USE_SHADOWMAP) && NUM_DIR_LIGHT_SHADOWS > 0
+    if (!receiveShadow) return 1.0;
+    DirectionalLightShadow shadow = directionalLightShadows[0];
+    vec4 coord = vDirectionalShadowCoord[0];
+    coord.xyz /= coord.w;
+    coord.z += shadow.shadowBias;
+    if (any(lessThan(coord.xyz, vec3(0.0))) || any(greaterThan(coord.xyz, vec3(1.0)))) return 1.0;
+    
+    // Spiral of taps, turned per pixel so the steps dissolve into fine noise
+    vec2 texel = uShadowSoftness / shadow.shadowMapSize;
+    float spin = fract(52.9829189 * fract(dot(gl_FragCoord.xy, vec2(0.06711056, 0.00583715)))) * 6.2831853;
+    float lit = 0.0;
+    for (int i = 0; i < 12; i++) {
+      float radius = sqrt((float(i) + 0.5) / 12.0);
+      float angle = float(i) * 2.3999632 + spin;
+      lit += texture2DCompare(directionalShadowMap[0], coord.xy + vec2(cos(angle), sin(angle)) * radius * texel, coord.z);
+    }
+    return lit / 12.0;
+  #else
+    return 1.0;
+  #endif
+  }
+  
   varying vec3 vWorldPosition;
   varying vec3 vNormal;
   varying vec2 vUv;
   varying float vHeight;
   varying float vSlope;
+  varying float vSediment;
+  varying float vWetness;
+  varying float vTalus;
   varying float vFogDepth;
   
+  #ifdef USE_BIOMES
+  uniform vec3 uBiomeColors[${Biomes.length}];
+  varying vec4 vBiome0;
+  varying vec4 vBiome1;
+  #endif
+  
+  #ifdef USE_SNOW_COVER
+  varying float vSnowAltitude;
+  #endif
+  
+  #ifdef USE_HORIZON
+  varying float vSkyVisibility;
+  // Sine of the horizon's elevation, clockwise from north in eighths of a turn
+  varying vec4 vHorizon0;
+  varying vec4 vHorizon1;
+  
+  // How much of a light low over the baked horizon gets through, fading over a soft band
+  float horizonShadow(vec3 lightDir) {
+    float turn = atan(lightDir.x, -lightDir.z) * (8.0 / 6.2831853);
+    vec4 d0 = abs(mod(turn - vec4(0.0, 1.0, 2.0, 3.0) + 4.0, 8.0) - 4.0);
+    vec4 d1 = abs(mod(turn - vec4(4.0, 5.0, 6.0, 7.0) + 4.0, 8.0) - 4.0);
+    float horizon = dot(vHorizon0, max(1.0 - d0, 0.0)) + dot(vHorizon1, max(1.0 - d1, 0.0));
+    return smoothstep(horizon - 0.08, horizon + 0.04, normalize(lightDir).y);
+  }
+  #endif
+  
+  #ifdef USE_TEXTURE_LAYERS
+  // One slice per layer: grass, dry grass, rock, snow
+  uniform sampler2DArray uLayerAlbedo;
+  uniform sampler2DArray uLayerNormal;
+  uniform sampler2DArray uLayerRoughness;
+  // 1 where a layer has that map, 0 to keep the procedural look
+  uniform vec4 uAlbedoMask;
+  uniform vec4 uNormalMask;
+  uniform vec4 uRoughnessMask;
+  uniform float uTextureScale; // Texture repeats per world unit
+  
+  // Projection weights from the surface normal, sharpened so the planes blend over a narrow band
+  vec3 triplanarWeights(vec3 n) {
+    vec3 w = pow(abs(n), vec3(4.0));
+    return w / (w.x + w.y + w.z);
+  }
+  
+  // Sample one layer; flat ground takes a single top-down sample, steep ground all three planes.
+  // Samples may be skipped per pixel, so the mip level comes from gradients (dpdx, dpdy) of p
+  // taken outside any branch.
+  vec4 sampleLayer(sampler2DArray map, float layer, vec3 p, vec3 blend, vec3 dpdx, vec3 dpdy) {
+    vec4 top = textureGrad(map, vec3(p.xz, layer), dpdx.xz, dpdy.xz);
+    if (blend.y > 0.98) return top;
+    return textureGrad(map, vec3(p.zy, layer), dpdx.zy, dpdy.zy) * blend.x
+      + top * blend.y
+      + textureGrad(map, vec3(p.xy, layer), dpdx.xy, dpdy.xy) * blend.z;
+  }
+  
+  // Tangent-space normal map sample turned into a world normal (UDN blend per plane)
+  vec3 sampleLayerNormal(float layer, vec3 p, vec3 blend, vec3 n, vec3 dpdx, vec3 dpdy) {
+    vec2 ty = textureGrad(uLayerNormal, vec3(p.xz, layer), dpdx.xz, dpdy.xz).xy * 2.0 - 1.0;
+    vec3 top = vec3(n.x + ty.x, n.y, n.z + ty.y);
+    if (blend.y > 0.98) return normalize(top);
+    vec2 tx = textureGrad(uLayerNormal, vec3(p.zy, layer), dpdx.zy, dpdy.zy).xy * 2.0 - 1.0;
+    vec2 tz = textureGrad(uLayerNormal, vec3(p.xy, layer), dpdx.xy, dpdy.xy).xy * 2.0 - 1.0;
+    vec3 side = vec3(n.x, n.y + tx.y, n.z + tx.x);
+    vec3 front = vec3(n.x + tz.x, n.y + tz.y, n.z);
+    return normalize(side * blend.x + top * blend.y + front * blend.z);
+  }
+  #endif
+  
   // Color palette for alpine terrain
   const vec3 deepGrassColor = vec3(0.15, 0.32, 0.12);
   const vec3 grassColor = vec3(0.22, 0.42, 0.15);
@@ -65,6 +255,9 @@ const fragmentShader = /* glsl */ `
   const vec3 rockColorLight = vec3(0.55, 0.53, 0.50);
   const vec3 snowColor = vec3(0.95, 0.97, 1.0);
   const vec3 iceColor = vec3(0.85, 0.92, 0.98);
+  const vec3 gravelColor = vec3(0.52, 0.48, 0.40);
+  const vec3 dampSoilTint = vec3(0.62, 0.70, 0.60);
+  const vec3 screeColor = vec3(0.48, 0.46, 0.43);
   
   // Night versions (darker, blue tinted)
   const vec3 nightGrassColor = vec3(0.05, 0.08, 0.12);
@@ -113,15 +306,34 @@ const fragmentShader = /* glsl */ `
     float boundaryNoise = fbm(detailUv, 4) * 0.15;
     
     // Zone thresholds (with noise variation)
-    float valleyLine = 0.2 + boundaryNoise;
-    float grassLine = 0.35 + boundaryNoise;
-    float treeLine = 0.55 + boundaryNoise * 0.8;
-    float rockLine = 0.72 + boundaryNoise * 0.5;
-    float snowLine = 0.82 + boundaryNoise * 0.3;
+    float valleyLine = ${glslFloat(TerrainZones.valleyLine)} + boundaryNoise;
+    float grassLine = ${glslFloat(TerrainZones.grassLine)} + boundaryNoise;
+    float treeLine = ${glslFloat(TerrainZones.treeLine)} + boundaryNoise * 0.8;
+    float rockLine = ${glslFloat(TerrainZones.rockLine)} + boundaryNoise * 0.5;
+    float snowLine = uSnowLine + boundaryNoise * 0.3;
     
     // Calculate day colors
     vec3 dayColor;
     
+  #ifdef USE_BIOMES
+    // Blend biome colours by the weights from the temperature/moisture table
+    #ifdef USE_SNOW_COVER
+    // The snow cover pass decides where snow lies, so snowfields and glaciers show bare ground
+    dayColor = ${bareBiomeColorSum};
+    
+    float snowCover = 0.0;
+    float rockCover = ${biomeWeight('scree')} + ${biomeWeight('bareRock')} + ${biomeWeight('snowfield')} + ${biomeWeight('glacier')};
+    #else
+    dayColor = ${biomeColorSum};
+    
+    float snowCover = ${biomeWeight('snowfield')} + ${biomeWeight('glacier')};
+    float rockCover = ${biomeWeight('scree')} + ${biomeWeight('bareRock')};
+    #endif
+    
+    // Mottled ground and patchy forest canopy; snow stays smooth
+    dayColor *= mix(0.85 + 0.3 * noise(vUv * 20.0), 1.0, snowCover);
+    dayColor *= 1.0 - ${biomeWeight('pineForest')} * 0.35 * fbm(vUv * 45.0, 3);
+  #else
     // Valley / Low grass
     if (height < valleyLine) {
       float t = smoothstep(0.0, valleyLine, height);
@@ -151,49 +363,169 @@ const fragmentShader = /* glsl */ `
       vec3 highRock = mix(rockColor, rockColorLight, fbm(vUv * 30.0, 3));
       dayColor = mix(rockColor, highRock, t);
     }
-    // Snow cap
+    // Snow cap (bare summit rock when the snow cover pass decides the snow)
     else {
+    #ifdef USE_SNOW_COVER
+      dayColor = mix(rockColor, rockColorLight, fbm(vUv * 30.0, 3));
+    #else
       float t = smoothstep(snowLine, 1.0, height);
       vec3 snowVariation = mix(iceColor, snowColor, noise(vUv * 40.0) * 0.5 + 0.5);
       dayColor = mix(rockColorLight, snowVariation, t);
+    #endif
     }
     
+    float snowCover = smoothstep(snowLine - 0.1, snowLine + 0.1, height);
+  #endif
+    
+  #ifdef USE_SNOW_COVER
+    // Snow from the cover pass (altitude, slope, sun, wind) against the live snowline;
+    // thin snow only partly covers the ground
+    float snowDepth = smoothstep(0.0, uSnowDepthRange, vSnowAltitude - snowLine);
+    snowCover = smoothstep(0.05, 0.4, snowDepth);
+  #endif
+    
     // Slope-based rock exposure (steep areas show more rock)
-    float slopeRockFactor = smoothstep(0.4, 0.7, slope);
+    float slopeRockFactor = smoothstep(${glslFloat(TerrainZones.rockSlopeStart)}, ${glslFloat(TerrainZones.rockSlopeEnd)}, slope);
     vec3 slopeRockColor = mix(rockColorDark, rockColor, noise(vUv * 20.0));
     
     // Don't apply rock to snow zones as much
-    float snowProtection = smoothstep(snowLine - 0.1, snowLine + 0.1, height);
+    float snowProtection = snowCover;
     slopeRockFactor *= (1.0 - snowProtection * 0.7);
     
     dayColor = mix(dayColor, slopeRockColor, slopeRockFactor * 0.8);
     
+    // Erosion: pale gravel on alluvial fans, darker damp ground in gullies
+    float snowFree = 1.0 - snowProtection;
+    float fanFactor = smoothstep(0.6, 0.95, vSediment) * (1.0 - slopeRockFactor) * snowFree;
+    vec3 fanColor = mix(gravelColor, rockColorLight, noise(vUv * 35.0) * 0.4);
+    dayColor = mix(dayColor, fanColor, fanFactor * 0.6);
+    
+    float gullyFactor = smoothstep(0.65, 0.98, vWetness) * snowFree;
+    dayColor = mix(dayColor, dayColor * dampSoilTint, gullyFactor * 0.7);
+    
+    // Scree fans where thermal erosion piled debris under cliffs
+    float screeFactor = smoothstep(0.3, 0.8, vTalus) * (1.0 - snowProtection * 0.5);
+    vec3 screeVariation = mix(screeColor, rockColorLight, fbm(vUv * 60.0, 3));
+    dayColor = mix(dayColor, screeVariation, screeFactor * 0.75);
+    
+  #ifdef USE_SNOW_COVER
+    // Lay the snow over everything, bluer where it is thin
+    vec3 snowVariation = mix(iceColor, snowColor, noise(vUv * 40.0) * 0.5 + 0.5);
+    dayColor = mix(dayColor, mix(iceColor, snowVariation, snowDepth), snowCover);
+  #endif
+  
+  #ifdef USE_TEXTURE_LAYERS
+    // Layer weights from the same zones as the procedural colours
+  #ifdef USE_BIOMES
+    float dryCover = ${biomeWeight('dryGrassland')} + ${biomeWeight('alpineMeadow')} * 0.5;
+    float zoneRock = rockCover;
+  #else
+    float dryCover = smoothstep(grassLine, treeLine, height);
+    float zoneRock = smoothstep(treeLine, rockLine, height);
+  #endif
+    float rockWeight = clamp(max(max(zoneRock, slopeRockFactor * 0.8), max(screeFactor * 0.75, fanFactor * 0.6)), 0.0, 1.0);
+    vec4 layerWeights = vec4(1.0 - dryCover, dryCover, 0.0, 0.0) * (1.0 - rockWeight);
+    layerWeights.z = rockWeight;
+    layerWeights = layerWeights * (1.0 - snowCover) + vec4(0.0, 0.0, 0.0, snowCover);
+    
+    vec3 texturePosition = vWorldPosition * uTextureScale;
+    vec3 textureDx = dFdx(texturePosition);
+    vec3 textureDy = dFdy(texturePosition);
+    vec3 projection = triplanarWeights(normalize(vNormal));
+    
+    // Textured layers replace the procedural colour, untextured ones keep it
+    vec3 proceduralColor = dayColor;
+    dayColor = vec3(0.0);
+    for (int i = 0; i < 4; i++) {
+      if (layerWeights[i] < 0.01) continue;
+      vec3 albedo = proceduralColor;
+      if (uAlbedoMask[i] > 0.5) {
+        albedo = sampleLayer(uLayerAlbedo, float(i), texturePosition, projection, textureDx, textureDy).rgb;
+        // Keep the damp gully tint, which the layers do not cover
+        albedo = mix(albedo, albedo * dampSoilTint, gullyFactor * 0.7);
+      }
+      dayColor += albedo * layerWeights[i];
+    }
+    dayColor /= max(dot(layerWeights, vec4(1.0)), 0.01);
+  #endif
+    
     // Calculate night colors (blue-shifted, darker)
     vec3 nightColor;
+  #ifdef USE_BIOMES
+    nightColor = mix(mix(nightGrassColor, nightRockColor, rockCover), nightSnowColor, snowCover);
+  #else
     if (height < treeLine) {
       nightColor = nightGrassColor;
     } else if (height < snowLine) {
       float t = smoothstep(treeLine, snowLine, height);
       nightColor = mix(nightGrassColor, nightRockColor, t);
     } else {
+    #ifdef USE_SNOW_COVER
+      nightColor = nightRockColor;
+    #else
       float t = smoothstep(snowLine, 1.0, height);
       nightColor = mix(nightRockColor, nightSnowColor, t);
+    #endif
     }
+  #endif
+  #ifdef USE_SNOW_COVER
+    nightColor = mix(nightColor, nightSnowColor, snowCover);
+  #endif
+  #ifdef USE_TEXTURE_LAYERS
+    // Carry the texture detail into the night colours
+    const vec3 luma = vec3(0.299, 0.587, 0.114);
+    nightColor *= clamp(dot(dayColor, luma) / max(dot(proceduralColor, luma), 0.01), 0.5, 1.5);
+  #endif
     
     // Blend day/night base color
     vec3 baseColor = mix(dayColor, nightColor, uDayNightMix);
     
     // Lighting calculation
     vec3 normal = normalize(vNormal);
+  
+  #ifdef USE_TEXTURE_LAYERS
+    // Normal and roughness maps, blended by the same layer weights
+    vec3 geometryNormal = normal;
+    vec3 layerNormal = vec3(0.0);
+    float roughness = 0.0;
+    for (int i = 0; i < 4; i++) {
+      if (layerWeights[i] < 0.01) continue;
+      vec3 n = uNormalMask[i] > 0.5
+        ? sampleLayerNormal(float(i), texturePosition, projection, geometryNormal, textureDx, textureDy)
+        : geometryNormal;
+      float r = uRoughnessMask[i] > 0.5
+        ? sampleLayer(uLayerRoughness, float(i), texturePosition, projection, textureDx, textureDy).r
+        : 0.9;
+      layerNormal += n * layerWeights[i];
+      roughness += r * layerWeights[i];
+    }
+    normal = normalize(layerNormal);
+    roughness /= max(dot(layerWeights, vec4(1.0)), 0.01);
+  #endif
     
-    // Sun/moon directional light
+    // Sun directional light
     float NdotL = max(dot(normal, uSunDirection), 0.0);
     
+  #ifdef USE_HORIZON
+    // Sky hidden by the surrounding peaks, with a little light bounced back off them
+    float ao = 0.3 + 0.7 * vSkyVisibility;
+    
+    // Terrain between the ground and the sun (the darker of the shadow map and the
+    // baked horizon), then clouds between the ground and the sun or moon
+    float sunVisibility = min(sunShadow(), horizonShadow(uSunDirection)) * cloudShadow(vWorldPosition, uSunDirection);
+    float moonVisibility = horizonShadow(uMoonDirection) * cloudShadow(vWorldPosition, uMoonDirection);
+  #else
     // Softer shadows with ambient occlusion approximation
     float ao = 1.0 - slope * 0.3; // Steep slopes are darker
     
-    // Day lighting
-    vec3 directLight = uSunColor * uSunIntensity * NdotL;
+    // Terrain between the ground and the sun, then clouds between the ground and the sun or moon
+    float sunVisibility = sunShadow() * cloudShadow(vWorldPosition, uSunDirection);
+    float moonVisibility = cloudShadow(vWorldPosition, uMoonDirection);
+  #endif
+    
+    // Day lighting, plus the moon as a second directional light
+    vec3 directLight = uSunColor * uSunIntensity * NdotL * sunVisibility
+      + uMoonColor * uMoonIntensity * max(dot(normal, uMoonDirection), 0.0) * moonVisibility;
     vec3 ambient = uAmbientColor * uAmbientIntensity * ao;
     
     // Combine lighting
@@ -204,9 +536,17 @@ const fragmentShader = /* glsl */ `
     float rimFactor = 1.0 - max(dot(viewDir, normal), 0.0);
     rimFactor = pow(rimFactor, 3.0) * 0.15;
     finalColor += uSunColor * rimFactor * (1.0 - uDayNightMix);
+  
+  #ifdef USE_TEXTURE_LAYERS
+    // Sun highlight from the roughness maps (wet rock, packed snow)
+    vec3 halfDir = normalize(uSunDirection + viewDir);
+    float gloss = 1.0 - roughness;
+    float specular = pow(max(dot(normal, halfDir), 0.0), mix(4.0, 64.0, gloss)) * gloss * gloss * NdotL;
+    finalColor += uSunColor * uSunIntensity * specular * sunVisibility * 0.5;
+  #endif
     
     // Snow sparkle effect during day
-    if (height > snowLine && uDayNightMix < 0.5) {
+    if (snowCover > 0.5 && uDayNightMix < 0.5) {
       float sparkle = pow(noise(vUv * 200.0 + uTime * 0.1), 8.0);
       finalColor += vec3(sparkle * 0.3 * (1.0 - uDayNightMix * 2.0));
     }
@@ -222,22 +562,50 @@ const fragmentShader = /* glsl */ `
 
 /**
  * Create the terrain shader material
+ * @param {Object} [options]
+ * @param {boolean} [options.biomes=false] - Colour by the aBiome0/aBiome1 weight attributes instead of height bands
+ * @param {boolean} [options.snowCover=false] - Place snow by the aSnowAltitude attribute instead of height alone
+ * @param {boolean} [options.horizon=false] - Shade by the aSkyVisibility and aHorizon0/aHorizon1 attributes from computeHorizons
  * @returns {THREE.ShaderMaterial}
  */
-export function createTerrainMaterial() {
+export function createTerrainMaterial(options = {}) {
+  const defines = {};
+  if (options.biomes) defines.USE_BIOMES = '';
+  if (options.snowCover) defines.USE_SNOW_COVER = '';
+  if (options.horizon) defines.USE_HORIZON = '';
+  
   const material = new THREE.ShaderMaterial({
     vertexShader,
     fragmentShader,
+    defines,
+    // Takes the scene lights so the sun's shadow map is bound
+    lights: true,
     uniforms: {
+      ...THREE.UniformsUtils.clone(THREE.UniformsLib.lights),
       uSunDirection: { value: new THREE.Vector3(0.5, 0.7, 0.3).normalize() },
       uSunColor: { value: new THREE.Color(1.0, 0.95, 0.8) },
       uSunIntensity: { value: 1.2 },
+      uMoonDirection: { value: new THREE.Vector3(-0.3, 0.6, -0.3).normalize() },
+      uMoonColor: { value: new THREE.Color(0.6, 0.7, 0.9) },
+      uMoonIntensity: { value: 0 },
       uAmbientColor: { value: new THREE.Color(0.4, 0.5, 0.7) },
       uAmbientIntensity: { value: 0.4 },
       uTime: { value: 0 },
       uDayNightMix: { value: 0 }, // 0 = day, 1 = night
       uFogColor: { value: new THREE.Color(0.6, 0.75, 0.9) },
       uFogDensity: { value: 0.0012 },
+      uBiomeColors: { value: Biomes.map(biome => new THREE.Color(...biome.color)) },
+      uSnowLine: { value: TerrainZones.snowLine },
+      uSnowDepthRange: { value: SnowDefaults.depthRange },
+      uLayerAlbedo: { value: null },
+      uLayerNormal: { value: null },
+      uLayerRoughness: { value: null },
+      uAlbedoMask: { value: new THREE.Vector4() },
+      uNormalMask: { value: new THREE.Vector4() },
+      uRoughnessMask: { value: new THREE.Vector4() },
+      uTextureScale: { value: 1 / TerrainTextureDefaults.scale },
+      uShadowSoftness: { value: 1.5 },
+      ...createCloudUniforms(),
     },
     side: THREE.FrontSide,
   });
@@ -245,6 +613,34 @@ export function createTerrainMaterial() {
   return material;
 }
 
+/**
+ * Blend texture layers into a terrain material, or go back to procedural colours
+ * @param {THREE.ShaderMaterial} material
+ * @param {Object|null} textures - From loadTerrainTextures, or null for procedural colours only
+ */
+export function setTerrainTextures(material, textures) {
+  const { uniforms } = material;
+  
+  if (textures) {
+    material.defines.USE_TEXTURE_LAYERS = '';
+    uniforms.uLayerAlbedo.value = textures.albedo;
+    uniforms.uLayerNormal.value = textures.normal;
+    uniforms.uLayerRoughness.value = textures.roughness;
+    uniforms.uAlbedoMask.value.fromArray(textures.masks.albedo);
+    uniforms.uNormalMask.value.fromArray(textures.masks.normal);
+    uniforms.uRoughnessMask.value.fromArray(textures.masks.roughness);
+    uniforms.uTextureScale.value = 1 / textures.scale;
+  } else {
+    delete material.defines.USE_TEXTURE_LAYERS;
+    uniforms.uLayerAlbedo.value = null;
+    uniforms.uLayerNormal.value = null;
+    uniforms.uLayerRoughness.value = null;
+  }
+  
+  // Recompile with or without the layer code
+  material.needsUpdate = true;
+}
+
 /**
  * Update terrain material uniforms for day/night cycle
  * @param {THREE.ShaderMaterial} material 
@@ -260,6 +656,15 @@ export function updateTerrainUniforms(material, params) {
   if (params.sunIntensity !== undefined) {
     material.uniforms.uSunIntensity.value = params.sunIntensity;
   }
+  if (params.moonDirection) {
+    material.uniforms.uMoonDirection.value.copy(params.moonDirection).normalize();
+  }
+  if (params.moonColor) {
+    material.uniforms.uMoonColor.value.copy(params.moonColor);
+  }
+  if (params.moonIntensity !== undefined) {
+    material.uniforms.uMoonIntensity.value = params.moonIntensity;
+  }
   if (params.ambientColor) {
     material.uniforms.uAmbientColor.value.copy(params.ambientColor);
   }
@@ -278,5 +683,19 @@ export function updateTerrainUniforms(material, params) {
   if (params.fogDensity !== undefined) {
     material.uniforms.uFogDensity.value = params.fogDensity;
   }
+  if (params.shadowSoftness !== undefined) {
+    material.uniforms.uShadowSoftness.value = params.shadowSoftness;
+  }
+  if (params.snowLine !== undefined) {
+    material.uniforms.uSnowLine.value = params.snowLine;
+  }
+  if (params.snowDepthRange !== undefined) {
+    material.uniforms.uSnowDepthRange.value = params.snowDepthRange;
+  }
+  if (params.biomeColors) {
+    for (const [name, color] of Object.entries(params.biomeColors)) {
+      material.uniforms.uBiomeColors.value[BiomeIndex[name]].set(color);
+    }
+  }
 }
 
@@ -0,0 +1,160 @@
+/**
+ * Terrain textures - Material layers for the terrain shader
+ *
+ * Each layer (grass, dry grass, rock, snow) can have an albedo, a normal and a
+ * roughness map. Maps of one kind are packed into a single texture array, one
+ * slice per layer, so the shader can blend the layers by zone weight with one
+ * sampler per kind. Layers without a map keep the procedural colours, so a
+ * partial set (a rock texture alone, say) is fine.
+ */
+
+import * as THREE from 'three';
+
+/**
+ * Layer order in the texture arrays and the shader's layer weights
+ */
+export const TerrainLayers = ['grass', 'dryGrass', 'rock', 'snow'];
+
+/**
+ * Map kinds each layer may provide
+ */
+export const TerrainMaps = ['albedo', 'normal', 'roughness'];
+
+/**
+ * Default parameters for loading terrain textures
+ */
+export const TerrainTextureDefaults = {
+  size: 1024, // Texture array slice size (px); every map is resampled to it
+  scale: 8, // World units covered by one repeat of a texture
+};
+
+// Texel for slices whose layer has no map of that kind (masked out in the shader anyway)
+const NeutralTexels = {
+  albedo: [128, 128, 128, 255],
+  normal: [128, 128, 255, 255],
+  roughness: [230, 230, 230, 255],
+};
+
+/**
+ * Load terrain textures
+ * @param {Object} sources - Image URLs per layer, e.g. { rock: { albedo, normal, roughness }, snow: { albedo } }
+ * @param {Object} options - Overrides for TerrainTextureDefaults
+ * @returns {Promise<Object>} { scale, albedo, normal, roughness, masks }
+ *   albedo/normal/roughness: THREE.DataArrayTexture with one slice per TerrainLayers entry, or null if no layer has that map
+ *   masks: { albedo, normal, roughness } - Arrays of 1/0 per layer, whether the layer has that map
+ */
+export async function loadTerrainTextures(sources, options = {}) {
+  const params = { ...TerrainTextureDefaults, ...options };
+
+  for (const layer of Object.keys(sources)) {
+    if (!TerrainLayers.includes(layer)) {
+      throw new Error(`Unknown terrain texture layer: ${layer}`);
+    }
+  }
+
+  const loader = new THREE.ImageLoader();
+  const textures = { scale: params.scale, masks: {} };
+
+  await Promise.all(TerrainMaps.map(async (map) => {
+    const urls = TerrainLayers.map(layer => sources[layer]?.[map] ?? null);
+    textures.masks[map] = urls.map(url => (url ? 1 : 0));
+
+    if (!urls.some(Boolean)) {
+      textures[map] = null;
+      return;
+    }
+
+    const images = await Promise.all(urls.map(url => (url ? loader.loadAsync(url) : null)));
+    textures[map] = createTextureArray(images, params.size, NeutralTexels[map]);
+  }));
+
+  return textures;
+}
+
+/**
+ * Load terrain textures described by a JSON manifest
+ * The manifest holds { scale?, size?, layers: { <layer>: { albedo?, normal?, roughness? } } },
+ * with image paths relative to the manifest.
+ * @param {string} url - Manifest URL
+ * @returns {Promise<Object>} See loadTerrainTextures
+ */
+export async function loadTerrainTextureManifest(url) {
+  const response = await fetch(url);
+  if (!response.ok) {
+    throw new Error(`Failed to load terrain texture manifest ${url}: ${response.status}`);
+  }
+
+  const manifest = await response.json();
+  const base = new URL(url, window.location.href);
+  const sources = {};
+
+  for (const [layer, maps] of Object.entries(manifest.layers || {})) {
+    sources[layer] = {};
+    for (const [map, path] of Object.entries(maps)) {
+      sources[layer][map] = new URL(path, base).href;
+    }
+  }
+
+  const options = {};
+  if (manifest.scale !== undefined) options.scale = manifest.scale;
+  if (manifest.size !== undefined) options.size = manifest.size;
+
+  return loadTerrainTextures(sources, options);
+}
+
+/**
+ * Dispose of the textures from loadTerrainTextures
+ * @param {Object} textures
+ */
+export function disposeTerrainTextures(textures) {
+  for (const map of TerrainMaps) {
+    if (textures[map]) {
+      textures[map].dispose();
+    }
+  }
+}
+
+/**
+ * Pack images into a mipmapped, repeating texture array
+ * @param {Array<HTMLImageElement|null>} images - One per layer; null slices are filled with the neutral texel
+ * @param {number} size - Slice width and height
+ * @param {Array<number>} neutral - RGBA fill for missing slices
+ * @returns {THREE.DataArrayTexture}
+ */
+function createTextureArray(images, size, neutral) {
+  const sliceLength = size * size * 4;
+  const data = new Uint8Array(sliceLength * images.length);
+
+  const canvas = document.createElement('canvas');
+  canvas.width = size;
+  canvas.height = size;
+  const context = canvas.getContext('2d', { willReadFrequently: true });
+
+  images.forEach((image, layer) => {
+    const offset = layer * sliceLength;
+
+    if (!image) {
+      for (let i = 0; i < sliceLength; i += 4) {
+        data.set(neutral, offset + i);
+      }
+      return;
+    }
+
+    // Texture rows run bottom-up, so draw the image upside down
+    context.setTransform(1, 0, 0, -1, 0, size);
+    context.clearRect(0, 0, size, size);
+    context.drawImage(image, 0, 0, size, size);
+    data.set(context.getImageData(0, 0, size, size).data, offset);
+  });
+
+  const texture = new THREE.DataArrayTexture(data, size, size, images.length);
+  texture.wrapS = THREE.RepeatWrapping;
+  texture.wrapT = THREE.RepeatWrapping;
+  texture.magFilter = THREE.LinearFilter;
+  texture.minFilter = THREE.LinearMipmapLinearFilter;
+  texture.generateMipmaps = true;
+  texture.anisotropy = 4;
+  texture.needsUpdate = true;
+
+  return texture;
+}
@@ -0,0 +1,36 @@
+/**
+ * Terrain worker - Runs terrain generation tasks off the main thread
+ *
+ * Messages in:  { id, type, payload }
+ * Messages out: { id, type: 'progress', progress, stage }
+ *               { id, type: 'result', result }
+ *               { id, type: 'error', name, message }
+ */
+
+import { generateTerrainData, getTransferables } from './terrainData.js';
+
+// Task handlers by message type; each returns an object of typed arrays
+const tasks = {
+  generate: (payload, callbacks) => generateTerrainData(payload, callbacks),
+};
+
+self.onmessage = (event) => {
+  const { id, type, payload } = event.data;
+  const task = tasks[type];
+
+  if (!task) {
+    self.postMessage({ id, type: 'error', name: 'Error', message: `Unknown terrain task "${type}"` });
+    return;
+  }
+
+  try {
+    const result = task(payload, {
+      onProgress: (progress, stage) => {
+        self.postMessage({ id, type: 'progress', progress, stage });
+      },
+    });
+    self.postMessage({ id, type: 'result', result }, getTransferables(result));
+  } catch (error) {
+    self.postMessage({ id, type: 'error', name: error.name, message: error.message });
+  }
+};
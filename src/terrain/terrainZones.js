@@ -0,0 +1,51 @@
+/**
+ * Terrain zones - Altitude and slope bands shared by the shader and queries
+ *
+ * The terrain shader is templated from these values, so classifying a point
+ * in JavaScript agrees with the colour band it is drawn in. The shader also
+ * jitters each line with noise; classification uses the nominal lines.
+ */
+
+/**
+ * Zone boundaries in normalized height (0-1), plus the slope at which bare rock shows
+ */
+export const TerrainZones = {
+  valleyLine: 0.2, // Deep valley grass below this
+  grassLine: 0.35, // Meadows below this
+  treeLine: 0.55, // Alpine grass below this
+  rockLine: 0.72, // Rock below this, high rock above
+  snowLine: 0.82, // Snow cap above this
+  rockSlopeStart: 0.4, // Slope (0 = flat, 1 = vertical) where bare rock starts to show
+  rockSlopeEnd: 0.7, // Slope where steep ground is fully rock
+};
+
+/**
+ * Zone names in order of altitude
+ */
+export const ZoneNames = ['valley', 'meadow', 'alpine', 'rock', 'snow'];
+
+/**
+ * Classify a point into a terrain zone
+ * @param {number} height - Normalized height (0-1)
+ * @param {number} [slope=0] - Slope as in the aSlope attribute (0 = flat, 1 = vertical)
+ * @returns {string} One of ZoneNames
+ */
+export function classifyZone(height, slope = 0) {
+  // Steep ground counts as rock once it is past the middle of the blend
+  const steep = (TerrainZones.rockSlopeStart + TerrainZones.rockSlopeEnd) / 2;
+
+  if (height >= TerrainZones.snowLine) return 'snow';
+  if (height >= TerrainZones.treeLine || slope >= steep) return 'rock';
+  if (height >= TerrainZones.grassLine) return 'alpine';
+  if (height >= TerrainZones.valleyLine) return 'meadow';
+  return 'valley';
+}
+
+/**
+ * Format a number as a GLSL float literal
+ * @param {number} value
+ * @returns {string}
+ */
+export function glslFloat(value) {
+  return Number.isInteger(value) ? value.toFixed(1) : String(value);
+}
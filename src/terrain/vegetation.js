@@ -0,0 +1,285 @@
+/**
+ * Vegetation scattering - Where conifers, shrubs and grass tufts grow
+ *
+ * Each species is spread with Poisson-disk sampling (Bridson's algorithm), so
+ * plants never crowd closer than their spacing, then thinned by a density that
+ * depends on altitude, slope, biome and a clumping noise. Everything is seeded,
+ * so the same terrain always grows the same plants. Like the rest of the
+ * generation pipeline it works on plain typed arrays and runs in a worker.
+ */
+
+import { createTerrainNoise } from '../utils/noise.js';
+import { createRandom } from '../utils/random.js';
+import { BiomeIndex } from './biomes.js';
+import { TerrainZones } from './terrainZones.js';
+
+/**
+ * Species and where they grow
+ * maxHeight is in normalized height (0-1) with density fading out over the
+ * `fade` band below it; maxSlope uses the aSlope measure (0 = flat, 1 = vertical).
+ * biomes gives the density in each biome; without the biome layer `lowland`
+ * is used instead.
+ */
+export const VegetationSpecies = {
+  conifer: {
+    spacing: 3.5, // Minimum distance between plants (m)
+    scale: [0.8, 1.5], // Random size range
+    maxHeight: TerrainZones.treeLine,
+    fade: 0.08,
+    maxSlope: 0.35,
+    clumped: true, // Grows in forests rather than evenly
+    lowland: 0.7,
+    biomes: { pineForest: 1, lowlandMeadow: 0.3, alpineMeadow: 0.15, dryGrassland: 0.1 },
+  },
+  shrub: {
+    spacing: 3,
+    scale: [0.6, 1.3],
+    maxHeight: TerrainZones.treeLine + 0.08,
+    fade: 0.08,
+    maxSlope: 0.45,
+    clumped: false,
+    lowland: 0.4,
+    biomes: { alpineMeadow: 0.6, dryGrassland: 0.5, lowlandMeadow: 0.4, pineForest: 0.25, scree: 0.15 },
+  },
+  grass: {
+    spacing: 1.8,
+    scale: [0.7, 1.3],
+    maxHeight: TerrainZones.treeLine + 0.05,
+    fade: 0.1,
+    maxSlope: 0.4,
+    clumped: false,
+    lowland: 0.8,
+    biomes: { lowlandMeadow: 1, alpineMeadow: 0.9, dryGrassland: 0.8, pineForest: 0.2, scree: 0.1 },
+  },
+};
+
+/**
+ * Default parameters for scattering
+ */
+export const VegetationDefaults = {
+  density: 1, // Multiplier on every species' density
+  clumpScale: 6, // Forest patches across the map
+  species: VegetationSpecies,
+  attempts: 30, // Bridson candidates per active point
+};
+
+/**
+ * Values stored per plant in each species' transforms array
+ */
+export const INSTANCE_STRIDE = 6;
+
+/**
+ * Scatter every species over a terrain
+ * @param {Object} terrain - { width, depth, segments, heightScale, heights, slopes, biomeWeights?, waterMask?, seed }
+ * @param {Object} options - Overrides for VegetationDefaults; species entries are merged per species,
+ *   and a species set to false is left out
+ * @returns {Object} { species: [{ name, count, transforms }] }
+ *   transforms: Float32Array of (x, y, z, scale, rotation, shade) per plant in world units,
+ *   with rotation in radians about Y and shade a 0-1 colour variation
+ */
+export function scatterVegetation(terrain, options = {}) {
+  const params = { ...VegetationDefaults, ...options };
+  const noise = createTerrainNoise(`${terrain.seed}/vegetation`);
+  const species = [];
+
+  for (const name of Object.keys(params.species)) {
+    if (!(name in VegetationSpecies)) {
+      throw new Error(`Unknown vegetation species "${name}" (expected one of ${Object.keys(VegetationSpecies).join(', ')})`);
+    }
+  }
+
+  for (const [name, defaults] of Object.entries(VegetationSpecies)) {
+    const overrides = params.species[name];
+    if (overrides === false) continue;
+
+    const settings = { ...defaults, ...overrides };
+    const random = createRandom(`${terrain.seed}/vegetation/${name}`);
+    species.push({ name, ...scatterSpecies(terrain, settings, params, noise, random) });
+  }
+
+  return { species };
+}
+
+/**
+ * Poisson-disk sample one species and keep the points where it grows
+ */
+function scatterSpecies(terrain, settings, params, noise, random) {
+  const points = poissonDisk(terrain.width, terrain.depth, settings.spacing, params.attempts, random);
+  const transforms = new Float32Array(points.length / 2 * INSTANCE_STRIDE);
+  let count = 0;
+
+  for (let i = 0; i < points.length; i += 2) {
+    const x = points[i] - terrain.width / 2;
+    const z = points[i + 1] - terrain.depth / 2;
+    const surface = sampleSurface(terrain, x, z);
+    if (!surface) continue;
+
+    let density = params.density * speciesDensity(terrain, settings, surface);
+    if (settings.clumped && density > 0) {
+      const u = points[i] / terrain.width;
+      const v = points[i + 1] / terrain.depth;
+      density *= smoothstep(-0.25, 0.25, noise.fbm(u, v, 3, 0.5, 2.0, params.clumpScale));
+    }
+    if (random() >= density) continue;
+
+    const [minScale, maxScale] = settings.scale;
+    const offset = count * INSTANCE_STRIDE;
+    transforms[offset] = x;
+    transforms[offset + 1] = surface.y;
+    transforms[offset + 2] = z;
+    transforms[offset + 3] = minScale + random() * (maxScale - minScale);
+    transforms[offset + 4] = random() * Math.PI * 2;
+    transforms[offset + 5] = random();
+    count++;
+  }
+
+  return { count, transforms: transforms.slice(0, count * INSTANCE_STRIDE) };
+}
+
+/**
+ * Density of a species (0-1) at a surface sample
+ */
+function speciesDensity(terrain, settings, surface) {
+  const { height, slope, vertex } = surface;
+
+  if (terrain.waterMask && terrain.waterMask[vertex]) return 0;
+  if (height >= settings.maxHeight || slope >= settings.maxSlope) return 0;
+
+  // Thin out approaching the altitude and slope limits
+  let density = smoothstep(settings.maxHeight, settings.maxHeight - settings.fade, height);
+  density *= smoothstep(settings.maxSlope, settings.maxSlope * 0.6, slope);
+
+  if (terrain.biomeWeights) {
+    let biome = 0;
+    for (const [name, weight] of Object.entries(settings.biomes)) {
+      biome += terrain.biomeWeights[vertex * 8 + BiomeIndex[name]] * weight;
+    }
+    return density * biome;
+  }
+  return density * settings.lowland;
+}
+
+/**
+ * Height, slope and nearest vertex under a world position
+ * @returns {Object|null} { y, height, slope, vertex }
+ */
+function sampleSurface(terrain, x, z) {
+  const { segments } = terrain;
+  const gx = (x + terrain.width / 2) / terrain.width * segments;
+  const gz = (z + terrain.depth / 2) / terrain.depth * segments;
+  if (gx < 0 || gz < 0 || gx > segments || gz > segments) return null;
+
+  const height = surfaceHeight(terrain, x, z);
+  const vertex = Math.round(gz) * (segments + 1) + Math.round(gx);
+  return { y: height * terrain.heightScale, height, slope: terrain.slopes[vertex], vertex };
+}
+
+/**
+ * Normalized height under a world position
+ * Uses the same triangle split as the rendered mesh, so anything placed at it
+ * sits exactly on the surface. Points outside are clamped to the edge.
+ * @param {Object} terrain - { width, depth, segments, heights }
+ * @param {number} x - World X coordinate
+ * @param {number} z - World Z coordinate
+ * @returns {number}
+ */
+export function surfaceHeight(terrain, x, z) {
+  const { segments, heights } = terrain;
+  const size = segments + 1;
+  const gx = Math.min(Math.max((x + terrain.width / 2) / terrain.width * segments, 0), segments);
+  const gz = Math.min(Math.max((z + terrain.depth / 2) / terrain.depth * segments, 0), segments);
+  const col = Math.min(Math.floor(gx), segments - 1);
+  const row = Math.min(Math.floor(gz), segments - 1);
+  const fx = gx - col;
+  const fz = gz - row;
+
+  const a = row * size + col;
+  const ha = heights[a];
+  const hb = heights[a + size];
+  const hc = heights[a + size + 1];
+  const hd = heights[a + 1];
+  return fx + fz <= 1
+    ? ha + (hd - ha) * fx + (hb - ha) * fz
+    : hc + (hb - hc) * (1 - fx) + (hd - hc) * (1 - fz);
+}
+
+/**
+ * Bridson's Poisson-disk sampling over a rectangle
+ * @param {number} width - Extent along X
+ * @param {number} depth - Extent along Z
+ * @param {number} radius - Minimum distance between points
+ * @param {number} attempts - Candidates tried around each active point
+ * @param {Function} random - Seeded generator
+ * @returns {Float32Array} Interleaved (x, z) pairs in [0, width] x [0, depth]
+ */
+export function poissonDisk(width, depth, radius, attempts, random) {
+  const cellSize = radius / Math.SQRT2;
+  const cols = Math.ceil(width / cellSize);
+  const rows = Math.ceil(depth / cellSize);
+  const grid = new Int32Array(cols * rows).fill(-1);
+  const points = [];
+  const active = [];
+
+  const add = (x, z) => {
+    const index = points.length / 2;
+    points.push(x, z);
+    active.push(index);
+    grid[Math.floor(z / cellSize) * cols + Math.floor(x / cellSize)] = index;
+  };
+
+  // A candidate fits if no point within the radius occupies the nearby cells
+  const fits = (x, z) => {
+    const col = Math.floor(x / cellSize);
+    const row = Math.floor(z / cellSize);
+    for (let r = Math.max(0, row - 2); r <= Math.min(rows - 1, row + 2); r++) {
+      for (let c = Math.max(0, col - 2); c <= Math.min(cols - 1, col + 2); c++) {
+        const other = grid[r * cols + c];
+        if (other >= 0) {
+          const dx = points[other * 2] - x;
+          const dz = points[other * 2 + 1] - z;
+          if (dx * dx + dz * dz < radius * radius) return false;
+        }
+      }
+    }
+    return true;
+  };
+
+  add(random() * width, random() * depth);
+
+  while (active.length > 0) {
+    const slot = Math.floor(random() * active.length);
+    const index = active[slot];
+    const px = points[index * 2];
+    const pz = points[index * 2 + 1];
+    let placed = false;
+
+    // Try candidates in the annulus between one and two radii
+    for (let k = 0; k < attempts; k++) {
+      const angle = random() * Math.PI * 2;
+      const distance = radius * (1 + random());
+      const x = px + Math.cos(angle) * distance;
+      const z = pz + Math.sin(angle) * distance;
+      if (x >= 0 && x < width && z >= 0 && z < depth && fits(x, z)) {
+        add(x, z);
+        placed = true;
+        break;
+      }
+    }
+
+    // Retire points that have no room left around them
+    if (!placed) {
+      active[slot] = active[active.length - 1];
+      active.pop();
+    }
+  }
+
+  return new Float32Array(points);
+}
+
+/**
+ * Hermite step between two edges, as in GLSL (edges may be reversed)
+ */
+function smoothstep(edge0, edge1, x) {
+  const t = Math.min(Math.max((x - edge0) / (edge1 - edge0), 0), 1);
+  return t * t * (3 - 2 * t);
+}
@@ -0,0 +1,91 @@
+/**
+ * CommandHistory - Undo/redo stack of reversible commands
+ *
+ * A command is any object with undo() and redo() methods. Commands are pushed
+ * once they have been applied; pushing after an undo drops the redo branch.
+ */
+export class CommandHistory {
+  /**
+   * @param {Object} [options]
+   * @param {number} [options.limit=50] - Oldest commands are forgotten beyond this
+   */
+  constructor(options = {}) {
+    this.limit = options.limit ?? 50;
+    this.undoStack = [];
+    this.redoStack = [];
+  }
+  
+  /**
+   * Record a command that has already been applied
+   * @param {Object} command - { undo(), redo() }
+   */
+  push(command) {
+    this.undoStack.push(command);
+    this.redoStack = [];
+    
+    if (this.undoStack.length > this.limit) {
+      this.undoStack.shift();
+    }
+  }
+  
+  /**
+   * Apply a command and record it
+   * @param {Object} command - { undo(), redo() }
+   */
+  execute(command) {
+    command.redo();
+    this.push(command);
+  }
+  
+  /**
+   * Revert the last command
+   * @returns {boolean} False if there was nothing to undo
+   */
+  undo() {
+    const command = this.undoStack.pop();
+    if (!command) {
+      return false;
+    }
+    
+    command.undo();
+    this.redoStack.push(command);
+    return true;
+  }
+  
+  /**
+   * Re-apply the last undone command
+   * @returns {boolean} False if there was nothing to redo
+   */
+  redo() {
+    const command = this.redoStack.pop();
+    if (!command) {
+      return false;
+    }
+    
+    command.redo();
+    this.undoStack.push(command);
+    return true;
+  }
+  
+  /**
+   * @returns {boolean}
+   */
+  canUndo() {
+    return this.undoStack.length > 0;
+  }
+  
+  /**
+   * @returns {boolean}
+   */
+  canRedo() {
+    return this.redoStack.length > 0;
+  }
+  
+  /**
+   * Forget every command
+   */
+  clear() {
+    this.undoStack = [];
+    this.redoStack = [];
+  }
+}
@@ -0,0 +1,49 @@
+/**
+ * Seedable pseudo-random number generation
+ * Small, fast PRNG so procedural content can be reproduced from a seed
+ */
+
+/**
+ * Hash a seed of any type into a 32-bit unsigned integer
+ * Numbers and their string forms hash identically, so `42` and `'42'` match
+ * @param {number|string} seed - Seed value
+ * @returns {number} - 32-bit unsigned integer
+ */
+export function hashSeed(seed) {
+  const str = String(seed);
+  let h = 1779033703 ^ str.length;
+
+  for (let i = 0; i < str.length; i++) {
+    h = Math.imul(h ^ str.charCodeAt(i), 3432918353);
+    h = (h << 13) | (h >>> 19);
+  }
+
+  h = Math.imul(h ^ (h >>> 16), 2246822507);
+  h = Math.imul(h ^ (h >>> 13), 3266489909);
+  return (h ^ (h >>> 16)) >>> 0;
+}
+
+/**
+ * Create a seeded random number generator (mulberry32)
+ * @param {number|string} seed - Seed value
+ * @returns {Function} - Returns a new value in [0, 1) on each call
+ */
+export function createRandom(seed) {
+  let state = hashSeed(seed);
+
+  return function random() {
+    state = (state + 0x6D2B79F5) | 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+/**
+ * Pick a fresh random seed, for when the user has not supplied one
+ * @returns {number} - Integer seed
+ */
+export function randomSeed() {
+  return Math.floor(Math.random() * 0x7FFFFFFF);
+}
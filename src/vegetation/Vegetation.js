@@ -0,0 +1,416 @@
+import * as THREE from 'three';
+import { mergeGeometries, mergeVertices } from 'three/examples/jsm/utils/BufferGeometryUtils.js';
+import { INSTANCE_STRIDE } from '../terrain/vegetation.js';
+import { createVegetationMaterial, updateVegetationUniforms } from './vegetationShader.js';
+
+/**
+ * Level-of-detail settings per species
+ * Within impostorDistance a plant is drawn as full geometry, beyond it as a
+ * baked billboard. Species without impostors shrink away towards maxDistance.
+ */
+export const VegetationLOD = {
+  conifer: { impostorDistance: 90, sink: 0.3 },
+  shrub: { impostorDistance: 60, sink: 0.15 },
+  grass: { maxDistance: 70, sink: 0.05 },
+};
+
+/**
+ * Vegetation - Renders the plants scattered during generation
+ *
+ * Each species is an InstancedMesh of full geometry plus, for trees and
+ * shrubs, an InstancedMesh of camera-facing impostors baked from that
+ * geometry at start-up. update() re-sorts plants between the two as the
+ * camera moves. Register it with DayNightCycle.addLightingTarget so it
+ * follows the sun, ambient light and fog.
+ */
+export class Vegetation {
+  /**
+   * @param {Object} features - Vegetation from generateTerrainData (see scatterVegetation)
+   * @param {THREE.WebGLRenderer} renderer - Used once to bake the impostor textures
+   * @param {Object} [options]
+   * @param {Object} [options.lod] - Overrides for VegetationLOD, per species
+   */
+  constructor(features, renderer, options = {}) {
+    this.group = new THREE.Group();
+    this.group.name = 'vegetation';
+    
+    this.layers = [];
+    this.materials = [];
+    this.renderTargets = [];
+    
+    // Camera position at the last LOD sort
+    this.lastSortPosition = new THREE.Vector3(Infinity, Infinity, Infinity);
+    this.resortDistance = 2;
+    
+    for (const species of features.species) {
+      if (species.count === 0) continue;
+      
+      const lod = { ...VegetationLOD[species.name], ...(options.lod || {})[species.name] };
+      this.layers.push(this.createLayer(species, lod, renderer));
+    }
+  }
+  
+  /**
+   * Build the meshes for one species
+   * @param {Object} species - { name, count, transforms }
+   * @param {Object} lod - Level-of-detail settings
+   * @param {THREE.WebGLRenderer} renderer
+   * @returns {Object} Layer
+   */
+  createLayer(species, lod, renderer) {
+    const geometry = this.createGeometry(species.name);
+    const material = createVegetationMaterial({ doubleSided: species.name === 'grass' });
+    this.materials.push(material);
+    
+    const detail = this.createInstancedMesh(geometry, material, species.count);
+    detail.name = species.name;
+    
+    let impostor = null;
+    if (lod.impostorDistance !== undefined) {
+      const { geometry: quad, texture } = this.bakeImpostor(geometry, renderer);
+      const impostorMaterial = createVegetationMaterial({ impostor: true, map: texture });
+      this.materials.push(impostorMaterial);
+      
+      impostor = this.createInstancedMesh(quad, impostorMaterial, species.count);
+      impostor.name = `${species.name}-impostors`;
+    }
+    
+    // Per-plant colour variation from the scattered shade value
+    const colors = new Float32Array(species.count * 3);
+    for (let i = 0; i < species.count; i++) {
+      const shade = species.transforms[i * INSTANCE_STRIDE + 5];
+      const brightness = 0.8 + 0.4 * shade;
+      colors[i * 3] = brightness * (0.95 + 0.15 * shade);
+      colors[i * 3 + 1] = brightness;
+      colors[i * 3 + 2] = brightness * 0.95;
+    }
+    
+    return { species, lod, detail, impostor, colors };
+  }
+  
+  /**
+   * Create an empty, dynamically filled InstancedMesh and add it to the group
+   * @returns {THREE.InstancedMesh}
+   */
+  createInstancedMesh(geometry, material, capacity) {
+    const mesh = new THREE.InstancedMesh(geometry, material, capacity);
+    mesh.instanceMatrix.setUsage(THREE.DynamicDrawUsage);
+    mesh.instanceColor = new THREE.InstancedBufferAttribute(new Float32Array(capacity * 3), 3);
+    mesh.instanceColor.setUsage(THREE.DynamicDrawUsage);
+    mesh.count = 0;
+    
+    // Instances span the whole terrain and change every sort, so skip culling
+    mesh.frustumCulled = false;
+    
+    this.group.add(mesh);
+    return mesh;
+  }
+  
+  /**
+   * Full-detail geometry for a species, with aColor and aSway attributes
+   * @param {string} name - Species name
+   * @returns {THREE.BufferGeometry}
+   */
+  createGeometry(name) {
+    switch (name) {
+      case 'conifer':
+        return this.createConiferGeometry();
+      case 'shrub':
+        return this.createShrubGeometry();
+      case 'grass':
+        return this.createGrassGeometry();
+      default:
+        throw new Error(`No geometry for vegetation species "${name}"`);
+    }
+  }
+  
+  /**
+   * A trunk under three stacked cones, about 7m tall
+   * @returns {THREE.BufferGeometry}
+   */
+  createConiferGeometry() {
+    const height = 7;
+    const parts = [];
+    
+    const trunk = new THREE.CylinderGeometry(0.12, 0.22, 1.6, 6, 1, true);
+    trunk.translate(0, 0.8, 0);
+    parts.push(this.paint(trunk, new THREE.Color(0.24, 0.16, 0.1), height));
+    
+    // Tiers get narrower and lighter towards the top
+    const tiers = [
+      { radius: 1.8, height: 2.8, base: 1.0, color: new THREE.Color(0.07, 0.17, 0.08) },
+      { radius: 1.35, height: 2.4, base: 2.6, color: new THREE.Color(0.08, 0.2, 0.09) },
+      { radius: 0.9, height: 2.2, base: 4.8, color: new THREE.Color(0.1, 0.23, 0.1) },
+    ];
+    for (const tier of tiers) {
+      const cone = new THREE.ConeGeometry(tier.radius, tier.height, 8);
+      cone.translate(0, tier.base + tier.height / 2, 0);
+      parts.push(this.paint(cone, tier.color, height));
+    }
+    
+    return mergeGeometries(parts);
+  }
+  
+  /**
+   * A lumpy, flattened ball of leaves
+   * @returns {THREE.BufferGeometry}
+   */
+  createShrubGeometry() {
+    let geometry = new THREE.IcosahedronGeometry(1, 1);
+    geometry.deleteAttribute('normal');
+    geometry.deleteAttribute('uv');
+    geometry = mergeVertices(geometry);
+    
+    // Fixed lumps so every shrub shares one shape; instances vary by scale and turn
+    const position = geometry.attributes.position;
+    for (let i = 0; i < position.count; i++) {
+      const x = position.getX(i);
+      const y = position.getY(i);
+      const z = position.getZ(i);
+      const lump = 1 + 0.18 * Math.sin(x * 5.1 + z * 3.7) * Math.cos(y * 4.3 - x * 2.9);
+      position.setXYZ(i, x * lump * 1.1, y * lump * 0.7 + 0.6, z * lump * 1.1);
+    }
+    geometry.computeVertexNormals();
+    
+    return this.paint(geometry, new THREE.Color(0.16, 0.27, 0.1), 1.3);
+  }
+  
+  /**
+   * A tuft of thin blades leaning outwards
+   * @returns {THREE.BufferGeometry}
+   */
+  createGrassGeometry() {
+    const blades = 7;
+    const positions = [];
+    const normals = [];
+    
+    for (let i = 0; i < blades; i++) {
+      const angle = (i / blades) * Math.PI * 2 + (i % 2) * 0.4;
+      const lean = 0.2 + 0.15 * (i % 3);
+      const height = 0.6 + 0.15 * ((i * 5) % 3);
+      const dx = Math.cos(angle);
+      const dz = Math.sin(angle);
+      
+      // Base edge across the lean direction, tip pushed outwards
+      positions.push(
+        -dz * 0.06, 0, dx * 0.06,
+        dz * 0.06, 0, -dx * 0.06,
+        dx * lean, height, dz * lean
+      );
+      
+      // Light the blades as if they faced up, so both sides shade alike
+      for (let k = 0; k < 3; k++) {
+        normals.push(dx * 0.3, 1, dz * 0.3);
+      }
+    }
+    
+    const geometry = new THREE.BufferGeometry();
+    geometry.setAttribute('position', new THREE.Float32BufferAttribute(positions, 3));
+    geometry.setAttribute('normal', new THREE.Float32BufferAttribute(normals, 3));
+    
+    return this.paint(geometry, new THREE.Color(0.2, 0.36, 0.12), 0.9, new THREE.Color(0.36, 0.5, 0.2));
+  }
+  
+  /**
+   * Add aColor and aSway to a geometry
+   * @param {THREE.BufferGeometry} geometry
+   * @param {THREE.Color} color - Colour at the base
+   * @param {number} height - Height of the whole plant, for aSway
+   * @param {THREE.Color} [tipColor] - Colour at full height, if it differs
+   * @returns {THREE.BufferGeometry}
+   */
+  paint(geometry, color, height, tipColor = color) {
+    const position = geometry.attributes.position;
+    const colors = new Float32Array(position.count * 3);
+    const sway = new Float32Array(position.count);
+    const mixed = new THREE.Color();
+    
+    for (let i = 0; i < position.count; i++) {
+      sway[i] = Math.min(Math.max(position.getY(i) / height, 0), 1);
+      mixed.lerpColors(color, tipColor, sway[i]);
+      colors[i * 3] = mixed.r;
+      colors[i * 3 + 1] = mixed.g;
+      colors[i * 3 + 2] = mixed.b;
+    }
+    
+    if (geometry.attributes.uv) {
+      geometry.deleteAttribute('uv');
+    }
+    geometry.setAttribute('aColor', new THREE.BufferAttribute(colors, 3));
+    geometry.setAttribute('aSway', new THREE.BufferAttribute(sway, 1));
+    
+    return geometry;
+  }
+  
+  /**
+   * Render a side view of a plant into a texture for its impostors
+   * @param {THREE.BufferGeometry} geometry - Full-detail geometry
+   * @param {THREE.WebGLRenderer} renderer
+   * @returns {Object} { geometry, texture } - Billboard quad standing on y = 0, and its texture
+   */
+  bakeImpostor(geometry, renderer) {
+    geometry.computeBoundingBox();
+    const box = geometry.boundingBox;
+    const halfWidth = Math.max(-box.min.x, box.max.x, -box.min.z, box.max.z);
+    const height = box.max.y;
+    
+    const target = new THREE.WebGLRenderTarget(128, 256, {
+      generateMipmaps: true,
+      minFilter: THREE.LinearMipmapLinearFilter,
+    });
+    
+    const scene = new THREE.Scene();
+    const material = createVegetationMaterial({ bake: true });
+    scene.add(new THREE.Mesh(geometry, material));
+    
+    const camera = new THREE.OrthographicCamera(-halfWidth, halfWidth, height, 0, 0.1, halfWidth * 4);
+    camera.position.set(0, 0, halfWidth * 2);
+    
+    // Transparent background, restoring the renderer afterwards
+    const previousTarget = renderer.getRenderTarget();
+    const previousColor = renderer.getClearColor(new THREE.Color());
+    const previousAlpha = renderer.getClearAlpha();
+    renderer.setRenderTarget(target);
+    renderer.setClearColor(0x000000, 0);
+    renderer.clear();
+    renderer.render(scene, camera);
+    renderer.setRenderTarget(previousTarget);
+    renderer.setClearColor(previousColor, previousAlpha);
+    material.dispose();
+    
+    const quad = new THREE.PlaneGeometry(halfWidth * 2, height);
+    quad.translate(0, height / 2, 0);
+    
+    this.renderTargets.push(target);
+    
+    return { geometry: quad, texture: target.texture };
+  }
+  
+  /**
+   * Get the group holding every vegetation mesh
+   * @returns {THREE.Group}
+   */
+  getGroup() {
+    return this.group;
+  }
+  
+  /**
+   * Follow a DayNightCycle lighting state
+   * @param {Object} state - Lighting state (see createLightingState in LightingTimeline.js)
+   */
+  applyLighting(state) {
+    for (const material of this.materials) {
+      updateVegetationUniforms(material, {
+        sunDirection: state.sunDirection,
+        sunColor: state.sunColor,
+        sunIntensity: state.sunIntensity,
+        moonDirection: state.moonDirection,
+        moonColor: state.moonColor,
+        moonIntensity: state.moonIntensity,
+        ambientColor: state.ambientColor,
+        ambientIntensity: state.ambientIntensity,
+        dayNightMix: state.terrainDayNightMix,
+        fogColor: state.fogColor,
+        fogDensity: state.fogDensity,
+      });
+    }
+  }
+  
+  /**
+   * Animate the wind and sort plants into detail levels (call each frame)
+   * @param {number} elapsedTime - Total elapsed time in seconds
+   * @param {THREE.Camera} camera - Camera the LOD distances are measured from
+   */
+  update(elapsedTime, camera) {
+    for (const material of this.materials) {
+      updateVegetationUniforms(material, { time: elapsedTime });
+    }
+    
+    // Only re-sort once the camera has moved a little
+    if (camera.position.distanceTo(this.lastSortPosition) < this.resortDistance) {
+      return;
+    }
+    this.lastSortPosition.copy(camera.position);
+    
+    for (const layer of this.layers) {
+      this.sortLayer(layer, camera.position);
+    }
+  }
+  
+  /**
+   * Write each plant of a layer into its detail or impostor mesh
+   * @param {Object} layer
+   * @param {THREE.Vector3} eye - Camera position
+   */
+  sortLayer(layer, eye) {
+    const { species, lod, detail, impostor, colors } = layer;
+    const transforms = species.transforms;
+    let near = 0;
+    let far = 0;
+    
+    for (let i = 0; i < species.count; i++) {
+      const offset = i * INSTANCE_STRIDE;
+      const x = transforms[offset];
+      const y = transforms[offset + 1];
+      const z = transforms[offset + 2];
+      const distance = Math.hypot(x - eye.x, y - eye.y, z - eye.z);
+      let scale = transforms[offset + 3];
+      let mesh = detail;
+      
+      if (impostor && distance > lod.impostorDistance) {
+        mesh = impostor;
+      } else if (lod.maxDistance !== undefined) {
+        // Shrink into the ground over the last fifth instead of popping out
+        const fade = (lod.maxDistance - distance) / (lod.maxDistance * 0.2);
+        if (fade <= 0) continue;
+        scale *= Math.min(fade, 1);
+      }
+      
+      const index = mesh === detail ? near++ : far++;
+      writeInstance(mesh, index, x, y - lod.sink * scale, z, scale, transforms[offset + 4]);
+      mesh.instanceColor.setXYZ(index, colors[i * 3], colors[i * 3 + 1], colors[i * 3 + 2]);
+    }
+    
+    for (const [mesh, count] of [[detail, near], [impostor, far]]) {
+      if (!mesh) continue;
+      mesh.count = count;
+      mesh.instanceMatrix.needsUpdate = true;
+      mesh.instanceColor.needsUpdate = true;
+    }
+  }
+  
+  /**
+   * Dispose of vegetation resources
+   */
+  dispose() {
+    for (const layer of this.layers) {
+      for (const mesh of [layer.detail, layer.impostor]) {
+        if (mesh) {
+          mesh.geometry.dispose();
+          mesh.dispose();
+        }
+      }
+    }
+    for (const material of this.materials) {
+      material.dispose();
+    }
+    for (const target of this.renderTargets) {
+      target.dispose();
+    }
+  }
+}
+
+/**
+ * Write a translate, turn about Y and uniform scale straight into an instance matrix
+ */
+function writeInstance(mesh, index, x, y, z, scale, rotation) {
+  const cos = Math.cos(rotation) * scale;
+  const sin = Math.sin(rotation) * scale;
+  const e = mesh.instanceMatrix.array;
+  const o = index * 16;
+  
+  e[o] = cos; e[o + 1] = 0; e[o + 2] = -sin; e[o + 3] = 0;
+  e[o + 4] = 0; e[o + 5] = scale; e[o + 6] = 0; e[o + 7] = 0;
+  e[o + 8] = sin; e[o + 9] = 0; e[o + 10] = cos; e[o + 11] = 0;
+  e[o + 12] = x; e[o + 13] = y; e[o + 14] = z; e[o + 15] = 1;
+}
@@ -0,0 +1,212 @@
+import * as THREE from 'three';
+
+/**
+ * Vertex shader for vegetation
+ * Plants are instanced; aColor is the albedo and aSway runs from 0 at the
+ * base to 1 at the tip. IMPOSTOR turns each instance into a camera-facing
+ * billboard around its trunk; BAKE renders unlit albedo into impostor textures.
+ */
+const vertexShader = /* glsl */ `
+  attribute vec3 aColor;
+  attribute float aSway;
+  
+  uniform float uTime;
+  uniform float uWindStrength;
+  
+  varying vec3 vColor;
+  varying vec3 vNormal;
+  varying vec2 vUv;
+  varying float vSway;
+  varying float vFogDepth;
+  
+  void main() {
+  #ifdef USE_INSTANCING
+    mat4 model = modelMatrix * instanceMatrix;
+  #else
+    mat4 model = modelMatrix;
+  #endif
+  
+  #ifdef IMPOSTOR
+    // Turn the quad about the trunk to face the camera
+    vec3 base = (model * vec4(0.0, 0.0, 0.0, 1.0)).xyz;
+    float scale = length(model[0].xyz);
+    vec3 toCamera = cameraPosition - base;
+    toCamera.y = 0.0;
+    toCamera = normalize(toCamera);
+    vec3 right = vec3(toCamera.z, 0.0, -toCamera.x);
+    vec4 worldPosition = vec4(base + right * position.x * scale + vec3(0.0, position.y * scale, 0.0), 1.0);
+    
+    // Rounded normal, as if the billboard were the front of a cone
+    vNormal = normalize(right * (uv.x - 0.5) * 1.6 + toCamera * 0.8 + vec3(0.0, 0.4, 0.0));
+    vColor = vec3(1.0);
+    vSway = uv.y;
+  #else
+    vec4 worldPosition = model * vec4(position, 1.0);
+    vNormal = normalize(mat3(model) * normal);
+    vColor = aColor;
+    vSway = aSway;
+  #endif
+  
+  #ifndef BAKE
+    // Gentle wind, out of phase from plant to plant
+    float phase = dot(worldPosition.xz, vec2(0.07, 0.05));
+    worldPosition.xz += vec2(sin(uTime * 1.3 + phase), cos(uTime * 1.1 + phase * 1.3)) * uWindStrength * vSway;
+  #endif
+  
+  #ifdef USE_INSTANCING_COLOR
+    vColor *= instanceColor;
+  #endif
+    vUv = uv;
+    
+    vec4 mvPosition = viewMatrix * worldPosition;
+    vFogDepth = -mvPosition.z;
+    
+    gl_Position = projectionMatrix * mvPosition;
+  }
+`;
+
+/**
+ * Fragment shader for vegetation
+ * Wrapped diffuse so foliage never goes fully black, darker towards the
+ * base, night tint and fog to match the terrain.
+ */
+const fragmentShader = /* glsl */ `
+  uniform vec3 uSunDirection;
+  uniform vec3 uSunColor;
+  uniform float uSunIntensity;
+  uniform vec3 uMoonDirection;
+  uniform vec3 uMoonColor;
+  uniform float uMoonIntensity;
+  uniform vec3 uAmbientColor;
+  uniform float uAmbientIntensity;
+  uniform float uDayNightMix; // 0 = day, 1 = night
+  uniform vec3 uFogColor;
+  uniform float uFogDensity;
+  uniform sampler2D uImpostorMap;
+  
+  varying vec3 vColor;
+  varying vec3 vNormal;
+  varying vec2 vUv;
+  varying float vSway;
+  varying float vFogDepth;
+  
+  void main() {
+    vec3 albedo = vColor;
+  #ifdef IMPOSTOR
+    vec4 texel = texture2D(uImpostorMap, vUv);
+    if (texel.a < 0.5) discard;
+    albedo *= texel.rgb;
+  #endif
+  
+  #ifdef BAKE
+    gl_FragColor = vec4(albedo, 1.0);
+  #else
+    vec3 normal = normalize(vNormal);
+    
+    // Bluer and darker by moonlight
+    vec3 baseColor = mix(albedo, albedo * vec3(0.35, 0.4, 0.6), uDayNightMix);
+    
+    float wrap = max((dot(normal, uSunDirection) + 0.4) / 1.4, 0.0);
+    float ao = 0.55 + 0.45 * vSway;
+    
+    float moonWrap = max((dot(normal, uMoonDirection) + 0.4) / 1.4, 0.0);
+    vec3 directLight = uSunColor * uSunIntensity * wrap + uMoonColor * uMoonIntensity * moonWrap;
+    vec3 ambient = uAmbientColor * uAmbientIntensity * ao;
+    vec3 finalColor = baseColor * (directLight + ambient);
+    
+    // Apply fog
+    float fogFactor = 1.0 - exp(-uFogDensity * vFogDepth);
+    fogFactor = clamp(fogFactor, 0.0, 1.0);
+    finalColor = mix(finalColor, uFogColor, fogFactor);
+    
+    gl_FragColor = vec4(finalColor, 1.0);
+  #endif
+  }
+`;
+
+/**
+ * Create a vegetation shader material
+ * @param {Object} [options]
+ * @param {boolean} [options.impostor=false] - Camera-facing billboards textured with options.map
+ * @param {THREE.Texture} [options.map] - Baked impostor texture
+ * @param {boolean} [options.bake=false] - Unlit albedo for baking impostors
+ * @param {boolean} [options.doubleSided=false] - Draw back faces (thin blades)
+ * @returns {THREE.ShaderMaterial}
+ */
+export function createVegetationMaterial(options = {}) {
+  const defines = {};
+  if (options.impostor) defines.IMPOSTOR = '';
+  if (options.bake) defines.BAKE = '';
+  
+  const material = new THREE.ShaderMaterial({
+    vertexShader,
+    fragmentShader,
+    defines,
+    uniforms: {
+      uSunDirection: { value: new THREE.Vector3(0.5, 0.7, 0.3).normalize() },
+      uSunColor: { value: new THREE.Color(1.0, 0.95, 0.8) },
+      uSunIntensity: { value: 1.2 },
+      uMoonDirection: { value: new THREE.Vector3(-0.3, 0.6, -0.3).normalize() },
+      uMoonColor: { value: new THREE.Color(0.6, 0.7, 0.9) },
+      uMoonIntensity: { value: 0 },
+      uAmbientColor: { value: new THREE.Color(0.4, 0.5, 0.7) },
+      uAmbientIntensity: { value: 0.4 },
+      uTime: { value: 0 },
+      uWindStrength: { value: 0.08 },
+      uDayNightMix: { value: 0 }, // 0 = day, 1 = night
+      uFogColor: { value: new THREE.Color(0.6, 0.75, 0.9) },
+      uFogDensity: { value: 0.0012 },
+      uImpostorMap: { value: options.map || null },
+    },
+    side: options.doubleSided ? THREE.DoubleSide : THREE.FrontSide,
+  });
+  
+  return material;
+}
+
+/**
+ * Update vegetation material uniforms for day/night cycle
+ * @param {THREE.ShaderMaterial} material
+ * @param {Object} params
+ */
+export function updateVegetationUniforms(material, params) {
+  if (params.sunDirection) {
+    material.uniforms.uSunDirection.value.copy(params.sunDirection).normalize();
+  }
+  if (params.sunColor) {
+    material.uniforms.uSunColor.value.copy(params.sunColor);
+  }
+  if (params.sunIntensity !== undefined) {
+    material.uniforms.uSunIntensity.value = params.sunIntensity;
+  }
+  if (params.moonDirection) {
+    material.uniforms.uMoonDirection.value.copy(params.moonDirection).normalize();
+  }
+  if (params.moonColor) {
+    material.uniforms.uMoonColor.value.copy(params.moonColor);
+  }
+  if (params.moonIntensity !== undefined) {
+    material.uniforms.uMoonIntensity.value = params.moonIntensity;
+  }
+  if (params.ambientColor) {
+    material.uniforms.uAmbientColor.value.copy(params.ambientColor);
+  }
+  if (params.ambientIntensity !== undefined) {
+    material.uniforms.uAmbientIntensity.value = params.ambientIntensity;
+  }
+  if (params.time !== undefined) {
+    material.uniforms.uTime.value = params.time;
+  }
+  if (params.windStrength !== undefined) {
+    material.uniforms.uWindStrength.value = params.windStrength;
+  }
+  if (params.dayNightMix !== undefined) {
+    material.uniforms.uDayNightMix.value = params.dayNightMix;
+  }
+  if (params.fogColor) {
+    material.uniforms.uFogColor.value.copy(params.fogColor);
+  }
+  if (params.fogDensity !== undefined) {
+    material.uniforms.uFogDensity.value = params.fogDensity;
+  }
+}
@@ -0,0 +1,219 @@
+import * as THREE from 'three';
+import { createWaterMaterial, updateWaterUniforms } from './waterShader.js';
+
+/**
+ * Water - Renders the rivers and lakes traced by the hydrology pass
+ *
+ * Rivers become ribbons that follow their channels with ripples scrolling
+ * downstream; lakes become flat surfaces at their spill level. Register it
+ * with DayNightCycle.addLightingTarget so it follows the sun, sky and fog.
+ */
+export class Water {
+  /**
+   * @param {Object} features - Water features from generateTerrainData (see createWaterFeatures)
+   */
+  constructor(features) {
+    this.group = new THREE.Group();
+    this.group.name = 'water';
+    
+    this.riverMaterial = createWaterMaterial({ river: true });
+    this.lakeMaterial = createWaterMaterial();
+    
+    this.riverMesh = null;
+    this.lakeMesh = null;
+    
+    if (features.lakes.length > 0) {
+      this.lakeMesh = new THREE.Mesh(this.createLakeGeometry(features), this.lakeMaterial);
+      this.lakeMesh.name = 'lakes';
+      this.group.add(this.lakeMesh);
+    }
+    
+    if (features.rivers.length > 0) {
+      this.riverMesh = new THREE.Mesh(this.createRiverGeometry(features), this.riverMaterial);
+      this.riverMesh.name = 'rivers';
+      // Drawn after the lakes so river mouths blend over them
+      this.riverMesh.renderOrder = 1;
+      this.group.add(this.riverMesh);
+    }
+  }
+  
+  /**
+   * Build one ribbon mesh for all rivers
+   * @param {Object} features
+   * @returns {THREE.BufferGeometry}
+   */
+  createRiverGeometry(features) {
+    const positions = [];
+    const uvs = [];
+    const flows = [];
+    const indices = [];
+    
+    for (const river of features.rivers) {
+      const { points, flow } = river;
+      const count = points.length / 3;
+      const base = positions.length / 3;
+      let distance = 0;
+      
+      for (let i = 0; i < count; i++) {
+        // Tangent from the neighbouring points, flattened onto the ground
+        const prev = Math.max(0, i - 1) * 3;
+        const next = Math.min(count - 1, i + 1) * 3;
+        let tx = points[next] - points[prev];
+        let tz = points[next + 2] - points[prev + 2];
+        const length = Math.hypot(tx, tz) || 1;
+        tx /= length;
+        tz /= length;
+        
+        if (i > 0) {
+          distance += Math.hypot(points[i * 3] - points[prev], points[i * 3 + 2] - points[prev + 2]);
+        }
+        
+        // Wider downstream; taper in at the source
+        const taper = Math.min(1, (i + 1) / 4);
+        const halfWidth = features.cellSize * (0.5 + 0.9 * flow[i]) * taper;
+        
+        const x = points[i * 3];
+        const y = points[i * 3 + 1];
+        const z = points[i * 3 + 2];
+        
+        // Left bank, then right bank
+        positions.push(x - tz * halfWidth, y, z + tx * halfWidth);
+        positions.push(x + tz * halfWidth, y, z - tx * halfWidth);
+        uvs.push(0, distance * 0.5, 1, distance * 0.5);
+        flows.push(flow[i], flow[i]);
+        
+        if (i < count - 1) {
+          const left = base + i * 2;
+          const right = left + 1;
+          indices.push(left, left + 2, right);
+          indices.push(right, left + 2, right + 2);
+        }
+      }
+    }
+    
+    const geometry = new THREE.BufferGeometry();
+    geometry.setIndex(indices);
+    geometry.setAttribute('position', new THREE.Float32BufferAttribute(positions, 3));
+    geometry.setAttribute('uv', new THREE.Float32BufferAttribute(uvs, 2));
+    geometry.setAttribute('aFlow', new THREE.Float32BufferAttribute(flows, 1));
+    geometry.computeBoundingSphere();
+    
+    return geometry;
+  }
+  
+  /**
+   * Build one flat mesh for all lakes
+   * Each lake cell becomes a quad centred on its grid point. Corner depths
+   * average the surrounding cells, so the water thins out towards the shore.
+   * @param {Object} features
+   * @returns {THREE.BufferGeometry}
+   */
+  createLakeGeometry(features) {
+    const { cellSize, size } = features;
+    const positions = [];
+    const depths = [];
+    const indices = [];
+    
+    for (const lake of features.lakes) {
+      // Depth per lake cell; everything else counts as shore
+      const cellDepths = new Map();
+      lake.cells.forEach((cell, i) => cellDepths.set(cell, lake.depths[i]));
+      
+      // Corners are shared between neighbouring cells of the same lake
+      const corners = new Map();
+      const corner = (row, col) => {
+        const key = row * (size + 1) + col;
+        if (!corners.has(key)) {
+          let depth = 0;
+          for (const [r, c] of [[row - 1, col - 1], [row - 1, col], [row, col - 1], [row, col]]) {
+            if (r >= 0 && c >= 0 && r < size && c < size) {
+              depth += cellDepths.get(r * size + c) || 0;
+            }
+          }
+          
+          corners.set(key, positions.length / 3);
+          positions.push(
+            (col - 0.5) * cellSize - features.width / 2,
+            lake.level,
+            (row - 0.5) * cellSize - features.depth / 2
+          );
+          depths.push(depth / 4);
+        }
+        return corners.get(key);
+      };
+      
+      for (const cell of lake.cells) {
+        const row = Math.floor(cell / size);
+        const col = cell % size;
+        
+        // Same winding as the terrain grid so the surface faces up
+        const a = corner(row, col);
+        const b = corner(row + 1, col);
+        const c = corner(row + 1, col + 1);
+        const d = corner(row, col + 1);
+        indices.push(a, b, d, b, c, d);
+      }
+    }
+    
+    const geometry = new THREE.BufferGeometry();
+    geometry.setIndex(indices);
+    geometry.setAttribute('position', new THREE.Float32BufferAttribute(positions, 3));
+    geometry.setAttribute('aDepth', new THREE.Float32BufferAttribute(depths, 1));
+    geometry.computeBoundingSphere();
+    
+    return geometry;
+  }
+  
+  /**
+   * Get the group holding the river and lake meshes
+   * @returns {THREE.Group}
+   */
+  getGroup() {
+    return this.group;
+  }
+  
+  /**
+   * Follow a DayNightCycle lighting state
+   * @param {Object} state - Lighting state (see createLightingState in LightingTimeline.js)
+   */
+  applyLighting(state) {
+    for (const material of [this.riverMaterial, this.lakeMaterial]) {
+      updateWaterUniforms(material, {
+        sunDirection: state.sunDirection,
+        sunColor: state.sunColor,
+        sunIntensity: state.sunIntensity,
+        moonDirection: state.moonDirection,
+        moonColor: state.moonColor,
+        moonIntensity: state.moonIntensity,
+        ambientColor: state.ambientColor,
+        ambientIntensity: state.ambientIntensity,
+        skyColor: state.skyHorizonColor,
+        dayNightMix: state.terrainDayNightMix,
+        fogColor: state.fogColor,
+        fogDensity: state.fogDensity,
+      });
+    }
+  }
+  
+  /**
+   * Animate the ripples (call each frame)
+   * @param {number} elapsedTime - Total elapsed time in seconds
+   */
+  update(elapsedTime) {
+    updateWaterUniforms(this.riverMaterial, { time: elapsedTime });
+    updateWaterUniforms(this.lakeMaterial, { time: elapsedTime });
+  }
+  
+  /**
+   * Dispose of water resources
+   */
+  dispose() {
+    for (const mesh of [this.riverMesh, this.lakeMesh]) {
+      if (mesh) {
+        mesh.geometry.dispose();
+      }
+    }
+    this.riverMaterial.dispose();
+    this.lakeMaterial.dispose();
+  }
+}
@@ -0,0 +1,236 @@
+import * as THREE from 'three';
+
+/**
+ * Vertex shader for water surfaces
+ * Rivers pass their along-stream UVs and flow strength; lakes pass their depth
+ */
+const vertexShader = /* glsl */ `
+  attribute float aFlow;
+  attribute float aDepth;
+  
+  varying vec3 vWorldPosition;
+  varying vec2 vUv;
+  varying float vFlow;
+  varying float vDepth;
+  varying float vFogDepth;
+  
+  void main() {
+    vUv = uv;
+    vFlow = aFlow;
+    vDepth = aDepth;
+    
+    vec4 worldPosition = modelMatrix * vec4(position, 1.0);
+    vWorldPosition = worldPosition.xyz;
+    
+    vec4 mvPosition = viewMatrix * worldPosition;
+    vFogDepth = -mvPosition.z;
+    
+    gl_Position = projectionMatrix * mvPosition;
+  }
+`;
+
+/**
+ * Fragment shader for water
+ * Rippled normals, sky reflection with Fresnel, sun glints and fog.
+ * RIVER is defined for river ribbons, whose ripples scroll downstream.
+ */
+const fragmentShader = /* glsl */ `
+  uniform vec3 uSunDirection;
+  uniform vec3 uSunColor;
+  uniform float uSunIntensity;
+  uniform vec3 uMoonDirection;
+  uniform vec3 uMoonColor;
+  uniform float uMoonIntensity;
+  uniform vec3 uAmbientColor;
+  uniform float uAmbientIntensity;
+  uniform vec3 uSkyColor;
+  uniform vec3 uShallowColor;
+  uniform vec3 uDeepColor;
+  uniform float uTime;
+  uniform float uFlowSpeed;
+  uniform float uDayNightMix;
+  uniform vec3 uFogColor;
+  uniform float uFogDensity;
+  
+  varying vec3 vWorldPosition;
+  varying vec2 vUv;
+  varying float vFlow;
+  varying float vDepth;
+  varying float vFogDepth;
+  
+  float hash(vec2 p) {
+    return fract(sin(dot(p, vec2(127.1, 311.7))) * 43758.5453123);
+  }
+  
+  float noise(vec2 p) {
+    vec2 i = floor(p);
+    vec2 f = fract(p);
+    f = f * f * (3.0 - 2.0 * f);
+    
+    float a = hash(i);
+    float b = hash(i + vec2(1.0, 0.0));
+    float c = hash(i + vec2(0.0, 1.0));
+    float d = hash(i + vec2(1.0, 1.0));
+    
+    return mix(mix(a, b, f.x), mix(c, d, f.x), f.y);
+  }
+  
+  // Two scrolling layers of ripples
+  float ripples(vec2 p) {
+  #ifdef RIVER
+    // Across-stream in x, downstream in y; faster water moves faster
+    float speed = uFlowSpeed * (0.5 + vFlow);
+    return noise(p * vec2(3.0, 0.6) - vec2(0.0, uTime * speed))
+      + 0.5 * noise(p * vec2(6.0, 1.4) - vec2(0.0, uTime * speed * 1.7));
+  #else
+    return noise(p * 0.35 + uTime * 0.05)
+      + 0.5 * noise(p * 0.8 - uTime * 0.07);
+  #endif
+  }
+  
+  void main() {
+  #ifdef RIVER
+    vec2 p = vUv;
+    float strength = 0.35;
+  #else
+    vec2 p = vWorldPosition.xz;
+    float strength = 0.12;
+  #endif
+    
+    // Normal from the ripple gradient
+    float e = 0.05;
+    float h = ripples(p);
+    float dx = ripples(p + vec2(e, 0.0)) - h;
+    float dz = ripples(p + vec2(0.0, e)) - h;
+    vec3 normal = normalize(vec3(-dx / e * strength * 0.1, 1.0, -dz / e * strength * 0.1));
+    
+    vec3 viewDir = normalize(cameraPosition - vWorldPosition);
+    
+    // Deeper water is darker; shallow edges fade into the banks
+  #ifdef RIVER
+    float shore = smoothstep(0.0, 0.25, min(vUv.x, 1.0 - vUv.x) * 2.0);
+    float deep = 0.3 + 0.5 * vFlow;
+  #else
+    float shore = smoothstep(0.0, 1.2, vDepth);
+    float deep = smoothstep(0.0, 6.0, vDepth);
+  #endif
+    vec3 waterColor = mix(uShallowColor, uDeepColor, deep);
+    
+    // Body colour lit by sun and sky
+    float NdotL = max(dot(normal, uSunDirection), 0.0);
+    float moonNdotL = max(dot(normal, uMoonDirection), 0.0);
+    vec3 lit = waterColor * ((uSunColor * uSunIntensity * NdotL + uMoonColor * uMoonIntensity * moonNdotL) * 0.5
+      + uAmbientColor * uAmbientIntensity);
+    
+    // Reflect more of the sky at grazing angles
+    float fresnel = 0.02 + 0.98 * pow(1.0 - max(dot(viewDir, normal), 0.0), 5.0);
+    vec3 color = mix(lit, uSkyColor * (1.0 - uDayNightMix * 0.5), fresnel);
+    
+    // Sun and moon glints
+    vec3 halfDir = normalize(uSunDirection + viewDir);
+    float specular = pow(max(dot(normal, halfDir), 0.0), 120.0);
+    color += uSunColor * uSunIntensity * specular * 0.8;
+    
+    vec3 moonHalfDir = normalize(uMoonDirection + viewDir);
+    float moonSpecular = pow(max(dot(normal, moonHalfDir), 0.0), 120.0);
+    color += uMoonColor * uMoonIntensity * moonSpecular * 0.8;
+  
+  #ifdef RIVER
+    // Foam where the flow is fast, riding the ripples
+    float foam = smoothstep(1.15, 1.4, h) * vFlow * 0.35;
+    color = mix(color, vec3(0.85) * (uAmbientIntensity + uSunIntensity * 0.3), foam);
+  #endif
+    
+    // Apply fog
+    float fogFactor = 1.0 - exp(-uFogDensity * vFogDepth);
+    fogFactor = clamp(fogFactor, 0.0, 1.0);
+    color = mix(color, uFogColor, fogFactor);
+    
+    gl_FragColor = vec4(color, mix(0.0, mix(0.75, 0.95, fresnel), shore));
+  }
+`;
+
+/**
+ * Create a water shader material
+ * @param {Object} [options]
+ * @param {boolean} [options.river=false] - Flowing river ribbons instead of still lakes
+ * @returns {THREE.ShaderMaterial}
+ */
+export function createWaterMaterial(options = {}) {
+  const material = new THREE.ShaderMaterial({
+    vertexShader,
+    fragmentShader,
+    defines: options.river ? { RIVER: '' } : {},
+    uniforms: {
+      uSunDirection: { value: new THREE.Vector3(0.5, 0.7, 0.3).normalize() },
+      uSunColor: { value: new THREE.Color(1.0, 0.95, 0.8) },
+      uSunIntensity: { value: 1.2 },
+      uMoonDirection: { value: new THREE.Vector3(-0.3, 0.6, -0.3).normalize() },
+      uMoonColor: { value: new THREE.Color(0.6, 0.7, 0.9) },
+      uMoonIntensity: { value: 0 },
+      uAmbientColor: { value: new THREE.Color(0.4, 0.5, 0.7) },
+      uAmbientIntensity: { value: 0.4 },
+      uSkyColor: { value: new THREE.Color(0.65, 0.78, 0.88) },
+      uShallowColor: { value: new THREE.Color(0.16, 0.32, 0.3) },
+      uDeepColor: { value: new THREE.Color(0.03, 0.1, 0.14) },
+      uTime: { value: 0 },
+      uFlowSpeed: { value: 0.6 },
+      uDayNightMix: { value: 0 }, // 0 = day, 1 = night
+      uFogColor: { value: new THREE.Color(0.6, 0.75, 0.9) },
+      uFogDensity: { value: 0.0012 },
+    },
+    transparent: true,
+    // Rivers overlap themselves at confluences; let the terrain decide visibility
+    depthWrite: !options.river,
+    side: THREE.FrontSide,
+  });
+  
+  return material;
+}
+
+/**
+ * Update water material uniforms for day/night cycle
+ * @param {THREE.ShaderMaterial} material
+ * @param {Object} params
+ */
+export function updateWaterUniforms(material, params) {
+  if (params.sunDirection) {
+    material.uniforms.uSunDirection.value.copy(params.sunDirection).normalize();
+  }
+  if (params.sunColor) {
+    material.uniforms.uSunColor.value.copy(params.sunColor);
+  }
+  if (params.sunIntensity !== undefined) {
+    material.uniforms.uSunIntensity.value = params.sunIntensity;
+  }
+  if (params.moonDirection) {
+    material.uniforms.uMoonDirection.value.copy(params.moonDirection).normalize();
+  }
+  if (params.moonColor) {
+    material.uniforms.uMoonColor.value.copy(params.moonColor);
+  }
+  if (params.moonIntensity !== undefined) {
+    material.uniforms.uMoonIntensity.value = params.moonIntensity;
+  }
+  if (params.ambientColor) {
+    material.uniforms.uAmbientColor.value.copy(params.ambientColor);
+  }
+  if (params.ambientIntensity !== undefined) {
+    material.uniforms.uAmbientIntensity.value = params.ambientIntensity;
+  }
+  if (params.skyColor) {
+    material.uniforms.uSkyColor.value.copy(params.skyColor);
+  }
+  if (params.time !== undefined) {
+    material.uniforms.uTime.value = params.time;
+  }
+  if (params.dayNightMix !== undefined) {
+    material.uniforms.uDayNightMix.value = params.dayNightMix;
+  }
+  if (params.fogColor) {
+    material.uniforms.uFogColor.value.copy(params.fogColor);
+  }
+  if (params.fogDensity !== undefined) {
+    material.uniforms.uFogDensity.value = params.fogDensity;
+  }
+}
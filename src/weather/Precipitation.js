@@ -0,0 +1,175 @@
+import * as THREE from 'three';
+import { createPrecipitationMaterial, updatePrecipitationUniforms } from './precipitationShader.js';
+import { createRandom } from '../utils/random.js';
+
+/**
+ * Default precipitation
+ */
+export const PrecipitationDefaults = {
+  rainCount: 12000, // Rain particles at full rate
+  snowCount: 8000, // Snow particles at full rate
+  boxSize: [160, 80, 160], // Width, height and depth of the box around the camera
+  rainSpeed: 30, // Fall speed in world units per second
+  snowSpeed: 3,
+};
+
+const _velocity = new THREE.Vector3();
+const _light = new THREE.Color();
+const _direct = new THREE.Color();
+
+/**
+ * Precipitation - GPU rain and snow particles around the camera
+ *
+ * All animation happens in the vertex shader: particles fall from fixed
+ * start positions and wrap around inside a box that follows the camera, so
+ * the CPU only advances a clock. Rain and snow are separate point clouds
+ * whose rates can be blended, for sleet or a change from one to the other.
+ * Register it with DayNightCycle.addLightingTarget so it follows the light
+ * and fog (Weather does this for the particles it owns).
+ */
+export class Precipitation {
+  /**
+   * @param {Object} [options] - Overrides for PrecipitationDefaults
+   */
+  constructor(options = {}) {
+    this.params = { ...PrecipitationDefaults, ...options };
+    const boxSize = new THREE.Vector3().fromArray(this.params.boxSize);
+    
+    this.group = new THREE.Group();
+    this.group.name = 'precipitation';
+    
+    this.time = 0;
+    this.wind = new THREE.Vector2();
+    this.rates = { rain: 0, snow: 0 };
+    
+    this.rainMaterial = createPrecipitationMaterial();
+    this.snowMaterial = createPrecipitationMaterial({ snow: true });
+    for (const material of [this.rainMaterial, this.snowMaterial]) {
+      updatePrecipitationUniforms(material, { boxSize });
+    }
+    
+    this.rain = this.createPoints(this.params.rainCount, boxSize, this.rainMaterial, 'rain');
+    this.snow = this.createPoints(this.params.snowCount, boxSize, this.snowMaterial, 'snow');
+    this.group.add(this.rain, this.snow);
+    this.setRates(0, 0);
+  }
+  
+  /**
+   * Build a point cloud scattered through the box
+   * @param {number} count
+   * @param {THREE.Vector3} boxSize
+   * @param {THREE.ShaderMaterial} material
+   * @param {string} name - Also seeds the layout
+   * @returns {THREE.Points}
+   */
+  createPoints(count, boxSize, material, name) {
+    const random = createRandom(name);
+    const positions = new Float32Array(count * 3);
+    const randoms = new Float32Array(count);
+    
+    for (let i = 0; i < count; i++) {
+      positions[i * 3] = random() * boxSize.x;
+      positions[i * 3 + 1] = random() * boxSize.y;
+      positions[i * 3 + 2] = random() * boxSize.z;
+      randoms[i] = random();
+    }
+    
+    const geometry = new THREE.BufferGeometry();
+    geometry.setAttribute('position', new THREE.BufferAttribute(positions, 3));
+    geometry.setAttribute('aRandom', new THREE.BufferAttribute(randoms, 1));
+    
+    const points = new THREE.Points(geometry, material);
+    points.name = name;
+    // The shader moves every particle next to the camera
+    points.frustumCulled = false;
+    // Drawn after the water and clouds
+    points.renderOrder = 3;
+    return points;
+  }
+  
+  /**
+   * Set how hard it rains and snows
+   * @param {number} rain - 0-1
+   * @param {number} snow - 0-1
+   */
+  setRates(rain, snow) {
+    this.rates.rain = THREE.MathUtils.clamp(rain, 0, 1);
+    this.rates.snow = THREE.MathUtils.clamp(snow, 0, 1);
+    updatePrecipitationUniforms(this.rainMaterial, { rate: this.rates.rain });
+    updatePrecipitationUniforms(this.snowMaterial, { rate: this.rates.snow });
+    this.rain.visible = this.rates.rain > 0;
+    this.snow.visible = this.rates.snow > 0;
+  }
+  
+  /**
+   * Get how hard it rains and snows
+   * @returns {Object} { rain, snow }, each 0-1
+   */
+  getRates() {
+    return { ...this.rates };
+  }
+  
+  /**
+   * Set the wind that blows the particles sideways
+   * Rain is blown less than snow, which drifts almost with the wind.
+   * @param {number} x - World units per second along X
+   * @param {number} z - World units per second along Z
+   */
+  setWind(x, z) {
+    this.wind.set(x, z);
+    updatePrecipitationUniforms(this.rainMaterial, {
+      velocity: _velocity.set(x * 0.4, -this.params.rainSpeed, z * 0.4),
+    });
+    updatePrecipitationUniforms(this.snowMaterial, {
+      velocity: _velocity.set(x * 0.8, -this.params.snowSpeed, z * 0.8),
+    });
+  }
+  
+  /**
+   * Get the group holding the rain and snow
+   * @returns {THREE.Group}
+   */
+  getGroup() {
+    return this.group;
+  }
+  
+  /**
+   * Follow the lighting state
+   * Particles are lit by the sky and a share of the sun and moon.
+   * @param {Object} state - Lighting state from DayNightCycle (see createLightingState in LightingTimeline.js)
+   */
+  applyLighting(state) {
+    _light.copy(state.ambientColor).multiplyScalar(state.ambientIntensity);
+    _light.add(_direct.copy(state.sunColor).multiplyScalar(state.sunIntensity * 0.4));
+    _light.add(_direct.copy(state.moonColor).multiplyScalar(state.moonIntensity * 0.4));
+    
+    for (const material of [this.rainMaterial, this.snowMaterial]) {
+      updatePrecipitationUniforms(material, {
+        lightColor: _light,
+        fogColor: state.fogColor,
+        fogDensity: state.fogDensity,
+      });
+    }
+  }
+  
+  /**
+   * Advance the particles (call each frame)
+   * @param {number} deltaTime - Seconds since the last frame
+   */
+  update(deltaTime) {
+    // Wrap the clock long before float precision suffers; particles wrap anyway
+    this.time = (this.time + deltaTime) % 3600;
+    updatePrecipitationUniforms(this.rainMaterial, { time: this.time });
+    updatePrecipitationUniforms(this.snowMaterial, { time: this.time });
+  }
+  
+  /**
+   * Dispose of precipitation resources
+   */
+  dispose() {
+    this.rain.geometry.dispose();
+    this.snow.geometry.dispose();
+    this.rainMaterial.dispose();
+    this.snowMaterial.dispose();
+  }
+}
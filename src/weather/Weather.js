@@ -0,0 +1,318 @@
+import * as THREE from 'three';
+import { WeatherStates, WeatherNames, blendWeather, applyWeatherToLighting } from './weatherStates.js';
+import { Precipitation } from './Precipitation.js';
+import { updateTerrainUniforms } from '../terrain/terrainShader.js';
+import { cloudDriftDirection } from '../lighting/cloudNoise.js';
+import { LightingEasings } from '../lighting/LightingTimeline.js';
+
+/**
+ * Default weather
+ */
+export const WeatherDefaults = {
+  weather: 'clear', // Starting state, one of WeatherNames
+  transitionDuration: 2.5, // Seconds to blend into a new state
+  snowfallRate: 0.004, // Normalized height the snowline drops per second in full snowfall
+  meltRate: 0.001, // Normalized height it climbs back per second when it is not snowing
+  lowestSnowLine: 0.3, // Normalized height snowfall cannot push the snowline below
+  precipitation: {}, // Overrides for PrecipitationDefaults
+};
+
+const _drift = new THREE.Vector2();
+
+/**
+ * Weather - Clear, overcast, rain, snow and fog on top of the time of day
+ *
+ * Holds the current weather state and blends smoothly to a new one. The
+ * blended state sets the cloud layer's coverage, the rain and snow
+ * particles, and - through DayNightCycle.setWeather - greys and flattens the
+ * lighting. While it snows the terrain's snowline creeps down the slopes,
+ * and it melts back up once the snow stops. A sequence of states can be
+ * scripted with playSequence.
+ */
+export class Weather {
+  /**
+   * @param {THREE.ShaderMaterial|null} terrainMaterial - Terrain whose snowline follows the snowfall
+   * @param {Clouds|null} clouds - Cloud layer to thicken and thin out
+   * @param {Object} [options] - Overrides for WeatherDefaults
+   */
+  constructor(terrainMaterial, clouds, options = {}) {
+    const params = { ...WeatherDefaults, ...options };
+    this.terrainMaterial = terrainMaterial;
+    this.clouds = clouds;
+    
+    this.transitionDuration = params.transitionDuration;
+    this.snowfallRate = params.snowfallRate;
+    this.meltRate = params.meltRate;
+    this.lowestSnowLine = params.lowestSnowLine;
+    
+    // Fair weather keeps the cloud layer as it was set up
+    this.states = { ...WeatherStates };
+    if (clouds) {
+      const { coverage, density } = clouds.getParams();
+      this.states.clear = { ...WeatherStates.clear, coverage, cloudDensity: density };
+    }
+    
+    // Target state and the blended state currently shown
+    this.name = this.checkName(params.weather);
+    this.current = { ...this.states[this.name] };
+    
+    // Blend towards the target: { from, to, progress, duration }
+    this.transition = null;
+    
+    // Scripted states: { steps, index, elapsed, loop }
+    this.sequence = null;
+    
+    // How far snowfall has lowered the snowline, in normalized height
+    this.snowDrop = 0;
+    this.baseSnowLine = null;
+    this.writtenSnowLine = null;
+    
+    this.precipitation = new Precipitation(params.precipitation);
+    this.applyCurrent();
+  }
+  
+  /**
+   * Throw unless a weather name is known
+   * @param {string} name
+   * @returns {string} The name
+   */
+  checkName(name) {
+    if (!WeatherNames.includes(name)) {
+      throw new Error(`Unknown weather: ${name} (expected one of ${WeatherNames.join(', ')})`);
+    }
+    return name;
+  }
+  
+  /**
+   * Blend to a new weather state
+   * Calling it mid-blend starts from whatever is showing.
+   * @param {string} name - One of WeatherNames
+   * @param {number} [duration] - Seconds to blend (default: transitionDuration; 0 switches at once)
+   */
+  setWeather(name, duration = this.transitionDuration) {
+    this.name = this.checkName(name);
+    this.transition = {
+      from: { ...this.current },
+      to: this.states[name],
+      progress: 0,
+      duration,
+    };
+    if (duration <= 0) {
+      this.transition.progress = 1;
+    }
+  }
+  
+  /**
+   * Get the weather being shown or blended to
+   * @returns {string}
+   */
+  getWeather() {
+    return this.name;
+  }
+  
+  /**
+   * Get the blended weather state currently shown
+   * @returns {Object} Fields as in WeatherStates
+   */
+  getWeatherState() {
+    return { ...this.current };
+  }
+  
+  /**
+   * Check whether a blend is under way
+   * @returns {boolean}
+   */
+  isTransitioning() {
+    return this.transition !== null;
+  }
+  
+  /**
+   * Script a series of weather states
+   * Each step blends in over its transition, then holds for its duration
+   * before the next step starts. Without loop the last state stays once the
+   * sequence ends. Steps are plain JSON, e.g.
+   *   [{ weather: 'overcast', transition: 20, duration: 30 },
+   *    { weather: 'rain', transition: 10, duration: 60 },
+   *    { weather: 'clear', transition: 30, duration: 0 }]
+   * @param {Array<Object>} steps - { weather, duration, transition? } with times in seconds
+   * @param {Object} [options]
+   * @param {boolean} [options.loop=false] - Start again after the last step
+   */
+  playSequence(steps, options = {}) {
+    if (!Array.isArray(steps) || steps.length === 0) {
+      throw new Error('Weather sequence must be a non-empty array of steps');
+    }
+    const checked = steps.map((step, i) => {
+      const transition = step.transition ?? this.transitionDuration;
+      const duration = step.duration ?? 0;
+      if (!(transition >= 0) || !(duration >= 0)) {
+        throw new Error(`Weather sequence step ${i}: transition and duration must be seconds >= 0`);
+      }
+      return { weather: this.checkName(step.weather), transition, duration };
+    });
+    
+    this.sequence = { steps: checked, index: 0, elapsed: 0, loop: options.loop === true };
+    this.startStep(0);
+  }
+  
+  /**
+   * Stop a scripted sequence, leaving the weather as it is
+   */
+  stopSequence() {
+    this.sequence = null;
+  }
+  
+  /**
+   * Check whether a scripted sequence is running
+   * @returns {boolean}
+   */
+  isPlayingSequence() {
+    return this.sequence !== null;
+  }
+  
+  /**
+   * Begin one step of the sequence
+   * @param {number} index
+   */
+  startStep(index) {
+    const step = this.sequence.steps[index];
+    this.sequence.index = index;
+    this.sequence.elapsed = 0;
+    this.setWeather(step.weather, step.transition);
+  }
+  
+  /**
+   * Move the sequence on once the current step has run its course
+   * @param {number} deltaTime
+   */
+  advanceSequence(deltaTime) {
+    const sequence = this.sequence;
+    const step = sequence.steps[sequence.index];
+    sequence.elapsed += deltaTime;
+    if (sequence.elapsed < step.transition + step.duration) {
+      return;
+    }
+    
+    const next = sequence.index + 1;
+    if (next < sequence.steps.length) {
+      this.startStep(next);
+    } else if (sequence.loop) {
+      this.startStep(0);
+    } else {
+      this.sequence = null;
+    }
+  }
+  
+  /**
+   * Change a lighting state for the current weather (called by DayNightCycle)
+   * @param {Object} state - Lighting state to change in place
+   */
+  modifyLighting(state) {
+    applyWeatherToLighting(state, this.current);
+  }
+  
+  /**
+   * Follow the lighting state
+   * @param {Object} state - Lighting state from DayNightCycle (see createLightingState in LightingTimeline.js)
+   */
+  applyLighting(state) {
+    this.precipitation.applyLighting(state);
+  }
+  
+  /**
+   * Push the blended state to the clouds and precipitation
+   */
+  applyCurrent() {
+    if (this.clouds) {
+      this.clouds.setParams({ coverage: this.current.coverage, density: this.current.cloudDensity });
+    }
+    this.precipitation.setRates(this.current.rain, this.current.snow);
+  }
+  
+  /**
+   * Lower the snowline while it snows and raise it again when it stops
+   * @param {number} deltaTime
+   */
+  updateSnowLine(deltaTime) {
+    if (!this.terrainMaterial) {
+      return;
+    }
+    
+    // Someone else set the snowline (e.g. the [ and ] keys): start again from there
+    const snowLine = this.terrainMaterial.uniforms.uSnowLine.value;
+    if (snowLine !== this.writtenSnowLine) {
+      this.baseSnowLine = snowLine;
+      this.snowDrop = 0;
+    }
+    
+    const { snow } = this.current;
+    const change = (snow * this.snowfallRate - (1 - snow) * this.meltRate) * deltaTime;
+    const maxDrop = Math.max(this.baseSnowLine - this.lowestSnowLine, 0);
+    this.snowDrop = THREE.MathUtils.clamp(this.snowDrop + change, 0, maxDrop);
+    
+    this.writtenSnowLine = this.baseSnowLine - this.snowDrop;
+    updateTerrainUniforms(this.terrainMaterial, { snowLine: this.writtenSnowLine });
+  }
+  
+  /**
+   * Get how far snowfall has lowered the snowline
+   * @returns {number} Normalized height
+   */
+  getSnowLineDrop() {
+    return this.snowDrop;
+  }
+  
+  /**
+   * Get the rain and snow particles
+   * @returns {THREE.Group}
+   */
+  getGroup() {
+    return this.precipitation.getGroup();
+  }
+  
+  /**
+   * Advance blends, sequences, snowfall and particles (called by DayNightCycle each frame)
+   * @param {number} deltaTime - Seconds since the last frame
+   * @returns {boolean} Whether the weather state changed, so the lighting needs refreshing
+   */
+  update(deltaTime) {
+    let changed = false;
+    
+    if (this.sequence) {
+      this.advanceSequence(deltaTime);
+    }
+    
+    if (this.transition) {
+      const transition = this.transition;
+      if (transition.duration > 0) {
+        transition.progress = Math.min(transition.progress + deltaTime / transition.duration, 1);
+      }
+      blendWeather(transition.from, transition.to, LightingEasings.easeInOut(transition.progress), this.current);
+      
+      if (transition.progress >= 1) {
+        this.transition = null;
+      }
+      this.applyCurrent();
+      changed = true;
+    }
+    
+    this.updateSnowLine(deltaTime);
+    
+    // Blow the particles along with the clouds
+    if (this.clouds) {
+      const { windSpeed, windDirection } = this.clouds.getParams();
+      cloudDriftDirection(windDirection, _drift).multiplyScalar(windSpeed);
+      this.precipitation.setWind(_drift.x, _drift.y);
+    }
+    this.precipitation.update(deltaTime);
+    
+    return changed;
+  }
+  
+  /**
+   * Dispose of weather resources
+   */
+  dispose() {
+    this.precipitation.dispose();
+  }
+}
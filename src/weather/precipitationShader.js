@@ -0,0 +1,143 @@
+import * as THREE from 'three';
+
+/**
+ * Vertex shader for precipitation particles
+ * Each particle falls from its start position and is wrapped into a box
+ * around the camera, so the particles stay put in the world as the camera
+ * moves and never run out. SNOW is defined for flakes, which also wander.
+ */
+const vertexShader = /* glsl */ `
+  attribute float aRandom;
+  
+  uniform float uTime;
+  uniform vec3 uVelocity; // Fall plus wind, world units per second
+  uniform vec3 uBoxSize;
+  uniform float uRate; // Fraction of the particles shown (0-1)
+  uniform float uSize;
+  
+  varying float vAlpha;
+  varying float vFogDepth;
+  
+  void main() {
+    // Each particle falls a little faster or slower than the rest
+    vec3 p = position + uVelocity * uTime * (0.8 + 0.4 * aRandom);
+  #ifdef SNOW
+    p.x += sin(uTime * 1.3 + aRandom * 40.0) * 0.8;
+    p.z += cos(uTime * 1.1 + aRandom * 30.0) * 0.8;
+  #endif
+    
+    vec3 halfBox = uBoxSize * 0.5;
+    vec3 local = mod(p - cameraPosition + halfBox, uBoxSize) - halfBox;
+    vec3 worldPosition = cameraPosition + local;
+    
+    // Thin out by the rate and fade towards the sides and ends of the box
+    vAlpha = step(aRandom, uRate)
+      * (1.0 - smoothstep(0.6, 1.0, length(local.xz) / halfBox.x))
+      * (1.0 - smoothstep(0.7, 1.0, abs(local.y) / halfBox.y));
+    
+    vec4 mvPosition = viewMatrix * vec4(worldPosition, 1.0);
+    vFogDepth = -mvPosition.z;
+    
+    gl_PointSize = vAlpha > 0.0 ? clamp(uSize * 300.0 / max(-mvPosition.z, 0.1), 1.0, 64.0) : 0.0;
+    gl_Position = projectionMatrix * mvPosition;
+  }
+`;
+
+/**
+ * Fragment shader for precipitation
+ * Rain is a thin vertical streak, snow a soft round flake.
+ */
+const fragmentShader = /* glsl */ `
+  uniform vec3 uLightColor;
+  uniform float uOpacity;
+  uniform vec3 uFogColor;
+  uniform float uFogDensity;
+  
+  varying float vAlpha;
+  varying float vFogDepth;
+  
+  void main() {
+    vec2 p = gl_PointCoord - 0.5;
+  #ifdef SNOW
+    float shape = 1.0 - smoothstep(0.15, 0.5, length(p));
+    vec3 color = uLightColor * 0.95;
+  #else
+    float shape = (1.0 - smoothstep(0.0, 0.06, abs(p.x))) * (1.0 - smoothstep(0.3, 0.5, abs(p.y)));
+    vec3 color = uLightColor * 0.7;
+  #endif
+    
+    float alpha = shape * vAlpha * uOpacity;
+    if (alpha < 0.01) discard;
+    
+    // Apply fog
+    float fogFactor = 1.0 - exp(-uFogDensity * vFogDepth);
+    fogFactor = clamp(fogFactor, 0.0, 1.0);
+    color = mix(color, uFogColor, fogFactor);
+    
+    gl_FragColor = vec4(color, alpha);
+  }
+`;
+
+/**
+ * Create a precipitation shader material
+ * @param {Object} [options]
+ * @param {boolean} [options.snow=false] - Drifting flakes instead of rain streaks
+ * @returns {THREE.ShaderMaterial}
+ */
+export function createPrecipitationMaterial(options = {}) {
+  const material = new THREE.ShaderMaterial({
+    vertexShader,
+    fragmentShader,
+    defines: options.snow ? { SNOW: '' } : {},
+    uniforms: {
+      uTime: { value: 0 },
+      uVelocity: { value: new THREE.Vector3(0, options.snow ? -3 : -30, 0) },
+      uBoxSize: { value: new THREE.Vector3(160, 80, 160) },
+      uRate: { value: 0 },
+      uSize: { value: options.snow ? 0.3 : 0.5 },
+      uLightColor: { value: new THREE.Color(0.8, 0.8, 0.8) },
+      uOpacity: { value: options.snow ? 0.9 : 0.35 },
+      uFogColor: { value: new THREE.Color(0.6, 0.75, 0.9) },
+      uFogDensity: { value: 0.0012 },
+    },
+    transparent: true,
+    depthWrite: false,
+  });
+  
+  return material;
+}
+
+/**
+ * Update precipitation material uniforms
+ * @param {THREE.ShaderMaterial} material
+ * @param {Object} params
+ */
+export function updatePrecipitationUniforms(material, params) {
+  if (params.time !== undefined) {
+    material.uniforms.uTime.value = params.time;
+  }
+  if (params.velocity) {
+    material.uniforms.uVelocity.value.copy(params.velocity);
+  }
+  if (params.boxSize) {
+    material.uniforms.uBoxSize.value.copy(params.boxSize);
+  }
+  if (params.rate !== undefined) {
+    material.uniforms.uRate.value = params.rate;
+  }
+  if (params.size !== undefined) {
+    material.uniforms.uSize.value = params.size;
+  }
+  if (params.lightColor) {
+    material.uniforms.uLightColor.value.copy(params.lightColor);
+  }
+  if (params.opacity !== undefined) {
+    material.uniforms.uOpacity.value = params.opacity;
+  }
+  if (params.fogColor) {
+    material.uniforms.uFogColor.value.copy(params.fogColor);
+  }
+  if (params.fogDensity !== undefined) {
+    material.uniforms.uFogDensity.value = params.fogDensity;
+  }
+}
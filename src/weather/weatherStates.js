@@ -0,0 +1,157 @@
+/**
+ * Weather states - How each kind of weather changes the scene
+ *
+ * A weather state is a flat set of numbers, so two states blend by simple
+ * interpolation. Cloud fields drive the cloud layer, the light fields scale
+ * and grey the lighting state from DayNightCycle, and the precipitation
+ * fields say how much rain and snow falls.
+ */
+
+import * as THREE from 'three';
+
+/**
+ * Weather presets
+ * - coverage, cloudDensity: the cloud layer (see CloudDefaults)
+ * - sunLight: multiplier on direct sun and moon light, on top of the clouds' own dimming
+ * - ambientLight: multiplier on ambient and hemisphere light (above 1 flattens the light)
+ * - fogDensity: multiplier on the fog density
+ * - grey: how far colours are washed towards grey, and the sky towards the fog (0-1)
+ * - exposure: multiplier on the renderer exposure
+ * - stars: multiplier on the star field
+ * - rain, snow: precipitation rate (0-1)
+ */
+export const WeatherStates = {
+  clear: {
+    coverage: 0.3,
+    cloudDensity: 0.7,
+    sunLight: 1,
+    ambientLight: 1,
+    fogDensity: 1,
+    grey: 0,
+    exposure: 1,
+    stars: 1,
+    rain: 0,
+    snow: 0,
+  },
+  overcast: {
+    coverage: 0.9,
+    cloudDensity: 0.9,
+    sunLight: 0.65,
+    ambientLight: 1.3,
+    fogDensity: 1.8,
+    grey: 0.5,
+    exposure: 0.85,
+    stars: 0,
+    rain: 0,
+    snow: 0,
+  },
+  rain: {
+    coverage: 1,
+    cloudDensity: 1,
+    sunLight: 0.45,
+    ambientLight: 1.2,
+    fogDensity: 3,
+    grey: 0.7,
+    exposure: 0.75,
+    stars: 0,
+    rain: 1,
+    snow: 0,
+  },
+  snow: {
+    coverage: 1,
+    cloudDensity: 0.95,
+    sunLight: 0.5,
+    ambientLight: 1.45,
+    fogDensity: 3.5,
+    grey: 0.8,
+    exposure: 0.85,
+    stars: 0,
+    rain: 0,
+    snow: 1,
+  },
+  fog: {
+    coverage: 0.5,
+    cloudDensity: 0.6,
+    sunLight: 0.7,
+    ambientLight: 1.25,
+    fogDensity: 8,
+    grey: 0.8,
+    exposure: 0.9,
+    stars: 0.2,
+    rain: 0,
+    snow: 0,
+  },
+};
+
+/**
+ * Names of the weather presets
+ */
+export const WeatherNames = Object.keys(WeatherStates);
+
+const LUMINANCE = new THREE.Vector3(0.2126, 0.7152, 0.0722);
+const _grey = new THREE.Color();
+
+/**
+ * Blend two weather states
+ * @param {Object} from
+ * @param {Object} to
+ * @param {number} t - 0 gives from, 1 gives to
+ * @param {Object} [target] - State to write into
+ * @returns {Object}
+ */
+export function blendWeather(from, to, t, target = {}) {
+  for (const key of Object.keys(WeatherStates.clear)) {
+    target[key] = THREE.MathUtils.lerp(from[key], to[key], t);
+  }
+  return target;
+}
+
+/**
+ * Change a lighting state for the weather, in place
+ * Direct light drops and ambient light rises (flatter light), colours wash
+ * out towards grey, the sky gradient sinks into the fog and the fog thickens.
+ * @param {Object} state - Lighting state (see createLightingState in LightingTimeline.js)
+ * @param {Object} weather - Weather state, e.g. from blendWeather
+ * @returns {Object} The state
+ */
+export function applyWeatherToLighting(state, weather) {
+  const { grey } = weather;
+
+  state.sunIntensity *= weather.sunLight;
+  state.moonIntensity *= weather.sunLight;
+  state.ambientIntensity *= weather.ambientLight;
+  state.hemiIntensity *= weather.ambientLight;
+
+  desaturate(state.sunColor, grey * 0.5);
+  desaturate(state.moonColor, grey * 0.5);
+  desaturate(state.ambientColor, grey);
+  desaturate(state.hemiSkyColor, grey);
+  desaturate(state.hemiGroundColor, grey);
+
+  state.fogDensity *= weather.fogDensity;
+  desaturate(state.fogColor, grey);
+
+  // An overcast sky is an even grey that meets the fog, without the sun or stars
+  for (const key of ['skyTopColor', 'skyMiddleColor', 'skyBottomColor', 'skyHorizonColor']) {
+    desaturate(state[key], grey).lerp(state.fogColor, grey);
+  }
+  state.skySunIntensity *= weather.sunLight;
+  state.skyMoonIntensity *= weather.sunLight;
+  state.skyStarIntensity *= weather.stars;
+  state.skyScatteringMix *= 1 - grey;
+
+  state.exposure *= weather.exposure;
+
+  // Hazy light casts blurrier shadows
+  state.shadowSoftness *= 1 + grey * 2;
+
+  return state;
+}
+
+/**
+ * Move a colour towards the grey of the same luminance, in place
+ */
+function desaturate(color, amount) {
+  const luminance = color.r * LUMINANCE.x + color.g * LUMINANCE.y + color.b * LUMINANCE.z;
+  return color.lerp(_grey.setScalar(luminance), amount);
+}